@@ -0,0 +1,308 @@
+/**
+ * PDFOX Conversion Cache
+ * Content-addressed store of converted files keyed by PDF bytes, format and options
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Bump when writers or cached details change so older entries are no longer served
+const CACHE_VERSION = 2;
+
+/**
+ * SHA-256 of a file's bytes, read as a stream
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal options give equal keys
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Conversion cache in a directory
+ *
+ * Each entry is an output file (`<key><ext>`) next to its metadata
+ * (`<key>.json`) holding the conversion result. Entries older than `maxAge`
+ * are dropped, and the least recently used ones are evicted while the cache
+ * is larger than `maxBytes` (0 disables the cache).
+ *
+ * The directory is read once into an in-memory index ordered from least to
+ * most recently used, which also tracks the total size, so a hit or a store
+ * touches only its own entry. Usage (hits, last use) is written back to the
+ * metadata files by flush(), which evict() calls.
+ */
+class ConversionCache {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxBytes = options.maxBytes || 0;
+        this.maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000;
+        this.logger = options.logger || null;
+
+        this.index = null; // Map { key: entry }, least recently used first
+        this.size = 0;
+        this.dirty = new Set(); // keys whose usage is not yet on disk
+    }
+
+    get enabled() {
+        return this.maxBytes > 0;
+    }
+
+    /**
+     * Cache key for a PDF converted to `format` with `options`
+     */
+    key(fileHash, format, options = {}) {
+        return crypto.createHash('sha256')
+            .update(`${CACHE_VERSION}\n${fileHash}\n${format}\n${stableStringify(options)}`)
+            .digest('hex');
+    }
+
+    metadataPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * In-memory index, read from the metadata files on first use
+     */
+    entries() {
+        if (this.index) return this.index;
+
+        const entries = fs.existsSync(this.dir)
+            ? fs.readdirSync(this.dir)
+                .filter(name => name.endsWith('.json'))
+                .map(name => this.read(path.basename(name, '.json')))
+                .filter(Boolean)
+                .sort((a, b) => a.usedAt - b.usedAt)
+            : [];
+
+        this.index = new Map(entries.map(entry => [entry.key, entry]));
+        this.size = entries.reduce((sum, entry) => sum + entry.size, 0);
+        return this.index;
+    }
+
+    /**
+     * Cached entry for a key (marked as used), or null on a miss
+     */
+    get(key) {
+        const entry = this.entries().get(key);
+        if (!entry) return null;
+
+        if (entry.createdAt <= Date.now() - this.maxAge || !fs.existsSync(entry.outputPath)) {
+            this.remove(key);
+            return null;
+        }
+
+        entry.usedAt = Date.now();
+        entry.hits = (entry.hits || 0) + 1;
+        // Move to the most recently used end
+        this.index.delete(key);
+        this.index.set(key, entry);
+        this.dirty.add(key);
+        return entry;
+    }
+
+    /**
+     * Store a converted file and its result, then evict least recently used
+     * entries until the cache fits in `maxBytes`
+     */
+    put(key, outputPath, details) {
+        if (!this.enabled) return null;
+
+        try {
+            const index = this.entries();
+            fs.mkdirSync(this.dir, { recursive: true });
+            const cachedPath = path.join(this.dir, key + path.extname(outputPath));
+            fs.copyFileSync(outputPath, cachedPath);
+
+            const now = Date.now();
+            const entry = {
+                key,
+                ...details,
+                outputPath: cachedPath,
+                size: fs.statSync(cachedPath).size,
+                hits: 0,
+                createdAt: now,
+                usedAt: now
+            };
+            this.write(entry);
+
+            const previous = index.get(key);
+            if (previous) {
+                this.size -= previous.size;
+                index.delete(key);
+            }
+            index.set(key, entry);
+            this.size += entry.size;
+            this.dirty.delete(key);
+
+            for (const oldest of this.overflow()) {
+                this.remove(oldest.key);
+            }
+            return entry;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error caching conversion:', error.message);
+            return null;
+        }
+    }
+
+    read(key) {
+        try {
+            const entry = JSON.parse(fs.readFileSync(this.metadataPath(key), 'utf8'));
+            // Paths are stored relative to the cache directory
+            return { ...entry, outputPath: path.join(this.dir, path.basename(entry.outputPath)) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(entry) {
+        const data = { ...entry, outputPath: path.basename(entry.outputPath) };
+        fs.writeFileSync(this.metadataPath(entry.key), JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Write usage recorded by get() to the metadata files
+     */
+    flush() {
+        for (const key of this.dirty) {
+            const entry = this.index && this.index.get(key);
+            if (!entry) continue;
+            try {
+                this.write(entry);
+            } catch (error) {
+                if (this.logger) this.logger.error('Error saving cache usage:', error.message);
+            }
+        }
+        this.dirty.clear();
+    }
+
+    /**
+     * All entries, most recently used first
+     */
+    list() {
+        return [...this.entries().values()].reverse();
+    }
+
+    /**
+     * Entry count and total size (output files plus metadata)
+     */
+    stats() {
+        if (!fs.existsSync(this.dir)) return { entries: 0, files: 0, size: 0 };
+
+        const names = fs.readdirSync(this.dir);
+        const size = names.reduce((sum, name) => {
+            try {
+                return sum + fs.statSync(path.join(this.dir, name)).size;
+            } catch (error) {
+                return sum;
+            }
+        }, 0);
+
+        return {
+            entries: names.filter(name => name.endsWith('.json')).length,
+            files: names.length,
+            size
+        };
+    }
+
+    /**
+     * Delete an entry and its output file
+     */
+    remove(key) {
+        const index = this.entries();
+        const entry = index.get(key) || this.read(key);
+        for (const filePath of [entry && entry.outputPath, this.metadataPath(key)]) {
+            if (filePath && fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+
+        if (index.has(key)) {
+            this.size -= index.get(key).size;
+            index.delete(key);
+        }
+        this.dirty.delete(key);
+    }
+
+    /**
+     * Least recently used entries to drop so the rest fit in `maxBytes`
+     */
+    overflow(skip = new Set()) {
+        let size = this.size;
+        for (const entry of this.entries().values()) {
+            if (skip.has(entry.key)) size -= entry.size;
+        }
+
+        const removed = [];
+        for (const entry of this.index.values()) {
+            if (size <= this.maxBytes) break;
+            if (skip.has(entry.key)) continue;
+            size -= entry.size;
+            removed.push(entry);
+        }
+        return removed;
+    }
+
+    /**
+     * Entries that eviction would remove: expired ones, then the least
+     * recently used while over the size limit
+     */
+    evictable() {
+        const cutoff = Date.now() - this.maxAge;
+        const expired = [...this.entries().values()].filter(entry => entry.createdAt <= cutoff);
+        return [...expired, ...this.overflow(new Set(expired.map(entry => entry.key)))];
+    }
+
+    /**
+     * Remove expired and least recently used entries, then save usage
+     * (returns removed entries)
+     */
+    evict() {
+        const removed = this.evictable();
+        for (const entry of removed) {
+            this.remove(entry.key);
+        }
+        this.flush();
+
+        if (removed.length > 0 && this.logger) {
+            this.logger.debug(`Evicted ${removed.length} cached conversions`);
+        }
+        return removed;
+    }
+
+    /**
+     * Remove entries not used for `olderThan` ms (all entries by default)
+     */
+    clear(olderThan = 0) {
+        const cutoff = Date.now() - olderThan;
+        const removed = this.list().filter(entry => entry.usedAt <= cutoff);
+        for (const entry of removed) {
+            this.remove(entry.key);
+        }
+        return removed;
+    }
+}
+
+module.exports = {
+    ConversionCache,
+    hashFile
+};
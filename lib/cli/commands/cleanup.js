@@ -6,11 +6,8 @@
 
 const chalk = require('chalk');
 const ora = require('ora');
-const { PATHS } = require('../utils/config');
 const {
-    loadProAccess, saveProAccess,
-    loadShareMetadata, deleteShare, getShareFiles,
-    getDirectoryFiles, getDirectorySize, deleteOldFiles
+    getStore, deleteShare, getConversionCache, getStoredFiles, deleteOldFiles
 } = require('../utils/data');
 const {
     success, error, warn, info, header,
@@ -29,28 +26,29 @@ module.exports = function(program) {
             const now = Date.now();
 
             // Check Pro access
-            const proData = loadProAccess();
+            const proData = getStore().listProAccess();
             const expiredPro = proData.filter(e => e.expiresAt <= now);
 
             // Check shares
-            const shareMetadata = loadShareMetadata();
-            const expiredShares = Object.entries(shareMetadata.shares || {})
-                .filter(([, data]) => data.expiresAt <= now);
+            const expiredShares = getStore().listExpiredShares(now);
 
             // Check uploads (older than 24h)
-            const uploads = getDirectoryFiles(PATHS.uploads);
+            const uploads = await getStoredFiles('uploads');
             const oldUploads = uploads.filter(f => {
                 const age = now - f.modified.getTime();
                 return age > 24 * 60 * 60 * 1000;
             });
 
             // Check outputs (older than 24h)
-            const outputs = getDirectoryFiles(PATHS.outputs);
+            const outputs = await getStoredFiles('outputs');
             const oldOutputs = outputs.filter(f => {
                 const age = now - f.modified.getTime();
                 return age > 24 * 60 * 60 * 1000;
             });
 
+            // Check cache (expired or over the size limit)
+            const cacheEntries = getConversionCache().evictable();
+
             const result = {
                 expiredPro: {
                     count: expiredPro.length,
@@ -58,10 +56,10 @@ module.exports = function(program) {
                 },
                 expiredShares: {
                     count: expiredShares.length,
-                    items: expiredShares.map(([hash, data]) => ({
-                        hash: hash.slice(0, 8),
-                        fileName: data.fileName,
-                        expiresAt: data.expiresAt
+                    items: expiredShares.map(share => ({
+                        hash: share.hash.slice(0, 8),
+                        fileName: share.fileName,
+                        expiresAt: share.expiresAt
                     }))
                 },
                 oldUploads: {
@@ -71,6 +69,10 @@ module.exports = function(program) {
                 oldOutputs: {
                     count: oldOutputs.length,
                     totalSize: oldOutputs.reduce((sum, f) => sum + f.size, 0)
+                },
+                evictableCache: {
+                    count: cacheEntries.length,
+                    totalSize: cacheEntries.reduce((sum, e) => sum + e.size, 0)
                 }
             };
 
@@ -95,8 +97,8 @@ module.exports = function(program) {
 
             console.log('\n' + chalk.bold('Expired Shares:'));
             if (expiredShares.length > 0) {
-                expiredShares.slice(0, 5).forEach(([hash, data]) => {
-                    console.log(`  ${chalk.gray('-')} ${data.fileName} (${truncate(hash, 8)})`);
+                expiredShares.slice(0, 5).forEach(share => {
+                    console.log(`  ${chalk.gray('-')} ${share.fileName} (${truncate(share.hash, 8)})`);
                 });
                 if (expiredShares.length > 5) {
                     console.log(chalk.gray(`  ... and ${expiredShares.length - 5} more`));
@@ -111,7 +113,11 @@ module.exports = function(program) {
             console.log('\n' + chalk.bold('Old Outputs (>24h):'));
             console.log(`  ${oldOutputs.length} files (${formatSize(result.oldOutputs.totalSize)})`);
 
-            const totalCleanable = expiredPro.length + expiredShares.length + oldUploads.length + oldOutputs.length;
+            console.log('\n' + chalk.bold('Evictable Cache Entries:'));
+            console.log(`  ${cacheEntries.length} conversions (${formatSize(result.evictableCache.totalSize)})`);
+
+            const totalCleanable = expiredPro.length + expiredShares.length + oldUploads.length +
+                oldOutputs.length + cacheEntries.length;
             console.log('\n' + chalk.gray('-'.repeat(40)));
             console.log(`${chalk.bold('Total cleanable items:')} ${totalCleanable}`);
 
@@ -131,20 +137,21 @@ module.exports = function(program) {
             const now = Date.now();
 
             // Collect targets
-            const proData = loadProAccess();
+            const proData = getStore().listProAccess();
             const expiredPro = proData.filter(e => e.expiresAt <= now);
 
-            const shareMetadata = loadShareMetadata();
-            const expiredShares = Object.entries(shareMetadata.shares || {})
-                .filter(([, data]) => data.expiresAt <= now);
+            const expiredShares = getStore().listExpiredShares(now);
+
+            const uploadResult = await deleteOldFiles('uploads', 24, true); // dry run
+            const outputResult = await deleteOldFiles('outputs', 24, true); // dry run
 
-            const uploadResult = deleteOldFiles(PATHS.uploads, 24, true); // dry run
-            const outputResult = deleteOldFiles(PATHS.outputs, 24, true); // dry run
+            const cache = getConversionCache();
+            const cacheEntries = cache.evictable();
 
             spinner.stop();
 
             const totalItems = expiredPro.length + expiredShares.length +
-                uploadResult.deleted.length + outputResult.deleted.length;
+                uploadResult.deleted.length + outputResult.deleted.length + cacheEntries.length;
 
             if (totalItems === 0) {
                 success('Nothing to clean up');
@@ -156,6 +163,7 @@ module.exports = function(program) {
             console.log(`  ${chalk.yellow(expiredShares.length)} expired shares`);
             console.log(`  ${chalk.yellow(uploadResult.deleted.length)} old upload files`);
             console.log(`  ${chalk.yellow(outputResult.deleted.length)} old output files`);
+            console.log(`  ${chalk.yellow(cacheEntries.length)} evictable cache entries`);
 
             if (options.dryRun) {
                 warn('\nDry run - no changes made');
@@ -173,19 +181,21 @@ module.exports = function(program) {
             const cleanSpinner = ora('Cleaning up...').start();
 
             // Clean Pro access
-            const activePro = proData.filter(e => e.expiresAt > now);
-            saveProAccess(activePro);
+            getStore().deleteExpiredProAccess(now);
 
             // Clean shares
-            for (const [hash] of expiredShares) {
-                deleteShare(hash);
+            for (const share of expiredShares) {
+                await deleteShare(share.hash);
             }
 
             // Clean uploads
-            deleteOldFiles(PATHS.uploads, 24, false);
+            await deleteOldFiles('uploads', 24, false);
 
             // Clean outputs
-            deleteOldFiles(PATHS.outputs, 24, false);
+            await deleteOldFiles('outputs', 24, false);
+
+            // Evict cache entries
+            cache.evict();
 
             cleanSpinner.stop();
 
@@ -194,6 +204,7 @@ module.exports = function(program) {
             console.log(`  ${chalk.green('✓')} ${expiredShares.length} shares removed`);
             console.log(`  ${chalk.green('✓')} ${uploadResult.deleted.length} upload files removed`);
             console.log(`  ${chalk.green('✓')} ${outputResult.deleted.length} output files removed`);
+            console.log(`  ${chalk.green('✓')} ${cacheEntries.length} cache entries removed`);
         });
 
     // cleanup:uploads - Clean uploads directory
@@ -204,7 +215,7 @@ module.exports = function(program) {
         .option('--dry-run', 'Show what would be deleted without deleting')
         .action(async function(options) {
             const hours = parseInt(options.olderThan);
-            const result = deleteOldFiles(PATHS.uploads, hours, options.dryRun);
+            const result = await deleteOldFiles('uploads', hours, options.dryRun);
 
             if (result.deleted.length === 0) {
                 success(`No upload files older than ${hours}h found`);
@@ -231,7 +242,7 @@ module.exports = function(program) {
         .option('--dry-run', 'Show what would be deleted without deleting')
         .action(async function(options) {
             const hours = parseInt(options.olderThan);
-            const result = deleteOldFiles(PATHS.outputs, hours, options.dryRun);
+            const result = await deleteOldFiles('outputs', hours, options.dryRun);
 
             if (result.deleted.length === 0) {
                 success(`No output files older than ${hours}h found`);
@@ -249,4 +260,48 @@ module.exports = function(program) {
                 success(`\nDeleted ${result.deleted.length} files`);
             }
         });
+
+    // cleanup:cache - Clean conversion cache
+    program
+        .command('cleanup:cache')
+        .description('Evict expired or over-limit conversion cache entries')
+        .option('--older-than <hours>', 'Delete entries not used for N hours')
+        .option('--all', 'Delete every cache entry')
+        .option('--dry-run', 'Show what would be deleted without deleting')
+        .action(async function(options) {
+            const cache = getConversionCache();
+            const now = Date.now();
+
+            let entries;
+            let label;
+            if (options.all) {
+                entries = cache.list();
+                label = 'cache entries';
+            } else if (options.olderThan) {
+                const hours = parseInt(options.olderThan);
+                entries = cache.list().filter(e => e.usedAt <= now - hours * 60 * 60 * 1000);
+                label = `cache entries not used for ${hours}h`;
+            } else {
+                entries = cache.evictable();
+                label = 'expired or over-limit cache entries';
+            }
+
+            if (entries.length === 0) {
+                success(`No ${label} found`);
+                return;
+            }
+
+            console.log(`Found ${entries.length} ${label}:`);
+            entries.forEach(e => {
+                console.log(`  ${chalk.gray('-')} ${truncate(e.key, 12)} ${e.format} (${formatSize(e.size)}, ${e.hits || 0} hits, used ${formatRelativeTime(e.usedAt)})`);
+            });
+
+            if (options.dryRun) {
+                warn('\nDry run - no changes made');
+                return;
+            }
+
+            entries.forEach(e => cache.remove(e.key));
+            success(`\nDeleted ${entries.length} cache entries`);
+        });
 };
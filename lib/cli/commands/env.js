@@ -9,6 +9,7 @@ const { getConfig, readEnvFile, updateEnvFile, PATHS } = require('../utils/confi
 const { success, error, warn, info, header, formatTable, formatJson, printKeyValue } = require('../utils/output');
 const { maskSecret } = require('../utils/security');
 const { confirm } = require('../utils/prompts');
+const { storageConfig } = require('../../storage');
 
 module.exports = function(program) {
     // env:show - Display current environment
@@ -17,6 +18,7 @@ module.exports = function(program) {
         .description('Display current environment settings')
         .action(async function() {
             const config = getConfig();
+            const storage = storageConfig(process.env);
             const envVars = readEnvFile();
             const isJson = program.opts().json;
 
@@ -36,7 +38,9 @@ module.exports = function(program) {
                     PAYMENT_CURRENCY: config.PAYMENT_CURRENCY,
                     STRIPE_CONFIGURED: !!config.STRIPE_SECRET_KEY,
                     STRIPE_MODE: stripeKeyType,
-                    JWT_CONFIGURED: !!config.JWT_SECRET
+                    JWT_CONFIGURED: !!config.JWT_SECRET,
+                    STORAGE_DRIVER: storage.driver,
+                    S3_BUCKET: storage.driver === 's3' ? storage.bucket : undefined
                 }));
                 return;
             }
@@ -84,6 +88,15 @@ module.exports = function(program) {
             printKeyValue('Uploads', PATHS.uploads);
             printKeyValue('Outputs', PATHS.outputs);
 
+            console.log('\n' + chalk.bold('File Storage:'));
+            printKeyValue('STORAGE_DRIVER', storage.driver);
+            if (storage.driver === 's3') {
+                printKeyValue('S3_BUCKET', storage.bucket || chalk.red('NOT SET'));
+                printKeyValue('S3_ENDPOINT', storage.endpoint || chalk.gray('AWS'));
+                printKeyValue('S3_ACCESS_KEY_ID', maskSecret(storage.accessKeyId));
+                printKeyValue('Signed URLs', storage.signedUrls ? `${storage.signedUrlExpiry}s` : chalk.gray('OFF'));
+            }
+
             console.log('');
         });
 
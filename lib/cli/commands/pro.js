@@ -8,7 +8,7 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const chalk = require('chalk');
 const { getConfig } = require('../utils/config');
-const { loadProAccess, saveProAccess } = require('../utils/data');
+const { getStore } = require('../utils/data');
 const {
     success, error, warn, info, header,
     formatTable, formatJson, formatStatus, formatDate,
@@ -26,7 +26,7 @@ module.exports = function(program) {
         .option('--expired', 'Show only expired entries')
         .option('--revoked', 'Show only revoked entries')
         .action(async function(options) {
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
             const now = Date.now();
             const isJson = program.opts().json;
 
@@ -78,7 +78,7 @@ module.exports = function(program) {
         .command('pro:info <identifier>')
         .description('Show details for a Pro access entry (by ID or email)')
         .action(async function(identifier) {
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
             const isJson = program.opts().json;
 
             const entry = data.find(e =>
@@ -134,7 +134,7 @@ module.exports = function(program) {
                 process.exit(1);
             }
 
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
             const duration = parseInt(options.duration) * 60 * 60 * 1000;
             const now = Date.now();
             const expiresAt = now + duration;
@@ -174,8 +174,7 @@ module.exports = function(program) {
                 isRevoked: false
             };
 
-            data.push(entry);
-            saveProAccess(data);
+            getStore().insertProAccess(entry);
 
             success(`Pro access granted to ${email}`);
             printKeyValue('ID', entry.id);
@@ -195,7 +194,7 @@ module.exports = function(program) {
         .command('pro:revoke <identifier>')
         .description('Revoke Pro access by ID or email')
         .action(async function(identifier) {
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
             const now = Date.now();
 
             const entry = data.find(e =>
@@ -219,8 +218,7 @@ module.exports = function(program) {
                 }
             }
 
-            entry.isRevoked = true;
-            saveProAccess(data);
+            getStore().updateProAccess(entry.id, { isRevoked: true });
             success(`Pro access revoked for ${entry.email}`);
         });
 
@@ -230,7 +228,7 @@ module.exports = function(program) {
         .description('Extend Pro access duration')
         .requiredOption('--hours <hours>', 'Hours to extend')
         .action(async function(identifier, options) {
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
 
             const entry = data.find(e =>
                 e.id === identifier ||
@@ -260,7 +258,7 @@ module.exports = function(program) {
             const baseTime = entry.expiresAt > now ? entry.expiresAt : now;
             entry.expiresAt = baseTime + (hours * 60 * 60 * 1000);
 
-            saveProAccess(data);
+            getStore().updateProAccess(entry.id, { expiresAt: entry.expiresAt });
 
             success(`Pro access extended for ${entry.email}`);
             printKeyValue('Old expiry', formatDate(oldExpiry));
@@ -274,11 +272,10 @@ module.exports = function(program) {
         .description('Remove expired Pro access entries')
         .option('--dry-run', 'Show what would be deleted without deleting')
         .action(async function(options) {
-            const data = loadProAccess();
+            const data = getStore().listProAccess();
             const now = Date.now();
 
             const expired = data.filter(e => e.expiresAt <= now);
-            const active = data.filter(e => e.expiresAt > now);
 
             if (expired.length === 0) {
                 success('No expired entries to clean');
@@ -303,7 +300,7 @@ module.exports = function(program) {
                 }
             }
 
-            saveProAccess(active);
-            success(`Removed ${expired.length} expired entries`);
+            const removed = getStore().deleteExpiredProAccess(now);
+            success(`Removed ${removed} expired entries`);
         });
 };
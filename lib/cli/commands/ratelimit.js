@@ -0,0 +1,143 @@
+/**
+ * Rate limit commands for PDFOX CLI
+ */
+
+'use strict';
+
+const chalk = require('chalk');
+const { getStore } = require('../utils/data');
+const {
+    success, error, warn, info,
+    formatTable, formatJson, formatRelativeTime, truncate
+} = require('../utils/output');
+const { confirmDestructive } = require('../utils/prompts');
+const { RATE_LIMIT_POLICIES } = require('../../rate-limit');
+
+/**
+ * Store filter from command options
+ */
+function buildFilter(options) {
+    const filter = {};
+    if (options.policy) filter.policy = options.policy;
+    if (options.ip) filter.ip = options.ip;
+    if (options.resource) filter.resource = options.resource;
+    if (options.locked) filter.locked = true;
+    return filter;
+}
+
+/**
+ * Whether a counter currently blocks its client
+ */
+function isBlocked(counter, now) {
+    if (counter.lockedUntil) {
+        return counter.lockedUntil > now;
+    }
+    const policy = RATE_LIMIT_POLICIES[counter.policy];
+    return !!policy && counter.count > policy.max;
+}
+
+module.exports = function(program) {
+    // ratelimit:list - List active rate limit counters
+    program
+        .command('ratelimit:list')
+        .description('List active rate limit counters and lockouts')
+        .option('--locked', 'Show only lockouts')
+        .option('--blocked', 'Show only clients currently refused')
+        .option('--policy <name>', 'Filter by policy')
+        .option('--ip <address>', 'Filter by client IP')
+        .option('--resource <id>', 'Filter by resource (e.g. share hash)')
+        .action(async function(options) {
+            const now = Date.now();
+            let counters = getStore().listRateLimits(buildFilter(options), now);
+
+            if (options.blocked) {
+                counters = counters.filter(c => isBlocked(c, now));
+            }
+
+            if (program.opts().json) {
+                console.log(formatJson(counters.map(c => ({ ...c, blocked: isBlocked(c, now) }))));
+                return;
+            }
+
+            if (counters.length === 0) {
+                warn('No active rate limits found');
+                return;
+            }
+
+            const rows = counters.map(counter => {
+                const policy = RATE_LIMIT_POLICIES[counter.policy];
+                let status;
+                if (counter.lockedUntil && counter.lockedUntil > now) {
+                    status = chalk.red('Locked');
+                } else if (isBlocked(counter, now)) {
+                    status = chalk.red('Limited');
+                } else {
+                    status = chalk.green('OK');
+                }
+
+                return [
+                    counter.policy,
+                    counter.ip,
+                    counter.resource ? truncate(counter.resource, 8) : chalk.gray('-'),
+                    policy ? `${counter.count}/${policy.max}` : String(counter.count),
+                    status,
+                    formatRelativeTime(counter.lockedUntil && counter.lockedUntil > now
+                        ? counter.lockedUntil
+                        : counter.expiresAt)
+                ];
+            });
+
+            console.log(formatTable(
+                ['Policy', 'IP', 'Resource', 'Count', 'Status', 'Resets'],
+                rows
+            ));
+
+            const blocked = counters.filter(c => isBlocked(c, now)).length;
+            console.log(`\n${chalk.gray('Total:')} ${counters.length} | ${chalk.red('Blocked:')} ${blocked}`);
+        });
+
+    // ratelimit:clear - Clear rate limit counters and lockouts
+    program
+        .command('ratelimit:clear')
+        .description('Clear rate limit counters and lockouts (by IP, policy or resource)')
+        .option('--policy <name>', 'Clear only this policy')
+        .option('--ip <address>', 'Clear only this client IP')
+        .option('--resource <id>', 'Clear only this resource (e.g. share hash)')
+        .option('--locked', 'Clear only lockouts')
+        .option('--all', 'Clear every counter')
+        .action(async function(options) {
+            const filter = buildFilter(options);
+
+            if (Object.keys(filter).length === 0 && !options.all) {
+                error('Specify --ip, --policy, --resource or --locked (or --all to clear everything)');
+                process.exit(1);
+            }
+
+            if (filter.policy && !RATE_LIMIT_POLICIES[filter.policy]) {
+                warn(`Unknown policy: ${filter.policy} (known: ${Object.keys(RATE_LIMIT_POLICIES).join(', ')})`);
+            }
+
+            const store = getStore();
+            const matching = store.listRateLimits(filter);
+
+            if (matching.length === 0) {
+                success('No matching rate limits to clear');
+                return;
+            }
+
+            if (!program.opts().force) {
+                const confirmed = await confirmDestructive(
+                    'Clear rate limits',
+                    `${matching.length} counter${matching.length !== 1 ? 's' : ''}`
+                );
+                if (!confirmed) {
+                    warn('Operation cancelled');
+                    return;
+                }
+            }
+
+            const cleared = store.deleteRateLimits(filter);
+            success(`Cleared ${cleared} rate limit counter${cleared !== 1 ? 's' : ''}`);
+            if (filter.ip) info(`  Client ${filter.ip} can make requests again`);
+        });
+};
@@ -4,19 +4,34 @@
 
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
 const chalk = require('chalk');
-const { PATHS } = require('../utils/config');
-const { loadShareMetadata, saveShareMetadata, getShareFiles, deleteShare } = require('../utils/data');
+const { getStore, getStorage, getShareFiles, deleteShare } = require('../utils/data');
 const {
     success, error, warn, info, header,
     formatTable, formatJson, formatStatus, formatDate,
     formatRelativeTime, formatSize, truncate, printKeyValue
 } = require('../utils/output');
-const { isValidShareHash } = require('../utils/security');
+const { isValidShareHash, passwordScheme } = require('../utils/security');
 const { confirm, confirmDestructive } = require('../utils/prompts');
 
+/**
+ * Usage against a limit, e.g. "2/5" (red once used up), or the count when unlimited
+ */
+function formatUsage(count, max) {
+    if (max === null || max === undefined) return String(count);
+    return count >= max ? chalk.red(`${count}/${max}`) : `${count}/${max}`;
+}
+
+/**
+ * Views column: usage, or burn-after-view state
+ */
+function formatViews(share) {
+    if (share.burnAfterView) {
+        return share.viewCount + share.downloadCount > 0 ? chalk.red('Burned') : chalk.magenta('Burn');
+    }
+    return formatUsage(share.viewCount, share.maxViews);
+}
+
 module.exports = function(program) {
     // share:list - List all shares
     program
@@ -25,17 +40,15 @@ module.exports = function(program) {
         .option('--active', 'Show only active shares')
         .option('--expired', 'Show only expired shares')
         .action(async function(options) {
-            const metadata = loadShareMetadata();
-            const files = getShareFiles();
+            const files = await getShareFiles();
             const now = Date.now();
             const isJson = program.opts().json;
 
             // Combine metadata with file info
-            const shares = Object.entries(metadata.shares || {}).map(([hash, data]) => {
-                const file = files.find(f => f.hash === hash);
+            const shares = getStore().listShares().map(share => {
+                const file = files.find(f => f.hash === share.hash);
                 return {
-                    hash,
-                    ...data,
+                    ...share,
                     fileExists: !!file,
                     fileSize: file ? file.size : 0
                 };
@@ -63,12 +76,14 @@ module.exports = function(program) {
                 truncate(share.fileName || 'Unknown', 25),
                 share.passwordHash ? chalk.yellow('Yes') : chalk.gray('No'),
                 formatStatus(share.expiresAt > now),
+                formatViews(share),
+                formatUsage(share.downloadCount, share.maxDownloads),
                 formatSize(share.fileSize),
                 formatRelativeTime(share.expiresAt)
             ]);
 
             console.log(formatTable(
-                ['Hash', 'Filename', 'Protected', 'Status', 'Size', 'Expires'],
+                ['Hash', 'Filename', 'Protected', 'Status', 'Views', 'Downloads', 'Size', 'Expires'],
                 rows
             ));
 
@@ -84,34 +99,27 @@ module.exports = function(program) {
         .command('share:info <hash>')
         .description('Show details for a share')
         .action(async function(hash) {
-            const metadata = loadShareMetadata();
-            const files = getShareFiles();
+            const files = await getShareFiles();
             const isJson = program.opts().json;
 
             // Support partial hash matching
-            let matchedHash = hash;
-            if (!metadata.shares[hash]) {
-                const match = Object.keys(metadata.shares).find(h => h.startsWith(hash));
-                if (match) {
-                    matchedHash = match;
-                }
-            }
-
-            const share = metadata.shares[matchedHash];
+            const share = getStore().findShareByPrefix(hash);
 
             if (!share) {
                 error(`Share not found: ${hash}`);
                 process.exit(1);
             }
 
+            const matchedHash = share.hash;
             const file = files.find(f => f.hash === matchedHash);
             const now = Date.now();
 
             const result = {
-                hash: matchedHash,
                 ...share,
+                passwordScheme: passwordScheme(share.passwordHash),
                 fileExists: !!file,
                 fileSize: file ? file.size : 0,
+                fileKey: file ? file.key : null,
                 filePath: file ? file.path : null
             };
 
@@ -127,14 +135,25 @@ module.exports = function(program) {
             printKeyValue('Filename', share.fileName || chalk.gray('Unknown'));
             printKeyValue('Status', formatStatus(share.expiresAt > now));
             printKeyValue('Password Protected', share.passwordHash ? chalk.yellow('Yes') : chalk.gray('No'));
+            if (share.passwordHash) {
+                printKeyValue('Password Hash', result.passwordScheme === 'sha256'
+                    ? chalk.yellow('SHA-256 (legacy, upgraded on next unlock)')
+                    : result.passwordScheme || chalk.red('Unknown'));
+            }
             printKeyValue('Created', formatDate(share.createdAt));
             printKeyValue('Expires', `${formatDate(share.expiresAt)} (${formatRelativeTime(share.expiresAt)})`);
 
+            console.log('');
+            printKeyValue('Views', share.maxViews ? formatUsage(share.viewCount, share.maxViews) : `${share.viewCount} ${chalk.gray('(unlimited)')}`);
+            printKeyValue('Downloads', share.maxDownloads ? formatUsage(share.downloadCount, share.maxDownloads) : `${share.downloadCount} ${chalk.gray('(unlimited)')}`);
+            printKeyValue('Burn After View', share.burnAfterView ? chalk.magenta('Yes') : chalk.gray('No'));
+            printKeyValue('Last Accessed', share.lastAccessedAt ? formatDate(share.lastAccessedAt) : chalk.gray('Never'));
+
             console.log('');
             printKeyValue('File Exists', file ? chalk.green('Yes') : chalk.red('No'));
             if (file) {
                 printKeyValue('File Size', formatSize(file.size));
-                printKeyValue('File Path', file.path);
+                printKeyValue('File Path', file.path || file.key);
             }
 
             console.log('');
@@ -148,24 +167,16 @@ module.exports = function(program) {
         .command('share:delete <hash>')
         .description('Delete a share (metadata and file)')
         .action(async function(hash) {
-            const metadata = loadShareMetadata();
-
             // Support partial hash matching
-            let matchedHash = hash;
-            if (!metadata.shares[hash]) {
-                const match = Object.keys(metadata.shares).find(h => h.startsWith(hash));
-                if (match) {
-                    matchedHash = match;
-                }
-            }
-
-            const share = metadata.shares[matchedHash];
+            const share = getStore().findShareByPrefix(hash);
 
             if (!share) {
                 error(`Share not found: ${hash}`);
                 process.exit(1);
             }
 
+            const matchedHash = share.hash;
+
             if (!program.opts().force) {
                 const confirmed = await confirmDestructive(
                     'Delete share',
@@ -177,7 +188,7 @@ module.exports = function(program) {
                 }
             }
 
-            const result = deleteShare(matchedHash);
+            const result = await deleteShare(matchedHash);
 
             if (result.deletedMetadata || result.deletedFile) {
                 success(`Share deleted: ${matchedHash}`);
@@ -194,12 +205,7 @@ module.exports = function(program) {
         .description('Remove expired shares')
         .option('--dry-run', 'Show what would be deleted without deleting')
         .action(async function(options) {
-            const metadata = loadShareMetadata();
-            const now = Date.now();
-
-            const expired = Object.entries(metadata.shares || {})
-                .filter(([, data]) => data.expiresAt <= now)
-                .map(([hash, data]) => ({ hash, ...data }));
+            const expired = getStore().listExpiredShares();
 
             if (expired.length === 0) {
                 success('No expired shares to clean');
@@ -226,7 +232,7 @@ module.exports = function(program) {
 
             let deleted = 0;
             for (const share of expired) {
-                deleteShare(share.hash);
+                await deleteShare(share.hash);
                 deleted++;
             }
 
@@ -239,11 +245,11 @@ module.exports = function(program) {
         .description('Find orphaned share files or metadata')
         .option('--fix', 'Remove orphaned entries')
         .action(async function(options) {
-            const metadata = loadShareMetadata();
-            const files = getShareFiles();
+            const shares = getStore().listShares();
+            const files = await getShareFiles();
             const isJson = program.opts().json;
 
-            const metadataHashes = Object.keys(metadata.shares || {});
+            const metadataHashes = shares.map(share => share.hash);
             const fileHashes = files.map(f => f.hash);
 
             // Files without metadata
@@ -272,7 +278,7 @@ module.exports = function(program) {
             if (orphanMetadata.length > 0) {
                 console.log(chalk.yellow(`\nOrphaned metadata (${orphanMetadata.length}):`));
                 orphanMetadata.forEach(hash => {
-                    const data = metadata.shares[hash];
+                    const data = shares.find(share => share.hash === hash);
                     console.log(`  ${chalk.gray('-')} ${data.fileName} (${truncate(hash, 8)})`);
                 });
             }
@@ -288,14 +294,15 @@ module.exports = function(program) {
 
                 // Remove orphan files
                 for (const file of orphanFiles) {
-                    fs.unlinkSync(file.path);
+                    await getStorage().delete(file.key);
                 }
 
                 // Remove orphan metadata
-                for (const hash of orphanMetadata) {
-                    delete metadata.shares[hash];
-                }
-                saveShareMetadata(metadata);
+                getStore().transaction(() => {
+                    for (const hash of orphanMetadata) {
+                        getStore().deleteShare(hash);
+                    }
+                });
 
                 success(`Removed ${orphanFiles.length} files and ${orphanMetadata.length} metadata entries`);
             }
@@ -7,8 +7,7 @@
 const chalk = require('chalk');
 const { PATHS, getConfig } = require('../utils/config');
 const {
-    loadProAccess, loadShareMetadata, getShareFiles,
-    getDirectoryFiles, getDirectorySize
+    getStore, getShareFiles, getStoredFiles, getStorageLocation, getConversionCache
 } = require('../utils/data');
 const {
     success, error, warn, info, header, divider,
@@ -27,27 +26,27 @@ module.exports = function(program) {
             const config = getConfig();
 
             // Pro access stats
-            const proData = loadProAccess();
+            const proData = getStore().listProAccess();
             const activePro = proData.filter(e => e.expiresAt > now && !e.isRevoked);
             const expiredPro = proData.filter(e => e.expiresAt <= now);
             const revokedPro = proData.filter(e => e.isRevoked);
 
             // Share stats
-            const shareMetadata = loadShareMetadata();
-            const shares = Object.entries(shareMetadata.shares || {});
-            const activeShares = shares.filter(([, d]) => d.expiresAt > now);
-            const expiredShares = shares.filter(([, d]) => d.expiresAt <= now);
-            const protectedShares = shares.filter(([, d]) => d.passwordHash);
+            const shares = getStore().listShares();
+            const activeShares = shares.filter(s => s.expiresAt > now);
+            const expiredShares = shares.filter(s => s.expiresAt <= now);
+            const protectedShares = shares.filter(s => s.passwordHash);
 
             // Storage stats
-            const shareFiles = getShareFiles();
-            const uploadFiles = getDirectoryFiles(PATHS.uploads);
-            const outputFiles = getDirectoryFiles(PATHS.outputs);
+            const shareFiles = await getShareFiles();
+            const uploadFiles = await getStoredFiles('uploads');
+            const outputFiles = await getStoredFiles('outputs');
 
-            const shareDirSize = getDirectorySize(PATHS.shares);
-            const uploadDirSize = getDirectorySize(PATHS.uploads);
-            const outputDirSize = getDirectorySize(PATHS.outputs);
-            const totalStorage = shareDirSize + uploadDirSize + outputDirSize;
+            const shareDirSize = shareFiles.reduce((sum, f) => sum + f.size, 0);
+            const uploadDirSize = uploadFiles.reduce((sum, f) => sum + f.size, 0);
+            const outputDirSize = outputFiles.reduce((sum, f) => sum + f.size, 0);
+            const cacheStats = getConversionCache().stats();
+            const totalStorage = shareDirSize + uploadDirSize + outputDirSize + cacheStats.size;
 
             const result = {
                 environment: {
@@ -70,6 +69,7 @@ module.exports = function(program) {
                     shares: { files: shareFiles.length, bytes: shareDirSize },
                     uploads: { files: uploadFiles.length, bytes: uploadDirSize },
                     outputs: { files: outputFiles.length, bytes: outputDirSize },
+                    cache: { entries: cacheStats.entries, bytes: cacheStats.size },
                     total: { bytes: totalStorage }
                 }
             };
@@ -110,6 +110,7 @@ module.exports = function(program) {
             console.log(`    Shares:  ${chalk.cyan(formatSize(shareDirSize).padEnd(10))} (${shareFiles.length} files)`);
             console.log(`    Uploads: ${chalk.cyan(formatSize(uploadDirSize).padEnd(10))} (${uploadFiles.length} files)`);
             console.log(`    Outputs: ${chalk.cyan(formatSize(outputDirSize).padEnd(10))} (${outputFiles.length} files)`);
+            console.log(`    Cache:   ${chalk.cyan(formatSize(cacheStats.size).padEnd(10))} (${cacheStats.entries} conversions)`);
             console.log(chalk.gray('    ─────────────────────────────'));
             console.log(`    Total:   ${chalk.bold.cyan(formatSize(totalStorage))}`);
             console.log('');
@@ -126,7 +127,7 @@ module.exports = function(program) {
         .action(async function() {
             const isJson = program.opts().json;
             const now = Date.now();
-            const proData = loadProAccess();
+            const proData = getStore().listProAccess();
 
             // Time-based analysis
             const last24h = proData.filter(e => e.createdAt > now - 24 * 60 * 60 * 1000);
@@ -201,13 +202,12 @@ module.exports = function(program) {
             const isJson = program.opts().json;
             const now = Date.now();
 
-            const shareMetadata = loadShareMetadata();
-            const shares = Object.entries(shareMetadata.shares || {});
-            const shareFiles = getShareFiles();
+            const shares = getStore().listShares();
+            const shareFiles = await getShareFiles();
 
-            const activeShares = shares.filter(([, d]) => d.expiresAt > now);
-            const expiredShares = shares.filter(([, d]) => d.expiresAt <= now);
-            const protectedShares = shares.filter(([, d]) => d.passwordHash);
+            const activeShares = shares.filter(s => s.expiresAt > now);
+            const expiredShares = shares.filter(s => s.expiresAt <= now);
+            const protectedShares = shares.filter(s => s.passwordHash);
 
             // File size analysis
             const totalSize = shareFiles.reduce((sum, f) => sum + f.size, 0);
@@ -215,8 +215,8 @@ module.exports = function(program) {
             const largestFile = shareFiles.reduce((max, f) => f.size > max.size ? f : max, { size: 0 });
 
             // Time-based
-            const last24h = shares.filter(([, d]) => d.createdAt > now - 24 * 60 * 60 * 1000);
-            const last7d = shares.filter(([, d]) => d.createdAt > now - 7 * 24 * 60 * 60 * 1000);
+            const last24h = shares.filter(s => s.createdAt > now - 24 * 60 * 60 * 1000);
+            const last7d = shares.filter(s => s.createdAt > now - 7 * 24 * 60 * 60 * 1000);
 
             const result = {
                 current: {
@@ -272,33 +272,48 @@ module.exports = function(program) {
         .action(async function() {
             const isJson = program.opts().json;
 
-            const shareFiles = getShareFiles();
-            const uploadFiles = getDirectoryFiles(PATHS.uploads);
-            const outputFiles = getDirectoryFiles(PATHS.outputs);
+            const shareFiles = await getShareFiles();
+            const uploadFiles = await getStoredFiles('uploads');
+            const outputFiles = await getStoredFiles('outputs');
 
-            const shareDirSize = getDirectorySize(PATHS.shares);
-            const uploadDirSize = getDirectorySize(PATHS.uploads);
-            const outputDirSize = getDirectorySize(PATHS.outputs);
-            const totalSize = shareDirSize + uploadDirSize + outputDirSize;
+            const shareDirSize = shareFiles.reduce((sum, f) => sum + f.size, 0);
+            const uploadDirSize = uploadFiles.reduce((sum, f) => sum + f.size, 0);
+            const outputDirSize = outputFiles.reduce((sum, f) => sum + f.size, 0);
+
+            const cache = getConversionCache();
+            const cacheStats = cache.stats();
+            const cacheHits = cache.list().reduce((sum, entry) => sum + (entry.hits || 0), 0);
+
+            const totalFiles = shareFiles.length + uploadFiles.length + outputFiles.length + cacheStats.files;
+            const totalSize = shareDirSize + uploadDirSize + outputDirSize + cacheStats.size;
 
             const result = {
                 shares: {
-                    path: PATHS.shares,
+                    path: getStorageLocation('shares'),
                     files: shareFiles.length,
                     size: shareDirSize
                 },
                 uploads: {
-                    path: PATHS.uploads,
+                    path: getStorageLocation('uploads'),
                     files: uploadFiles.length,
                     size: uploadDirSize
                 },
                 outputs: {
-                    path: PATHS.outputs,
+                    path: getStorageLocation('outputs'),
                     files: outputFiles.length,
                     size: outputDirSize
                 },
+                cache: {
+                    path: PATHS.cache,
+                    files: cacheStats.files,
+                    size: cacheStats.size,
+                    entries: cacheStats.entries,
+                    hits: cacheHits,
+                    maxSize: cache.maxBytes,
+                    maxAgeHours: cache.maxAge / (60 * 60 * 1000)
+                },
                 total: {
-                    files: shareFiles.length + uploadFiles.length + outputFiles.length,
+                    files: totalFiles,
                     size: totalSize
                 }
             };
@@ -311,9 +326,10 @@ module.exports = function(program) {
             header('Storage Usage');
 
             const rows = [
-                ['Shares', PATHS.shares, shareFiles.length.toString(), formatSize(shareDirSize)],
-                ['Uploads', PATHS.uploads, uploadFiles.length.toString(), formatSize(uploadDirSize)],
-                ['Outputs', PATHS.outputs, outputFiles.length.toString(), formatSize(outputDirSize)]
+                ['Shares', getStorageLocation('shares'), shareFiles.length.toString(), formatSize(shareDirSize)],
+                ['Uploads', getStorageLocation('uploads'), uploadFiles.length.toString(), formatSize(uploadDirSize)],
+                ['Outputs', getStorageLocation('outputs'), outputFiles.length.toString(), formatSize(outputDirSize)],
+                ['Cache', PATHS.cache, cacheStats.files.toString(), formatSize(cacheStats.size)]
             ];
 
             console.log('\n' + formatTable(
@@ -321,7 +337,10 @@ module.exports = function(program) {
                 rows
             ));
 
-            console.log(`\n${chalk.bold('Total:')} ${shareFiles.length + uploadFiles.length + outputFiles.length} files, ${chalk.cyan(formatSize(totalSize))}`);
+            console.log(`\n${chalk.bold('Total:')} ${totalFiles} files, ${chalk.cyan(formatSize(totalSize))}`);
+
+            console.log(`\n${chalk.bold('Conversion cache:')} ${cacheStats.entries} conversions, ${cacheHits} hits` +
+                chalk.gray(` (limit ${cache.maxBytes > 0 ? formatSize(cache.maxBytes) : 'disabled'}, ${result.cache.maxAgeHours}h)`));
             console.log('');
         });
 };
@@ -29,6 +29,7 @@ require('./commands/cleanup')(program);
 require('./commands/stripe')(program);
 require('./commands/stats')(program);
 require('./commands/logs')(program);
+require('./commands/ratelimit')(program);
 
 // Custom help
 program.addHelpText('after', `
@@ -39,6 +40,7 @@ ${chalk.yellow('Examples:')}
   $ pdfox share:list                  List all shares
   $ pdfox stats                       Show usage statistics
   $ pdfox cleanup:status              Preview cleanup actions
+  $ pdfox ratelimit:list --blocked    List clients currently rate limited
 
 ${chalk.yellow('Documentation:')}
   For more information, visit the PDFOX documentation.
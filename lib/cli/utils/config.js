@@ -13,9 +13,9 @@ const PATHS = {
     root: PROJECT_ROOT,
     env: path.join(PROJECT_ROOT, '.env'),
     data: path.join(PROJECT_ROOT, 'data'),
-    proAccess: path.join(PROJECT_ROOT, 'data', 'pro-access.json'),
-    shareMetadata: path.join(PROJECT_ROOT, 'data', 'share-metadata.json'),
+    database: path.join(PROJECT_ROOT, 'data', 'pdfox.db'),
     shares: path.join(PROJECT_ROOT, 'data', 'shares'),
+    cache: path.join(PROJECT_ROOT, 'data', 'cache'),
     uploads: path.join(PROJECT_ROOT, 'uploads'),
     outputs: path.join(PROJECT_ROOT, 'outputs')
 };
@@ -48,7 +48,9 @@ function getConfig() {
         PRO_PAYMENT_AMOUNT: parseInt(process.env.PRO_PAYMENT_AMOUNT) || 899,
         PAYMENT_CURRENCY: process.env.PAYMENT_CURRENCY || 'eur',
         PRO_ACCESS_DURATION: 24 * 60 * 60 * 1000, // 24 hours in ms
-        SHARE_EXPIRY_DURATION: 24 * 60 * 60 * 1000 // 24 hours in ms
+        SHARE_EXPIRY_DURATION: 24 * 60 * 60 * 1000, // 24 hours in ms
+        CACHE_MAX_MB: parseInt(process.env.CACHE_MAX_MB || '0'),
+        CACHE_MAX_AGE_HOURS: parseInt(process.env.CACHE_MAX_AGE_HOURS || '168')
     };
 }
 
@@ -4,187 +4,118 @@
 
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
-const { PATHS, ensureDataDirectories } = require('./config');
+const { PATHS, getConfig, ensureDataDirectories } = require('./config');
+const { ConversionCache } = require('../../cache');
+const { DataStore } = require('../../store');
+const { storageConfig, createStorage } = require('../../storage');
+
+let store = null;
+let storage = null;
 
 /**
- * Load Pro access data
+ * Data store shared with the server (opened on first use)
  */
-function loadProAccess() {
-    ensureDataDirectories();
-
-    try {
-        if (fs.existsSync(PATHS.proAccess)) {
-            const content = fs.readFileSync(PATHS.proAccess, 'utf8');
-            return JSON.parse(content);
-        }
-    } catch (err) {
-        console.error('Error loading pro-access.json:', err.message);
+function getStore() {
+    if (!store) {
+        ensureDataDirectories();
+        store = new DataStore({ file: PATHS.database, legacyDir: PATHS.data });
     }
-    return [];
+    return store;
 }
 
 /**
- * Save Pro access data
+ * File storage shared with the server (local directories or S3, see STORAGE_DRIVER)
  */
-function saveProAccess(data) {
-    ensureDataDirectories();
-    fs.writeFileSync(PATHS.proAccess, JSON.stringify(data, null, 2));
+function getStorage() {
+    if (!storage) {
+        ensureDataDirectories();
+        storage = createStorage({
+            ...storageConfig(process.env),
+            dirs: { uploads: PATHS.uploads, outputs: PATHS.outputs, shares: PATHS.shares },
+            tempDir: PATHS.uploads
+        });
+    }
+    return storage;
 }
 
 /**
- * Load share metadata
+ * Where a storage area lives (directory or S3 URL), for display
  */
-function loadShareMetadata() {
-    ensureDataDirectories();
-
-    try {
-        if (fs.existsSync(PATHS.shareMetadata)) {
-            const content = fs.readFileSync(PATHS.shareMetadata, 'utf8');
-            return JSON.parse(content);
-        }
-    } catch (err) {
-        console.error('Error loading share-metadata.json:', err.message);
-    }
-    return { shares: {} };
+function getStorageLocation(area) {
+    const files = getStorage();
+    return files.driver === 's3' ? `s3://${files.bucket}/${files.prefix}${area}/` : PATHS[area];
 }
 
 /**
- * Save share metadata
+ * Get stored files of an area ('uploads', 'outputs' or 'shares')
  */
-function saveShareMetadata(data) {
-    ensureDataDirectories();
-    fs.writeFileSync(PATHS.shareMetadata, JSON.stringify(data, null, 2));
+async function getStoredFiles(area) {
+    const files = await getStorage().list(area);
+    return files.map(file => ({
+        name: file.key.slice(area.length + 1),
+        key: file.key,
+        path: file.path || null,
+        size: file.size,
+        modified: new Date(file.modified)
+    }));
 }
 
 /**
  * Get list of share PDF files
  */
-function getShareFiles() {
-    ensureDataDirectories();
-
-    if (!fs.existsSync(PATHS.shares)) {
-        return [];
-    }
-
-    return fs.readdirSync(PATHS.shares)
-        .filter(f => f.endsWith('.pdf'))
-        .map(f => {
-            const filePath = path.join(PATHS.shares, f);
-            const stats = fs.statSync(filePath);
-            return {
-                hash: f.replace('.pdf', ''),
-                fileName: f,
-                path: filePath,
-                size: stats.size,
-                created: stats.birthtime,
-                modified: stats.mtime
-            };
-        });
+async function getShareFiles() {
+    const files = await getStoredFiles('shares');
+    return files
+        .filter(f => f.name.endsWith('.pdf'))
+        .map(f => ({
+            hash: f.name.replace('.pdf', ''),
+            fileName: f.name,
+            key: f.key,
+            path: f.path,
+            size: f.size,
+            modified: f.modified
+        }));
 }
 
 /**
  * Delete a share (metadata + file)
  */
-function deleteShare(hash) {
-    const metadata = loadShareMetadata();
-    const filePath = path.join(PATHS.shares, hash + '.pdf');
-
-    let deletedMetadata = false;
-    let deletedFile = false;
-
-    if (metadata.shares[hash]) {
-        delete metadata.shares[hash];
-        saveShareMetadata(metadata);
-        deletedMetadata = true;
-    }
-
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        deletedFile = true;
-    }
+async function deleteShare(hash) {
+    const deletedMetadata = getStore().deleteShare(hash);
+    const deletedFile = await getStorage().delete(`shares/${hash}.pdf`);
 
     return { deletedMetadata, deletedFile };
 }
 
 /**
- * Get files from a directory with stats
+ * Conversion cache with the server's size and age limits
  */
-function getDirectoryFiles(dirPath) {
-    if (!fs.existsSync(dirPath)) {
-        return [];
-    }
-
-    return fs.readdirSync(dirPath)
-        .filter(f => !f.startsWith('.'))
-        .map(f => {
-            const filePath = path.join(dirPath, f);
-            try {
-                const stats = fs.statSync(filePath);
-                return {
-                    name: f,
-                    path: filePath,
-                    size: stats.size,
-                    created: stats.birthtime,
-                    modified: stats.mtime,
-                    isDirectory: stats.isDirectory()
-                };
-            } catch (err) {
-                return null;
-            }
-        })
-        .filter(f => f !== null);
+function getConversionCache() {
+    const config = getConfig();
+    return new ConversionCache({
+        dir: PATHS.cache,
+        maxBytes: config.CACHE_MAX_MB * 1024 * 1024,
+        maxAge: config.CACHE_MAX_AGE_HOURS * 60 * 60 * 1000
+    });
 }
 
 /**
- * Get directory size recursively
+ * Delete stored files of an area older than specified hours
  */
-function getDirectorySize(dirPath) {
-    if (!fs.existsSync(dirPath)) {
-        return 0;
-    }
-
-    let size = 0;
-    const files = fs.readdirSync(dirPath);
-
-    for (const file of files) {
-        const filePath = path.join(dirPath, file);
-        const stats = fs.statSync(filePath);
-
-        if (stats.isDirectory()) {
-            size += getDirectorySize(filePath);
-        } else {
-            size += stats.size;
-        }
-    }
-
-    return size;
-}
-
-/**
- * Delete files older than specified hours
- */
-function deleteOldFiles(dirPath, maxAgeHours, dryRun = false) {
-    if (!fs.existsSync(dirPath)) {
-        return { deleted: [], errors: [] };
-    }
-
+async function deleteOldFiles(area, maxAgeHours, dryRun = false) {
     const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
     const now = Date.now();
     const deleted = [];
     const errors = [];
 
-    const files = getDirectoryFiles(dirPath);
+    const files = await getStoredFiles(area);
 
     for (const file of files) {
-        if (file.isDirectory) continue;
-
         const age = now - file.modified.getTime();
         if (age > maxAgeMs) {
             if (!dryRun) {
                 try {
-                    fs.unlinkSync(file.path);
+                    await getStorage().delete(file.key);
                     deleted.push(file);
                 } catch (err) {
                     errors.push({ file, error: err.message });
@@ -199,13 +130,12 @@ function deleteOldFiles(dirPath, maxAgeHours, dryRun = false) {
 }
 
 module.exports = {
-    loadProAccess,
-    saveProAccess,
-    loadShareMetadata,
-    saveShareMetadata,
+    getStore,
+    getStorage,
+    getStorageLocation,
+    getStoredFiles,
     getShareFiles,
     deleteShare,
-    getDirectoryFiles,
-    getDirectorySize,
+    getConversionCache,
     deleteOldFiles
 };
@@ -5,6 +5,7 @@
 'use strict';
 
 const crypto = require('crypto');
+const { hashPassword, verifyPassword, passwordScheme } = require('../../passwords');
 
 /**
  * Mask sensitive values for display
@@ -26,13 +27,6 @@ function hashToken(token) {
     return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-/**
- * Hash password (matching server.js implementation)
- */
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
-
 /**
  * Generate random hex string
  */
@@ -97,6 +91,8 @@ module.exports = {
     maskSecret,
     hashToken,
     hashPassword,
+    verifyPassword,
+    passwordScheme,
     generateRandomHex,
     isValidEmail,
     isValidShareHash,
@@ -0,0 +1,46 @@
+/**
+ * PDFOX CSV Writer
+ * Writes the tables of an extracted layout as comma-separated values
+ */
+
+'use strict';
+
+const { layoutTables } = require('./layout');
+
+// Lets spreadsheet applications detect UTF-8
+const BOM = '\uFEFF';
+
+/**
+ * Quote a field when needed (RFC 4180)
+ *
+ * Text that a spreadsheet would run as a formula is prefixed with a quote;
+ * negative numbers are left alone.
+ */
+function csvField(text) {
+    let value = text;
+    if (/^[=+@]/.test(value) || /^-(?![\d.,\s]+$)/.test(value)) {
+        value = `'${value}`;
+    }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Build a CSV document from the tables of a layout
+ *
+ * Tables follow each other separated by an empty line. Returns null when
+ * the layout has no tables.
+ */
+function buildCsv(layout) {
+    const tables = layoutTables(layout);
+    if (tables.length === 0) return null;
+
+    const body = tables
+        .map(table => table.rows.map(row => row.map(csvField).join(',')).join('\r\n'))
+        .join('\r\n\r\n');
+
+    return `${BOM}${body}\r\n`;
+}
+
+module.exports = {
+    buildCsv
+};
@@ -0,0 +1,183 @@
+/**
+ * PDFOX DOCX Writer
+ * Builds a Word document from an extracted layout (headings, lists, tables, styling, columns)
+ */
+
+'use strict';
+
+const {
+    Document, Paragraph, TextRun, Packer, Tab, ColumnBreak, ExternalHyperlink,
+    Table, TableRow, TableCell, WidthType,
+    HeadingLevel, AlignmentType, LevelFormat, SectionType
+} = require('docx');
+const { blockSpans } = require('./layout');
+
+const ORDERED_LIST_REFERENCE = 'pdfox-ordered-list';
+const POINTS_TO_TWIPS = 20;
+const COLUMN_SPACING = 720; // 0.5 inch in twips
+
+/**
+ * Numbering definition for ordered lists (nine nesting levels)
+ */
+function orderedListNumbering() {
+    const formats = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+
+    return {
+        config: [{
+            reference: ORDERED_LIST_REFERENCE,
+            levels: Array.from({ length: 9 }, (_, level) => ({
+                level,
+                format: formats[level % formats.length],
+                text: `%${level + 1}.`,
+                alignment: AlignmentType.START,
+                style: {
+                    paragraph: {
+                        indent: { left: 720 * (level + 1), hanging: 360 }
+                    }
+                }
+            }))
+        }]
+    };
+}
+
+/**
+ * Convert a styled span to a text run, turning tabs into Word tab stops
+ */
+function spanToRun(span) {
+    const parts = span.text.split('\t');
+    const children = [];
+
+    parts.forEach((part, index) => {
+        if (index > 0) children.push(new Tab());
+        if (part) children.push(part);
+    });
+
+    const run = new TextRun({
+        children,
+        bold: span.bold || undefined,
+        italics: span.italic || undefined,
+        size: span.fontSize ? Math.round(span.fontSize * 2) : undefined,
+        font: span.fontFamily || undefined,
+        style: span.link ? 'Hyperlink' : undefined
+    });
+
+    return span.link ? new ExternalHyperlink({ link: span.link, children: [run] }) : run;
+}
+
+/**
+ * Convert a table block to a Word table
+ */
+function blockToTable(block) {
+    return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: block.rows.map(row => new TableRow({
+            children: row.map(cell => new TableCell({
+                children: [new Paragraph({ children: cell.spans.map(spanToRun) })]
+            }))
+        }))
+    });
+}
+
+/**
+ * Convert a layout block to a paragraph
+ */
+function blockToParagraph(block, context) {
+    const children = blockSpans(block).map(spanToRun);
+    const options = {
+        children,
+        alignment: block.align === 'center' ? AlignmentType.CENTER : undefined
+    };
+
+    if (block.type === 'heading') {
+        options.heading = HeadingLevel[`HEADING_${block.level}`];
+    } else if (block.type === 'list-item' && block.ordered) {
+        options.numbering = {
+            reference: ORDERED_LIST_REFERENCE,
+            level: block.level,
+            instance: context.listInstance
+        };
+    } else if (block.type === 'list-item') {
+        options.bullet = { level: block.level };
+    }
+
+    if (context.columnBreak) {
+        options.children = [new ColumnBreak(), ...children];
+    }
+
+    return new Paragraph(options);
+}
+
+/**
+ * Split blocks into sections wherever the number of text columns changes
+ */
+function buildSections(layout) {
+    const sections = [];
+    const context = { listInstance: 0, columnBreak: false };
+    let section = null;
+    let previous = null;
+
+    for (const page of layout.pages) {
+        for (const block of page.blocks) {
+            const columns = block.column ? block.column.count : 1;
+            const column = block.column ? block.column.index : 0;
+
+            if (!section || section.columns !== columns) {
+                section = { columns, page, children: [] };
+                sections.push(section);
+                previous = null;
+            }
+
+            // Numbering restarts for every separate run of ordered items
+            const isOrdered = block.type === 'list-item' && block.ordered;
+            const previousOrdered = previous && previous.type === 'list-item' && previous.ordered;
+            if (isOrdered && !previousOrdered) {
+                context.listInstance++;
+            }
+
+            context.columnBreak = columns > 1 && previous !== null &&
+                previous.column.index < column;
+
+            section.children.push(block.type === 'table'
+                ? blockToTable(block)
+                : blockToParagraph(block, context));
+            previous = block;
+        }
+    }
+
+    return sections.map((s, index) => ({
+        properties: {
+            type: index === 0 ? undefined : SectionType.CONTINUOUS,
+            page: s.page.width ? {
+                size: {
+                    width: Math.round(s.page.width * POINTS_TO_TWIPS),
+                    height: Math.round(s.page.height * POINTS_TO_TWIPS)
+                }
+            } : undefined,
+            column: s.columns > 1 ? { count: s.columns, space: COLUMN_SPACING } : undefined
+        },
+        children: s.children.length > 0 ? s.children : [new Paragraph('')]
+    }));
+}
+
+/**
+ * Build a DOCX file from a layout and return it as a buffer
+ */
+async function buildDocx(layout) {
+    const sections = buildSections(layout);
+
+    const doc = new Document({
+        numbering: orderedListNumbering(),
+        styles: layout.bodyFontSize ? {
+            default: {
+                document: { run: { size: Math.round(layout.bodyFontSize * 2) } }
+            }
+        } : undefined,
+        sections: sections.length > 0 ? sections : [{ properties: {}, children: [new Paragraph('')] }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+module.exports = {
+    buildDocx
+};
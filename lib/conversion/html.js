@@ -0,0 +1,218 @@
+/**
+ * PDFOX HTML Writer
+ * Renders an extracted layout as semantic, escaped HTML with optional figures
+ */
+
+'use strict';
+
+const { blockSpans, blockText } = require('./layout');
+
+// Placements smaller than this (points) are icons or rules rather than figures
+const MIN_FIGURE_SIZE = 24;
+
+// Image formats browsers can display, by extraction format
+const FIGURE_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+const STYLES = `
+        body {
+            font-family: Arial, sans-serif;
+            max-width: 800px;
+            margin: 40px auto;
+            padding: 20px;
+            line-height: 1.6;
+        }
+        section.page + section.page {
+            border-top: 1px solid #ddd;
+            margin-top: 2em;
+            padding-top: 1em;
+        }
+        .center { text-align: center; }
+        table { border-collapse: collapse; margin: 1em 0; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+        figure { margin: 1em 0; }
+        figure img { max-width: 100%; height: auto; }`;
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Link target if it is safe to render as a hyperlink
+ */
+function safeHref(url) {
+    return /^(https?:|mailto:)/i.test(url || '') ? url : null;
+}
+
+/**
+ * Render styled spans as inline HTML
+ */
+function renderSpans(spans) {
+    const html = spans.map(span => {
+        let text = escapeHtml(span.text.replace(/\t/g, ' '));
+
+        if (span.bold) text = `<strong>${text}</strong>`;
+        if (span.italic) text = `<em>${text}</em>`;
+
+        const href = safeHref(span.link);
+        if (href) {
+            text = `<a href="${escapeHtml(href)}">${text}</a>`;
+        }
+
+        return text;
+    }).join('');
+
+    // Merge tags split between neighbouring spans of the same style
+    return html.replace(/<\/strong><strong>|<\/em><em>/g, '').trim();
+}
+
+/**
+ * Render a table block (first row is the header)
+ */
+function renderTable(block) {
+    const row = (cells, tag) =>
+        `<tr>${cells.map(cell => `<${tag}>${renderSpans(cell.spans)}</${tag}>`).join('')}</tr>`;
+    const [header, ...body] = block.rows;
+
+    return [
+        '<table>',
+        `<thead>${row(header, 'th')}</thead>`,
+        body.length > 0 ? `<tbody>${body.map(cells => row(cells, 'td')).join('')}</tbody>` : '',
+        '</table>'
+    ].join('');
+}
+
+/**
+ * Render a figure from an extracted image placement
+ */
+function renderFigure(figure) {
+    const { image, placement } = figure;
+    const src = `data:${FIGURE_TYPES[image.format]};base64,${image.data.toString('base64')}`;
+    const width = Math.round(placement.width * 96 / 72); // points to CSS pixels
+
+    return `<figure><img src="${src}" width="${width}" alt="${escapeHtml(`Figure from page ${placement.page}`)}"></figure>`;
+}
+
+/**
+ * Figures of a page in top-to-bottom order
+ */
+function pageFigures(images, pageNumber) {
+    return images
+        .filter(image => FIGURE_TYPES[image.format])
+        .flatMap(image => image.placements
+            .filter(p => p.page === pageNumber && p.width >= MIN_FIGURE_SIZE && p.height >= MIN_FIGURE_SIZE)
+            .map(placement => ({ image, placement })))
+        .sort((a, b) => a.placement.y - b.placement.y);
+}
+
+/**
+ * Build an HTML document from a layout
+ *
+ * Headings, paragraphs, (nested) lists and tables become their HTML
+ * elements; text is escaped and link annotations become anchors. Images
+ * extracted from the same PDF (`options.images`) are placed as figures
+ * by their position on the page.
+ */
+function buildHtml(layout, options = {}) {
+    const images = options.images || [];
+    const sections = [];
+    let title = null;
+
+    for (const page of layout.pages) {
+        const parts = [];
+        const lists = []; // open lists, each with one open <li>
+        const figures = pageFigures(images, page.number);
+
+        const closeLists = (level) => {
+            while (lists.length > 0 && lists[lists.length - 1].level > level) {
+                parts.push(`</li></${lists.pop().tag}>`);
+            }
+        };
+
+        const flushFigures = (top) => {
+            while (figures.length > 0 && (top === null || figures[0].placement.y <= top)) {
+                closeLists(-1);
+                parts.push(renderFigure(figures.shift()));
+            }
+        };
+
+        for (const block of page.blocks) {
+            flushFigures(block.bbox ? block.bbox.y : null);
+
+            if (block.type === 'list-item') {
+                const level = block.level || 0;
+                const tag = block.ordered ? 'ol' : 'ul';
+
+                closeLists(level);
+                const current = lists[lists.length - 1];
+                if (current && current.level === level && current.tag !== tag) {
+                    parts.push(`</li></${lists.pop().tag}>`);
+                }
+
+                if (lists.length > 0 && lists[lists.length - 1].level === level) {
+                    parts.push('</li>');
+                } else {
+                    const number = parseInt((block.marker || '').replace(/\D/g, ''), 10);
+                    const start = block.ordered && number > 1 ? ` start="${number}"` : '';
+                    parts.push(`<${tag}${start}>`);
+                    lists.push({ tag, level });
+                }
+                parts.push(`<li>${renderSpans(blockSpans(block))}`);
+                continue;
+            }
+
+            closeLists(-1);
+
+            if (block.type === 'table') {
+                parts.push(renderTable(block));
+            } else if (block.type === 'heading') {
+                // Headings are bold already; only keep italics and links
+                const spans = blockSpans(block).map(span => ({ ...span, bold: false }));
+                const level = Math.min(6, Math.max(1, block.level || 1));
+                parts.push(`<h${level}>${renderSpans(spans)}</h${level}>`);
+                if (title === null) title = blockText(block);
+            } else {
+                const html = renderSpans(blockSpans(block));
+                if (!html) continue;
+                const attributes = block.align === 'center' ? ' class="center"' : '';
+                parts.push(`<p${attributes}>${html}</p>`);
+            }
+        }
+
+        closeLists(-1);
+        flushFigures(null);
+
+        if (parts.length > 0) {
+            sections.push(`<section class="page" id="page-${page.number}">\n${parts.join('\n')}\n</section>`);
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title || 'Converted Document')}</title>
+    <style>${STYLES}
+    </style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildHtml
+};
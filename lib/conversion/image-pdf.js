@@ -0,0 +1,300 @@
+/**
+ * PDFOX Images to PDF
+ * Builds a PDF with one page per JPEG/PNG/WebP image
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    PDFDocument, PageSizes, degrees,
+    pushGraphicsState, popGraphicsState, rectangle, clip, endPath
+} = require('pdf-lib');
+const { safeSpawn } = require('../spawn');
+
+// Page sizes by option name ('image' sizes each page to its image)
+const PAGE_SIZES = {
+    a3: PageSizes.A3,
+    a4: PageSizes.A4,
+    a5: PageSizes.A5,
+    letter: PageSizes.Letter,
+    legal: PageSizes.Legal
+};
+
+const FIT_MODES = ['contain', 'cover', 'stretch'];
+const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+const MAX_MARGIN = 144; // 2 inches
+const MAX_PAGE_SIZE = 14400; // PDF page size limit in points
+const IMAGE_DPI = 96; // Resolution assumed for 'image' page size
+
+/**
+ * Image type from the file signature
+ */
+function imageType(data) {
+    if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+    if (data.length > 8 && data.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (data.length > 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * EXIF orientation of a JPEG (1 when absent)
+ *
+ * Phone cameras store pixels unrotated and record how to turn them.
+ */
+function jpegOrientation(data) {
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xff) {
+        const marker = data[offset + 1];
+        const length = data.readUInt16BE(offset + 2);
+        if (marker === 0xda) break; // Start of scan: no more metadata
+
+        if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            const tiff = offset + 10;
+            const little = data.toString('latin1', tiff, tiff + 2) === 'II';
+            const read16 = (at) => (little ? data.readUInt16LE(at) : data.readUInt16BE(at));
+            const read32 = (at) => (little ? data.readUInt32LE(at) : data.readUInt32BE(at));
+
+            try {
+                const ifd = tiff + read32(tiff + 4);
+                const count = read16(ifd);
+                for (let i = 0; i < count; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (read16(entry) === 0x0112) {
+                        const value = read16(entry + 8);
+                        return value >= 1 && value <= 8 ? value : 1;
+                    }
+                }
+            } catch (error) {
+                return 1; // Truncated EXIF block
+            }
+            return 1;
+        }
+
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+/**
+ * Clockwise rotation for an EXIF orientation (mirrored variants are not
+ * flipped, only turned upright)
+ */
+function orientationRotation(orientation) {
+    if (orientation === 3 || orientation === 4) return 180;
+    if (orientation === 5 || orientation === 6) return 90;
+    if (orientation === 7 || orientation === 8) return 270;
+    return 0;
+}
+
+/**
+ * Convert a WebP image to PNG with ImageMagick (pdf-lib embeds JPEG/PNG only)
+ *
+ * When ImageMagick cannot be run or is stopped, the error has the code
+ * "image_converter_unavailable": the image itself may be fine.
+ */
+async function webpToPng(data) {
+    const base = path.join(os.tmpdir(), `pdfox-${crypto.randomBytes(8).toString('hex')}`);
+    const inputPath = `${base}.webp`;
+    const outputPath = `${base}.png`;
+
+    try {
+        fs.writeFileSync(inputPath, data);
+        await safeSpawn('convert', [inputPath, `png:${outputPath}`], { timeout: 30000 });
+        return fs.readFileSync(outputPath);
+    } catch (error) {
+        if (error.exitCode === undefined || error.signal) {
+            const failure = new Error(`WebP images cannot be converted: ${error.message}`);
+            failure.code = 'image_converter_unavailable';
+            throw failure;
+        }
+        throw error;
+    } finally {
+        for (const filePath of [inputPath, outputPath]) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+}
+
+/**
+ * Validate and fill in build options
+ */
+function normalizeOptions(options = {}) {
+    const pageSize = String(options.pageSize || 'a4').toLowerCase();
+    const fit = String(options.fit || 'contain').toLowerCase();
+    const orientation = String(options.orientation || 'auto').toLowerCase();
+    const margin = options.margin === undefined || options.margin === '' ? 0 : Number(options.margin);
+
+    if (pageSize !== 'image' && !PAGE_SIZES[pageSize]) {
+        throw new Error(`Invalid page size: ${options.pageSize}`);
+    }
+    if (!FIT_MODES.includes(fit)) {
+        throw new Error(`Invalid fit mode: ${options.fit}`);
+    }
+    if (!ORIENTATIONS.includes(orientation)) {
+        throw new Error(`Invalid orientation: ${options.orientation}`);
+    }
+    if (!Number.isFinite(margin) || margin < 0 || margin > MAX_MARGIN) {
+        throw new Error(`Invalid margin: ${options.margin} (0-${MAX_MARGIN} points)`);
+    }
+
+    return { pageSize, fit, orientation, margin };
+}
+
+/**
+ * Reorder images by an order option
+ *
+ * `order` is "name" (by file name) or a comma-separated list of 1-based
+ * upload positions naming every image once ("3,1,2"). Without an order the
+ * upload order is kept.
+ */
+function orderImages(images, order) {
+    if (order === undefined || order === null || String(order).trim() === '') {
+        return images;
+    }
+
+    if (String(order).trim().toLowerCase() === 'name') {
+        return [...images].sort((a, b) =>
+            String(a.name).localeCompare(String(b.name), undefined, { numeric: true, sensitivity: 'base' }));
+    }
+
+    const positions = String(order).split(',').map(part => part.trim());
+    const indexes = positions.map(part => (/^\d+$/.test(part) ? parseInt(part, 10) - 1 : -1));
+    const valid = indexes.length === images.length &&
+        indexes.every(index => index >= 0 && index < images.length) &&
+        new Set(indexes).size === indexes.length;
+
+    if (!valid) {
+        throw new Error(`Invalid order: ${order} (list each of the ${images.length} images once, e.g. "2,1")`);
+    }
+
+    return indexes.map(index => images[index]);
+}
+
+/**
+ * Page dimensions for an image displayed at `width` x `height`
+ */
+function pageDimensions(options, width, height) {
+    if (options.pageSize === 'image') {
+        const scale = Math.min(72 / IMAGE_DPI, (MAX_PAGE_SIZE - 2 * options.margin) / Math.max(width, height));
+        return [width * scale + 2 * options.margin, height * scale + 2 * options.margin];
+    }
+
+    const [short, long] = [...PAGE_SIZES[options.pageSize]].sort((a, b) => a - b);
+    const landscape = options.orientation === 'landscape' ||
+        (options.orientation === 'auto' && width > height);
+    return landscape ? [long, short] : [short, long];
+}
+
+/**
+ * Draw an image into a box with a fit mode, turned by `rotation` (clockwise)
+ */
+function drawImage(page, image, box, fit, rotation) {
+    const turned = rotation === 90 || rotation === 270;
+    const width = turned ? image.height : image.width;
+    const height = turned ? image.width : image.height;
+
+    // Displayed rectangle of the image
+    let target;
+    if (fit === 'stretch') {
+        target = { ...box };
+    } else {
+        const scale = fit === 'cover'
+            ? Math.max(box.width / width, box.height / height)
+            : Math.min(box.width / width, box.height / height);
+        target = {
+            width: width * scale,
+            height: height * scale,
+            x: box.x + (box.width - width * scale) / 2,
+            y: box.y + (box.height - height * scale) / 2
+        };
+    }
+
+    // pdf-lib rotates counter-clockwise around the image's lower-left corner
+    const placement = {
+        0: { x: target.x, y: target.y },
+        90: { x: target.x, y: target.y + target.height },
+        180: { x: target.x + target.width, y: target.y + target.height },
+        270: { x: target.x + target.width, y: target.y }
+    }[rotation];
+
+    if (fit === 'cover') {
+        page.pushOperators(pushGraphicsState(), rectangle(box.x, box.y, box.width, box.height), clip(), endPath());
+    }
+
+    page.drawImage(image, {
+        ...placement,
+        width: turned ? target.height : target.width,
+        height: turned ? target.width : target.height,
+        rotate: degrees(-rotation)
+    });
+
+    if (fit === 'cover') {
+        page.pushOperators(popGraphicsState());
+    }
+}
+
+/**
+ * Build a PDF with one page per image
+ *
+ * `images` are `{ name, data }` (JPEG, PNG or WebP). Options: `pageSize`
+ * (a3, a4, a5, letter, legal or image), `orientation` (auto, portrait,
+ * landscape), `margin` in points, `fit` (contain, cover, stretch) and
+ * `order` (see orderImages). JPEG EXIF orientation is applied.
+ */
+async function buildPdfFromImages(images, options = {}) {
+    const settings = normalizeOptions(options);
+    const ordered = orderImages(images, options.order);
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setProducer('PDFOX - www.pdfox.cloud');
+    pdfDoc.setCreator('PDFOX - www.pdfox.cloud');
+
+    for (const { name, data } of ordered) {
+        const type = imageType(data);
+        if (!type) {
+            throw new Error(`Unsupported image type: ${name}`);
+        }
+
+        let image;
+        let rotation = 0;
+        try {
+            if (type === 'jpeg') {
+                image = await pdfDoc.embedJpg(data);
+                rotation = orientationRotation(jpegOrientation(data));
+            } else {
+                image = await pdfDoc.embedPng(type === 'webp' ? await webpToPng(data) : data);
+            }
+        } catch (error) {
+            if (error.code === 'image_converter_unavailable') throw error;
+            throw new Error(`Could not read image ${name}: ${error.message}`);
+        }
+
+        const turned = rotation === 90 || rotation === 270;
+        const [pageWidth, pageHeight] = pageDimensions(settings,
+            turned ? image.height : image.width,
+            turned ? image.width : image.height);
+
+        const page = pdfDoc.addPage([pageWidth, pageHeight]);
+        const box = {
+            x: settings.margin,
+            y: settings.margin,
+            width: pageWidth - 2 * settings.margin,
+            height: pageHeight - 2 * settings.margin
+        };
+        drawImage(page, image, box, settings.fit, rotation);
+    }
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    buildPdfFromImages,
+    imageType
+};
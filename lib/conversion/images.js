@@ -0,0 +1,688 @@
+/**
+ * PDFOX Image Extraction
+ * Pulls embedded raster images out of a PDF with their placements on each page
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const {
+    PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFRef, PDFRawStream,
+    PDFString, PDFHexString, decodePDFRawStream
+} = require('pdf-lib');
+
+const MAX_FORM_DEPTH = 10;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG color types
+const PNG_GRAY = 0;
+const PNG_RGB = 2;
+const PNG_PALETTE = 3;
+const PNG_GRAY_ALPHA = 4;
+const PNG_RGBA = 6;
+
+// Encodings kept as they are stored in the PDF
+const PASS_THROUGH = {
+    DCTDecode: { format: 'jpeg', extension: 'jpg' },
+    JPXDecode: { format: 'jpeg2000', extension: 'jp2' }
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Encode packed, unfiltered rows as a PNG file
+ */
+function encodePng({ width, height, bitDepth, colorType, palette, data }) {
+    const channels = { [PNG_GRAY]: 1, [PNG_RGB]: 3, [PNG_PALETTE]: 1, [PNG_GRAY_ALPHA]: 2, [PNG_RGBA]: 4 }[colorType];
+    const rowBytes = Math.ceil(width * channels * bitDepth / 8);
+    const scanlines = Buffer.alloc((rowBytes + 1) * height);
+
+    for (let row = 0; row < height; row++) {
+        // Filter type 0 (none) followed by the row
+        Buffer.from(data.buffer, data.byteOffset + row * rowBytes, rowBytes)
+            .copy(scanlines, row * (rowBytes + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.writeUInt8(bitDepth, 8);
+    header.writeUInt8(colorType, 9);
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        ...(palette ? [pngChunk('PLTE', palette)] : []),
+        pngChunk('IDAT', zlib.deflateSync(scanlines)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Undo PNG row predictors (FlateDecode/LZWDecode with Predictor >= 10)
+ */
+function unpredictPng(data, colors, bitsPerComponent, columns) {
+    const bpp = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowBytes = Math.ceil(colors * bitsPerComponent * columns / 8);
+    const rows = Math.floor(data.length / (rowBytes + 1));
+    const output = Buffer.alloc(rows * rowBytes);
+
+    for (let row = 0; row < rows; row++) {
+        const filter = data[row * (rowBytes + 1)];
+        const input = row * (rowBytes + 1) + 1;
+        const out = row * rowBytes;
+        const prev = out - rowBytes;
+
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bpp ? output[out + i - bpp] : 0;
+            const up = row > 0 ? output[prev + i] : 0;
+            const upLeft = row > 0 && i >= bpp ? output[prev + i - bpp] : 0;
+            let value = data[input + i];
+
+            switch (filter) {
+                case 1: value += left; break;
+                case 2: value += up; break;
+                case 3: value += Math.floor((left + up) / 2); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    break;
+                }
+                default: break;
+            }
+            output[out + i] = value & 0xff;
+        }
+    }
+
+    return output;
+}
+
+function numberOf(context, value, fallback) {
+    const resolved = context.lookup(value);
+    return resolved instanceof PDFNumber ? resolved.asNumber() : fallback;
+}
+
+/**
+ * Filter names of a stream
+ */
+function streamFilters(context, dict) {
+    const filter = context.lookup(dict.get(PDFName.of('Filter')));
+    if (filter instanceof PDFName) return [filter.decodeText()];
+    if (filter instanceof PDFArray) {
+        return filter.asArray().map(item => context.lookup(item)).filter(f => f instanceof PDFName).map(f => f.decodeText());
+    }
+    return [];
+}
+
+/**
+ * Decode stream data, applying PNG predictors pdf-lib leaves in place
+ */
+function decodeStreamData(context, stream) {
+    const data = Buffer.from(decodePDFRawStream(stream).decode());
+
+    let params = context.lookup(stream.dict.get(PDFName.of('DecodeParms')));
+    if (params instanceof PDFArray) {
+        params = params.asArray().map(item => context.lookup(item)).filter(p => p instanceof PDFDict).pop();
+    }
+    if (!(params instanceof PDFDict)) return data;
+
+    const predictor = numberOf(context, params.get(PDFName.of('Predictor')), 1);
+    if (predictor >= 10) {
+        return unpredictPng(
+            data,
+            numberOf(context, params.get(PDFName.of('Colors')), 1),
+            numberOf(context, params.get(PDFName.of('BitsPerComponent')), 8),
+            numberOf(context, params.get(PDFName.of('Columns')), 1)
+        );
+    }
+    if (predictor > 1) {
+        throw new Error(`Unsupported predictor ${predictor}`);
+    }
+    return data;
+}
+
+/**
+ * Bytes of a string or stream (Indexed color space lookup tables)
+ */
+function bytesOf(context, value) {
+    const resolved = context.lookup(value);
+    if (resolved instanceof PDFHexString) return Buffer.from(resolved.asBytes());
+    if (resolved instanceof PDFString) return Buffer.from(resolved.asBytes());
+    if (resolved instanceof PDFRawStream) return decodeStreamData(context, resolved);
+    return null;
+}
+
+/**
+ * Resolve an image color space to { name, components, palette }
+ */
+function resolveColorSpace(context, value) {
+    const resolved = context.lookup(value);
+
+    if (resolved instanceof PDFName) {
+        const name = resolved.decodeText();
+        const components = { DeviceGray: 1, CalGray: 1, G: 1, DeviceRGB: 3, CalRGB: 3, RGB: 3, DeviceCMYK: 4, CMYK: 4 }[name];
+        if (!components) throw new Error(`Unsupported color space ${name}`);
+        return { name, components };
+    }
+
+    if (resolved instanceof PDFArray) {
+        const family = context.lookup(resolved.get(0));
+        const name = family instanceof PDFName ? family.decodeText() : 'Unknown';
+
+        if (name === 'ICCBased') {
+            const profile = context.lookup(resolved.get(1));
+            const components = profile ? numberOf(context, profile.dict.get(PDFName.of('N')), 3) : 3;
+            return { name, components };
+        }
+        if (name === 'CalGray' || name === 'CalRGB') {
+            return { name, components: name === 'CalGray' ? 1 : 3 };
+        }
+        if (name === 'Indexed' || name === 'I') {
+            const base = resolveColorSpace(context, resolved.get(1));
+            const hival = numberOf(context, resolved.get(2), 0);
+            const lookup = bytesOf(context, resolved.get(3));
+            if (base.palette || !lookup) throw new Error('Unsupported indexed color space');
+            return { name: 'Indexed', components: 1, palette: { base, hival, lookup } };
+        }
+        throw new Error(`Unsupported color space ${name}`);
+    }
+
+    throw new Error('Missing color space');
+}
+
+/**
+ * CMYK samples (8 bits) to RGB
+ */
+function cmykToRgb(data, pixels) {
+    const rgb = Buffer.alloc(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+        const k = 255 - data[i * 4 + 3];
+        rgb[i * 3] = Math.round((255 - data[i * 4]) * k / 255);
+        rgb[i * 3 + 1] = Math.round((255 - data[i * 4 + 1]) * k / 255);
+        rgb[i * 3 + 2] = Math.round((255 - data[i * 4 + 2]) * k / 255);
+    }
+    return rgb;
+}
+
+/**
+ * RGB palette for an Indexed color space
+ */
+function paletteRgb(palette) {
+    const { base, hival, lookup } = palette;
+    const entries = Math.min(hival + 1, Math.floor(lookup.length / base.components), 256);
+    const raw = lookup.subarray(0, entries * base.components);
+
+    if (base.components === 3) return Buffer.from(raw);
+    if (base.components === 4) return cmykToRgb(raw, entries);
+    if (base.components === 1) {
+        const rgb = Buffer.alloc(entries * 3);
+        for (let i = 0; i < entries; i++) rgb.fill(raw[i], i * 3, i * 3 + 3);
+        return rgb;
+    }
+    throw new Error('Unsupported indexed base color space');
+}
+
+/**
+ * Interleave an 8-bit gray or RGB image with an 8-bit alpha channel
+ */
+function addAlpha(data, alpha, pixels, channels) {
+    const output = Buffer.alloc(pixels * (channels + 1));
+    for (let i = 0; i < pixels; i++) {
+        data.copy(output, i * (channels + 1), i * channels, (i + 1) * channels);
+        output[i * (channels + 1) + channels] = alpha[i];
+    }
+    return output;
+}
+
+/**
+ * Decode a soft mask to 8-bit alpha when it matches the image size
+ */
+function readSoftMask(context, dict, width, height) {
+    const mask = context.lookup(dict.get(PDFName.of('SMask')));
+    if (!(mask instanceof PDFRawStream)) return null;
+
+    const maskWidth = numberOf(context, mask.dict.get(PDFName.of('Width')), 0);
+    const maskHeight = numberOf(context, mask.dict.get(PDFName.of('Height')), 0);
+    const bits = numberOf(context, mask.dict.get(PDFName.of('BitsPerComponent')), 8);
+    if (maskWidth !== width || maskHeight !== height || bits !== 8) return null;
+
+    try {
+        const alpha = decodeStreamData(context, mask);
+        return alpha.length >= width * height ? alpha : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Export an image XObject in its original encoding or as PNG
+ *
+ * Throws with a reason when the encoding or color space is not supported.
+ */
+function exportImage(context, stream) {
+    const dict = stream.dict;
+    const width = numberOf(context, dict.get(PDFName.of('Width')), 0);
+    const height = numberOf(context, dict.get(PDFName.of('Height')), 0);
+    const imageMask = context.lookup(dict.get(PDFName.of('ImageMask')));
+    const isMask = imageMask !== undefined && imageMask.toString() === 'true';
+    const filters = streamFilters(context, dict);
+    const lastFilter = filters[filters.length - 1];
+
+    if (!width || !height) throw new Error('Missing image size');
+
+    if (filters.length === 1 && PASS_THROUGH[lastFilter] && !isMask) {
+        const colorSpace = context.lookup(dict.get(PDFName.of('ColorSpace')));
+        return {
+            ...PASS_THROUGH[lastFilter],
+            data: Buffer.from(stream.contents),
+            width,
+            height,
+            colorSpace: colorSpace instanceof PDFName ? colorSpace.decodeText() : null,
+            bitsPerComponent: numberOf(context, dict.get(PDFName.of('BitsPerComponent')), 8)
+        };
+    }
+
+    if (filters.some(filter => PASS_THROUGH[filter] || filter === 'CCITTFaxDecode' || filter === 'JBIG2Decode')) {
+        throw new Error(`Unsupported encoding ${filters.join('+')}`);
+    }
+
+    const bitsPerComponent = isMask ? 1 : numberOf(context, dict.get(PDFName.of('BitsPerComponent')), 8);
+    const colorSpace = isMask
+        ? { name: 'ImageMask', components: 1 }
+        : resolveColorSpace(context, dict.get(PDFName.of('ColorSpace')));
+    const pixels = width * height;
+    const rowBytes = Math.ceil(width * colorSpace.components * bitsPerComponent / 8);
+
+    let data = decodeStreamData(context, stream);
+    if (data.length < rowBytes * height) throw new Error('Truncated image data');
+    data = data.subarray(0, rowBytes * height);
+
+    // A Decode array of [1 0] inverts single-component images
+    const decode = context.lookup(dict.get(PDFName.of('Decode')));
+    if (colorSpace.components === 1 && !colorSpace.palette && decode instanceof PDFArray &&
+        numberOf(context, decode.get(0), 0) === 1 && numberOf(context, decode.get(1), 1) === 0) {
+        data = Buffer.from(data.map(byte => 255 - byte));
+    }
+
+    let png;
+    if (colorSpace.palette) {
+        if (bitsPerComponent > 8) throw new Error('Unsupported indexed bit depth');
+        png = { bitDepth: bitsPerComponent, colorType: PNG_PALETTE, palette: paletteRgb(colorSpace.palette), data };
+    } else if (colorSpace.components === 1) {
+        png = { bitDepth: bitsPerComponent, colorType: PNG_GRAY, data };
+    } else if (colorSpace.components === 3 && (bitsPerComponent === 8 || bitsPerComponent === 16)) {
+        png = { bitDepth: bitsPerComponent, colorType: PNG_RGB, data };
+    } else if (colorSpace.components === 4 && bitsPerComponent === 8) {
+        png = { bitDepth: 8, colorType: PNG_RGB, data: cmykToRgb(data, pixels) };
+    } else {
+        throw new Error(`Unsupported ${colorSpace.components}-component image with ${bitsPerComponent} bits`);
+    }
+
+    // Keep transparency from soft masks on 8-bit images
+    if (!isMask && png.bitDepth === 8 && (png.colorType === PNG_GRAY || png.colorType === PNG_RGB)) {
+        const alpha = readSoftMask(context, dict, width, height);
+        if (alpha) {
+            const channels = png.colorType === PNG_GRAY ? 1 : 3;
+            png = {
+                bitDepth: 8,
+                colorType: channels === 1 ? PNG_GRAY_ALPHA : PNG_RGBA,
+                data: addAlpha(png.data, alpha, pixels, channels)
+            };
+        }
+    }
+
+    return {
+        format: 'png',
+        extension: 'png',
+        data: encodePng({ width, height, ...png }),
+        width,
+        height,
+        colorSpace: colorSpace.name,
+        bitsPerComponent
+    };
+}
+
+/**
+ * Parse a content stream into operators with their number and name operands
+ *
+ * Strings, arrays and dictionaries are skipped; inline images (BI ... ID
+ * ... EI) are stepped over.
+ */
+function* contentOperations(bytes) {
+    const isWhite = (c) => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+    const isDelimiter = (c) => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b ||
+        c === 0x5d || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+    const readRegular = (start) => {
+        let end = start;
+        while (end < bytes.length && !isWhite(bytes[end]) && !isDelimiter(bytes[end])) end++;
+        return end;
+    };
+
+    let operands = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+        const c = bytes[i];
+
+        if (isWhite(c)) {
+            i++;
+        } else if (c === 0x25) { // % comment
+            while (i < bytes.length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+        } else if (c === 0x28) { // ( literal string )
+            let depth = 0;
+            for (; i < bytes.length; i++) {
+                if (bytes[i] === 0x5c) { i++; continue; }
+                if (bytes[i] === 0x28) depth++;
+                if (bytes[i] === 0x29 && --depth === 0) { i++; break; }
+            }
+            operands.push(null);
+        } else if (c === 0x3c && bytes[i + 1] !== 0x3c) { // <hex string>
+            while (i < bytes.length && bytes[i] !== 0x3e) i++;
+            i++;
+            operands.push(null);
+        } else if (c === 0x3c || c === 0x3e) { // << >>
+            i += 2;
+        } else if (c === 0x5b || c === 0x5d || c === 0x7b || c === 0x7d || c === 0x29) {
+            i++;
+        } else if (c === 0x2f) { // /Name
+            const end = readRegular(i + 1);
+            const raw = Buffer.from(bytes.subarray(i + 1, end)).toString('latin1');
+            operands.push({ name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+            i = end;
+        } else {
+            const end = readRegular(i);
+            const token = Buffer.from(bytes.subarray(i, end)).toString('latin1');
+            i = Math.max(end, i + 1);
+
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                operands.push(parseFloat(token));
+            } else if (token === 'true' || token === 'false' || token === 'null') {
+                operands.push(null);
+            } else if (token === 'ID') {
+                // Inline image data runs to an EI surrounded by whitespace
+                let j = i + 1;
+                while (j < bytes.length - 1 &&
+                    !(bytes[j] === 0x45 && bytes[j + 1] === 0x49 && isWhite(bytes[j - 1]) &&
+                        (j + 2 >= bytes.length || isWhite(bytes[j + 2])))) {
+                    j++;
+                }
+                i = j + 2;
+                operands = [];
+            } else {
+                yield { operator: token, operands };
+                operands = [];
+            }
+        }
+    }
+}
+
+/**
+ * Multiply transformation matrices (m2 applied first, then m1)
+ */
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+/**
+ * Matrix from PDF user space to top-left based points of the displayed page
+ */
+function pageViewMatrix(page) {
+    const { x: mx, y: my, width: w, height: h } = page.getMediaBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+    switch (rotation) {
+        case 90: return [0, 1, 1, 0, -my, -mx];
+        case 180: return [-1, 0, 0, 1, mx + w, -my];
+        case 270: return [0, -1, -1, 0, my + h, mx + w];
+        default: return [1, 0, 0, -1, -mx, my + h];
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Box covered by the unit square under a matrix
+ */
+function placementBox(matrix) {
+    const points = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [
+        matrix[0] * x + matrix[2] * y + matrix[4],
+        matrix[1] * x + matrix[3] * y + matrix[5]
+    ]);
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+
+    return { x: round(x), y: round(y), width: round(Math.max(...xs) - x), height: round(Math.max(...ys) - y) };
+}
+
+/**
+ * Decoded bytes of a page's content streams
+ */
+function pageContents(context, page) {
+    const contents = context.lookup(page.node.Contents());
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(item => context.lookup(item))
+        : [contents];
+
+    return Buffer.concat(streams
+        .filter(stream => stream instanceof PDFRawStream)
+        .map(stream => Buffer.concat([decodeStreamData(context, stream), Buffer.from('\n')])));
+}
+
+/**
+ * Walk a content stream, recording where image XObjects are painted
+ */
+function collectPlacements(context, bytes, resources, ctm, visit, depth = 0) {
+    const stack = [];
+    const xobjects = resources ? context.lookup(resources.get(PDFName.of('XObject'))) : null;
+
+    for (const { operator, operands } of contentOperations(bytes)) {
+        if (operator === 'q') {
+            stack.push(ctm);
+        } else if (operator === 'Q') {
+            ctm = stack.pop() || ctm;
+        } else if (operator === 'cm' && operands.length >= 6) {
+            const matrix = operands.slice(-6);
+            if (matrix.every(n => typeof n === 'number')) ctm = multiply(ctm, matrix);
+        } else if (operator === 'Do' && operands.length > 0 && operands[operands.length - 1]?.name) {
+            if (!(xobjects instanceof PDFDict)) continue;
+
+            const name = operands[operands.length - 1].name;
+            const ref = xobjects.get(PDFName.of(name));
+            const xobject = context.lookup(ref);
+            if (!(xobject instanceof PDFRawStream)) continue;
+
+            const subtype = context.lookup(xobject.dict.get(PDFName.of('Subtype')));
+            const kind = subtype instanceof PDFName ? subtype.decodeText() : null;
+
+            if (kind === 'Image') {
+                visit({ name, ref, stream: xobject, matrix: ctm });
+            } else if (kind === 'Form' && depth < MAX_FORM_DEPTH) {
+                const formMatrix = context.lookup(xobject.dict.get(PDFName.of('Matrix')));
+                const matrix = formMatrix instanceof PDFArray && formMatrix.size() === 6
+                    ? formMatrix.asArray().map(n => numberOf(context, n, 0))
+                    : [1, 0, 0, 1, 0, 0];
+                const formResources = context.lookup(xobject.dict.get(PDFName.of('Resources')));
+
+                let formBytes;
+                try {
+                    formBytes = decodeStreamData(context, xobject);
+                } catch (error) {
+                    continue;
+                }
+                collectPlacements(context, formBytes,
+                    formResources instanceof PDFDict ? formResources : resources,
+                    multiply(ctm, matrix), visit, depth + 1);
+            }
+        }
+    }
+}
+
+/**
+ * Image XObjects painted on the given pages of a loaded PDF
+ *
+ * Returns `{ images, unreadable }`: `images` maps each image (by object
+ * reference, direct images get their own key) to `{ name, ref, stream,
+ * placements }` in the order first painted, and `unreadable` lists pages
+ * whose content could not be decoded with the reason.
+ */
+function findImagePlacements(pdfDoc, pageNumbers) {
+    const context = pdfDoc.context;
+    const images = new Map();
+    const unreadable = [];
+    let direct = 0;
+
+    for (const pageNumber of pageNumbers) {
+        const page = pdfDoc.getPage(pageNumber - 1);
+
+        let contents;
+        try {
+            contents = pageContents(context, page);
+        } catch (error) {
+            unreadable.push({ page: pageNumber, reason: `Unreadable page content: ${error.message}` });
+            continue;
+        }
+
+        collectPlacements(context, contents, page.node.Resources(), pageViewMatrix(page), ({ name, ref, stream, matrix }) => {
+            const key = ref instanceof PDFRef ? ref.toString() : `direct-${direct++}`;
+            const placement = { page: pageNumber, ...placementBox(matrix) };
+
+            if (images.has(key)) {
+                images.get(key).placements.push(placement);
+            } else {
+                images.set(key, { name, ref: ref instanceof PDFRef ? ref : null, stream, placements: [placement] });
+            }
+        });
+    }
+
+    return { images, unreadable };
+}
+
+/**
+ * Extract the embedded raster images of a PDF
+ *
+ * Each image is exported once, however often it is painted, with every
+ * placement listed (page number and box in points from the top-left corner
+ * of the displayed page). JPEG and JPEG 2000 data is kept as stored; other
+ * images are converted to PNG. Images that cannot be exported are listed in
+ * `skipped` with the reason. `options.pages` limits the pages searched.
+ */
+async function extractImages(buffer, options = {}) {
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false, ignoreEncryption: true });
+
+    // pdf-lib cannot decrypt, so encrypted image data cannot be read
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Image extraction is not supported for encrypted PDFs');
+    }
+
+    const context = pdfDoc.context;
+    const pageCount = pdfDoc.getPageCount();
+    const pageNumbers = (options.pages || Array.from({ length: pageCount }, (_, i) => i + 1))
+        .filter(n => n >= 1 && n <= pageCount);
+
+    const found = findImagePlacements(pdfDoc, pageNumbers);
+    const skipped = found.unreadable.map(({ page, reason }) => ({ page, name: null, reason }));
+    const images = new Map();
+
+    for (const [key, { name, stream, placements }] of found.images) {
+        try {
+            images.set(key, { name, ...exportImage(context, stream), placements });
+        } catch (error) {
+            skipped.push({ page: placements[0].page, name, reason: error.message });
+        }
+    }
+
+    const exported = [...images.values()];
+    const perPage = new Map();
+
+    return {
+        pageCount,
+        images: exported.map(image => {
+            const page = image.placements[0].page;
+            const index = (perPage.get(page) || 0) + 1;
+            perPage.set(page, index);
+            return { ...image, file: `page-${page}-image-${index}.${image.extension}` };
+        }),
+        skipped
+    };
+}
+
+/**
+ * Package extracted images as a ZIP with a manifest.json
+ */
+async function buildImagesZip(result) {
+    const zip = new JSZip();
+
+    for (const image of result.images) {
+        zip.file(image.file, image.data);
+    }
+
+    const manifest = {
+        pageCount: result.pageCount,
+        units: 'pt',
+        origin: 'top-left',
+        images: result.images.map(image => ({
+            file: image.file,
+            format: image.format,
+            width: image.width,
+            height: image.height,
+            colorSpace: image.colorSpace,
+            bitsPerComponent: image.bitsPerComponent,
+            name: image.name,
+            placements: image.placements
+        })),
+        skipped: result.skipped
+    };
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    extractImages,
+    buildImagesZip,
+    findImagePlacements,
+    exportImage,
+    streamFilters,
+    decodeStreamData,
+    pageContents,
+    pageViewMatrix,
+    multiply
+};
@@ -0,0 +1,100 @@
+/**
+ * PDFOX JSON Writer
+ * Serializes an extracted layout as pages, blocks, lines and words with boxes
+ */
+
+'use strict';
+
+const { blockText } = require('./layout');
+
+/**
+ * Round a coordinate to two decimals to keep the output compact
+ */
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Bounding box in points, origin at the top-left corner of the page
+ */
+function toBox(rect) {
+    if (!rect || typeof rect.x !== 'number') return null;
+    return {
+        x: round(rect.x),
+        y: round(rect.y),
+        width: round(rect.width),
+        height: round(rect.height)
+    };
+}
+
+function serializeWord(word, source) {
+    return {
+        text: word.text,
+        bbox: toBox(word),
+        fontName: word.fontName || null,
+        fontSize: round(word.fontSize),
+        bold: !!word.bold,
+        italic: !!word.italic,
+        confidence: typeof word.confidence === 'number' ? round(word.confidence) : undefined,
+        source
+    };
+}
+
+function serializeLine(line, source) {
+    const fontNames = [...new Set((line.spans || []).map(s => s.fontName).filter(Boolean))];
+
+    return {
+        text: line.text,
+        bbox: toBox(line),
+        fontName: fontNames[0] || null,
+        fontSize: round(line.fontSize),
+        confidence: typeof line.confidence === 'number' ? round(line.confidence) : undefined,
+        source,
+        words: (line.words || []).map(word => serializeWord(word, source))
+    };
+}
+
+function serializeBlock(block, pageSource) {
+    const source = block.source || pageSource;
+
+    return {
+        type: block.type,
+        level: block.level || undefined,
+        ordered: block.type === 'list-item' ? block.ordered : undefined,
+        text: block.type === 'table'
+            ? block.rows.map(row => row.map(cell => cell.text).join('\t')).join('\n')
+            : blockText(block),
+        bbox: toBox(block.bbox),
+        source,
+        rows: block.type === 'table' ? block.rows.map(row => row.map(cell => cell.text)) : undefined,
+        lines: block.lines.map(line => serializeLine(line, source))
+    };
+}
+
+/**
+ * Build the JSON extraction document for a layout
+ *
+ * Every page, block, line and word records its source: "text" for the
+ * PDF text layer and "ocr" for text recognized from page images.
+ */
+function buildJson(layout) {
+    const sources = [...new Set(layout.pages.map(page => page.source))];
+
+    return {
+        pageCount: layout.pageCount,
+        source: sources.length === 1 ? sources[0] : 'mixed',
+        units: 'pt',
+        origin: 'top-left',
+        pages: layout.pages.map(page => ({
+            number: page.number,
+            width: round(page.width),
+            height: round(page.height),
+            source: page.source,
+            blocks: page.blocks.map(block => serializeBlock(block, page.source))
+        }))
+    };
+}
+
+module.exports = {
+    buildJson
+};
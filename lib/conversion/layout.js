@@ -0,0 +1,1334 @@
+/**
+ * PDFOX Layout Analysis
+ * Rebuilds lines, paragraphs, headings and lists from pdf.js text positions
+ */
+
+'use strict';
+
+const { loadPdfjs, openDocument, isImageOnlyPage } = require('./pdfjs');
+
+// List item markers at the start of a line
+const BULLET_PATTERN = /^([•●○◦▪▫■□‣∙·\-–—*])\s+/;
+const ORDERED_PATTERN = /^(\(?(?:\d{1,3}|[a-zA-Z]|[ivxIVX]{1,5})[.)])\s+/;
+
+// Fonts whose names mark them as bold or italic
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+const ITALIC_FONT_PATTERN = /italic|oblique/i;
+
+// Path drawing codes in pdf.js constructPath data (DrawOPS, not exported)
+const DRAW_MOVE_TO = 0;
+const DRAW_LINE_TO = 1;
+const DRAW_CURVE_TO = 2;
+const DRAW_QUADRATIC_CURVE_TO = 3;
+const DRAW_CLOSE_PATH = 4;
+
+// Table ruling lines: maximum thickness of a filled rule, minimum length and
+// the distance within which rules are considered to meet
+const RULING_MAX_THICKNESS = 3;
+const RULING_MIN_LENGTH = 6;
+const RULING_TOLERANCE = 2;
+
+/**
+ * Strip the subset prefix from a PostScript font name (ABCDEF+Arial-BoldMT)
+ */
+function normalizeFontName(name) {
+    return (name || '').replace(/^[A-Z]{6}\+/, '');
+}
+
+/**
+ * Derive a font family suitable for word processors from a PostScript name
+ */
+function fontFamily(name) {
+    const base = normalizeFontName(name).split(/[-,]/)[0];
+    return base.replace(/(PSMT|MT|PS)$/, '').replace(/([a-z])([A-Z])/g, '$1 $2').trim() || null;
+}
+
+/**
+ * Build a lookup of font details for a page (requires its operator list)
+ */
+async function resolvePageFonts(page, styles) {
+    await page.getOperatorList();
+
+    const cache = new Map();
+
+    return (fontName) => {
+        if (cache.has(fontName)) return cache.get(fontName);
+
+        let font = null;
+        if (page.commonObjs.has(fontName)) {
+            font = page.commonObjs.get(fontName);
+        }
+
+        const name = normalizeFontName(font?.name || styles[fontName]?.fontFamily || '');
+        const info = {
+            name,
+            family: fontFamily(name),
+            bold: !!(font?.bold || font?.black) || BOLD_FONT_PATTERN.test(name),
+            italic: !!font?.italic || ITALIC_FONT_PATTERN.test(name)
+        };
+
+        cache.set(fontName, info);
+        return info;
+    };
+}
+
+/**
+ * Read link annotations of a page as viewport rectangles
+ */
+async function readPageLinks(page, viewport) {
+    const annotations = await page.getAnnotations({ intent: 'display' });
+
+    return annotations
+        .filter(annot => annot.subtype === 'Link' && (annot.url || annot.unsafeUrl))
+        .map(annot => {
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annot.rect);
+            return {
+                url: annot.url || annot.unsafeUrl,
+                left: Math.min(x1, x2),
+                right: Math.max(x1, x2),
+                top: Math.min(y1, y2),
+                bottom: Math.max(y1, y2)
+            };
+        });
+}
+
+/**
+ * Split a text item where link rectangles cover part of it
+ *
+ * Character positions are estimated from the item width, which is close
+ * enough for the proportional fonts links are usually set in.
+ */
+function splitItemByLinks(item, links) {
+    const middle = (item.top + item.bottom) / 2;
+    const covering = links
+        .filter(link => middle >= link.top && middle <= link.bottom &&
+            link.right > item.x && link.left < item.x + item.width)
+        .sort((a, b) => a.left - b.left);
+
+    if (covering.length === 0) return [item];
+
+    const length = item.text.length;
+    const charAt = (x) => Math.max(0, Math.min(length, Math.round((x - item.x) / item.width * length)));
+    const pieces = [];
+    let cursor = 0;
+
+    const push = (start, end, link) => {
+        if (end <= start) return;
+        pieces.push({
+            ...item,
+            text: item.text.slice(start, end),
+            x: item.x + item.width * start / length,
+            width: item.width * (end - start) / length,
+            link
+        });
+    };
+
+    for (const link of covering) {
+        const start = Math.max(cursor, charAt(link.left));
+        const end = Math.max(start, charAt(link.right));
+        push(cursor, start, null);
+        push(start, end, link.url);
+        cursor = end;
+    }
+    push(cursor, length, null);
+
+    return pieces;
+}
+
+/**
+ * Read positioned text items from a page in top-left based viewport coordinates
+ */
+async function readPageItems(pdfjs, page) {
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+    const fonts = await resolvePageFonts(page, content.styles);
+    const links = await readPageLinks(page, viewport);
+    const items = [];
+
+    for (const item of content.items) {
+        if (!item.str || !item.str.trim()) continue;
+
+        const tx = pdfjs.Util.transform(viewport.transform, item.transform);
+
+        // Skip rotated text (watermarks, margin notes)
+        if (Math.abs(tx[1]) > Math.abs(tx[0]) * 0.1) continue;
+
+        const fontSize = Math.hypot(tx[2], tx[3]) || item.height;
+        if (!fontSize) continue;
+
+        const style = content.styles[item.fontName] || {};
+        const ascent = style.ascent || 0.8;
+        const descent = style.descent || -0.2;
+        const font = fonts(item.fontName);
+
+        items.push(...splitItemByLinks({
+            text: item.str,
+            x: tx[4],
+            baseline: tx[5],
+            top: tx[5] - ascent * fontSize,
+            bottom: tx[5] - descent * fontSize,
+            width: item.width,
+            fontSize,
+            fontName: font.name,
+            fontFamily: font.family,
+            bold: font.bold,
+            italic: font.italic,
+            link: null
+        }, links));
+    }
+
+    const rulings = await readPageRulings(pdfjs, page, viewport);
+
+    return { items, rulings, width: viewport.width, height: viewport.height };
+}
+
+/**
+ * Read horizontal and vertical rules drawn on a page (table borders)
+ *
+ * Stroked path edges and thin filled rectangles are returned as
+ * { horizontal, position, start, end } in top-left based viewport coordinates.
+ */
+async function readPageRulings(pdfjs, page, viewport) {
+    const { OPS, Util } = pdfjs;
+    const operatorList = await page.getOperatorList();
+    const strokeOps = new Set([
+        OPS.stroke, OPS.closeStroke, OPS.fillStroke, OPS.eoFillStroke,
+        OPS.closeFillStroke, OPS.closeEOFillStroke
+    ]);
+    const fillOps = new Set([OPS.fill, OPS.eoFill]);
+
+    const rulings = [];
+    const stack = [];
+    let ctm = viewport.transform;
+
+    const addRuling = (x1, y1, x2, y2) => {
+        if (Math.abs(y1 - y2) <= RULING_MAX_THICKNESS && Math.abs(x2 - x1) >= RULING_MIN_LENGTH) {
+            rulings.push({ horizontal: true, position: (y1 + y2) / 2, start: Math.min(x1, x2), end: Math.max(x1, x2) });
+        } else if (Math.abs(x1 - x2) <= RULING_MAX_THICKNESS && Math.abs(y2 - y1) >= RULING_MIN_LENGTH) {
+            rulings.push({ horizontal: false, position: (x1 + x2) / 2, start: Math.min(y1, y2), end: Math.max(y1, y2) });
+        }
+    };
+
+    // Split path data into subpaths of device points; curves break straight edges
+    const subpaths = (data) => {
+        const paths = [];
+        let current = null;
+        const point = (i) => {
+            const p = [data[i], data[i + 1]];
+            Util.applyTransform(p, ctm);
+            return p;
+        };
+
+        for (let i = 0; i < data.length;) {
+            switch (data[i++]) {
+                case DRAW_MOVE_TO:
+                    current = { points: [point(i)], straight: true, closed: false };
+                    paths.push(current);
+                    i += 2;
+                    break;
+                case DRAW_LINE_TO:
+                    if (current) current.points.push(point(i));
+                    i += 2;
+                    break;
+                case DRAW_CURVE_TO:
+                    if (current) current.straight = false;
+                    i += 6;
+                    break;
+                case DRAW_QUADRATIC_CURVE_TO:
+                    if (current) current.straight = false;
+                    i += 4;
+                    break;
+                case DRAW_CLOSE_PATH:
+                    if (current) current.closed = true;
+                    break;
+                default:
+                    return paths;
+            }
+        }
+        return paths;
+    };
+
+    for (let index = 0; index < operatorList.fnArray.length; index++) {
+        const fn = operatorList.fnArray[index];
+        const args = operatorList.argsArray[index];
+
+        if (fn === OPS.save) {
+            stack.push(ctm);
+        } else if (fn === OPS.restore) {
+            ctm = stack.pop() || ctm;
+        } else if (fn === OPS.transform) {
+            ctm = Util.transform(ctm, args);
+        } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push(ctm);
+            if (Array.isArray(args[0]) && args[0].length === 6) {
+                ctm = Util.transform(ctm, args[0]);
+            }
+        } else if (fn === OPS.paintFormXObjectEnd) {
+            ctm = stack.pop() || ctm;
+        } else if (fn === OPS.constructPath) {
+            const [paintOp, [data]] = args;
+            if (!data) continue;
+
+            for (const path of subpaths(data)) {
+                if (strokeOps.has(paintOp) && path.straight) {
+                    const points = path.closed ? [...path.points, path.points[0]] : path.points;
+                    for (let i = 1; i < points.length; i++) {
+                        addRuling(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+                    }
+                } else if (fillOps.has(paintOp) && path.straight && path.points.length >= 2) {
+                    // Thin filled rectangles are rules; larger fills are cell shading
+                    const xs = path.points.map(p => p[0]);
+                    const ys = path.points.map(p => p[1]);
+                    const left = Math.min(...xs);
+                    const right = Math.max(...xs);
+                    const top = Math.min(...ys);
+                    const bottom = Math.max(...ys);
+                    if (bottom - top <= RULING_MAX_THICKNESS) {
+                        addRuling(left, (top + bottom) / 2, right, (top + bottom) / 2);
+                    } else if (right - left <= RULING_MAX_THICKNESS) {
+                        addRuling((left + right) / 2, top, (left + right) / 2, bottom);
+                    }
+                }
+            }
+        }
+    }
+
+    return rulings;
+}
+
+/**
+ * Round a font size to half points for comparisons
+ */
+function roundSize(size) {
+    return Math.round(size * 2) / 2;
+}
+
+/**
+ * Merge text items into line segments (runs of text on one baseline)
+ */
+function buildSegments(items) {
+    const sorted = [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+    const rows = [];
+
+    for (const item of sorted) {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(item.baseline - row.baseline) <= 0.4 * Math.min(item.fontSize, row.fontSize)) {
+            row.items.push(item);
+        } else {
+            rows.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+        }
+    }
+
+    const segments = [];
+
+    for (const row of rows) {
+        row.items.sort((a, b) => a.x - b.x);
+
+        let current = null;
+        for (const item of row.items) {
+            const gap = current ? item.x - current.right : 0;
+            if (!current || gap > 1.5 * Math.max(item.fontSize, current.fontSize)) {
+                current = { items: [item], right: item.x + item.width, fontSize: item.fontSize };
+                segments.push(current);
+            } else {
+                current.items.push(item);
+                current.right = Math.max(current.right, item.x + item.width);
+            }
+        }
+    }
+
+    return segments.map(finishSegment);
+}
+
+/**
+ * Split a text item into positioned words
+ *
+ * Positions inside an item are estimated from its width. A word continues
+ * the previous one when the items touch without whitespace between them.
+ */
+function appendWords(words, item, joined) {
+    const length = item.text.length;
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(item.text)) !== null) {
+        const x = item.x + item.width * match.index / length;
+        const width = item.width * match[0].length / length;
+        const previous = words[words.length - 1];
+
+        if (joined && match.index === 0 && previous) {
+            previous.text += match[0];
+            previous.width = x + width - previous.x;
+        } else {
+            words.push({
+                text: match[0],
+                x,
+                y: item.top,
+                width,
+                height: item.bottom - item.top,
+                fontName: item.fontName,
+                fontSize: item.fontSize,
+                bold: item.bold,
+                italic: item.italic
+            });
+        }
+    }
+}
+
+/**
+ * Compute text, spans, words and bounds for a line segment
+ */
+function finishSegment(segment) {
+    const spans = [];
+    const words = [];
+    let previous = null;
+    let text = '';
+
+    for (const item of segment.items) {
+        let piece = item.text;
+        let joined = false;
+
+        if (previous) {
+            const gap = item.x - (previous.x + previous.width);
+            const needsSpace = gap > 0.2 * Math.min(item.fontSize, previous.fontSize) &&
+                !/\s$/.test(text) && !/^\s/.test(piece);
+            if (needsSpace) piece = ' ' + piece;
+            joined = !needsSpace && !/\s$/.test(text);
+        }
+
+        appendWords(words, item, joined);
+
+        const span = spans[spans.length - 1];
+        if (span && span.bold === item.bold && span.italic === item.italic && span.link === item.link &&
+            span.fontName === item.fontName && roundSize(span.fontSize) === roundSize(item.fontSize)) {
+            span.text += piece;
+        } else {
+            spans.push({
+                text: piece,
+                bold: item.bold,
+                italic: item.italic,
+                fontSize: item.fontSize,
+                fontName: item.fontName,
+                fontFamily: item.fontFamily,
+                link: item.link
+            });
+        }
+
+        text += piece;
+        previous = item;
+    }
+
+    const x = Math.min(...segment.items.map(i => i.x));
+    const top = Math.min(...segment.items.map(i => i.top));
+    const bottom = Math.max(...segment.items.map(i => i.bottom));
+
+    return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        spans,
+        words,
+        x,
+        y: top,
+        width: segment.right - x,
+        height: bottom - top,
+        baseline: segment.items[0].baseline,
+        fontSize: dominantSize(spans),
+        bold: spans.every(s => s.bold),
+        italic: spans.every(s => s.italic)
+    };
+}
+
+/**
+ * Font size covering the most characters
+ */
+function dominantSize(spans) {
+    const counts = new Map();
+    for (const span of spans) {
+        const size = roundSize(span.fontSize);
+        counts.set(size, (counts.get(size) || 0) + span.text.length);
+    }
+    let best = 0;
+    let bestCount = -1;
+    for (const [size, count] of counts) {
+        if (count > bestCount) {
+            best = size;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Find whitespace gaps in a set of [start, end] intervals
+ */
+function findGaps(intervals) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    const gaps = [];
+    let end = -Infinity;
+
+    for (const [start, stop] of sorted) {
+        if (end !== -Infinity && start > end) {
+            gaps.push({ start: end, end: start, size: start - end });
+        }
+        end = Math.max(end, stop);
+    }
+
+    return gaps;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Bounding box of a set of segments
+ */
+function boundsOf(segments) {
+    const left = Math.min(...segments.map(s => s.x));
+    const top = Math.min(...segments.map(s => s.y));
+    const right = Math.max(...segments.map(s => s.x + s.width));
+    const bottom = Math.max(...segments.map(s => s.y + s.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Split a region into text columns if it has clear gutters
+ *
+ * Each column must hold several lines of prose-width text, which keeps
+ * tables and label/value pairs from being read column by column.
+ */
+function splitColumns(segments, bounds) {
+    if (segments.length < 4) return null;
+
+    const fontSize = median(segments.map(s => s.fontSize));
+    const gutters = findGaps(segments.map(s => [s.x, s.x + s.width]))
+        .filter(gap => gap.size >= Math.max(fontSize, 8));
+
+    if (gutters.length === 0) return null;
+
+    const parts = gutters.map(() => []);
+    parts.push([]);
+
+    for (const segment of segments) {
+        const index = gutters.findIndex(gap => segment.x + segment.width <= gap.start);
+        parts[index === -1 ? gutters.length : index].push(segment);
+    }
+
+    const minWidth = 0.6 * bounds.width / parts.length;
+    const valid = parts.every(part =>
+        part.length >= 2 && median(part.map(s => s.width)) >= minWidth
+    );
+
+    return valid ? parts : null;
+}
+
+/**
+ * Order segments for reading with a recursive XY-cut
+ *
+ * Columns are split first; otherwise the region is cut at its widest
+ * horizontal gap so full-width headings separate from the columns below.
+ */
+function xyCut(segments, frame, regions) {
+    if (segments.length === 0) return regions;
+
+    const bounds = boundsOf(segments);
+    const columns = splitColumns(segments, bounds);
+
+    if (columns) {
+        columns.forEach((part, index) => {
+            const partBounds = boundsOf(part);
+            xyCut(part, {
+                left: partBounds.x,
+                right: partBounds.x + partBounds.width,
+                column: index,
+                columns: columns.length
+            }, regions);
+        });
+        return regions;
+    }
+
+    const gaps = findGaps(segments.map(s => [s.y, s.y + s.height]));
+
+    if (gaps.length === 0) {
+        regions.push({ frame, lines: mergeRows(segments) });
+        return regions;
+    }
+
+    const widest = gaps.reduce((best, gap) => (gap.size > best.size ? gap : best));
+    const above = segments.filter(s => s.y + s.height <= widest.start);
+    const below = segments.filter(s => s.y + s.height > widest.start);
+
+    xyCut(above, frame, regions);
+    xyCut(below, frame, regions);
+    return regions;
+}
+
+/**
+ * Combine segments sharing a baseline into single tab-separated lines
+ *
+ * Within one column, several segments on a baseline are table cells or
+ * label/value pairs rather than separate paragraphs.
+ */
+function mergeRows(segments) {
+    const sorted = [...segments].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+    const rows = [];
+
+    for (const segment of sorted) {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(segment.baseline - row[0].baseline) <= 0.4 * Math.min(segment.fontSize, row[0].fontSize)) {
+            row.push(segment);
+        } else {
+            rows.push([segment]);
+        }
+    }
+
+    return rows.map(row => {
+        if (row.length === 1) return row[0];
+
+        const spans = row.flatMap((cell, index) => {
+            const cellSpans = cell.spans.map(span => ({ ...span }));
+            if (index < row.length - 1) {
+                cellSpans[cellSpans.length - 1].text = cellSpans[cellSpans.length - 1].text.trimEnd() + '\t';
+            }
+            return cellSpans;
+        });
+        const bounds = boundsOf(row);
+
+        return {
+            text: row.map(cell => cell.text).join('\t'),
+            spans,
+            words: row.flatMap(cell => cell.words),
+            ...bounds,
+            baseline: row[0].baseline,
+            fontSize: dominantSize(spans),
+            bold: row.every(cell => cell.bold),
+            italic: row.every(cell => cell.italic),
+            cells: row.map(cell => ({ text: cell.text, x: cell.x, width: cell.width, spans: cell.spans }))
+        };
+    });
+}
+
+/**
+ * Detect a list marker at the start of a line
+ */
+function matchListMarker(text) {
+    const bullet = text.match(BULLET_PATTERN);
+    if (bullet) return { marker: bullet[1], ordered: false };
+
+    const ordered = text.match(ORDERED_PATTERN);
+    if (ordered) return { marker: ordered[1], ordered: true };
+
+    return null;
+}
+
+/**
+ * Decide whether a line continues the current block
+ */
+function continuesBlock(block, line, frame) {
+    const previous = block.lines[block.lines.length - 1];
+    const size = Math.max(previous.fontSize, line.fontSize);
+
+    if (block.frame !== frame) return false;
+    if (line.cells || previous.cells) return false;
+    if (matchListMarker(line.text)) return false;
+    if (Math.abs(line.fontSize - block.fontSize) > 0.1 * block.fontSize) return false;
+    if (previous.bold !== line.bold && (previous.bold || block.lines.length === 1)) return false;
+
+    // Paragraph spacing larger than the block's leading
+    const leading = line.baseline - previous.baseline;
+    const expected = block.leading || 1.35 * size;
+    if (leading <= 0 || leading > Math.max(expected * 1.3, 1.6 * size)) return false;
+
+    // A list item continues while lines stay indented past the marker
+    if (block.listMarker) {
+        return line.x > block.lines[0].x + 0.5 * size;
+    }
+
+    // A short previous line ending a sentence closes the paragraph
+    const frameWidth = frame.right - frame.left;
+    const previousRight = previous.x + previous.width;
+    if (previousRight < frame.right - 0.2 * frameWidth && /[.!?:]$/.test(previous.text)) return false;
+
+    // First-line indent on the next line starts a new paragraph
+    const left = block.lines.length > 1 ? block.lines[1].x : block.lines[0].x;
+    if (block.lines.length > 1 && line.x - left > 0.8 * size) return false;
+
+    return true;
+}
+
+/**
+ * Group lines in reading order into blocks
+ */
+function buildBlocks(regions) {
+    const blocks = [];
+    let block = null;
+
+    for (const { line, frame } of regions.flatMap(r => r.lines.map(line => ({ line, frame: r.frame })))) {
+        if (block && continuesBlock(block, line, frame)) {
+            if (block.lines.length === 1) {
+                block.leading = line.baseline - block.lines[0].baseline;
+            }
+            block.lines.push(line);
+            continue;
+        }
+
+        const list = matchListMarker(line.text);
+        block = {
+            lines: [line],
+            fontSize: line.fontSize,
+            leading: null,
+            listMarker: list ? list.marker : null,
+            ordered: list ? list.ordered : false,
+            frame
+        };
+        blocks.push(block);
+    }
+
+    return blocks;
+}
+
+/**
+ * Column start positions shared by the rows of a table
+ */
+function tableColumns(rows, fontSize) {
+    const starts = rows.flatMap(row => row.cells.map(cell => cell.x)).sort((a, b) => a - b);
+    const columns = [];
+
+    for (const x of starts) {
+        const column = columns[columns.length - 1];
+        if (column && x - column.last <= fontSize) {
+            column.last = x;
+        } else {
+            columns.push({ x, last: x });
+        }
+    }
+
+    return columns.map(c => c.x);
+}
+
+/**
+ * Merge runs of consecutive tab-separated rows into table blocks
+ */
+function groupTables(blocks) {
+    const result = [];
+    let run = [];
+
+    const flush = () => {
+        const columns = run.length >= 2 ? tableColumns(run.map(b => b.lines[0]), run[0].fontSize) : [];
+
+        if (columns.length < 2) {
+            result.push(...run);
+        } else {
+            const lines = run.map(b => b.lines[0]);
+            const tolerance = 0.5 * run[0].fontSize;
+            const rows = lines.map(line => {
+                const cells = columns.map(() => ({ text: '', spans: [] }));
+                for (const cell of line.cells) {
+                    let index = columns.length - 1;
+                    while (index > 0 && columns[index] > cell.x + tolerance) index--;
+                    const target = cells[index];
+                    target.text = target.text ? `${target.text} ${cell.text}` : cell.text;
+                    target.spans = target.spans.concat(cell.spans.map(span => ({ ...span, text: span.text.replace(/\t$/, '') })));
+                }
+                return cells;
+            });
+
+            result.push({
+                lines,
+                rows,
+                fontSize: run[0].fontSize,
+                leading: null,
+                listMarker: null,
+                ordered: false,
+                frame: run[0].frame
+            });
+        }
+        run = [];
+    };
+
+    for (const block of blocks) {
+        const line = block.lines[0];
+        const isRow = block.lines.length === 1 && line.cells && !block.listMarker;
+        if (isRow && (run.length === 0 || run[0].frame === block.frame)) {
+            run.push(block);
+            continue;
+        }
+        flush();
+        if (isRow) {
+            run.push(block);
+        } else {
+            result.push(block);
+        }
+    }
+    flush();
+
+    return result;
+}
+
+/**
+ * Join collinear rules that overlap or touch (double borders, split strokes)
+ */
+function mergeRulings(rulings) {
+    const sorted = [...rulings].sort((a, b) =>
+        (a.horizontal === b.horizontal ? 0 : a.horizontal ? -1 : 1) || a.position - b.position || a.start - b.start);
+    const merged = [];
+
+    for (const ruling of sorted) {
+        const match = merged.find(m => m.horizontal === ruling.horizontal &&
+            Math.abs(m.position - ruling.position) <= RULING_TOLERANCE &&
+            ruling.start <= m.end + RULING_TOLERANCE && ruling.end >= m.start - RULING_TOLERANCE);
+        if (match) {
+            match.start = Math.min(match.start, ruling.start);
+            match.end = Math.max(match.end, ruling.end);
+        } else {
+            merged.push({ ...ruling });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Distinct positions of a set of rules, closer ones merged
+ */
+function rulingPositions(rulings) {
+    const positions = [];
+    for (const position of rulings.map(r => r.position).sort((a, b) => a - b)) {
+        if (positions.length === 0 || position - positions[positions.length - 1] > RULING_TOLERANCE) {
+            positions.push(position);
+        }
+    }
+    return positions;
+}
+
+/**
+ * Find table grids formed by crossing horizontal and vertical rules
+ *
+ * Rules that cross or meet are grouped; a group with at least two rules in
+ * each direction becomes a grid of column and row boundaries.
+ */
+function findRuledGrids(rulings) {
+    const lines = mergeRulings(rulings);
+    const groups = lines.map((_, index) => index);
+    const root = (index) => (groups[index] === index ? index : (groups[index] = root(groups[index])));
+
+    lines.forEach((h, i) => {
+        if (!h.horizontal) return;
+        lines.forEach((v, j) => {
+            if (v.horizontal) return;
+            const meets = v.position >= h.start - RULING_TOLERANCE && v.position <= h.end + RULING_TOLERANCE &&
+                h.position >= v.start - RULING_TOLERANCE && h.position <= v.end + RULING_TOLERANCE;
+            if (meets) groups[root(i)] = root(j);
+        });
+    });
+
+    const components = new Map();
+    lines.forEach((line, index) => {
+        const key = root(index);
+        if (!components.has(key)) components.set(key, []);
+        components.get(key).push(line);
+    });
+
+    const grids = [];
+    for (const component of components.values()) {
+        const columns = rulingPositions(component.filter(line => !line.horizontal));
+        const rows = rulingPositions(component.filter(line => line.horizontal));
+        if (columns.length < 2 || rows.length < 2) continue;
+
+        grids.push({
+            columns,
+            rows,
+            left: columns[0],
+            right: columns[columns.length - 1],
+            top: rows[0],
+            bottom: rows[rows.length - 1]
+        });
+    }
+
+    return grids.sort((a, b) => a.top - b.top);
+}
+
+/**
+ * Index of the interval between boundaries that contains a position
+ */
+function intervalIndex(boundaries, position) {
+    for (let i = 1; i < boundaries.length; i++) {
+        if (position < boundaries[i]) return i - 1;
+    }
+    return boundaries.length - 2;
+}
+
+/**
+ * Styled spans for the words placed in one cell
+ */
+function wordSpans(words) {
+    const spans = [];
+
+    for (const word of words) {
+        const last = spans[spans.length - 1];
+        if (last && last.bold === word.bold && last.italic === word.italic &&
+            last.fontName === word.fontName && roundSize(last.fontSize) === roundSize(word.fontSize)) {
+            last.text += ` ${word.text}`;
+        } else {
+            spans.push({
+                text: last ? ` ${word.text}` : word.text,
+                bold: word.bold,
+                italic: word.italic,
+                fontSize: word.fontSize,
+                fontName: word.fontName,
+                fontFamily: fontFamily(word.fontName),
+                link: null
+            });
+        }
+    }
+
+    if (spans.length > 0) spans[0].text = spans[0].text.trimStart();
+    return spans;
+}
+
+/**
+ * Build table blocks from the segments inside ruled grids
+ *
+ * Words are placed in the grid cell containing their centre; rows and
+ * columns left empty (double rules, decorative frames) are dropped. Returns
+ * the table blocks and the segments outside any table.
+ */
+function buildRuledTables(segments, grids, frame) {
+    const tables = [];
+    let remaining = segments;
+
+    for (const grid of grids) {
+        const contains = (s) => {
+            const x = s.x + s.width / 2;
+            const y = s.y + s.height / 2;
+            return x >= grid.left && x <= grid.right && y >= grid.top && y <= grid.bottom;
+        };
+        const inside = remaining.filter(contains);
+        if (inside.length === 0) continue;
+
+        const cells = grid.rows.slice(1).map(() => grid.columns.slice(1).map(() => []));
+        const lines = [...inside].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+
+        for (const line of lines) {
+            for (const word of line.words) {
+                const row = intervalIndex(grid.rows, word.y + word.height / 2);
+                const column = intervalIndex(grid.columns, word.x + word.width / 2);
+                cells[row][column].push(word);
+            }
+        }
+
+        const filledColumns = grid.columns.slice(1)
+            .map((_, column) => column)
+            .filter(column => cells.some(row => row[column].length > 0));
+        const rows = cells
+            .filter(row => row.some(words => words.length > 0))
+            .map(row => filledColumns.map(column => {
+                const spans = wordSpans(row[column]);
+                return { text: spans.map(span => span.text).join(''), spans };
+            }));
+
+        // A single framed cell is a box around text, not a table
+        if (rows.length < 2 || filledColumns.length < 2) continue;
+
+        remaining = remaining.filter(s => !contains(s));
+        tables.push({
+            lines,
+            rows,
+            fontSize: dominantSize(lines.flatMap(line => line.spans)),
+            leading: null,
+            listMarker: null,
+            ordered: false,
+            frame
+        });
+    }
+
+    return { tables, segments: remaining };
+}
+
+/**
+ * Insert table blocks into reading order by their top position
+ */
+function insertTables(blocks, tables) {
+    const result = [...blocks];
+
+    for (const table of tables) {
+        const top = boundsOf(table.lines).y;
+        const index = result.findIndex(block => block.lines[0].y > top);
+        result.splice(index === -1 ? result.length : index, 0, table);
+    }
+
+    return result;
+}
+
+/**
+ * Whether every line of a block is centred in its frame
+ */
+function isCentered(block) {
+    const frame = block.frame;
+    const width = frame.right - frame.left;
+    const center = frame.left + width / 2;
+
+    return block.lines.every(line =>
+        !line.cells &&
+        line.width < 0.85 * width &&
+        line.x > frame.left + 0.05 * width &&
+        Math.abs(line.x + line.width / 2 - center) < 0.04 * width
+    );
+}
+
+/**
+ * Remove a list marker from the first span of a block
+ */
+function stripMarker(line, marker) {
+    const spans = line.spans.map(span => ({ ...span }));
+    let remaining = marker.length;
+
+    while (spans.length > 0 && remaining > 0) {
+        const trimmed = spans[0].text.replace(/^\s+/, '');
+        const take = Math.min(remaining, trimmed.length);
+        spans[0].text = trimmed.slice(take);
+        remaining -= take;
+        if (!spans[0].text.trim()) spans.shift();
+    }
+    if (spans.length > 0) spans[0].text = spans[0].text.replace(/^\s+/, '');
+
+    return {
+        ...line,
+        text: line.text.slice(marker.length).trim(),
+        spans
+    };
+}
+
+/**
+ * Most common font size in the document weighted by characters
+ */
+function bodyFontSize(blocks) {
+    const spans = blocks.flatMap(b => b.lines.flatMap(l => l.spans));
+    return dominantSize(spans) || 11;
+}
+
+/**
+ * Assign block types, heading levels and list levels
+ */
+function classifyBlocks(blocks) {
+    const bodySize = bodyFontSize(blocks);
+
+    const isHeadingCandidate = (block) => {
+        const text = block.lines.map(l => l.text).join(' ');
+        return !block.listMarker && block.lines.length <= 3 && text.length <= 200;
+    };
+
+    // Distinct sizes larger than body text map to heading levels
+    const headingSizes = [...new Set(
+        blocks
+            .filter(b => isHeadingCandidate(b) && b.fontSize >= bodySize * 1.15)
+            .map(b => roundSize(b.fontSize))
+    )].sort((a, b) => b - a);
+
+    const boldLevel = Math.min(6, headingSizes.length + 1);
+
+    // Indentation of list markers relative to the leftmost marker in the run
+    let listLeft = null;
+
+    for (const block of blocks) {
+        const first = block.lines[0];
+        const text = block.lines.map(l => l.text).join(' ');
+
+        block.level = null;
+
+        if (block.rows) {
+            block.type = 'table';
+            block.align = 'left';
+            listLeft = null;
+            continue;
+        }
+
+        block.type = 'paragraph';
+        block.align = isCentered(block) ? 'center' : 'left';
+
+        if (block.listMarker) {
+            if (listLeft === null || first.x < listLeft) listLeft = first.x;
+            block.type = 'list-item';
+            block.level = Math.min(8, Math.round((first.x - listLeft) / (1.5 * block.fontSize)));
+            block.lines = [stripMarker(first, block.listMarker), ...block.lines.slice(1)];
+            continue;
+        }
+
+        listLeft = null;
+
+        if (!isHeadingCandidate(block)) continue;
+
+        const sizeIndex = headingSizes.indexOf(roundSize(block.fontSize));
+        if (sizeIndex !== -1) {
+            block.type = 'heading';
+            block.level = Math.min(6, sizeIndex + 1);
+        } else if (block.lines.length === 1 && first.bold && text.length <= 120 &&
+            !/[.;,]$/.test(text) && block.fontSize >= bodySize * 0.95) {
+            block.type = 'heading';
+            block.level = boldLevel;
+        }
+    }
+
+    return bodySize;
+}
+
+/**
+ * Public shape of a block
+ */
+function serializeBlock(block) {
+    return {
+        type: block.type,
+        level: block.level,
+        ordered: block.type === 'list-item' ? block.ordered : undefined,
+        marker: block.type === 'list-item' ? block.listMarker : undefined,
+        align: block.align,
+        fontSize: block.fontSize,
+        column: { index: block.frame.column || 0, count: block.frame.columns || 1 },
+        bbox: boundsOf(block.lines),
+        source: 'text',
+        rows: block.rows,
+        lines: block.lines.map(line => ({
+            text: line.text,
+            x: line.x,
+            y: line.y,
+            width: line.width,
+            height: line.height,
+            baseline: line.baseline,
+            fontSize: line.fontSize,
+            spans: line.spans,
+            words: line.words
+        }))
+    };
+}
+
+/**
+ * Extract a structured layout from a PDF buffer
+ *
+ * Returns pages of blocks (headings, paragraphs, list items and tables), each
+ * with positioned lines and styled spans. Blocks are in reading order.
+ * `options.pages` limits extraction to those page numbers; `options.password`
+ * opens encrypted documents.
+ */
+async function extractLayout(buffer, options = {}) {
+    const pdfjs = await loadPdfjs();
+    const doc = await openDocument(buffer, { password: options.password });
+
+    try {
+        const pages = [];
+        const allBlocks = [];
+        const pageNumbers = (options.pages || Array.from({ length: doc.numPages }, (_, i) => i + 1))
+            .filter(n => n >= 1 && n <= doc.numPages);
+
+        for (const pageNumber of pageNumbers) {
+            const page = await doc.getPage(pageNumber);
+            const { items, rulings, width, height } = await readPageItems(pdfjs, page);
+            const segments = buildSegments(items).filter(s => s.text);
+
+            let blocks = [];
+            if (segments.length > 0) {
+                const bounds = boundsOf(segments);
+                const frame = { left: bounds.x, right: bounds.x + bounds.width, column: 0, columns: 1 };
+
+                // Ruled tables are cut out first, the rest is tabulated from text positions
+                const ruled = buildRuledTables(segments, findRuledGrids(rulings), frame);
+                blocks = ruled.segments.length > 0
+                    ? groupTables(buildBlocks(xyCut(ruled.segments, frame, [])))
+                    : [];
+                blocks = insertTables(blocks, ruled.tables);
+            }
+
+            allBlocks.push(...blocks);
+            pages.push({ number: pageNumber, width, height, blocks, imageOnly: await isImageOnlyPage(pdfjs, page, items.map(item => item.text).join('')) });
+            page.cleanup();
+        }
+
+        const bodySize = classifyBlocks(allBlocks);
+
+        return {
+            pageCount: doc.numPages,
+            bodyFontSize: bodySize,
+            pages: pages.map(page => ({
+                number: page.number,
+                width: page.width,
+                height: page.height,
+                source: 'text',
+                imageOnly: page.imageOnly,
+                blocks: page.blocks.map(serializeBlock)
+            }))
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * Convert a Tesseract bounding box in image pixels to a box in points
+ */
+function ocrBox(bbox, scale) {
+    return {
+        x: bbox.x0 * scale,
+        y: bbox.y0 * scale,
+        width: (bbox.x1 - bbox.x0) * scale,
+        height: (bbox.y1 - bbox.y0) * scale
+    };
+}
+
+/**
+ * Build a layout from OCR results
+ *
+ * Each page is { number, width, height, scale, blocks } where blocks are
+ * Tesseract blocks in image pixels and scale converts pixels to points.
+ * Tesseract paragraphs become paragraph blocks with word-level boxes.
+ */
+function layoutFromOCR(ocrPages, pageCount = ocrPages.length) {
+    const pages = ocrPages.map(page => {
+        const paragraphs = (page.blocks || []).flatMap(block => block.paragraphs || []);
+
+        const blocks = paragraphs
+            .map(paragraph => {
+                const lines = (paragraph.lines || [])
+                    .filter(line => line.text && line.text.trim())
+                    .map(line => {
+                        const box = ocrBox(line.bbox, page.scale);
+                        const text = line.text.replace(/\s+/g, ' ').trim();
+                        const fontSize = box.height * 0.8;
+
+                        return {
+                            text,
+                            ...box,
+                            baseline: line.baseline ? line.baseline.y0 * page.scale : box.y + box.height,
+                            fontSize,
+                            confidence: line.confidence,
+                            spans: [{
+                                text, bold: false, italic: false, fontSize: null,
+                                fontName: null, fontFamily: null, link: null
+                            }],
+                            words: (line.words || []).map(word => ({
+                                text: word.text,
+                                ...ocrBox(word.bbox, page.scale),
+                                fontName: null,
+                                fontSize,
+                                bold: false,
+                                italic: false,
+                                confidence: word.confidence
+                            }))
+                        };
+                    });
+
+                return {
+                    type: 'paragraph',
+                    level: null,
+                    align: 'left',
+                    fontSize: null,
+                    column: { index: 0, count: 1 },
+                    bbox: lines.length > 0 ? boundsOf(lines) : null,
+                    source: 'ocr',
+                    confidence: paragraph.confidence,
+                    lines
+                };
+            })
+            .filter(block => block.lines.length > 0);
+
+        return {
+            number: page.number,
+            width: page.width,
+            height: page.height,
+            source: 'ocr',
+            blocks
+        };
+    });
+
+    return {
+        pageCount,
+        bodyFontSize: null,
+        pages
+    };
+}
+
+/**
+ * Join the lines of a block into a single run of styled spans
+ *
+ * Words hyphenated across a line break are rejoined.
+ */
+function blockSpans(block) {
+    const spans = [];
+
+    block.lines.forEach((line, index) => {
+        const lineSpans = line.spans.map(span => ({ ...span }));
+        if (lineSpans.length === 0) return;
+
+        if (index > 0 && spans.length > 0) {
+            const last = spans[spans.length - 1];
+            const next = lineSpans[0];
+            if (/[A-Za-z]-$/.test(last.text) && /^[a-z]/.test(next.text)) {
+                last.text = last.text.slice(0, -1);
+            } else if (!/\s$/.test(last.text)) {
+                last.text += ' ';
+            }
+        }
+
+        for (const span of lineSpans) {
+            const last = spans[spans.length - 1];
+            if (last && last.bold === span.bold && last.italic === span.italic && last.link === span.link &&
+                last.fontName === span.fontName && last.fontSize === span.fontSize) {
+                last.text += span.text;
+            } else {
+                spans.push(span);
+            }
+        }
+    });
+
+    if (spans.length > 0) {
+        spans[spans.length - 1].text = spans[spans.length - 1].text.replace(/\s+$/, '');
+    }
+
+    return spans.filter(span => span.text.length > 0);
+}
+
+/**
+ * Text of a block with lines joined
+ */
+function blockText(block) {
+    return blockSpans(block).map(s => s.text).join('');
+}
+
+/**
+ * Tables of a layout as rows of cell texts, in document order
+ */
+function layoutTables(layout) {
+    return layout.pages.flatMap(page => page.blocks
+        .filter(block => block.type === 'table')
+        .map((block, index) => ({
+            page: page.number,
+            index: index + 1,
+            rows: block.rows.map(row => row.map(cell => cell.text))
+        })));
+}
+
+/**
+ * Flatten a layout to plain text with blank lines between blocks
+ */
+function layoutToText(layout) {
+    return layout.pages
+        .map(page => page.blocks
+            .map(block => {
+                if (block.type === 'table') {
+                    return block.rows.map(row => row.map(cell => cell.text).join('\t')).join('\n');
+                }
+                const text = blockText(block);
+                return block.type === 'list-item' ? `${block.marker} ${text}` : text;
+            })
+            .join('\n\n'))
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+module.exports = {
+    extractLayout,
+    layoutFromOCR,
+    layoutToText,
+    layoutTables,
+    blockSpans,
+    blockText
+};
@@ -0,0 +1,128 @@
+/**
+ * PDFOX Markdown Writer
+ * Renders an extracted layout as GitHub-flavoured Markdown
+ */
+
+'use strict';
+
+const { blockSpans } = require('./layout');
+
+/**
+ * Escape characters with inline meaning in Markdown
+ */
+function escapeInline(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Escape text that would otherwise start a heading, list or quote
+ */
+function escapeLineStart(text) {
+    return text
+        .replace(/^(#{1,6}\s|[-+]\s)/, '\\$1')
+        .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+/**
+ * Wrap text in emphasis markers, keeping surrounding whitespace outside
+ */
+function emphasize(text, marker) {
+    const match = text.match(/^(\s*)(.*?)(\s*)$/s);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Render styled spans as inline Markdown
+ */
+function renderSpans(spans) {
+    return spans.map(span => {
+        let text = escapeInline(span.text.replace(/\t/g, ' '));
+
+        if (span.bold && span.italic) {
+            text = emphasize(text, '***');
+        } else if (span.bold) {
+            text = emphasize(text, '**');
+        } else if (span.italic) {
+            text = emphasize(text, '*');
+        }
+
+        if (span.link) {
+            const match = text.match(/^(\s*)(.*?)(\s*)$/s);
+            text = `${match[1]}[${match[2]}](${span.link.replace(/[()\s]/g, encodeURIComponent)})${match[3]}`;
+        }
+
+        return text;
+    }).join('').trim();
+}
+
+/**
+ * Render a table block as a GFM pipe table (first row is the header)
+ */
+function renderTable(block) {
+    const rows = block.rows.map(row =>
+        row.map(cell => renderSpans(cell.spans).replace(/\|/g, '\\|') || ' ')
+    );
+    const header = rows[0];
+    const divider = header.map(() => '---');
+
+    return [header, divider, ...rows.slice(1)]
+        .map(row => `| ${row.join(' | ')} |`)
+        .join('\n');
+}
+
+/**
+ * Build Markdown from a layout
+ */
+function buildMarkdown(layout) {
+    const parts = [];
+    let listCounters = [];
+    let previous = null;
+
+    for (const page of layout.pages) {
+        for (const block of page.blocks) {
+            const isListItem = block.type === 'list-item';
+
+            if (!isListItem) {
+                listCounters = [];
+            }
+
+            let text;
+
+            if (block.type === 'table') {
+                text = renderTable(block);
+            } else if (block.type === 'heading') {
+                // Headings are bold already; only keep italics and links
+                const spans = blockSpans(block).map(span => ({ ...span, bold: false }));
+                text = `${'#'.repeat(block.level)} ${renderSpans(spans)}`;
+            } else if (isListItem) {
+                const level = block.level || 0;
+                listCounters = listCounters.slice(0, level + 1);
+                listCounters[level] = (listCounters[level] || 0) + 1;
+
+                const number = parseInt(block.marker.replace(/\D/g, ''), 10);
+                const marker = block.ordered
+                    ? `${Number.isNaN(number) ? listCounters[level] : number}.`
+                    : '-';
+                text = `${'    '.repeat(level)}${marker} ${renderSpans(blockSpans(block))}`;
+            } else {
+                text = escapeLineStart(renderSpans(blockSpans(block)));
+            }
+
+            if (!text.trim()) continue;
+
+            // Items of one list stay together; everything else is separated by a blank line
+            const tight = isListItem && previous && previous.type === 'list-item' &&
+                (previous.ordered === block.ordered || previous.level !== block.level);
+            parts.push(tight ? '\n' : (parts.length > 0 ? '\n\n' : ''));
+            parts.push(text);
+            previous = block;
+        }
+    }
+
+    return parts.join('') + '\n';
+}
+
+module.exports = {
+    buildMarkdown
+};
@@ -0,0 +1,274 @@
+/**
+ * PDFOX pdf.js loader
+ * Lazily imports the ESM build of pdfjs-dist for use from CommonJS modules
+ */
+
+'use strict';
+
+let pdfjsPromise = null;
+
+// Error codes for encrypted documents, by pdf.js PasswordResponses value
+const PASSWORD_ERRORS = {
+    1: { code: 'password_required', message: 'PDF is encrypted and requires a password' },
+    2: { code: 'password_incorrect', message: 'Incorrect PDF password' }
+};
+
+/**
+ * Import pdfjs-dist once and reuse the module
+ *
+ * In Node pdf.js takes DOMMatrix, ImageData and Path2D from the
+ * @napi-rs/canvas native module. If that did not load, every document fails
+ * later with unrelated errors, so fail here with code "pdf_engine_unavailable".
+ */
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        const engineError = () => {
+            const error = new Error('PDF engine unavailable: pdf.js needs the @napi-rs/canvas native module, ' +
+                'which could not be loaded. Reinstall dependencies (npm install) on this platform.');
+            error.code = 'pdf_engine_unavailable';
+            return error;
+        };
+
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs').then(pdfjs => {
+            if (typeof globalThis.DOMMatrix === 'undefined') throw engineError();
+            return pdfjs;
+        }, error => {
+            throw typeof globalThis.DOMMatrix === 'undefined' ? engineError() : error;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Whether an error means pdf.js cannot run at all (see loadPdfjs)
+ */
+function isEngineError(error) {
+    return error.code === 'pdf_engine_unavailable';
+}
+
+/**
+ * Open a PDF document from a buffer
+ *
+ * Encrypted documents are opened with `options.password`. A missing or
+ * wrong password rejects with an error whose `code` is "password_required"
+ * or "password_incorrect".
+ */
+async function openDocument(buffer, options = {}) {
+    const pdfjs = await loadPdfjs();
+
+    const loadingTask = pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        password: options.password || undefined,
+        verbosity: 0,
+        isEvalSupported: false,
+        useSystemFonts: false,
+        fontExtraProperties: true
+    });
+
+    try {
+        return await loadingTask.promise;
+    } catch (error) {
+        const passwordError = error.name === 'PasswordException' && PASSWORD_ERRORS[error.code];
+        if (passwordError) {
+            const wrapped = new Error(passwordError.message);
+            wrapped.code = passwordError.code;
+            throw wrapped;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Whether an error was caused by a missing or wrong document password
+ */
+function isPasswordError(error) {
+    return Object.values(PASSWORD_ERRORS).some(e => e.code === error.code);
+}
+
+/**
+ * Count the pages of a PDF
+ */
+async function readPageCount(buffer, options = {}) {
+    const doc = await openDocument(buffer, options);
+
+    try {
+        return doc.numPages;
+    } finally {
+        await doc.destroy();
+    }
+}
+
+// A page counts as scanned when images cover at least this share of it...
+const SCANNED_MIN_COVERAGE = 0.5;
+// ...and its text layer holds no more than this many characters per square
+// inch of image (stamps, footers and scanner headers; a page of text has ~30)
+const SCANNED_MAX_TEXT_DENSITY = 3;
+// Coverage is measured on a grid of this many cells per side
+const COVERAGE_GRID = 64;
+
+/**
+ * Multiply two PDF matrices ([a, b, c, d, e, f]): `m` applied first
+ */
+function multiply(ctm, m) {
+    return [
+        ctm[0] * m[0] + ctm[2] * m[1],
+        ctm[1] * m[0] + ctm[3] * m[1],
+        ctm[0] * m[2] + ctm[2] * m[3],
+        ctm[1] * m[2] + ctm[3] * m[3],
+        ctm[0] * m[4] + ctm[2] * m[5] + ctm[4],
+        ctm[1] * m[4] + ctm[3] * m[5] + ctm[5]
+    ];
+}
+
+/**
+ * Share of the page (0-1) covered by painted images, overlaps counted once
+ *
+ * Images are painted into the unit square of the current transform, which
+ * is followed through save/restore, cm and form XObjects.
+ */
+async function imageCoverage(pdfjs, page) {
+    const { OPS } = pdfjs;
+    const { fnArray, argsArray } = await page.getOperatorList();
+    const [x0, y0, x1, y1] = page.view;
+    const cellWidth = (x1 - x0) / COVERAGE_GRID;
+    const cellHeight = (y1 - y0) / COVERAGE_GRID;
+    const covered = new Uint8Array(COVERAGE_GRID * COVERAGE_GRID);
+
+    // Mark the grid cells whose centre lies in the bounding box of the unit square
+    const paint = (matrix) => {
+        const xs = [matrix[4], matrix[0] + matrix[4], matrix[2] + matrix[4], matrix[0] + matrix[2] + matrix[4]];
+        const ys = [matrix[5], matrix[1] + matrix[5], matrix[3] + matrix[5], matrix[1] + matrix[3] + matrix[5]];
+        const fromCol = Math.max(0, Math.ceil((Math.min(...xs) - x0) / cellWidth - 0.5));
+        const toCol = Math.min(COVERAGE_GRID - 1, Math.floor((Math.max(...xs) - x0) / cellWidth - 0.5));
+        const fromRow = Math.max(0, Math.ceil((Math.min(...ys) - y0) / cellHeight - 0.5));
+        const toRow = Math.min(COVERAGE_GRID - 1, Math.floor((Math.max(...ys) - y0) / cellHeight - 0.5));
+        for (let row = fromRow; row <= toRow; row++) {
+            covered.fill(1, row * COVERAGE_GRID + fromCol, row * COVERAGE_GRID + toCol + 1);
+        }
+    };
+
+    let ctm = [1, 0, 0, 1, 0, 0];
+    const stack = [];
+    for (let i = 0; i < fnArray.length; i++) {
+        const args = argsArray[i];
+        switch (fnArray[i]) {
+            case OPS.save:
+                stack.push(ctm);
+                break;
+            case OPS.restore:
+                ctm = stack.pop() || ctm;
+                break;
+            case OPS.transform:
+                ctm = multiply(ctm, args);
+                break;
+            case OPS.paintFormXObjectBegin:
+                stack.push(ctm);
+                if (args[0]) ctm = multiply(ctm, args[0]);
+                break;
+            case OPS.paintFormXObjectEnd:
+                ctm = stack.pop() || ctm;
+                break;
+            case OPS.paintImageXObject:
+            case OPS.paintInlineImageXObject:
+            case OPS.paintImageMaskXObject:
+                paint(ctm);
+                break;
+            case OPS.paintImageXObjectRepeat:
+                for (let j = 0; j < args[3].length; j += 2) {
+                    paint(multiply(ctm, [args[1], 0, 0, args[2], args[3][j], args[3][j + 1]]));
+                }
+                break;
+            case OPS.paintImageMaskXObjectRepeat:
+                for (let j = 0; j < args[5].length; j += 2) {
+                    paint(multiply(ctm, [args[1], args[2], args[3], args[4], args[5][j], args[5][j + 1]]));
+                }
+                break;
+            case OPS.paintInlineImageXObjectGroup:
+                for (const entry of args[1]) paint(multiply(ctm, entry.transform));
+                break;
+            case OPS.paintImageMaskXObjectGroup:
+                for (const image of args[0]) paint(multiply(ctm, image.transform));
+                break;
+        }
+    }
+
+    return covered.reduce((sum, cell) => sum + cell, 0) / covered.length;
+}
+
+/**
+ * Whether a page is a scanned image: images cover most of it and its text
+ * layer is small for that area, so a Bates stamp, footer or scanner header
+ * on a scan does not count as text. `text` is the page's text layer when
+ * the caller has already read it.
+ */
+async function isImageOnlyPage(pdfjs, page, text) {
+    const coverage = await imageCoverage(pdfjs, page);
+    if (coverage < SCANNED_MIN_COVERAGE) return false;
+
+    if (text === undefined) {
+        const content = await page.getTextContent();
+        text = content.items.map(item => item.str).join('');
+    }
+    const [x0, y0, x1, y1] = page.view;
+    const imageArea = coverage * Math.abs((x1 - x0) * (y1 - y0)) / (72 * 72);
+    return text.replace(/\s/g, '').length <= SCANNED_MAX_TEXT_DENSITY * imageArea;
+}
+
+/**
+ * Read the text layer of every page (or only `options.pages`) as plain text;
+ * `imageOnly` marks scanned pages (see isImageOnlyPage)
+ */
+async function readPageTexts(buffer, options = {}) {
+    const pdfjs = await loadPdfjs();
+    const doc = await openDocument(buffer, options);
+
+    try {
+        const pages = [];
+        const numbers = options.pages || Array.from({ length: doc.numPages }, (_, i) => i + 1);
+        for (const number of numbers.filter(n => n >= 1 && n <= doc.numPages)) {
+            const page = await doc.getPage(number);
+            const content = await page.getTextContent();
+            const text = content.items
+                .map(item => item.str + (item.hasEOL ? '\n' : ''))
+                .join('');
+            pages.push({ number, text, imageOnly: await isImageOnlyPage(pdfjs, page, text) });
+            page.cleanup();
+        }
+        return pages;
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * Render one page of an open document to a PNG buffer at `density` DPI
+ */
+async function renderPagePng(doc, pageNumber, density) {
+    const { createCanvas } = require('@napi-rs/canvas');
+    const page = await doc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: density / 72 });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // Scans are recognized on white, not on a transparent background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    try {
+        await page.render({ canvas, canvasContext: context, viewport }).promise;
+    } finally {
+        page.cleanup();
+    }
+    return canvas.encode('png');
+}
+
+module.exports = {
+    loadPdfjs,
+    openDocument,
+    isPasswordError,
+    isEngineError,
+    readPageCount,
+    readPageTexts,
+    isImageOnlyPage,
+    renderPagePng
+};
@@ -0,0 +1,248 @@
+/**
+ * PDFOX Searchable PDF Writer
+ * Adds an invisible text layer from OCR word boxes to the original PDF pages
+ */
+
+'use strict';
+
+const {
+    PDFDocument, PDFString, PDFHexString,
+    pushGraphicsState, popGraphicsState, beginText, endText,
+    setFontAndSize, setCharacterSqueeze, setTextMatrix, setTextRenderingMode,
+    showText, TextRenderingMode
+} = require('pdf-lib');
+
+const FONT_NAME = 'GlyphLessFont';
+const GLYPH_WIDTH = 500; // Default glyph width in 1/1000 text space units
+
+/**
+ * ToUnicode CMap mapping every two-byte code to the same UTF-16 code unit
+ */
+function identityToUnicodeCMap() {
+    const ranges = Array.from({ length: 256 }, (_, high) => {
+        const hex = high.toString(16).padStart(2, '0').toUpperCase();
+        return `<${hex}00> <${hex}FF> <${hex}00>`;
+    });
+
+    // bfrange blocks are limited to 100 entries each
+    const blocks = [];
+    for (let i = 0; i < ranges.length; i += 100) {
+        const chunk = ranges.slice(i, i + 100);
+        blocks.push(`${chunk.length} beginbfrange\n${chunk.join('\n')}\nendbfrange`);
+    }
+
+    return [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<0000> <FFFF>',
+        'endcodespacerange',
+        ...blocks,
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end'
+    ].join('\n');
+}
+
+/**
+ * Register a glyph-less Type0 font whose codes are UTF-16 code units
+ *
+ * The text is never painted (render mode 3), so the font only has to carry
+ * the character codes and their Unicode mapping for search and copy.
+ */
+function registerTextLayerFont(context) {
+    const toUnicode = context.stream(identityToUnicodeCMap());
+
+    const descriptor = context.obj({
+        Type: 'FontDescriptor',
+        FontName: FONT_NAME,
+        Flags: 5,
+        FontBBox: [0, 0, GLYPH_WIDTH, 1000],
+        ItalicAngle: 0,
+        Ascent: 1000,
+        Descent: 0,
+        CapHeight: 1000,
+        StemV: 80
+    });
+
+    const cidFont = context.obj({
+        Type: 'Font',
+        Subtype: 'CIDFontType2',
+        BaseFont: FONT_NAME,
+        CIDSystemInfo: { Registry: PDFString.of('Adobe'), Ordering: PDFString.of('Identity'), Supplement: 0 },
+        FontDescriptor: context.register(descriptor),
+        DW: GLYPH_WIDTH,
+        CIDToGIDMap: 'Identity'
+    });
+
+    const font = context.obj({
+        Type: 'Font',
+        Subtype: 'Type0',
+        BaseFont: FONT_NAME,
+        Encoding: 'Identity-H',
+        DescendantFonts: [context.register(cidFont)],
+        ToUnicode: context.register(toUnicode)
+    });
+
+    return context.register(font);
+}
+
+/**
+ * Encode text as two-byte codes for the text layer font
+ */
+function encodeText(text) {
+    let hex = '';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+    }
+    return PDFHexString.of(hex);
+}
+
+/**
+ * Map points on the rendered (rotated) page image to PDF user space
+ *
+ * Returns a function (u, v) => { x, y } for image coordinates in points
+ * from the top-left corner, and the text direction matrix for the rotation.
+ */
+function pageTransform(page) {
+    const box = page.getMediaBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const { x: mx, y: my, width: w, height: h } = box;
+
+    switch (rotation) {
+        case 90:
+            return { width: h, height: w, matrix: [0, 1, -1, 0], map: (u, v) => ({ x: mx + v, y: my + u }) };
+        case 180:
+            return { width: w, height: h, matrix: [-1, 0, 0, -1], map: (u, v) => ({ x: mx + w - u, y: my + v }) };
+        case 270:
+            return { width: h, height: w, matrix: [0, -1, 1, 0], map: (u, v) => ({ x: mx + w - v, y: my + h - u }) };
+        default:
+            return { width: w, height: h, matrix: [1, 0, 0, 1], map: (u, v) => ({ x: mx + u, y: my + h - v }) };
+    }
+}
+
+/**
+ * Collect Tesseract lines with their words
+ */
+function ocrLines(ocrPage) {
+    const lines = [];
+    for (const block of ocrPage.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                const words = (line.words || []).filter(word => word.text && word.text.trim());
+                if (words.length > 0) {
+                    lines.push({ line, words });
+                }
+            }
+        }
+    }
+    return lines;
+}
+
+/**
+ * Baseline y (image pixels) of a line at x, falling back to the box bottom
+ */
+function baselineAt(line, x) {
+    const baseline = line.baseline;
+    if (!baseline || !baseline.has_baseline || baseline.x1 === baseline.x0) {
+        return line.bbox.y1;
+    }
+    const t = (x - baseline.x0) / (baseline.x1 - baseline.x0);
+    return baseline.y0 + t * (baseline.y1 - baseline.y0);
+}
+
+/**
+ * Text layer operators for one page
+ */
+function pageTextOperators(page, ocrPage, fontName) {
+    const transform = pageTransform(page);
+    // OCR boxes are in image pixels; bring them to points on the displayed page
+    const sx = (ocrPage.width ? transform.width / ocrPage.width : 1) * ocrPage.scale;
+    const sy = (ocrPage.height ? transform.height / ocrPage.height : 1) * ocrPage.scale;
+    const [a, b, c, d] = transform.matrix;
+
+    const operators = [];
+
+    for (const { line, words } of ocrLines(ocrPage)) {
+        const lineHeight = (line.bbox.y1 - line.bbox.y0) * sy;
+
+        words.forEach((word, index) => {
+            const text = word.text.trim();
+            const wordWidth = (word.bbox.x1 - word.bbox.x0) * sx;
+            const fontSize = Math.max(1, lineHeight || (word.bbox.y1 - word.bbox.y0) * sy);
+            if (wordWidth <= 0) return;
+
+            // Stretch the fixed-width glyphs so the word covers its box
+            const naturalWidth = text.length * fontSize * GLYPH_WIDTH / 1000;
+            const squeeze = (wordWidth / naturalWidth) * 100;
+
+            const baseline = baselineAt(line, (word.bbox.x0 + word.bbox.x1) / 2);
+            const origin = transform.map(word.bbox.x0 * sx, baseline * sy);
+
+            operators.push(
+                setFontAndSize(fontName, fontSize),
+                setCharacterSqueeze(squeeze),
+                setTextMatrix(a, b, c, d, origin.x, origin.y),
+                showText(encodeText(index < words.length - 1 ? `${text} ` : text))
+            );
+        });
+    }
+
+    return operators;
+}
+
+/**
+ * Build a searchable PDF: the original pages with an invisible OCR text layer
+ *
+ * `ocrPages` are OCR results ({ number, width, height, scale, blocks }) with
+ * Tesseract word boxes in image pixels. Pages without OCR results are left
+ * untouched. When `pageNumbers` is given only those pages are kept.
+ */
+async function buildSearchablePdf(buffer, ocrPages, pageNumbers) {
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false, ignoreEncryption: true });
+
+    // pdf-lib cannot decrypt, so encrypted content cannot be rewritten
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Searchable PDF output is not supported for encrypted PDFs');
+    }
+
+    const fontRef = registerTextLayerFont(pdfDoc.context);
+    const pageCount = pdfDoc.getPageCount();
+
+    for (const ocrPage of ocrPages) {
+        if (ocrPage.number < 1 || ocrPage.number > pageCount) continue;
+
+        const page = pdfDoc.getPage(ocrPage.number - 1);
+        const fontName = page.node.newFontDictionary('OCRText', fontRef);
+        const textOperators = pageTextOperators(page, ocrPage, fontName);
+
+        if (textOperators.length === 0) continue;
+
+        page.pushOperators(
+            pushGraphicsState(),
+            beginText(),
+            setTextRenderingMode(TextRenderingMode.Invisible),
+            ...textOperators,
+            endText(),
+            popGraphicsState()
+        );
+    }
+
+    if (pageNumbers) {
+        const keep = new Set(pageNumbers);
+        for (let index = pageCount - 1; index >= 0; index--) {
+            if (!keep.has(index + 1)) pdfDoc.removePage(index);
+        }
+    }
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    buildSearchablePdf
+};
@@ -0,0 +1,191 @@
+/**
+ * PDFOX XLSX Writer
+ * Builds an Excel workbook with one sheet per table of an extracted layout
+ */
+
+'use strict';
+
+const JSZip = require('jszip');
+const { layoutTables } = require('./layout');
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const MAX_SHEET_NAME = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+// Plain amounts: optional sign or parentheses, thousands separators, decimals
+const NUMBER_PATTERN = /^(\()?(-)?((?:\d{1,3}(?:,\d{3})+)|\d+)(\.\d+)?(\))?$/;
+
+// Cell style indexes (cellXfs in styles.xml) keeping how amounts were printed
+const STYLE_GENERAL = 0;
+const STYLE_THOUSANDS_DECIMALS = 1; // #,##0.00
+const STYLE_THOUSANDS = 2; // #,##0
+const STYLE_DECIMALS = 3; // 0.00
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Numeric value and style of a cell, or null when it should stay text
+ *
+ * Identifiers such as account numbers (leading zeros, more than 15 digits)
+ * are kept as text so they are not rounded or reformatted.
+ */
+function cellNumber(text) {
+    const match = text.trim().match(NUMBER_PATTERN);
+    if (!match) return null;
+
+    const [, open, minus, integer, fraction, close] = match;
+    if (!!open !== !!close || (open && minus)) return null;
+
+    const digits = integer.replace(/,/g, '');
+    if (digits.length > 15 || (digits.length > 1 && digits[0] === '0')) return null;
+
+    const value = Number(digits + (fraction || ''));
+    const grouped = digits !== integer;
+    const cents = !!fraction && fraction.length === 3;
+
+    let style = STYLE_GENERAL;
+    if (grouped && cents) style = STYLE_THOUSANDS_DECIMALS;
+    else if (grouped && !fraction) style = STYLE_THOUSANDS;
+    else if (cents) style = STYLE_DECIMALS;
+
+    return { value: open || minus ? -value : value, style };
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Worksheet XML for one table
+ */
+function sheetXml(rows) {
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const widths = Array.from({ length: columnCount }, (_, column) =>
+        Math.min(MAX_COLUMN_WIDTH, Math.max(8, ...rows.map(row => (row[column] || '').length + 2))));
+
+    const cols = widths
+        .map((width, column) => `<col min="${column + 1}" max="${column + 1}" width="${width}" customWidth="1"/>`)
+        .join('');
+
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((text, column) => {
+            const ref = `${columnName(column)}${rowIndex + 1}`;
+            if (!text) return '';
+
+            const number = cellNumber(text);
+            if (number !== null) {
+                const style = number.style !== STYLE_GENERAL ? ` s="${number.style}"` : '';
+                return `<c r="${ref}"${style}><v>${number.value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><cols>${cols}</cols>` +
+        `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Unique sheet name within Excel's length limit
+ */
+function sheetName(table, used) {
+    let name = `Page ${table.page} Table ${table.index}`.slice(0, MAX_SHEET_NAME);
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+        name = `${name.slice(0, MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Build an XLSX workbook with one sheet per table of a layout
+ *
+ * Returns null when the layout has no tables.
+ */
+async function buildXlsx(layout) {
+    const tables = layoutTables(layout);
+    if (tables.length === 0) return null;
+
+    const zip = new JSZip();
+    const used = new Set();
+    const sheets = tables.map((table, index) => ({
+        id: index + 1,
+        name: sheetName(table, used),
+        xml: sheetXml(table.rows)
+    }));
+
+    zip.file('[Content_Types].xml', XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map(sheet =>
+            `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '</Types>');
+
+    zip.file('_rels/.rels', XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>');
+
+    zip.file('xl/workbook.xml', XML_HEADER +
+        `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+        sheets.map(sheet => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('') +
+        '</sheets></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        sheets.map(sheet =>
+            `<Relationship Id="rId${sheet.id}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>');
+
+    zip.file('xl/styles.xml', XML_HEADER +
+        `<styleSheet xmlns="${MAIN_NS}">` +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="4">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs>' +
+        '</styleSheet>');
+
+    for (const sheet of sheets) {
+        zip.file(`xl/worksheets/sheet${sheet.id}.xml`, sheet.xml);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    buildXlsx
+};
@@ -0,0 +1,249 @@
+/**
+ * PDFOX Job Queue
+ * Persistent local queue for long-running conversions with a concurrency limit
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * Job queue persisted to a JSON file
+ *
+ * Jobs run through `processor(job, reportProgress)` with at most
+ * `concurrency` running at once. Every state or progress change is emitted
+ * as an `update` event with the public view of the job. A processor may
+ * attach a `result` to the error it throws (e.g. a report of what failed);
+ * it is kept on the failed job. Jobs that were queued or running when the
+ * process stopped are queued again on load.
+ */
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0);
+
+        this.file = options.file;
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.maxQueued = options.maxQueued || 0;
+        this.retention = options.retention || 24 * 60 * 60 * 1000;
+        this.processor = options.processor;
+        this.onRemove = options.onRemove || (() => {});
+        this.logger = options.logger || null;
+
+        this.jobs = new Map();
+        this.running = 0;
+
+        this.load();
+    }
+
+    /**
+     * Load jobs from disk, re-queueing interrupted ones
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                for (const job of data.jobs || []) {
+                    if (job.status === JOB_STATUS.RUNNING) {
+                        job.status = JOB_STATUS.QUEUED;
+                        job.progress = { stage: 'queued' };
+                    }
+                    this.jobs.set(job.id, job);
+                }
+            }
+        } catch (error) {
+            if (this.logger) this.logger.error('Error loading jobs:', error.message);
+        }
+    }
+
+    /**
+     * Save jobs to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const data = { jobs: [...this.jobs.values()] };
+            fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+        } catch (error) {
+            if (this.logger) this.logger.error('Error saving jobs:', error.message);
+        }
+    }
+
+    /**
+     * Start processing queued jobs (call once the processor is ready)
+     */
+    start() {
+        this.next();
+    }
+
+    /**
+     * Number of jobs waiting to run
+     */
+    queuedCount() {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.status === JOB_STATUS.QUEUED) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Whether another job can be accepted
+     */
+    isFull() {
+        return this.maxQueued > 0 && this.queuedCount() >= this.maxQueued;
+    }
+
+    /**
+     * Add a job; `data` is stored with the job and passed to the processor
+     */
+    add(data) {
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            status: JOB_STATUS.QUEUED,
+            data,
+            progress: { stage: 'queued' },
+            result: null,
+            error: null,
+            errorCode: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.save();
+        this.emitUpdate(job);
+        this.next();
+
+        return job;
+    }
+
+    /**
+     * Find a job by id
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Public view of a job (internal data is not exposed)
+     */
+    view(job) {
+        const queuePosition = job.status === JOB_STATUS.QUEUED
+            ? [...this.jobs.values()]
+                .filter(j => j.status === JOB_STATUS.QUEUED && j.createdAt <= job.createdAt)
+                .length
+            : undefined;
+
+        return {
+            id: job.id,
+            type: job.data.type || 'convert',
+            status: job.status,
+            format: job.data.format,
+            languages: job.data.languages,
+            pages: job.data.pages,
+            fileName: job.data.fileName,
+            fileCount: job.data.files ? job.data.files.length : undefined,
+            queuePosition,
+            progress: job.progress,
+            result: job.result,
+            error: job.error,
+            errorCode: job.errorCode || undefined,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    emitUpdate(job) {
+        this.emit('update', this.view(job));
+    }
+
+    /**
+     * Run queued jobs (oldest first) until the concurrency limit is reached
+     */
+    next() {
+        if (!this.processor) return;
+
+        const queued = [...this.jobs.values()]
+            .filter(job => job.status === JOB_STATUS.QUEUED)
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        while (this.running < this.concurrency && queued.length > 0) {
+            this.run(queued.shift());
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = Date.now();
+        job.progress = { stage: 'starting' };
+        this.save();
+        this.emitUpdate(job);
+
+        const reportProgress = (progress) => {
+            job.progress = progress;
+            this.emitUpdate(job);
+        };
+
+        try {
+            job.result = await this.processor(job, reportProgress);
+            job.status = JOB_STATUS.COMPLETED;
+            job.progress = { stage: 'done' };
+        } catch (error) {
+            if (this.logger) this.logger.error(`Job ${job.id} failed:`, error.message);
+            job.status = JOB_STATUS.FAILED;
+            job.result = error.result || null;
+            job.error = error.message;
+            job.errorCode = error.code || null;
+            job.progress = { stage: 'failed' };
+        }
+
+        job.finishedAt = Date.now();
+        this.running--;
+        this.save();
+        this.emitUpdate(job);
+        this.next();
+    }
+
+    /**
+     * Remove finished jobs older than the retention period
+     */
+    cleanup() {
+        const cutoff = Date.now() - this.retention;
+        let removed = 0;
+
+        for (const job of [...this.jobs.values()]) {
+            const finished = job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+            if (finished && job.finishedAt <= cutoff) {
+                this.jobs.delete(job.id);
+                this.onRemove(job);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.save();
+            if (this.logger) this.logger.info(`Cleaned up ${removed} finished jobs`);
+        }
+
+        return removed;
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JOB_STATUS
+};
@@ -0,0 +1,359 @@
+/**
+ * PDFOX Document Metadata
+ * Reads and writes the Info dictionary and keeps the XMP metadata stream in step
+ */
+
+'use strict';
+
+const {
+    PDFName, PDFRef, PDFRawStream, PDFString, PDFHexString, decodePDFRawStream
+} = require('pdf-lib');
+const { loadPdfDocument } = require('./pdf-document');
+
+const MAX_FIELD_LENGTH = 2000;
+
+// Text fields: Info dictionary key and XMP property (namespace, name, container)
+const TEXT_FIELDS = {
+    title: { key: 'Title', namespace: 'dc', property: 'title', container: 'Alt' },
+    author: { key: 'Author', namespace: 'dc', property: 'creator', container: 'Seq' },
+    subject: { key: 'Subject', namespace: 'dc', property: 'description', container: 'Alt' },
+    keywords: { key: 'Keywords', namespace: 'pdf', property: 'Keywords' },
+    creator: { key: 'Creator', namespace: 'xmp', property: 'CreatorTool' },
+    producer: { key: 'Producer', namespace: 'pdf', property: 'Producer' }
+};
+
+const DATE_FIELDS = {
+    creationDate: { key: 'CreationDate', namespace: 'xmp', property: 'CreateDate' },
+    modificationDate: { key: 'ModDate', namespace: 'xmp', property: 'ModifyDate' }
+};
+
+const NAMESPACES = {
+    dc: 'http://purl.org/dc/elements/1.1/',
+    pdf: 'http://ns.adobe.com/pdf/1.3/',
+    xmp: 'http://ns.adobe.com/xap/1.0/'
+};
+
+/**
+ * Load a PDF whose metadata can be read and written
+ */
+async function loadPdf(data) {
+    const pdfDoc = await loadPdfDocument(data, { ignoreEncryption: true, updateMetadata: false });
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Metadata is not supported for encrypted PDFs');
+    }
+    return pdfDoc;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The document's XMP packet as text, or null
+ */
+function readXmpPacket(pdfDoc) {
+    const stream = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Metadata')));
+    if (!(stream instanceof PDFRawStream)) return null;
+
+    try {
+        return Buffer.from(decodePDFRawStream(stream).decode()).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Prefixes a packet binds to a namespace (the usual prefix is always included)
+ */
+function namespacePrefixes(packet, namespace) {
+    const prefixes = new Set([namespace]);
+    const pattern = new RegExp(`xmlns:([\\w.-]+)\\s*=\\s*["']${escapeRegExp(NAMESPACES[namespace])}["']`, 'g');
+    for (const match of packet.matchAll(pattern)) {
+        prefixes.add(match[1]);
+    }
+    return [...prefixes];
+}
+
+/**
+ * Value of an XMP property (element or attribute form); list items are
+ * joined with ", "
+ */
+function readXmpProperty(packet, namespace, property) {
+    for (const prefix of namespacePrefixes(packet, namespace)) {
+        const name = escapeRegExp(`${prefix}:${property}`);
+
+        const element = packet.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+        if (element) {
+            const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(item => item[1]);
+            const text = items.length > 0 ? items.join(', ') : element[1];
+            return unescapeXml(text.trim());
+        }
+
+        const attribute = packet.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+        if (attribute) return unescapeXml(attribute[1]);
+    }
+    return null;
+}
+
+/**
+ * Metadata fields stored in an XMP packet
+ */
+function parseXmp(packet) {
+    const values = {};
+    for (const [field, { namespace, property }] of Object.entries({ ...TEXT_FIELDS, ...DATE_FIELDS })) {
+        values[field] = readXmpProperty(packet, namespace, property);
+    }
+    return values;
+}
+
+/**
+ * Text of an Info dictionary entry
+ */
+function infoText(pdfDoc, key) {
+    const value = pdfDoc.getInfoDict().lookup(PDFName.of(key));
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+        return value.decodeText();
+    }
+    return null;
+}
+
+/**
+ * Date of an Info dictionary entry as an ISO string
+ */
+function infoDate(pdfDoc, key) {
+    const value = pdfDoc.getInfoDict().lookup(PDFName.of(key));
+    if (!(value instanceof PDFString || value instanceof PDFHexString)) return null;
+
+    try {
+        return value.decodeDate().toISOString();
+    } catch (error) {
+        return null;
+    }
+}
+
+function infoValues(pdfDoc) {
+    const values = {};
+    for (const [field, { key }] of Object.entries(TEXT_FIELDS)) {
+        values[field] = infoText(pdfDoc, key);
+    }
+    for (const [field, { key }] of Object.entries(DATE_FIELDS)) {
+        values[field] = infoDate(pdfDoc, key);
+    }
+    return values;
+}
+
+/**
+ * Read document metadata
+ *
+ * Returns `{ info, xmp }`: title, author, subject, keywords, creator,
+ * producer, creationDate and modificationDate from the Info dictionary and
+ * from the XMP packet (`xmp` is null when the document has none). Missing
+ * values are null.
+ */
+async function readMetadata(data) {
+    const pdfDoc = await loadPdf(data);
+    const packet = readXmpPacket(pdfDoc);
+
+    return {
+        info: infoValues(pdfDoc),
+        xmp: packet ? parseXmp(packet) : null
+    };
+}
+
+/**
+ * XMP property element for a value
+ */
+function xmpProperty(namespace, property, value, container) {
+    const name = `${namespace}:${property}`;
+    if (container === 'Alt') {
+        return `<${name}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${name}>`;
+    }
+    if (container) {
+        return `<${name}><rdf:${container}><rdf:li>${escapeXml(value)}</rdf:li></rdf:${container}></${name}>`;
+    }
+    return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * rdf:Description holding the metadata values that are set
+ */
+function xmpDescription(values) {
+    const properties = [];
+    for (const [field, { namespace, property, container }] of Object.entries({ ...TEXT_FIELDS, ...DATE_FIELDS })) {
+        if (values[field]) {
+            properties.push(`   ${xmpProperty(namespace, property, values[field], container)}`);
+        }
+    }
+    if (values.modificationDate) {
+        properties.push(`   ${xmpProperty('xmp', 'MetadataDate', values.modificationDate)}`);
+    }
+
+    const declarations = Object.entries(NAMESPACES)
+        .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
+        .join('\n    ');
+
+    return `  <rdf:Description rdf:about=""\n    ${declarations}>\n${properties.join('\n')}\n  </rdf:Description>\n`;
+}
+
+/**
+ * XMP packet with the metadata values
+ *
+ * An existing packet keeps its other properties (such as PDF/A
+ * identification); only the properties managed here are replaced.
+ */
+function buildXmpPacket(existing, values) {
+    if (existing && existing.includes('</rdf:RDF>')) {
+        let packet = existing;
+        const managed = [...Object.values(TEXT_FIELDS), ...Object.values(DATE_FIELDS),
+            { namespace: 'xmp', property: 'MetadataDate' }];
+
+        for (const { namespace, property } of managed) {
+            for (const prefix of namespacePrefixes(packet, namespace)) {
+                const name = escapeRegExp(`${prefix}:${property}`);
+                packet = packet
+                    .replace(new RegExp(`[ \\t]*<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>[ \\t]*\\r?\\n?`, 'g'), '')
+                    .replace(new RegExp(`[ \\t]*<${name}(?:\\s[^>]*)?/>[ \\t]*\\r?\\n?`, 'g'), '')
+                    .replace(new RegExp(`\\s${name}\\s*=\\s*"[^"]*"`, 'g'), '');
+            }
+        }
+
+        // Drop descriptions left without properties (only namespace declarations)
+        packet = packet.replace(
+            /[ \t]*<rdf:Description(?:\s+(?:rdf:about|xmlns:[\w.-]+)\s*=\s*"[^"]*")*\s*(?:\/>|>\s*<\/rdf:Description>)[ \t]*\r?\n?/g, '');
+
+        return packet.replace(/([ \t]*)<\/rdf:RDF>/, (_, indent) => `${xmpDescription(values)}${indent}</rdf:RDF>`);
+    }
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        xmpDescription(values) + ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+/**
+ * Replace the catalog's XMP metadata stream (stored uncompressed so tools
+ * can find it)
+ */
+function writeXmpPacket(pdfDoc, packet) {
+    const context = pdfDoc.context;
+    const stream = context.stream(Buffer.from(packet, 'utf8'), {
+        Type: 'Metadata',
+        Subtype: 'XML'
+    });
+
+    const existing = pdfDoc.catalog.get(PDFName.of('Metadata'));
+    if (existing instanceof PDFRef) {
+        context.assign(existing, stream);
+    } else {
+        pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(stream));
+    }
+}
+
+/**
+ * Validate metadata changes: strings (empty clears a field), dates as ISO strings
+ */
+function normalizeChanges(changes) {
+    const normalized = {};
+
+    for (const field of Object.keys(TEXT_FIELDS)) {
+        let value = changes[field];
+        if (value === undefined || value === null) continue;
+        if (field === 'keywords' && Array.isArray(value)) {
+            value = value.map(String).map(keyword => keyword.trim()).filter(Boolean).join(', ');
+        }
+        if (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH) {
+            throw new Error(`Invalid ${field}: use text up to ${MAX_FIELD_LENGTH} characters`);
+        }
+        normalized[field] = value.trim();
+    }
+
+    for (const field of Object.keys(DATE_FIELDS)) {
+        const value = changes[field];
+        if (value === undefined || value === null || value === '') continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid ${field}: ${value}`);
+        }
+        normalized[field] = date;
+    }
+
+    return normalized;
+}
+
+/**
+ * Keywords with `required` moved to the end (added if missing)
+ */
+function withKeywords(keywords, required) {
+    const kept = (keywords || '').split(/[,;]/)
+        .map(keyword => keyword.trim())
+        .filter(keyword => keyword && !required.includes(keyword));
+    return [...kept, ...required].join(', ');
+}
+
+/**
+ * Write document metadata
+ *
+ * `changes` may set title, author, subject, keywords (text or a list),
+ * creator and producer (an empty string removes the entry) and
+ * creationDate; fields left out keep their value. The modification date
+ * becomes now unless given. `options.requiredKeywords` are always kept in
+ * the keywords. The XMP packet is updated to match the Info dictionary,
+ * keeping its other properties. Returns the saved PDF.
+ */
+async function writeMetadata(data, changes = {}, options = {}) {
+    const normalized = normalizeChanges(changes);
+    const pdfDoc = await loadPdf(data);
+    const info = pdfDoc.getInfoDict();
+
+    if (options.requiredKeywords && options.requiredKeywords.length > 0) {
+        const keywords = normalized.keywords !== undefined ? normalized.keywords : infoText(pdfDoc, 'Keywords');
+        normalized.keywords = withKeywords(keywords, options.requiredKeywords);
+    }
+
+    for (const [field, { key }] of Object.entries(TEXT_FIELDS)) {
+        if (normalized[field] === undefined) continue;
+        if (normalized[field] === '') {
+            info.delete(PDFName.of(key));
+        } else {
+            info.set(PDFName.of(key), PDFHexString.fromText(normalized[field]));
+        }
+    }
+
+    if (normalized.creationDate) {
+        pdfDoc.setCreationDate(normalized.creationDate);
+    }
+    pdfDoc.setModificationDate(normalized.modificationDate || new Date());
+
+    writeXmpPacket(pdfDoc, buildXmpPacket(readXmpPacket(pdfDoc), infoValues(pdfDoc)));
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    readMetadata,
+    writeMetadata
+};
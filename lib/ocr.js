@@ -0,0 +1,515 @@
+/**
+ * PDFOX OCR
+ * Rasterizes PDF pages and recognizes them through a bounded pool of reusable Tesseract workers
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const Tesseract = require('tesseract.js');
+const { safeSpawn } = require('./spawn');
+const { openDocument, renderPagePng } = require('./conversion/pdfjs');
+
+// Resolution used to rasterize PDF pages for OCR
+const OCR_DENSITY = 200;
+
+// Tesseract languages offered for OCR (traineddata code: name)
+const OCR_LANGUAGES = {
+    eng: 'English',
+    deu: 'German',
+    fra: 'French',
+    ukr: 'Ukrainian',
+    rus: 'Russian',
+    pol: 'Polish',
+    spa: 'Spanish',
+    ita: 'Italian'
+};
+
+const DEFAULT_LANGUAGES = 'eng';
+
+// Where missing traineddata is downloaded from (LSTM models; "osd" needs the legacy build)
+const LANG_DATA_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data';
+const MAX_LANGUAGES = 3;
+
+// Language sets used when the script is detected automatically
+const SCRIPT_LANGUAGES = {
+    Latin: 'eng+deu+fra',
+    Cyrillic: 'ukr+rus'
+};
+
+/**
+ * Parse a languages option ("deu+eng", "deu,eng", ["deu", "eng"] or "auto")
+ *
+ * Returns the normalized "+"-joined set, "auto", or throws on unknown codes.
+ */
+function parseLanguages(value, fallback = DEFAULT_LANGUAGES) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+
+    const codes = (Array.isArray(value) ? value : String(value).split(/[+,\s]+/))
+        .map(code => String(code).trim().toLowerCase())
+        .filter(Boolean);
+
+    if (codes.length === 1 && codes[0] === 'auto') {
+        return 'auto';
+    }
+
+    const unknown = codes.filter(code => !OCR_LANGUAGES[code]);
+    if (codes.length === 0 || unknown.length > 0) {
+        throw new Error(`Unsupported OCR language: ${unknown.join(', ') || value}`);
+    }
+    if (codes.length > MAX_LANGUAGES) {
+        throw new Error(`At most ${MAX_LANGUAGES} OCR languages can be combined`);
+    }
+
+    return [...new Set(codes)].join('+');
+}
+
+/**
+ * List OCR languages and whether their traineddata is available in `langPath`
+ */
+function listLanguages(langPath) {
+    return Object.entries(OCR_LANGUAGES).map(([code, name]) => ({
+        code,
+        name,
+        local: !!langPath && fs.existsSync(path.join(langPath, `${code}.traineddata`))
+    }));
+}
+
+/**
+ * Read pixel dimensions from a PNG header
+ */
+function readPngSize(imagePath) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(imagePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 24, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Run an async task for every item with at most `limit` tasks in flight
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runner() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    }
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runner);
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Pool of Tesseract workers
+ *
+ * Workers are created on demand up to `size`, reused between pages and
+ * documents (re-initialized when a different language set is needed), and
+ * terminated after `idleTimeout` ms without work. Traineddata is read from
+ * `langPath`; missing languages are downloaded once and saved there.
+ */
+class OCRWorkerPool {
+    constructor(options = {}) {
+        this.size = Math.max(1, options.size || 1);
+        this.idleTimeout = options.idleTimeout || 0;
+        this.langPath = options.langPath || path.resolve('tessdata');
+        this.logger = options.logger || null;
+        this.idle = []; // [{ worker, languages }]
+        this.waiting = [];
+        this.count = 0;
+        this.idleTimer = null;
+        this.detector = null;
+        this.downloads = new Map(); // { lang: Promise }
+    }
+
+    workerOptions() {
+        return {
+            logger: () => {},
+            langPath: this.langPath,
+            gzip: false,
+            cacheMethod: 'none',
+            // Failed jobs reject their promise; without a handler Tesseract also throws
+            errorHandler: (error) => {
+                if (this.logger) this.logger.debug('OCR worker error:', String(error));
+            }
+        };
+    }
+
+    /**
+     * Make sure `<lang>.traineddata` exists in langPath, downloading it if needed
+     *
+     * Tesseract never settles createWorker() when a language fails to load,
+     * so workers are only created once their data is on disk.
+     */
+    ensureLanguage(lang) {
+        const file = path.join(this.langPath, `${lang}.traineddata`);
+        if (fs.existsSync(file)) {
+            return Promise.resolve();
+        }
+
+        if (!this.downloads.has(lang)) {
+            const model = lang === 'osd' ? '4.0.0' : '4.0.0_best_int';
+            const url = `${LANG_DATA_URL}/${lang}/${model}/${lang}.traineddata.gz`;
+
+            const download = (async () => {
+                if (this.logger) this.logger.info(`Downloading OCR language data: ${lang}`);
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Could not download ${lang} language data (HTTP ${response.status})`);
+                }
+                const data = zlib.gunzipSync(Buffer.from(await response.arrayBuffer()));
+                const tmpFile = `${file}.${process.pid}.tmp`;
+                fs.mkdirSync(this.langPath, { recursive: true });
+                fs.writeFileSync(tmpFile, data);
+                fs.renameSync(tmpFile, file);
+            })().catch(error => {
+                throw new Error(`OCR language "${lang}" is not available: ${error.message}`);
+            }).finally(() => {
+                this.downloads.delete(lang);
+            });
+
+            this.downloads.set(lang, download);
+        }
+
+        return this.downloads.get(lang);
+    }
+
+    ensureLanguages(languages) {
+        return Promise.all(languages.split('+').map(lang => this.ensureLanguage(lang)));
+    }
+
+    /**
+     * Get a worker for a language set ("deu+eng"), creating one if the pool
+     * is not full or waiting for a free one otherwise
+     */
+    async acquire(languages) {
+        this.clearIdleTimer();
+        await this.ensureLanguages(languages);
+
+        let entry;
+        const matching = this.idle.findIndex(e => e.languages === languages);
+
+        if (matching !== -1) {
+            entry = this.idle.splice(matching, 1)[0];
+        } else if (this.count < this.size) {
+            this.count++;
+            try {
+                const worker = await Tesseract.createWorker(languages.split('+'), 1, this.workerOptions());
+                return { worker, languages };
+            } catch (error) {
+                this.count--;
+                // The slot is free again: let a waiting caller try it
+                this.wakeWaiter();
+                throw error;
+            }
+        } else if (this.idle.length > 0) {
+            entry = this.idle.pop();
+        } else {
+            entry = await new Promise((resolve, reject) => this.waiting.push({ languages, resolve, reject }));
+        }
+
+        if (entry.languages !== languages) {
+            try {
+                await entry.worker.reinitialize(languages.split('+'));
+            } catch (error) {
+                // Discard the worker so the pool does not lose its slot
+                this.release(entry, true);
+                throw error;
+            }
+            entry.languages = languages;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Return a worker to the pool (broken workers are discarded)
+     */
+    release(entry, broken = false) {
+        if (broken) {
+            this.count--;
+            entry.worker.terminate().catch(() => {});
+            this.wakeWaiter();
+            return;
+        }
+
+        if (this.waiting.length > 0) {
+            this.waiting.shift().resolve(entry);
+            return;
+        }
+
+        this.idle.push(entry);
+        this.scheduleIdleTimer();
+    }
+
+    /**
+     * Let the next waiting caller acquire a freed slot (creating a fresh worker)
+     */
+    wakeWaiter() {
+        if (this.waiting.length > 0) {
+            const waiter = this.waiting.shift();
+            this.acquire(waiter.languages).then(waiter.resolve, waiter.reject);
+        }
+    }
+
+    /**
+     * Recognize an image with the next free worker
+     */
+    async recognize(imagePath, languages = DEFAULT_LANGUAGES) {
+        const entry = await this.acquire(languages);
+        let broken = false;
+
+        try {
+            return await entry.worker.recognize(imagePath, {}, { blocks: true, text: true });
+        } catch (error) {
+            broken = true;
+            throw error;
+        } finally {
+            this.release(entry, broken);
+        }
+    }
+
+    /**
+     * Detect the dominant script of an image (needs the legacy "osd" model)
+     */
+    async detectScript(imagePath) {
+        if (!this.detector) {
+            this.detector = this.ensureLanguage('osd')
+                .then(() => Tesseract.createWorker('osd', 0, this.workerOptions()));
+        }
+
+        try {
+            const worker = await this.detector;
+            const { data } = await worker.detect(imagePath);
+            return { script: data.script, confidence: data.script_confidence };
+        } catch (error) {
+            this.detector = null;
+            throw error;
+        }
+    }
+
+    scheduleIdleTimer() {
+        if (!this.idleTimeout || this.idle.length !== this.count) return;
+
+        this.idleTimer = setTimeout(() => this.terminate(), this.idleTimeout);
+        this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    /**
+     * Terminate all idle workers
+     */
+    async terminate() {
+        this.clearIdleTimer();
+        const entries = this.idle.splice(0);
+        this.count -= entries.length;
+
+        const detector = this.detector;
+        this.detector = null;
+        if (detector) {
+            entries.push({ worker: await detector.catch(() => null) });
+        }
+
+        await Promise.all(entries
+            .filter(e => e.worker)
+            .map(e => e.worker.terminate().catch(() => {})));
+        if (entries.length > 0 && this.logger) {
+            this.logger.debug(`Terminated ${entries.length} idle OCR worker(s)`);
+        }
+    }
+}
+
+/**
+ * Rasterize one PDF page to PNG
+ *
+ * Encrypted PDFs are rendered in-process with pdf.js: ImageMagick only takes
+ * the password as a command-line argument, which other users can read from
+ * the process list.
+ */
+async function rasterizePage(filePath, pageNumber, imagePath, password) {
+    if (password) {
+        const doc = await openDocument(fs.readFileSync(filePath), { password });
+        try {
+            fs.writeFileSync(imagePath, await renderPagePng(doc, pageNumber, OCR_DENSITY));
+        } finally {
+            await doc.destroy();
+        }
+        return;
+    }
+
+    // Use spawn with argument array (safe - prevents command injection)
+    await safeSpawn('convert', [
+        '-density', String(OCR_DENSITY),
+        `${filePath}[${pageNumber - 1}]`,
+        '-quality', '75',
+        imagePath
+    ], { timeout: 30000 });
+}
+
+/**
+ * Pick OCR languages for a document from the script detected on its first page
+ */
+async function detectLanguages(filePath, pool, imagePath, fallback, password) {
+    try {
+        await rasterizePage(filePath, 1, imagePath, password);
+        const { script, confidence } = await pool.detectScript(imagePath);
+        return {
+            languages: SCRIPT_LANGUAGES[script] || fallback,
+            detection: { script, confidence }
+        };
+    } catch (error) {
+        return { languages: fallback, detection: { script: null, error: error.message } };
+    } finally {
+        if (fs.existsSync(imagePath)) {
+            fs.unlinkSync(imagePath);
+        }
+    }
+}
+
+/**
+ * OCR every page of a PDF, keeping Tesseract word boxes
+ *
+ * Options:
+ *   pool         - OCRWorkerPool used for recognition (its size bounds concurrency)
+ *   workDir      - directory for temporary page images
+ *   languages    - Tesseract language set ("deu+eng") or "auto" to detect the script
+ *   fallbackLanguages - languages used when detection finds no known script
+ *   pages        - page numbers to OCR (default: every page)
+ *   password     - password of an encrypted PDF
+ *   maxPages     - OCR at most N of those pages (0 = no limit)
+ *   timeBudgetMs - stop starting new pages after this many ms (0 = no limit)
+ *   onPage       - called after each page with { page, pagesDone, pagesTotal, failed }
+ *
+ * A failed page does not stop the run; it is listed in `failures`. Pages left
+ * out by the page or time budget are listed in `skipped`.
+ */
+async function ocrPDF(filePath, options) {
+    const { pool, workDir } = options;
+    const maxPages = options.maxPages || 0;
+    const timeBudgetMs = options.timeBudgetMs || 0;
+    const onPage = options.onPage || (() => {});
+    const startedAt = Date.now();
+
+    const doc = await openDocument(fs.readFileSync(filePath), { password: options.password });
+    const pageCount = doc.numPages;
+    await doc.destroy();
+
+    const pageNumbers = options.pages
+        ? [...new Set(options.pages)].filter(n => n >= 1 && n <= pageCount).sort((a, b) => a - b)
+        : Array.from({ length: pageCount }, (_, i) => i + 1);
+    const scale = 72 / OCR_DENSITY; // image pixels to PDF points
+    const runId = crypto.randomBytes(6).toString('hex');
+
+    let languages = options.languages || DEFAULT_LANGUAGES;
+    let detection = null;
+    if (languages === 'auto') {
+        const imagePath = path.join(workDir, `ocr-${runId}-detect.png`);
+        ({ languages, detection } = await detectLanguages(
+            filePath, pool, imagePath, options.fallbackLanguages || DEFAULT_LANGUAGES, options.password
+        ));
+    }
+
+    const failures = [];
+    const skipped = [];
+    let pagesDone = 0;
+
+    const results = await mapWithConcurrency(pageNumbers, pool.size, async (pageNumber, index) => {
+        if (maxPages && index >= maxPages) {
+            skipped.push(pageNumber);
+            return null;
+        }
+
+        if (timeBudgetMs && Date.now() - startedAt > timeBudgetMs) {
+            skipped.push(pageNumber);
+            return null;
+        }
+
+        const imagePath = path.join(workDir, `ocr-${runId}-page${pageNumber}.png`);
+        let failed = false;
+
+        try {
+            await rasterizePage(filePath, pageNumber, imagePath, options.password);
+            const { data } = await pool.recognize(imagePath, languages);
+            const size = readPngSize(imagePath);
+
+            return {
+                number: pageNumber,
+                width: size.width * scale,
+                height: size.height * scale,
+                scale,
+                confidence: data.confidence,
+                text: data.text,
+                blocks: data.blocks
+            };
+        } catch (error) {
+            failed = true;
+            failures.push({ page: pageNumber, error: error.message });
+            return null;
+        } finally {
+            // Clean up temporary image file
+            if (fs.existsSync(imagePath)) {
+                fs.unlinkSync(imagePath);
+            }
+            onPage({ page: pageNumber, pagesDone: ++pagesDone, pagesTotal: pageNumbers.length, failed });
+        }
+    });
+
+    failures.sort((a, b) => a.page - b.page);
+    skipped.sort((a, b) => a - b);
+
+    return {
+        pageCount,
+        requested: pageNumbers,
+        languages,
+        detection,
+        pages: results.filter(Boolean),
+        failures,
+        skipped
+    };
+}
+
+/**
+ * Summary of an OCR run suitable for API responses
+ */
+function ocrReport(result) {
+    return {
+        pageCount: result.pageCount,
+        ocrPages: result.requested,
+        pagesProcessed: result.pages.length,
+        languages: result.languages.split('+'),
+        detectedScript: result.detection ? result.detection.script : undefined,
+        failedPages: result.failures,
+        skippedPages: result.skipped,
+        complete: result.failures.length === 0 && result.skipped.length === 0
+    };
+}
+
+module.exports = {
+    OCR_DENSITY,
+    OCR_LANGUAGES,
+    OCRWorkerPool,
+    parseLanguages,
+    listLanguages,
+    ocrPDF,
+    ocrReport,
+    mapWithConcurrency
+};
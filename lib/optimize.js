@@ -0,0 +1,402 @@
+/**
+ * PDFOX Optimize
+ * Shrinks PDFs by downsampling images, merging duplicate fonts and dropping unused objects
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    PDFName, PDFNumber, PDFArray, PDFDict, PDFRef, PDFRawStream
+} = require('pdf-lib');
+const { safeSpawn } = require('./spawn');
+const { loadPdfDocument } = require('./pdf-document');
+const { formatPageRanges } = require('./page-ranges');
+const { findImagePlacements, exportImage, streamFilters } = require('./conversion/images');
+
+const DEFAULT_DPI = 150;
+const DEFAULT_QUALITY = 75;
+const MIN_DPI = 36;
+const MAX_DPI = 600;
+
+// Only resample images above this multiple of the target resolution, so
+// images just over it are not re-encoded for little gain (as Ghostscript does)
+const DOWNSAMPLE_THRESHOLD = 1.5;
+
+const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3'];
+
+/**
+ * Validate and fill in optimize options
+ */
+function normalizeOptions(options = {}) {
+    const dpi = options.dpi === undefined || options.dpi === '' ? DEFAULT_DPI : Number(options.dpi);
+    const quality = options.quality === undefined || options.quality === '' ? DEFAULT_QUALITY : Number(options.quality);
+
+    if (!Number.isInteger(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+        throw new Error(`Invalid dpi: ${options.dpi} (${MIN_DPI}-${MAX_DPI})`);
+    }
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        throw new Error(`Invalid quality: ${options.quality} (1-100)`);
+    }
+
+    return { dpi, quality };
+}
+
+function nameOf(context, value) {
+    const resolved = context.lookup(value);
+    return resolved instanceof PDFName ? resolved.decodeText() : null;
+}
+
+/**
+ * Number of color components in a JPEG (from its frame header)
+ */
+function jpegComponents(data) {
+    let offset = 2;
+    while (offset + 9 < data.length && data[offset] === 0xff) {
+        const marker = data[offset + 1];
+        const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+        if (isFrame) return data[offset + 9];
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return 3;
+}
+
+/**
+ * Whether an exported image (JPEG or PNG) is grayscale
+ */
+function isGrayscale(image) {
+    if (image.format === 'jpeg') return jpegComponents(image.data) === 1;
+    const colorType = image.data[25]; // IHDR color type
+    return colorType === 0 || colorType === 4;
+}
+
+/**
+ * Lowest resolution an image is shown at across its placements
+ */
+function effectiveDpi(width, height, placements) {
+    const resolutions = placements
+        .filter(p => p.width > 0.01 && p.height > 0.01)
+        .map(p => 72 * Math.sqrt((width * height) / (p.width * p.height)));
+    return resolutions.length > 0 ? Math.min(...resolutions) : 0;
+}
+
+/**
+ * Why an image cannot be resampled, or null when it can
+ */
+function unsupportedReason(context, stream) {
+    const dict = stream.dict;
+    const imageMask = context.lookup(dict.get(PDFName.of('ImageMask')));
+    if (imageMask !== undefined && imageMask.toString() === 'true') return 'Stencil masks are kept as they are';
+    if (context.lookup(dict.get(PDFName.of('Mask'))) instanceof PDFArray) return 'Color key masks are kept as they are';
+    if (dict.get(PDFName.of('Decode')) && streamFilters(context, dict).includes('DCTDecode')) {
+        return 'JPEG images with a Decode array are kept as they are';
+    }
+    const bits = context.lookup(dict.get(PDFName.of('BitsPerComponent')));
+    if (bits instanceof PDFNumber && bits.asNumber() === 1) return 'Bilevel images are kept as they are';
+    return null;
+}
+
+/**
+ * Resize and encode an exported image as JPEG with ImageMagick
+ *
+ * Alpha is dropped: soft masks stay on the image dictionary.
+ */
+async function resampleToJpeg(image, width, height, quality, gray) {
+    const base = path.join(os.tmpdir(), `pdfox-${crypto.randomBytes(8).toString('hex')}`);
+    const inputPath = `${base}.${image.extension}`;
+    const outputPath = `${base}-optimized.jpg`;
+
+    try {
+        fs.writeFileSync(inputPath, image.data);
+        await safeSpawn('convert', [
+            inputPath,
+            '-alpha', 'off',
+            '-resize', `${width}x${height}!`,
+            '-colorspace', gray ? 'Gray' : 'sRGB',
+            ...(gray ? ['-type', 'Grayscale'] : []),
+            '-quality', String(quality),
+            '-strip',
+            `jpg:${outputPath}`
+        ], { timeout: 60000 });
+        return fs.readFileSync(outputPath);
+    } finally {
+        for (const filePath of [inputPath, outputPath]) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+}
+
+/**
+ * One-line reason for an image that could not be resampled
+ *
+ * ImageMagick failures carry its stderr, which is not shown to users.
+ */
+function resampleFailure(error) {
+    if (error.syscall && error.syscall.startsWith('spawn')) return 'ImageMagick is not available to resample images';
+    if (error.signal) return 'Resampling timed out';
+    if (error.exitCode !== undefined) return 'Image data could not be decoded';
+    return error.message;
+}
+
+/**
+ * Skipped images grouped by reason: `[{ reason, count, pages }]` with pages
+ * as ranges ("1-3,7")
+ */
+function summarizeSkipped(skipped) {
+    const groups = new Map();
+    for (const { page, reason } of skipped) {
+        if (!groups.has(reason)) groups.set(reason, []);
+        groups.get(reason).push(page);
+    }
+    return [...groups].map(([reason, pages]) => ({ reason, count: pages.length, pages: formatPageRanges(pages) }));
+}
+
+/**
+ * Downsample images shown above the target resolution, in place
+ *
+ * Returns `{ total, downsampled, skipped }` (skipped images as `{ page,
+ * name, reason }`); an image is only replaced when the JPEG is smaller than
+ * the stored data.
+ */
+async function downsampleImages(pdfDoc, settings) {
+    const context = pdfDoc.context;
+    const pageNumbers = pdfDoc.getPages().map((_, index) => index + 1);
+    const { images } = findImagePlacements(pdfDoc, pageNumbers);
+    const result = { total: images.size, downsampled: 0, skipped: [] };
+
+    for (const { name, ref, stream, placements } of images.values()) {
+        const skip = (reason) => result.skipped.push({ page: placements[0].page, name, reason });
+        const width = context.lookup(stream.dict.get(PDFName.of('Width')));
+        const height = context.lookup(stream.dict.get(PDFName.of('Height')));
+        if (!ref || !(width instanceof PDFNumber) || !(height instanceof PDFNumber)) continue;
+
+        const dpi = effectiveDpi(width.asNumber(), height.asNumber(), placements);
+        if (dpi <= settings.dpi * DOWNSAMPLE_THRESHOLD) continue;
+
+        const reason = unsupportedReason(context, stream);
+        if (reason) {
+            skip(reason);
+            continue;
+        }
+
+        const scale = settings.dpi / dpi;
+        const targetWidth = Math.max(1, Math.round(width.asNumber() * scale));
+        const targetHeight = Math.max(1, Math.round(height.asNumber() * scale));
+
+        let jpeg;
+        let gray;
+        try {
+            const image = exportImage(context, stream);
+            if (image.format !== 'jpeg' && image.format !== 'png') {
+                throw new Error(`Unsupported encoding ${image.format}`);
+            }
+            gray = isGrayscale(image);
+            jpeg = await resampleToJpeg(image, targetWidth, targetHeight, settings.quality, gray);
+        } catch (error) {
+            skip(resampleFailure(error));
+            continue;
+        }
+
+        if (jpeg.length >= stream.contents.length) {
+            skip('Resampled image was not smaller');
+            continue;
+        }
+
+        const dict = stream.dict.clone(context);
+        for (const key of ['DecodeParms', 'Decode', 'Length']) {
+            dict.delete(PDFName.of(key));
+        }
+        dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+        dict.set(PDFName.of('ColorSpace'), PDFName.of(gray ? 'DeviceGray' : 'DeviceRGB'));
+        dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+        dict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+        dict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+
+        context.assign(ref, PDFRawStream.of(dict, jpeg));
+        result.downsampled++;
+    }
+
+    return result;
+}
+
+/**
+ * Replace references in an object (and the direct objects inside it)
+ */
+function replaceRefs(object, replacements) {
+    const swap = (value) => (value instanceof PDFRef && replacements.has(value.toString())
+        ? replacements.get(value.toString())
+        : value);
+
+    if (object instanceof PDFRawStream) {
+        replaceRefs(object.dict, replacements);
+    } else if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            object.set(key, swap(value));
+            replaceRefs(value, replacements);
+        }
+    } else if (object instanceof PDFArray) {
+        for (let index = 0; index < object.size(); index++) {
+            const value = object.get(index);
+            object.set(index, swap(value));
+            replaceRefs(value, replacements);
+        }
+    }
+}
+
+/**
+ * Fingerprint of an object's content (streams by their dictionary and data)
+ */
+function fingerprint(object) {
+    if (object instanceof PDFRawStream) {
+        const hash = crypto.createHash('sha256').update(object.contents).digest('hex');
+        return `${object.dict.toString()}\n${hash}`;
+    }
+    return object.toString();
+}
+
+/**
+ * Font objects: font programs, ToUnicode maps, descriptors and font dictionaries
+ */
+function fontObjectRefs(context) {
+    const fonts = [];
+    const parts = new Map();
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        const dict = object instanceof PDFRawStream ? object.dict : object;
+        if (!(dict instanceof PDFDict)) continue;
+
+        const type = nameOf(context, dict.get(PDFName.of('Type')));
+        if (type === 'Font') {
+            fonts.push(ref);
+            const toUnicode = dict.get(PDFName.of('ToUnicode'));
+            if (toUnicode instanceof PDFRef) parts.set(toUnicode.toString(), toUnicode);
+        } else if (type === 'FontDescriptor') {
+            fonts.push(ref);
+            for (const key of FONT_FILE_KEYS) {
+                const file = dict.get(PDFName.of(key));
+                if (file instanceof PDFRef) parts.set(file.toString(), file);
+            }
+        }
+    }
+
+    return { fonts, parts };
+}
+
+/**
+ * Merge identical font programs, descriptors and font dictionaries
+ *
+ * PDFs assembled from several files often embed the same font once per
+ * source. Merging repeats until nothing changes, since merged programs make
+ * their descriptors identical, and those their fonts. Returns the number of
+ * font dictionaries merged.
+ */
+function mergeDuplicateFonts(pdfDoc) {
+    const context = pdfDoc.context;
+    let fontsMerged = 0;
+
+    for (;;) {
+        const { fonts, parts } = fontObjectRefs(context);
+        const candidates = [...parts.values(), ...fonts];
+
+        const seen = new Map();
+        const replacements = new Map();
+        const merged = [];
+        for (const ref of candidates) {
+            const object = context.lookup(ref);
+            if (!object) continue;
+            const key = fingerprint(object);
+            if (seen.has(key)) {
+                replacements.set(ref.toString(), seen.get(key));
+                merged.push(ref);
+                if (object instanceof PDFDict && nameOf(context, object.get(PDFName.of('Type'))) === 'Font') fontsMerged++;
+            } else {
+                seen.set(key, ref);
+            }
+        }
+
+        if (replacements.size === 0) break;
+
+        for (const [, object] of context.enumerateIndirectObjects()) {
+            replaceRefs(object, replacements);
+        }
+        merged.forEach(ref => context.delete(ref));
+    }
+
+    return fontsMerged;
+}
+
+/**
+ * Delete objects that cannot be reached from the document catalog or info
+ * dictionary (leftovers of edits and incremental saves). Returns the count.
+ */
+function removeUnusedObjects(pdfDoc) {
+    const context = pdfDoc.context;
+    const reachable = new Set();
+    const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+    while (pending.length > 0) {
+        const value = pending.pop();
+
+        if (value instanceof PDFRef) {
+            const key = value.toString();
+            if (reachable.has(key)) continue;
+            reachable.add(key);
+            const object = context.lookup(value);
+            if (object) pending.push(object);
+        } else if (value instanceof PDFRawStream) {
+            pending.push(value.dict);
+        } else if (value instanceof PDFDict) {
+            pending.push(...value.values());
+        } else if (value instanceof PDFArray) {
+            pending.push(...value.asArray());
+        }
+    }
+
+    const unused = context.enumerateIndirectObjects()
+        .map(([ref]) => ref)
+        .filter(ref => !reachable.has(ref.toString()));
+    unused.forEach(ref => context.delete(ref));
+    return unused.length;
+}
+
+/**
+ * Optimize a PDF for size
+ *
+ * Images shown above `dpi` (default 150) are downsampled to it and stored as
+ * JPEG at `quality` (1-100, default 75), duplicate fonts are merged and
+ * unused objects removed. Returns `{ data, originalSize, optimizedSize,
+ * images, fontsMerged, objectsRemoved }`; when nothing got smaller `data`
+ * is the original file.
+ */
+async function optimizePdf(data, options = {}) {
+    const settings = normalizeOptions(options);
+    const pdfDoc = await loadPdfDocument(data, { ignoreEncryption: true, updateMetadata: false });
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Optimization is not supported for encrypted PDFs');
+    }
+
+    const images = await downsampleImages(pdfDoc, settings);
+    const fontsMerged = mergeDuplicateFonts(pdfDoc);
+    const objectsRemoved = removeUnusedObjects(pdfDoc);
+
+    const optimized = Buffer.from(await pdfDoc.save({ useObjectStreams: true }));
+    const output = optimized.length < data.length ? optimized : Buffer.from(data);
+
+    return {
+        data: output,
+        originalSize: data.length,
+        optimizedSize: output.length,
+        images,
+        fontsMerged,
+        objectsRemoved
+    };
+}
+
+module.exports = {
+    optimizePdf,
+    summarizeSkipped,
+    removeUnusedObjects
+};
@@ -0,0 +1,176 @@
+/**
+ * PDFOX Page Operations
+ * Merges, splits, extracts, reorders and rotates PDF pages with pdf-lib
+ */
+
+'use strict';
+
+const { PDFDocument, degrees } = require('pdf-lib');
+const { selectPages, formatPageRanges } = require('./page-ranges');
+const { loadPdfDocument } = require('./pdf-document');
+
+/**
+ * Load a PDF for editing (pdf-lib cannot decrypt encrypted files)
+ */
+async function loadPdf(data) {
+    const pdfDoc = await loadPdfDocument(data, { ignoreEncryption: true });
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Page operations are not supported for encrypted PDFs');
+    }
+    return pdfDoc;
+}
+
+/**
+ * Save a document to a Buffer
+ */
+async function savePdf(pdfDoc) {
+    return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Selected page numbers, failing when the selection misses the document
+ */
+function selectedPages(ranges, pageCount) {
+    const pages = selectPages(ranges, pageCount);
+    if (pages.length === 0) {
+        throw new Error(`Page range is outside the document (${pageCount} pages)`);
+    }
+    return pages;
+}
+
+/**
+ * New document with pages (1-based numbers) copied from `source`
+ */
+async function copyToNewDocument(source, pageNumbers) {
+    const pdfDoc = await PDFDocument.create();
+    const pages = await pdfDoc.copyPages(source, pageNumbers.map(page => page - 1));
+    pages.forEach(page => pdfDoc.addPage(page));
+    return pdfDoc;
+}
+
+/**
+ * Merge PDFs in the given order
+ */
+async function mergePdfs(buffers) {
+    const merged = await PDFDocument.create();
+
+    for (const data of buffers) {
+        const source = await loadPdf(data);
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+    }
+
+    return savePdf(merged);
+}
+
+/**
+ * Keep only the selected pages (in document order)
+ */
+async function extractPages(data, ranges) {
+    const pdfDoc = await loadPdf(data);
+    const keep = new Set(selectedPages(ranges, pdfDoc.getPageCount()));
+
+    for (let index = pdfDoc.getPageCount() - 1; index >= 0; index--) {
+        if (!keep.has(index + 1)) {
+            pdfDoc.removePage(index);
+        }
+    }
+
+    return savePdf(pdfDoc);
+}
+
+/**
+ * Split a PDF into parts, one per range or every `every` pages
+ *
+ * Returns `[{ pages, data }]` where `pages` describes the part ("1-3").
+ */
+async function splitPdf(data, options = {}) {
+    const source = await loadPdf(data);
+    const pageCount = source.getPageCount();
+
+    let parts;
+    if (options.ranges) {
+        parts = options.ranges
+            .map(range => selectPages([range], pageCount))
+            .filter(pages => pages.length > 0);
+        if (parts.length === 0) {
+            throw new Error(`Page range is outside the document (${pageCount} pages)`);
+        }
+    } else {
+        const every = options.every || 1;
+        parts = [];
+        for (let start = 1; start <= pageCount; start += every) {
+            parts.push(selectPages([{ start, end: start + every - 1 }], pageCount));
+        }
+    }
+
+    const results = [];
+    for (const pages of parts) {
+        const part = await copyToNewDocument(source, pages);
+        results.push({ pages: formatPageRanges(pages), data: await savePdf(part) });
+    }
+    return results;
+}
+
+/**
+ * Put pages in a new order
+ *
+ * `ranges` are expanded in the order given ("3-5,1-2") and must name every
+ * page exactly once.
+ */
+async function reorderPages(data, ranges) {
+    const pdfDoc = await loadPdf(data);
+    const pageCount = pdfDoc.getPageCount();
+
+    const order = [];
+    for (const { start, end } of ranges) {
+        const last = end === null ? pageCount : end;
+        for (let page = start; page <= last; page++) {
+            order.push(page);
+        }
+    }
+
+    const complete = order.length === pageCount &&
+        new Set(order).size === pageCount &&
+        order.every(page => page >= 1 && page <= pageCount);
+    if (!complete) {
+        throw new Error(`Invalid order: list each of the ${pageCount} pages exactly once`);
+    }
+
+    const pages = pdfDoc.getPages();
+    for (let index = pageCount - 1; index >= 0; index--) {
+        pdfDoc.removePage(index);
+    }
+    order.forEach(page => pdfDoc.addPage(pages[page - 1]));
+
+    return savePdf(pdfDoc);
+}
+
+/**
+ * Rotate selected pages (all by default) clockwise by a multiple of 90 degrees
+ */
+async function rotatePages(data, angle, ranges) {
+    const rotation = Number(angle);
+    if (!Number.isInteger(rotation) || rotation % 90 !== 0) {
+        throw new Error(`Invalid angle: ${angle} (use a multiple of 90)`);
+    }
+
+    const pdfDoc = await loadPdf(data);
+    const pages = pdfDoc.getPages();
+
+    for (const number of selectedPages(ranges, pages.length)) {
+        const page = pages[number - 1];
+        const current = page.getRotation().angle;
+        page.setRotation(degrees((((current + rotation) % 360) + 360) % 360));
+    }
+
+    return savePdf(pdfDoc);
+}
+
+module.exports = {
+    mergePdfs,
+    extractPages,
+    splitPdf,
+    reorderPages,
+    rotatePages
+};
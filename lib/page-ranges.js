@@ -0,0 +1,95 @@
+/**
+ * PDFOX Page Ranges
+ * Parses and formats page selections such as "1-3,7,10-"
+ */
+
+'use strict';
+
+const MAX_RANGES = 100;
+
+/**
+ * Parse a page selection into ranges ({ start, end }, end null = last page)
+ *
+ * Accepts single pages ("7"), closed ranges ("1-3"), open ranges ("10-")
+ * and ranges from the first page ("-5"), separated by commas. Returns null
+ * when no selection is given; throws on invalid input.
+ */
+function parsePageRanges(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0 || parts.length > MAX_RANGES) {
+        throw new Error(`Invalid page range: ${value}`);
+    }
+
+    return parts.map(part => {
+        const match = part.match(/^(\d+)$|^(\d*)\s*-\s*(\d*)$/);
+        if (!match || (match[1] === undefined && !match[2] && !match[3])) {
+            throw new Error(`Invalid page range: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (match[1] !== undefined) {
+            start = end = parseInt(match[1], 10);
+        } else {
+            start = match[2] ? parseInt(match[2], 10) : 1;
+            end = match[3] ? parseInt(match[3], 10) : null;
+        }
+
+        if (start < 1 || (end !== null && end < start)) {
+            throw new Error(`Invalid page range: ${part}`);
+        }
+
+        return { start, end };
+    });
+}
+
+/**
+ * Page numbers selected by ranges in a document of `pageCount` pages
+ *
+ * Pages past the end of the document are ignored. Without ranges every
+ * page is selected.
+ */
+function selectPages(ranges, pageCount) {
+    if (!ranges) {
+        return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+    for (const { start, end } of ranges) {
+        const last = Math.min(end === null ? pageCount : end, pageCount);
+        for (let page = start; page <= last; page++) {
+            pages.add(page);
+        }
+    }
+
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Format page numbers as compact ranges ([1, 2, 3, 7] -> "1-3,7")
+ */
+function formatPageRanges(pages) {
+    const sorted = [...new Set(pages)].sort((a, b) => a - b);
+    const ranges = [];
+
+    for (const page of sorted) {
+        const range = ranges[ranges.length - 1];
+        if (range && page === range.end + 1) {
+            range.end = page;
+        } else {
+            ranges.push({ start: page, end: page });
+        }
+    }
+
+    return ranges.map(r => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`)).join(',');
+}
+
+module.exports = {
+    parsePageRanges,
+    selectPages,
+    formatPageRanges
+};
@@ -0,0 +1,104 @@
+/**
+ * PDFOX Passwords
+ * Salted scrypt hashing for share passwords, shared by the server and CLI
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Current scrypt cost (N = 2^15, about 32 MB and tens of milliseconds per hash);
+// hashes made with other parameters are upgraded on their next successful verify
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// Unsalted SHA-256 hex digests written before scrypt hashing
+const LEGACY_SHA256 = /^[a-f0-9]{64}$/;
+
+// Stored scrypt hashes: scrypt$N$r$p$<salt>$<key>
+const SCRYPT_HASH = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+
+// Largest parameters accepted from a stored hash (N = 2^20 needs 1 GB with r = 8)
+const MAX_SCRYPT_PARAMS = { N: 1048576, r: 32, p: 16 };
+
+/**
+ * scrypt key of `length` bytes for a password, salt and parameters
+ */
+function deriveKey(password, salt, length, params) {
+    return scrypt(password, salt, length, {
+        ...params,
+        maxmem: 128 * params.N * params.r * 2
+    });
+}
+
+/**
+ * Hash a password as `scrypt$N$r$p$<salt>$<key>` (base64 salt and key)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await deriveKey(String(password), salt, KEY_BYTES, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Hashing scheme of a stored hash: 'scrypt', 'sha256' (legacy) or null
+ */
+function passwordScheme(stored) {
+    if (typeof stored !== 'string') return null;
+    if (stored.startsWith('scrypt$')) return 'scrypt';
+    if (LEGACY_SHA256.test(stored)) return 'sha256';
+    return null;
+}
+
+/**
+ * Check a password against a stored hash in constant time. needsRehash is
+ * set when the password matched a legacy SHA-256 hash or older scrypt
+ * parameters, so the caller can store hashPassword(password) instead.
+ */
+async function verifyPassword(password, stored) {
+    const scheme = passwordScheme(stored);
+
+    if (scheme === 'sha256') {
+        const digest = crypto.createHash('sha256').update(String(password)).digest();
+        const valid = crypto.timingSafeEqual(digest, Buffer.from(stored, 'hex'));
+        return { valid, needsRehash: valid };
+    }
+
+    if (scheme === 'scrypt') {
+        const match = SCRYPT_HASH.exec(stored);
+        if (!match) return { valid: false, needsRehash: false };
+
+        const [, N, r, p, salt, key] = match;
+        const params = { N: parseInt(N), r: parseInt(r), p: parseInt(p) };
+        const expected = Buffer.from(key, 'base64');
+        // N must be a power of two; costs above MAX_SCRYPT_PARAMS are refused, not computed
+        const usable = params.N > 1 && (params.N & (params.N - 1)) === 0 && params.N <= MAX_SCRYPT_PARAMS.N &&
+            params.r >= 1 && params.r <= MAX_SCRYPT_PARAMS.r && params.p >= 1 && params.p <= MAX_SCRYPT_PARAMS.p;
+        if (!usable || expected.length === 0) {
+            return { valid: false, needsRehash: false };
+        }
+
+        let derived;
+        try {
+            derived = await deriveKey(String(password), Buffer.from(salt, 'base64'), expected.length, params);
+        } catch (error) {
+            return { valid: false, needsRehash: false };
+        }
+        const valid = crypto.timingSafeEqual(derived, expected);
+        const current = params.N === SCRYPT_PARAMS.N && params.r === SCRYPT_PARAMS.r && params.p === SCRYPT_PARAMS.p;
+        return { valid, needsRehash: valid && !current };
+    }
+
+    return { valid: false, needsRehash: false };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    passwordScheme
+};
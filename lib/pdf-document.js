@@ -0,0 +1,31 @@
+/**
+ * PDFOX PDF Documents
+ * Loads uploaded PDFs with pdf-lib
+ */
+
+'use strict';
+
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Load a PDF with pdf-lib (`options` as for PDFDocument.load)
+ *
+ * Files pdf-lib cannot parse (not a PDF, truncated, no page tree)
+ * fail with code "invalid_pdf" and a message starting with "Invalid PDF file".
+ */
+async function loadPdfDocument(data, options = {}) {
+    try {
+        const pdfDoc = await PDFDocument.load(data, options);
+        // Files without a page tree only fail once pages are read
+        pdfDoc.getPageCount();
+        return pdfDoc;
+    } catch (error) {
+        const failure = new Error(`Invalid PDF file: ${error.message}`);
+        failure.code = 'invalid_pdf';
+        throw failure;
+    }
+}
+
+module.exports = {
+    loadPdfDocument
+};
@@ -0,0 +1,198 @@
+/**
+ * PDFOX Rate Limiting
+ * Per-route request limits and failure lockouts, keyed on client IP and resource
+ *
+ * Counters live in the data store, so they survive restarts and are shared
+ * with the CLI, which can list and clear them. Two kinds of policy:
+ *
+ *   { windowMs, max }             at most `max` requests per window
+ *   { windowMs, max, lockoutMs }  `max` attempts within a window; a client
+ *                                 going over it, or failing the last one, is
+ *                                 locked out for `lockoutMs`
+ */
+
+'use strict';
+
+// Policies by name, counted per client IP (share routes also per share)
+const RATE_LIMIT_POLICIES = {
+    default: { windowMs: 5 * 60 * 1000, max: 600 },
+    conversion: { windowMs: 15 * 60 * 1000, max: 60 },
+    pdfTools: { windowMs: 15 * 60 * 1000, max: 120 },
+    payment: { windowMs: 15 * 60 * 1000, max: 20 },
+    proRecover: { windowMs: 60 * 60 * 1000, max: 10 },
+    shareCreate: { windowMs: 60 * 60 * 1000, max: 30 },
+    shareAccess: { windowMs: 5 * 60 * 1000, max: 120 },
+    sharePassword: { windowMs: 15 * 60 * 1000, max: 3, lockoutMs: 5 * 60 * 1000 },
+    contact: { windowMs: 60 * 60 * 1000, max: 5 }
+};
+
+/**
+ * Wait time for messages, e.g. "4m 10s" or "45s"
+ */
+function formatRetryAfter(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+/**
+ * Rate limiter backed by a DataStore
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('Rate limiter requires a store');
+        }
+
+        this.store = options.store;
+        this.policies = options.policies || RATE_LIMIT_POLICIES;
+        this.ipHeaders = options.ipHeaders || [];
+        this.logger = options.logger || null;
+    }
+
+    /**
+     * Policy by name
+     */
+    policy(name) {
+        const policy = this.policies[name];
+        if (!policy) {
+            throw new Error(`Unknown rate limit policy: ${name}`);
+        }
+        return policy;
+    }
+
+    /**
+     * Client IP from the first configured proxy header, else the socket
+     * address (req.ip, which follows Express's `trust proxy` setting)
+     *
+     * No header is read unless configured: clients can send any header, so
+     * only ones set by the operator's own proxies identify a client.
+     */
+    clientIp(req) {
+        for (const header of this.ipHeaders) {
+            const value = req.headers[header];
+            if (value) {
+                return String(value).split(',')[0].trim();
+            }
+        }
+        return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+    }
+
+    /**
+     * Count a request against a request policy
+     * Returns { allowed, limit, remaining, retryAfter } (retryAfter in seconds)
+     */
+    consume(name, ip, resource = '', now = Date.now()) {
+        const policy = this.policy(name);
+        const counter = this.store.hitRateLimit(name, ip, resource, policy.windowMs, now);
+
+        return {
+            allowed: counter.count <= policy.max,
+            limit: policy.max,
+            remaining: Math.max(0, policy.max - counter.count),
+            retryAfter: Math.max(1, Math.ceil((counter.expiresAt - now) / 1000))
+        };
+    }
+
+    /**
+     * Count an attempt for a lockout policy before it is made
+     *
+     * The counter is incremented atomically first, so concurrent attempts
+     * cannot all pass a check made before any of them failed. Returns
+     * { allowed, locked, remaining, retryAfter }: `remaining` attempts are
+     * left after this one; refused attempts (locked, or over the limit,
+     * which starts the lockout) have `retryAfter` in seconds. Call reset()
+     * when the attempt succeeds and lock() when the last one fails.
+     */
+    attempt(name, ip, resource = '', now = Date.now()) {
+        const policy = this.policy(name);
+        const counter = this.store.hitRateLimit(name, ip, resource, policy.windowMs, now);
+
+        if (counter.lockedUntil && counter.lockedUntil > now) {
+            return { allowed: false, locked: true, remaining: 0, retryAfter: Math.ceil((counter.lockedUntil - now) / 1000) };
+        }
+        if (counter.count > policy.max) {
+            return { allowed: false, ...this.lock(name, ip, resource, now) };
+        }
+        return { allowed: true, locked: false, remaining: policy.max - counter.count, retryAfter: 0 };
+    }
+
+    /**
+     * Lock a client out for the policy's lockout period; returns
+     * { locked, remaining, retryAfter } (retryAfter in seconds)
+     */
+    lock(name, ip, resource = '', now = Date.now()) {
+        const policy = this.policy(name);
+        this.store.lockRateLimit(name, ip, resource, now + policy.lockoutMs);
+        if (this.logger) {
+            this.logger.warn(`Rate limit lockout: ${name} for ${ip}${resource ? ` (${resource})` : ''}`);
+        }
+        return { locked: true, remaining: 0, retryAfter: Math.ceil(policy.lockoutMs / 1000) };
+    }
+
+    /**
+     * Clear a client's counter, e.g. after a successful attempt
+     */
+    reset(name, ip, resource = '') {
+        return this.store.deleteRateLimits({ policy: name, ip, resource }) > 0;
+    }
+
+    /**
+     * Express middleware applying a request policy
+     *
+     * `resource(req)` optionally narrows the counter to one resource (e.g. a
+     * share hash). Over the limit it answers 429 with a Retry-After header.
+     * If the store fails the request is let through rather than refused.
+     */
+    middleware(name, resource) {
+        const policy = this.policy(name);
+
+        return (req, res, next) => {
+            let result;
+            try {
+                result = this.consume(name, this.clientIp(req), resource ? String(resource(req) || '') : '');
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error(`Rate limit check failed (${name}):`, error.message);
+                }
+                return next();
+            }
+
+            res.set('RateLimit-Limit', String(policy.max));
+            res.set('RateLimit-Remaining', String(result.remaining));
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.retryAfter));
+                return res.status(429).json({
+                    error: 'Too many requests',
+                    message: `Too many requests. Please try again in ${formatRetryAfter(result.retryAfter)}.`,
+                    retryAfter: result.retryAfter
+                });
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Delete counters whose window and lockout are over; returns the count
+     */
+    cleanup(now = Date.now()) {
+        return this.store.deleteExpiredRateLimits(now);
+    }
+}
+
+/**
+ * Proxy headers trusted for the client IP, from RATE_LIMIT_IP_HEADERS
+ * (comma separated; unset or empty to use the socket address only)
+ */
+function ipHeadersFromEnv(env = process.env) {
+    return (env.RATE_LIMIT_IP_HEADERS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+    RateLimiter,
+    RATE_LIMIT_POLICIES,
+    formatRetryAfter,
+    ipHeadersFromEnv
+};
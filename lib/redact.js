@@ -0,0 +1,1229 @@
+/**
+ * PDFOX Redaction
+ * Removes text, image pixels and annotations under redaction boxes and verifies the result
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const {
+    PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFRef, PDFRawStream,
+    StandardFontEmbedder, StandardFonts, rgb
+} = require('pdf-lib');
+const { safeSpawn } = require('./spawn');
+const { loadPdfDocument } = require('./pdf-document');
+const { openDocument } = require('./conversion/pdfjs');
+const {
+    streamFilters, decodeStreamData, pageContents, pageViewMatrix, multiply
+} = require('./conversion/images');
+const { removeUnusedObjects } = require('./optimize');
+
+const MAX_FORM_DEPTH = 10;
+const MAX_AREAS = 500;
+
+// Glyph extent around the baseline (in text size units) when a font has no metrics
+const DEFAULT_ASCENT = 0.9;
+const DEFAULT_DESCENT = -0.25;
+
+// Text left under a box by less than this (points) is edge contact, not content
+const VERIFY_TOLERANCE = 0.5;
+
+// Common names of the standard 14 fonts
+const STANDARD_FONT_ALIASES = {
+    Arial: StandardFonts.Helvetica,
+    'Arial,Bold': StandardFonts.HelveticaBold,
+    'Arial,Italic': StandardFonts.HelveticaOblique,
+    'Arial,BoldItalic': StandardFonts.HelveticaBoldOblique,
+    TimesNewRoman: StandardFonts.TimesRoman,
+    'TimesNewRoman,Bold': StandardFonts.TimesRomanBold,
+    'TimesNewRoman,Italic': StandardFonts.TimesRomanItalic,
+    'TimesNewRoman,BoldItalic': StandardFonts.TimesRomanBoldItalic,
+    CourierNew: StandardFonts.Courier,
+    'CourierNew,Bold': StandardFonts.CourierBold
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+/**
+ * Bounding box of a rectangle (x0, y0)-(x1, y1) under a matrix
+ */
+function transformBox(matrix, x0, y0, x1, y1) {
+    const points = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(([x, y]) => [
+        matrix[0] * x + matrix[2] * y + matrix[4],
+        matrix[1] * x + matrix[3] * y + matrix[5]
+    ]);
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+    };
+}
+
+/**
+ * Whether two boxes overlap by more than `margin` in both directions
+ */
+function overlaps(a, b, margin = 0) {
+    return a.x + a.width - margin > b.x && b.x + b.width - margin > a.x &&
+        a.y + a.height - margin > b.y && b.y + b.height - margin > a.y;
+}
+
+function hitsAny(box, areas, margin = 0) {
+    return areas.some(area => overlaps(box, area, margin));
+}
+
+/**
+ * Inverse of an affine matrix (null when singular)
+ */
+function invert(m) {
+    const det = m[0] * m[3] - m[1] * m[2];
+    if (Math.abs(det) < 1e-12) return null;
+    return [
+        m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+// ============================================================================
+// Content stream parsing
+// ============================================================================
+
+const isWhite = (c) => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+const isDelimiter = (c) => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b ||
+    c === 0x5d || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+
+/**
+ * Decode the body of a literal string (without the parentheses)
+ */
+function decodeLiteral(bytes, start, end) {
+    const out = [];
+    for (let i = start; i < end; i++) {
+        const c = bytes[i];
+        if (c !== 0x5c) {
+            out.push(c);
+            continue;
+        }
+
+        const next = bytes[++i];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+            out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+            let octal = next - 0x30;
+            for (let n = 0; n < 2 && bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x37; n++) {
+                octal = octal * 8 + (bytes[++i] - 0x30);
+            }
+            out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+            if (bytes[i + 1] === 0x0a) i++; // Line continuation
+        } else if (next !== 0x0a) {
+            out.push(next);
+        }
+    }
+    return Buffer.from(out);
+}
+
+/**
+ * Split a content stream into operations
+ *
+ * Each operation is `{ operator, operands, start, end }` where `start`/`end`
+ * cover its bytes (operands included) so unchanged operations can be copied
+ * as they are. Operands are numbers, `{ name }`, `{ string }` (bytes),
+ * arrays and `{ dict }`. Inline images become one `BI` operation.
+ */
+function parseOperations(bytes) {
+    const operations = [];
+    const stack = [[]];
+    let start = null;
+    let i = 0;
+
+    const push = (value) => stack[stack.length - 1].push(value);
+
+    while (i < bytes.length) {
+        const c = bytes[i];
+
+        if (isWhite(c)) {
+            i++;
+            continue;
+        }
+        if (c === 0x25) { // % comment
+            while (i < bytes.length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+            continue;
+        }
+        if (start === null) start = i;
+
+        if (c === 0x28) { // ( literal string )
+            let depth = 0;
+            let j = i;
+            for (; j < bytes.length; j++) {
+                if (bytes[j] === 0x5c) { j++; continue; }
+                if (bytes[j] === 0x28) depth++;
+                if (bytes[j] === 0x29 && --depth === 0) break;
+            }
+            push({ string: decodeLiteral(bytes, i + 1, j) });
+            i = j + 1;
+        } else if (c === 0x3c && bytes[i + 1] === 0x3c) {
+            stack.push([]);
+            i += 2;
+        } else if (c === 0x3e && bytes[i + 1] === 0x3e) {
+            const entries = stack.length > 1 ? stack.pop() : [];
+            push({ dict: entries });
+            i += 2;
+        } else if (c === 0x3c) { // <hex string>
+            let j = i + 1;
+            while (j < bytes.length && bytes[j] !== 0x3e) j++;
+            let hex = Buffer.from(bytes.subarray(i + 1, j)).toString('latin1').replace(/[^0-9a-fA-F]/g, '');
+            if (hex.length % 2) hex += '0';
+            push({ string: Buffer.from(hex, 'hex') });
+            i = j + 1;
+        } else if (c === 0x5b) {
+            stack.push([]);
+            i++;
+        } else if (c === 0x5d) {
+            const items = stack.length > 1 ? stack.pop() : [];
+            push(items);
+            i++;
+        } else if (c === 0x2f) { // /Name
+            let j = i + 1;
+            while (j < bytes.length && !isWhite(bytes[j]) && !isDelimiter(bytes[j])) j++;
+            const raw = Buffer.from(bytes.subarray(i + 1, j)).toString('latin1');
+            push({ name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+            i = j;
+        } else if (c === 0x7b || c === 0x7d || c === 0x29 || c === 0x3e) {
+            i++; // Stray delimiters (PostScript calculator braces)
+        } else {
+            let j = i;
+            while (j < bytes.length && !isWhite(bytes[j]) && !isDelimiter(bytes[j])) j++;
+            const token = Buffer.from(bytes.subarray(i, j)).toString('latin1');
+
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                push(parseFloat(token));
+                i = j;
+            } else if (token === 'true' || token === 'false' || token === 'null') {
+                push({ keyword: token });
+                i = j;
+            } else if (token === 'BI') {
+                // Inline image: dictionary, ID, data up to an EI surrounded by whitespace
+                let k = j;
+                while (k < bytes.length - 1 && !(bytes[k] === 0x49 && bytes[k + 1] === 0x44 &&
+                    isWhite(bytes[k - 1]) && (k + 2 >= bytes.length || isWhite(bytes[k + 2])))) {
+                    k++;
+                }
+                k += 3;
+                while (k < bytes.length - 1 && !(bytes[k] === 0x45 && bytes[k + 1] === 0x49 &&
+                    isWhite(bytes[k - 1]) && (k + 2 >= bytes.length || isWhite(bytes[k + 2]) || isDelimiter(bytes[k + 2])))) {
+                    k++;
+                }
+                i = Math.min(bytes.length, k + 2);
+                operations.push({ operator: 'BI', operands: [], start, end: i });
+                stack.length = 1;
+                stack[0] = [];
+                start = null;
+            } else {
+                i = Math.max(j, i + 1);
+                operations.push({ operator: token, operands: stack[0], start, end: i });
+                stack.length = 1;
+                stack[0] = [];
+                start = null;
+            }
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Escape a name for content streams
+ */
+function contentName(name) {
+    return '/' + name.replace(/[^!-~]|[()<>[\]{}/%#]/g, c => `#${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * PDF syntax for a parsed operand
+ */
+function serializeOperand(value) {
+    if (typeof value === 'number') return formatNumber(value);
+    if (Array.isArray(value)) return `[${value.map(serializeOperand).join(' ')}]`;
+    if (value.name !== undefined) return contentName(value.name);
+    if (value.string) return `<${value.string.toString('hex')}>`;
+    if (value.dict) return `<<${value.dict.map(serializeOperand).join(' ')}>>`;
+    return value.keyword;
+}
+
+/**
+ * PDF syntax for a TJ array of byte strings and numbers
+ */
+function serializeTextArray(items) {
+    return `[${items.map(item => (typeof item === 'number'
+        ? formatNumber(item)
+        : `<${item.toString('hex')}>`)).join(' ')}] TJ`;
+}
+
+// ============================================================================
+// Fonts
+// ============================================================================
+
+function numberOf(context, value, fallback) {
+    const resolved = context.lookup(value);
+    return resolved instanceof PDFNumber ? resolved.asNumber() : fallback;
+}
+
+function nameOf(context, value) {
+    const resolved = context.lookup(value);
+    return resolved instanceof PDFName ? resolved.decodeText() : null;
+}
+
+/**
+ * Widths of a standard 14 font by character code (WinAnsi encoding)
+ */
+function standardFontWidths(baseFont) {
+    const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+    const standard = Object.values(StandardFonts).includes(name) ? name : STANDARD_FONT_ALIASES[name];
+    if (!standard) return null;
+
+    const embedder = StandardFontEmbedder.for(standard);
+    const widths = new Map();
+    for (const codePoint of embedder.encoding.supportedCodePoints) {
+        const { code, name: glyph } = embedder.encoding.encodeUnicodeCodePoint(codePoint);
+        widths.set(code, embedder.font.getWidthOfGlyph(glyph));
+    }
+    return widths;
+}
+
+/**
+ * Metrics needed to place glyphs: code length, widths, vertical extent
+ */
+function readFont(context, fontDict) {
+    const subtype = nameOf(context, fontDict.get(PDFName.of('Subtype')));
+    const font = {
+        twoByte: subtype === 'Type0',
+        widths: new Map(),
+        defaultWidth: 500,
+        scale: 0.001, // Glyph space to text space
+        ascent: DEFAULT_ASCENT,
+        descent: DEFAULT_DESCENT
+    };
+
+    let descriptorSource = fontDict;
+
+    if (font.twoByte) {
+        const descendants = context.lookup(fontDict.get(PDFName.of('DescendantFonts')));
+        const descendant = descendants instanceof PDFArray ? context.lookup(descendants.get(0)) : null;
+        if (descendant instanceof PDFDict) {
+            descriptorSource = descendant;
+            font.defaultWidth = numberOf(context, descendant.get(PDFName.of('DW')), 1000);
+
+            const w = context.lookup(descendant.get(PDFName.of('W')));
+            const items = w instanceof PDFArray ? w.asArray().map(item => context.lookup(item)) : [];
+            for (let i = 0; i + 1 < items.length;) {
+                const first = items[i] instanceof PDFNumber ? items[i].asNumber() : null;
+                if (first === null) break;
+                if (items[i + 1] instanceof PDFArray) {
+                    items[i + 1].asArray().forEach((value, offset) => {
+                        font.widths.set(first + offset, numberOf(context, value, font.defaultWidth));
+                    });
+                    i += 2;
+                } else {
+                    const last = items[i + 1] instanceof PDFNumber ? items[i + 1].asNumber() : first;
+                    const width = items[i + 2] instanceof PDFNumber ? items[i + 2].asNumber() : font.defaultWidth;
+                    for (let code = first; code <= last && code - first < 65536; code++) {
+                        font.widths.set(code, width);
+                    }
+                    i += 3;
+                }
+            }
+        } else {
+            font.defaultWidth = 1000;
+        }
+    } else {
+        const widths = context.lookup(fontDict.get(PDFName.of('Widths')));
+        const firstChar = numberOf(context, fontDict.get(PDFName.of('FirstChar')), 0);
+        if (widths instanceof PDFArray) {
+            widths.asArray().forEach((value, index) => {
+                font.widths.set(firstChar + index, numberOf(context, value, 0));
+            });
+        } else {
+            const baseFont = nameOf(context, fontDict.get(PDFName.of('BaseFont')));
+            const standard = baseFont ? standardFontWidths(baseFont) : null;
+            if (standard) font.widths = standard;
+        }
+
+        if (subtype === 'Type3') {
+            const matrix = context.lookup(fontDict.get(PDFName.of('FontMatrix')));
+            if (matrix instanceof PDFArray) font.scale = Math.abs(numberOf(context, matrix.get(0), 0.001)) || 0.001;
+        }
+    }
+
+    const descriptor = context.lookup(descriptorSource.get(PDFName.of('FontDescriptor')));
+    if (descriptor instanceof PDFDict) {
+        const missing = numberOf(context, descriptor.get(PDFName.of('MissingWidth')), null);
+        if (missing && !font.twoByte) font.defaultWidth = missing;
+
+        // Err on the tall side: boxes cut through glyphs should catch them
+        const ascent = numberOf(context, descriptor.get(PDFName.of('Ascent')), 0) / 1000;
+        const descent = numberOf(context, descriptor.get(PDFName.of('Descent')), 0) / 1000;
+        font.ascent = Math.max(ascent, 0.75);
+        font.descent = Math.min(descent, -0.2);
+    }
+
+    return font;
+}
+
+// ============================================================================
+// Content walking
+// ============================================================================
+
+function initialTextState() {
+    return { font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+}
+
+/**
+ * Glyphs shown by a string: code bytes, box (view coordinates) and advance
+ * (text space) for each, moving the text matrix past them
+ */
+function layoutString(state, bytes, areas) {
+    const font = state.font || { twoByte: false, widths: new Map(), defaultWidth: 500, scale: 0.001, ascent: DEFAULT_ASCENT, descent: DEFAULT_DESCENT };
+    const step = font.twoByte ? 2 : 1;
+    const glyphs = [];
+
+    for (let i = 0; i + step <= bytes.length; i += step) {
+        const code = step === 2 ? bytes.readUInt16BE(i) : bytes[i];
+        const width = (font.widths.has(code) ? font.widths.get(code) : font.defaultWidth) * font.scale;
+        const glyphWidth = width * state.size * state.scale;
+        const advance = (width * state.size + state.charSpacing +
+            (step === 1 && code === 32 ? state.wordSpacing : 0)) * state.scale;
+
+        const matrix = multiply(state.ctm, state.textMatrix);
+        const box = transformBox(matrix,
+            Math.min(0, glyphWidth), state.rise + font.descent * state.size,
+            Math.max(0, glyphWidth), state.rise + font.ascent * state.size);
+
+        glyphs.push({ code: bytes.subarray(i, i + step), box, advance, hit: areas ? hitsAny(box, areas) : false });
+        state.textMatrix = multiply(state.textMatrix, [1, 0, 0, 1, advance, 0]);
+    }
+
+    return glyphs;
+}
+
+/**
+ * Walk a content stream, tracking graphics and text state
+ *
+ * `visitor` callbacks may return replacement content for an operation
+ * (a string) or `''` to drop it:
+ * - `text(operation, items)` for text-showing operators, where items are
+ *   glyph lists and TJ adjustments
+ * - `image(operation, { name, ref, stream, matrix })` for image XObjects
+ * - `inlineImage(operation, matrix)` for inline images
+ * - `form(operation, { name, ref, stream, matrix, resources, depth })`
+ * Returns the rewritten content, or null when nothing changed.
+ */
+async function walkContent(context, bytes, resources, ctm, visitor, fonts, depth = 0) {
+    const operations = parseOperations(bytes);
+    const fontDicts = resources ? context.lookup(resources.get(PDFName.of('Font'))) : null;
+    const xobjects = resources ? context.lookup(resources.get(PDFName.of('XObject'))) : null;
+    const stack = [];
+    const marked = [];
+    let state = { ...initialTextState(), ctm, textMatrix: IDENTITY, lineMatrix: IDENTITY };
+    let changed = false;
+    const output = [];
+
+    const fontFor = (name) => {
+        const ref = fontDicts instanceof PDFDict ? fontDicts.get(PDFName.of(name)) : null;
+        const dict = context.lookup(ref);
+        if (!(dict instanceof PDFDict)) return null;
+        const key = ref instanceof PDFRef ? ref.toString() : dict;
+        if (!fonts.has(key)) fonts.set(key, readFont(context, dict));
+        return fonts.get(key);
+    };
+
+    const nextLine = () => {
+        state.lineMatrix = multiply(state.lineMatrix, [1, 0, 0, 1, 0, -state.leading]);
+        state.textMatrix = state.lineMatrix;
+    };
+
+    for (const operation of operations) {
+        const { operator, operands } = operation;
+        const numbers = operands.filter(value => typeof value === 'number');
+        let replacement = null;
+
+        switch (operator) {
+            case 'q':
+                stack.push({ ...state });
+                break;
+            case 'Q':
+                if (stack.length > 0) {
+                    const saved = stack.pop();
+                    state = { ...saved, textMatrix: state.textMatrix, lineMatrix: state.lineMatrix };
+                }
+                break;
+            case 'cm':
+                if (numbers.length >= 6) state.ctm = multiply(state.ctm, numbers.slice(-6));
+                break;
+            case 'BT':
+                state.textMatrix = IDENTITY;
+                state.lineMatrix = IDENTITY;
+                break;
+            case 'Tf': {
+                const name = operands.find(value => value && value.name);
+                state.font = name ? fontFor(name.name) : null;
+                if (numbers.length > 0) state.size = numbers[numbers.length - 1];
+                break;
+            }
+            case 'Tc':
+                if (numbers.length > 0) state.charSpacing = numbers[0];
+                break;
+            case 'Tw':
+                if (numbers.length > 0) state.wordSpacing = numbers[0];
+                break;
+            case 'Tz':
+                if (numbers.length > 0) state.scale = numbers[0] / 100;
+                break;
+            case 'TL':
+                if (numbers.length > 0) state.leading = numbers[0];
+                break;
+            case 'Ts':
+                if (numbers.length > 0) state.rise = numbers[0];
+                break;
+            case 'Td':
+            case 'TD':
+                if (numbers.length >= 2) {
+                    if (operator === 'TD') state.leading = -numbers[1];
+                    state.lineMatrix = multiply(state.lineMatrix, [1, 0, 0, 1, numbers[0], numbers[1]]);
+                    state.textMatrix = state.lineMatrix;
+                }
+                break;
+            case 'Tm':
+                if (numbers.length >= 6) {
+                    state.lineMatrix = numbers.slice(-6);
+                    state.textMatrix = state.lineMatrix;
+                }
+                break;
+            case 'T*':
+                nextLine();
+                break;
+            case 'Tj':
+            case 'TJ':
+            case '\'':
+            case '"': {
+                if (operator === '"' && numbers.length >= 2) {
+                    state.wordSpacing = numbers[0];
+                    state.charSpacing = numbers[1];
+                }
+                if (operator === '\'' || operator === '"') nextLine();
+
+                const shown = operator === 'TJ' ? operands[operands.length - 1] : [operands[operands.length - 1]];
+                const items = [];
+                for (const item of Array.isArray(shown) ? shown : []) {
+                    if (typeof item === 'number') {
+                        const shift = -item / 1000 * state.size * state.scale;
+                        state.textMatrix = multiply(state.textMatrix, [1, 0, 0, 1, shift, 0]);
+                        items.push(item);
+                    } else if (item && item.string) {
+                        items.push(layoutString(state, item.string, visitor.areas));
+                    }
+                }
+                if (visitor.text) replacement = visitor.text(operation, items, state);
+                if (replacement !== null && replacement !== undefined) {
+                    marked.forEach(sequence => { sequence.changed = true; });
+                }
+                break;
+            }
+            case 'BDC':
+            case 'BMC':
+                marked.push({ operation, index: output.length, changed: false });
+                break;
+            case 'EMC': {
+                const sequence = marked.pop();
+                if (sequence && sequence.changed && sequence.operation.operator === 'BDC' && visitor.markedContent) {
+                    const rewritten = visitor.markedContent(sequence.operation);
+                    if (rewritten !== null) {
+                        output[sequence.index] = Buffer.from(rewritten, 'latin1');
+                        changed = true;
+                    }
+                }
+                break;
+            }
+            case 'BI':
+                if (visitor.inlineImage) replacement = visitor.inlineImage(operation, state.ctm);
+                break;
+            case 'Do': {
+                const name = operands.find(value => value && value.name);
+                if (!name || !(xobjects instanceof PDFDict)) break;
+
+                const ref = xobjects.get(PDFName.of(name.name));
+                const xobject = context.lookup(ref);
+                if (!(xobject instanceof PDFRawStream)) break;
+
+                const kind = nameOf(context, xobject.dict.get(PDFName.of('Subtype')));
+                if (kind === 'Image' && visitor.image) {
+                    replacement = await visitor.image(operation, { name: name.name, ref, stream: xobject, matrix: state.ctm });
+                } else if (kind === 'Form' && visitor.form && depth < MAX_FORM_DEPTH) {
+                    const formMatrix = context.lookup(xobject.dict.get(PDFName.of('Matrix')));
+                    const matrix = formMatrix instanceof PDFArray && formMatrix.size() === 6
+                        ? formMatrix.asArray().map(n => numberOf(context, n, 0))
+                        : IDENTITY;
+                    const formResources = context.lookup(xobject.dict.get(PDFName.of('Resources')));
+                    replacement = await visitor.form(operation, {
+                        name: name.name,
+                        ref,
+                        stream: xobject,
+                        matrix: multiply(state.ctm, matrix),
+                        resources: formResources instanceof PDFDict ? formResources : resources,
+                        depth: depth + 1
+                    });
+                }
+                break;
+            }
+            default:
+                break;
+        }
+
+        if (replacement !== null && replacement !== undefined) {
+            changed = true;
+            if (replacement !== '') output.push(Buffer.from(replacement, 'latin1'));
+        } else {
+            output.push(Buffer.from(bytes.subarray(operation.start, operation.end)));
+        }
+    }
+
+    return changed ? Buffer.concat(output.flatMap(part => [part, Buffer.from('\n')])) : null;
+}
+
+// ============================================================================
+// Image redaction
+// ============================================================================
+
+/**
+ * Color components of an image color space
+ */
+function colorComponents(context, value) {
+    const resolved = context.lookup(value);
+    if (resolved instanceof PDFName) {
+        const name = resolved.decodeText();
+        return { DeviceGray: 1, CalGray: 1, G: 1, DeviceRGB: 3, CalRGB: 3, RGB: 3, DeviceCMYK: 4, CMYK: 4 }[name] || null;
+    }
+    if (resolved instanceof PDFArray) {
+        const family = nameOf(context, resolved.get(0));
+        if (family === 'ICCBased') {
+            const profile = context.lookup(resolved.get(1));
+            return profile instanceof PDFRawStream ? numberOf(context, profile.dict.get(PDFName.of('N')), 3) : 3;
+        }
+        if (family === 'Indexed' || family === 'I' || family === 'Separation') return 1;
+        if (family === 'CalGray') return 1;
+        if (family === 'CalRGB' || family === 'Lab') return 3;
+        if (family === 'DeviceN') {
+            const names = context.lookup(resolved.get(1));
+            return names instanceof PDFArray ? names.size() : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Clear the samples of pixel rectangles in raw image data
+ */
+function clearSamples(data, width, height, bitsPerPixel, rects) {
+    const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+
+    for (const rect of rects) {
+        for (let y = rect.y0; y < rect.y1 && y < height; y++) {
+            const row = y * rowBytes;
+            if (bitsPerPixel % 8 === 0) {
+                const bytesPerPixel = bitsPerPixel / 8;
+                data.fill(0, row + rect.x0 * bytesPerPixel, row + rect.x1 * bytesPerPixel);
+                continue;
+            }
+            for (let bit = rect.x0 * bitsPerPixel; bit < rect.x1 * bitsPerPixel; bit++) {
+                data[row + (bit >> 3)] &= ~(0x80 >> (bit & 7));
+            }
+        }
+    }
+}
+
+/**
+ * Redacted copy of a Flate/LZW/uncompressed image (and its soft mask)
+ */
+function redactRawImage(context, stream, rects) {
+    const dict = stream.dict;
+    const width = numberOf(context, dict.get(PDFName.of('Width')), 0);
+    const height = numberOf(context, dict.get(PDFName.of('Height')), 0);
+    const imageMask = context.lookup(dict.get(PDFName.of('ImageMask')));
+    const isMask = imageMask !== undefined && imageMask.toString() === 'true';
+    const bits = isMask ? 1 : numberOf(context, dict.get(PDFName.of('BitsPerComponent')), 8);
+    const components = isMask ? 1 : colorComponents(context, dict.get(PDFName.of('ColorSpace')));
+    if (!width || !height || !components) return null;
+
+    const data = Buffer.from(decodeStreamData(context, stream));
+    const rowBytes = Math.ceil(width * components * bits / 8);
+    if (data.length < rowBytes * height) return null;
+    clearSamples(data, width, height, components * bits, rects);
+
+    const redacted = dict.clone(context);
+    redacted.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    redacted.delete(PDFName.of('DecodeParms'));
+    redacted.delete(PDFName.of('Length'));
+
+    // Clear the soft mask too, scaled to its own size
+    const softMask = context.lookup(dict.get(PDFName.of('SMask')));
+    if (softMask instanceof PDFRawStream) {
+        const maskWidth = numberOf(context, softMask.dict.get(PDFName.of('Width')), 0);
+        const maskHeight = numberOf(context, softMask.dict.get(PDFName.of('Height')), 0);
+        const maskRects = rects.map(rect => ({
+            x0: Math.floor(rect.x0 * maskWidth / width),
+            x1: Math.ceil(rect.x1 * maskWidth / width),
+            y0: Math.floor(rect.y0 * maskHeight / height),
+            y1: Math.ceil(rect.y1 * maskHeight / height)
+        }));
+        const maskCopy = redactRawImage(context, softMask, maskRects);
+        if (maskCopy) redacted.set(PDFName.of('SMask'), context.register(maskCopy));
+    }
+
+    return PDFRawStream.of(redacted, zlib.deflateSync(data));
+}
+
+/**
+ * Redacted copy of a JPEG image, painted over with ImageMagick
+ */
+async function redactJpegImage(context, stream, rects) {
+    const base = path.join(os.tmpdir(), `pdfox-${crypto.randomBytes(8).toString('hex')}`);
+    const inputPath = `${base}.jpg`;
+    const outputPath = `${base}-redacted.jpg`;
+
+    try {
+        fs.writeFileSync(inputPath, stream.contents);
+        const draw = rects.flatMap(rect => ['-draw', `rectangle ${rect.x0},${rect.y0} ${rect.x1 - 1},${rect.y1 - 1}`]);
+        await safeSpawn('convert', [inputPath, '-fill', 'black', ...draw, '-quality', '92', `jpg:${outputPath}`], { timeout: 60000 });
+
+        const redacted = stream.dict.clone(context);
+        redacted.delete(PDFName.of('Length'));
+        return PDFRawStream.of(redacted, fs.readFileSync(outputPath));
+    } finally {
+        for (const filePath of [inputPath, outputPath]) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+}
+
+/**
+ * Pixel rectangles of an image placement covered by redaction areas
+ */
+function pixelRects(stream, context, matrix, areas) {
+    const width = numberOf(context, stream.dict.get(PDFName.of('Width')), 0);
+    const height = numberOf(context, stream.dict.get(PDFName.of('Height')), 0);
+    const inverse = invert(matrix);
+    if (!inverse || !width || !height) return null;
+
+    return areas.map(area => {
+        // Area in the image's unit square; sample rows run top to bottom
+        const unit = transformBox(inverse, area.x, area.y, area.x + area.width, area.y + area.height);
+        return {
+            x0: Math.max(0, Math.floor(unit.x * width)),
+            x1: Math.min(width, Math.ceil((unit.x + unit.width) * width)),
+            y0: Math.max(0, Math.floor((1 - unit.y - unit.height) * height)),
+            y1: Math.min(height, Math.ceil((1 - unit.y) * height))
+        };
+    }).filter(rect => rect.x1 > rect.x0 && rect.y1 > rect.y0);
+}
+
+/**
+ * Redacted copy of an image, or null when its encoding cannot be edited
+ */
+async function redactImage(context, stream, rects) {
+    const filters = streamFilters(context, stream.dict);
+
+    try {
+        if (filters.length === 1 && filters[0] === 'DCTDecode') {
+            return await redactJpegImage(context, stream, rects);
+        }
+        if (filters.some(filter => ['JPXDecode', 'JBIG2Decode', 'CCITTFaxDecode', 'DCTDecode'].includes(filter))) {
+            return null;
+        }
+        return redactRawImage(context, stream, rects);
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================================================
+// Redaction
+// ============================================================================
+
+/**
+ * Resource dictionary that is copied before the first change
+ */
+function resourceScope(context, resources) {
+    return {
+        original: resources,
+        copy: null,
+
+        xobjects() {
+            if (!this.copy) {
+                this.copy = this.original ? this.original.clone(context) : context.obj({});
+                const xobjects = context.lookup(this.copy.get(PDFName.of('XObject')));
+                this.copy.set(PDFName.of('XObject'), xobjects instanceof PDFDict ? xobjects.clone(context) : context.obj({}));
+            }
+            return this.copy.get(PDFName.of('XObject'));
+        },
+
+        /**
+         * Add an XObject under a new name and return the name
+         */
+        addXObject(baseName, ref) {
+            const xobjects = this.xobjects();
+            let index = 1;
+            while (xobjects.has(PDFName.of(`${baseName}R${index}`))) index++;
+            const name = `${baseName}R${index}`;
+            xobjects.set(PDFName.of(name), ref);
+            return name;
+        },
+
+        removeXObject(name) {
+            this.xobjects().delete(PDFName.of(name));
+        }
+    };
+}
+
+/**
+ * Marked content properties that repeat the enclosed text
+ */
+const TEXT_PROPERTIES = ['ActualText', 'Alt', 'E'];
+
+/**
+ * Content stream with redaction areas applied, or null when untouched
+ */
+async function redactContent(context, bytes, resources, ctm, areas, report, fonts, depth = 0) {
+    const scope = resourceScope(context, resources);
+    const usedNames = new Set();
+    const replacedNames = new Set();
+
+    // Note which XObjects the rewritten content still paints
+    const track = (name, replacement) => {
+        (replacement === null ? usedNames : replacedNames).add(name);
+        return replacement;
+    };
+
+    const visitor = {
+        areas,
+
+        text(operation, items, state) {
+            const hits = items.reduce((count, item) => count + (Array.isArray(item) ? item.filter(g => g.hit).length : 0), 0);
+            if (hits === 0) return null;
+            report.glyphsRemoved += hits;
+
+            // Keep remaining glyphs in place: removed ones become TJ adjustments
+            const scale = state.size * state.scale;
+            const array = [];
+            const append = (value) => {
+                const last = array[array.length - 1];
+                if (typeof value === 'number' && typeof last === 'number') {
+                    array[array.length - 1] = last + value;
+                } else if (Buffer.isBuffer(value) && Buffer.isBuffer(last)) {
+                    array[array.length - 1] = Buffer.concat([last, value]);
+                } else {
+                    array.push(value);
+                }
+            };
+
+            for (const item of items) {
+                if (typeof item === 'number') {
+                    append(item);
+                    continue;
+                }
+                for (const glyph of item) {
+                    if (!glyph.hit) {
+                        append(glyph.code);
+                    } else if (scale !== 0) {
+                        append(-glyph.advance * 1000 / scale);
+                    }
+                }
+            }
+
+            const numbers = operation.operands.filter(value => typeof value === 'number');
+            const prefix = operation.operator === '\''
+                ? 'T* '
+                : operation.operator === '"' ? `${formatNumber(numbers[0] || 0)} Tw ${formatNumber(numbers[1] || 0)} Tc T* ` : '';
+            return prefix + serializeTextArray(array);
+        },
+
+        markedContent(operation) {
+            const dict = operation.operands.find(value => value && value.dict);
+            if (!dict) return null;
+
+            const entries = [];
+            for (let i = 0; i + 1 < dict.dict.length; i += 2) {
+                if (!TEXT_PROPERTIES.includes(dict.dict[i].name)) entries.push(dict.dict[i], dict.dict[i + 1]);
+            }
+            if (entries.length === dict.dict.length) return null;
+
+            const operands = operation.operands.map(value => (value === dict ? { dict: entries } : value));
+            return `${operands.map(serializeOperand).join(' ')} BDC`;
+        },
+
+        inlineImage(operation, matrix) {
+            if (!hitsAny(transformBox(matrix, 0, 0, 1, 1), areas)) return null;
+            report.imagesRemoved++;
+            return '';
+        },
+
+        async image(operation, { name, stream, matrix }) {
+            if (!hitsAny(transformBox(matrix, 0, 0, 1, 1), areas)) return track(name, null);
+
+            const rects = pixelRects(stream, context, matrix, areas);
+            if (rects && rects.length === 0) return track(name, null);
+
+            const redacted = rects ? await redactImage(context, stream, rects) : null;
+            if (!redacted) {
+                report.imagesRemoved++;
+                return track(name, '');
+            }
+
+            report.imagesRedacted++;
+            return track(name, `${contentName(scope.addXObject(name, context.register(redacted)))} Do`);
+        },
+
+        async form(operation, { name, stream, matrix, resources: formResources, depth: formDepth }) {
+            const bbox = context.lookup(stream.dict.get(PDFName.of('BBox')));
+            if (bbox instanceof PDFArray && bbox.size() === 4) {
+                const [x0, y0, x1, y1] = bbox.asArray().map(n => numberOf(context, n, 0));
+                const box = transformBox(matrix, Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1));
+                if (!hitsAny(box, areas)) return track(name, null);
+            }
+
+            let formBytes;
+            try {
+                formBytes = decodeStreamData(context, stream);
+            } catch (error) {
+                report.formsRemoved++;
+                return track(name, '');
+            }
+
+            const result = await redactContent(context, formBytes, formResources, matrix, areas, report, fonts, formDepth);
+            if (!result) return track(name, null);
+
+            const dict = stream.dict.clone(context);
+            dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+            dict.delete(PDFName.of('DecodeParms'));
+            dict.delete(PDFName.of('Length'));
+            if (result.resources) dict.set(PDFName.of('Resources'), result.resources);
+
+            const copy = context.register(PDFRawStream.of(dict, zlib.deflateSync(result.bytes)));
+            return track(name, `${contentName(scope.addXObject(name, copy))} Do`);
+        }
+    };
+
+    const rewritten = await walkContent(context, bytes, resources, ctm, visitor, fonts, depth);
+    if (!rewritten) return null;
+
+    // Originals no longer painted here leave the resources (and the file, when unused elsewhere)
+    replacedNames.forEach(name => {
+        if (!usedNames.has(name)) scope.removeXObject(name);
+    });
+    return { bytes: rewritten, resources: scope.copy };
+}
+
+/**
+ * Remove annotations whose rectangle touches a redaction area
+ */
+function redactAnnotations(pdfDoc, page, view, areas) {
+    const context = pdfDoc.context;
+    const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+    if (!(annots instanceof PDFArray)) return 0;
+
+    const removed = new Set();
+    const kept = [];
+    for (const item of annots.asArray()) {
+        const annot = context.lookup(item);
+        const rect = annot instanceof PDFDict ? context.lookup(annot.get(PDFName.of('Rect'))) : null;
+        if (rect instanceof PDFArray && rect.size() === 4) {
+            const [x0, y0, x1, y1] = rect.asArray().map(n => numberOf(context, n, 0));
+            const box = transformBox(view, Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1));
+            if (hitsAny(box, areas)) {
+                removed.add(item.toString());
+                continue;
+            }
+        }
+        kept.push(item);
+    }
+
+    // Popups belong to the annotation they were opened from
+    const remaining = kept.filter(item => {
+        const annot = context.lookup(item);
+        const parent = annot instanceof PDFDict ? annot.get(PDFName.of('Parent')) : null;
+        if (parent instanceof PDFRef && removed.has(parent.toString()) &&
+            nameOf(context, annot.get(PDFName.of('Subtype'))) === 'Popup') {
+            removed.add(item.toString());
+            return false;
+        }
+        return true;
+    });
+
+    if (removed.size === 0) return 0;
+    page.node.set(PDFName.of('Annots'), context.obj(remaining));
+
+    // Removed form field widgets leave the form as well
+    const acroForm = context.lookup(pdfDoc.catalog.get(PDFName.of('AcroForm')));
+    const fields = acroForm instanceof PDFDict ? context.lookup(acroForm.get(PDFName.of('Fields'))) : null;
+    if (fields instanceof PDFArray) {
+        acroForm.set(PDFName.of('Fields'), context.obj(fields.asArray().filter(item => !removed.has(item.toString()))));
+    }
+
+    return removed.size;
+}
+
+/**
+ * Validate redaction areas: `[{ page, x, y, width, height }]` in points
+ * from the top-left corner of the displayed page
+ */
+function normalizeAreas(areas, pageCount) {
+    if (!Array.isArray(areas) || areas.length === 0) {
+        throw new Error('Invalid areas: give at least one { page, x, y, width, height } box');
+    }
+    if (areas.length > MAX_AREAS) {
+        throw new Error(`Invalid areas: at most ${MAX_AREAS} boxes`);
+    }
+
+    return areas.map((area, index) => {
+        const values = ['page', 'x', 'y', 'width', 'height'].map(key => Number(area && area[key]));
+        const [page, x, y, width, height] = values;
+        if (!values.every(Number.isFinite) || !Number.isInteger(page) || width <= 0 || height <= 0) {
+            throw new Error(`Invalid areas: box ${index + 1} needs a page and a positive size`);
+        }
+        if (page < 1 || page > pageCount) {
+            throw new Error(`Invalid areas: box ${index + 1} is on page ${page} of ${pageCount}`);
+        }
+        return { page, x, y, width, height };
+    });
+}
+
+/**
+ * Glyphs and images still under the areas of each page (for verification),
+ * as [{ page, glyphs, images }]
+ */
+async function findRemainingContent(pdfDoc, areasByPage) {
+    const context = pdfDoc.context;
+    const fonts = new Map();
+    const remaining = [];
+
+    for (const [pageNumber, areas] of areasByPage) {
+        const page = pdfDoc.getPage(pageNumber - 1);
+        const found = { glyphs: 0, images: 0 };
+        const visitor = {
+            areas: null,
+            text(operation, items) {
+                for (const item of items) {
+                    if (!Array.isArray(item)) continue;
+                    found.glyphs += item.filter(glyph => hitsAny(glyph.box, areas, VERIFY_TOLERANCE)).length;
+                }
+                return null;
+            },
+            inlineImage(operation, matrix) {
+                if (hitsAny(transformBox(matrix, 0, 0, 1, 1), areas, VERIFY_TOLERANCE)) found.images++;
+                return null;
+            },
+            async form(operation, { stream, matrix, resources, depth }) {
+                try {
+                    await walkContent(context, decodeStreamData(context, stream), resources, matrix, visitor, fonts, depth);
+                } catch (error) {
+                    found.glyphs++; // Unreadable content cannot be verified
+                }
+                return null;
+            }
+        };
+
+        await walkContent(context, pageContents(context, page), page.node.Resources(), pageViewMatrix(page), visitor, fonts);
+        if (found.glyphs > 0 || found.images > 0) {
+            remaining.push({ page: pageNumber, ...found });
+        }
+    }
+
+    return remaining;
+}
+
+/**
+ * Text items pdf.js still extracts under the areas (independent check), as
+ * [{ page, textItems, text }]
+ */
+async function findRemainingText(data, areasByPage) {
+    const doc = await openDocument(data);
+    const remaining = [];
+
+    try {
+        for (const [pageNumber, areas] of areasByPage) {
+            const page = await doc.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+
+            const hits = content.items.filter(item => {
+                if (!item.str || !item.str.trim()) return false;
+                const [a, b, c, d, e, f] = item.transform;
+                const size = Math.hypot(c, d) || item.height;
+                const ux = Math.hypot(a, b) ? [a / Math.hypot(a, b), b / Math.hypot(a, b)] : [1, 0];
+                const corners = [
+                    [e, f],
+                    [e + ux[0] * item.width, f + ux[1] * item.width],
+                    [e - ux[1] * size, f + ux[0] * size],
+                    [e + ux[0] * item.width - ux[1] * size, f + ux[1] * item.width + ux[0] * size]
+                ].map(([x, y]) => viewport.convertToViewportPoint(x, y));
+                const xs = corners.map(p => p[0]);
+                const ys = corners.map(p => p[1]);
+                const box = {
+                    x: Math.min(...xs),
+                    y: Math.min(...ys),
+                    width: Math.max(...xs) - Math.min(...xs),
+                    height: Math.max(...ys) - Math.min(...ys)
+                };
+                // Items are whole runs: only count ones lying mostly inside a box
+                return areas.some(area => {
+                    const width = Math.min(box.x + box.width, area.x + area.width) - Math.max(box.x, area.x);
+                    const height = Math.min(box.y + box.height, area.y + area.height) - Math.max(box.y, area.y);
+                    return width > VERIFY_TOLERANCE && height > VERIFY_TOLERANCE &&
+                        width * height > 0.5 * box.width * box.height;
+                });
+            });
+
+            if (hits.length > 0) {
+                remaining.push({ page: pageNumber, textItems: hits.length, text: hits.map(item => item.str).join(' ') });
+            }
+            page.cleanup();
+        }
+    } finally {
+        await doc.destroy();
+    }
+
+    return remaining;
+}
+
+/**
+ * What verification found under the boxes, by page, e.g.
+ * 'page 2: 3 glyphs, 1 image, 2 text items'
+ *
+ * Only counts: the message is logged, and the text left behind must not be.
+ */
+function describeRemaining(remaining) {
+    const pages = new Map();
+    for (const entry of remaining) {
+        const parts = pages.get(entry.page) || [];
+        if (entry.glyphs) parts.push(`${entry.glyphs} glyph${entry.glyphs !== 1 ? 's' : ''}`);
+        if (entry.images) parts.push(`${entry.images} image${entry.images !== 1 ? 's' : ''}`);
+        if (entry.textItems) parts.push(`${entry.textItems} text item${entry.textItems !== 1 ? 's' : ''}`);
+        pages.set(entry.page, parts);
+    }
+    return [...pages].sort((a, b) => a[0] - b[0])
+        .map(([page, parts]) => `page ${page}: ${parts.join(', ')}`)
+        .join('; ');
+}
+
+/**
+ * Parse a fill option: a hex color, or "none" to leave the boxes unpainted
+ */
+function parseFill(fill) {
+    if (fill === 'none') return null;
+    const hex = String(fill || '#000000').replace(/^#/, '');
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+        throw new Error(`Invalid fill: ${fill} (use a hex color such as #000000, or none)`);
+    }
+    const value = parseInt(hex, 16);
+    return rgb(((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255);
+}
+
+/**
+ * Redact areas of a PDF
+ *
+ * Text-showing operators lose the glyphs that touch a box (the rest of the
+ * line keeps its position), images are painted black under the box (images
+ * that cannot be edited are dropped), inline images and annotations
+ * touching a box are removed, and the boxes are painted with `fill`
+ * (default black, "none" to skip). Content in form XObjects is rewritten in
+ * copies, so other pages using them are unchanged. The saved file is then
+ * re-read and checked, and the call fails if any text remains under a box.
+ *
+ * Returns `{ data, report }` with counts of what was removed.
+ */
+async function redactPdf(data, areas, options = {}) {
+    const fill = parseFill(options.fill);
+    const pdfDoc = await loadPdfDocument(data, { ignoreEncryption: true, updateMetadata: false });
+    if (pdfDoc.isEncrypted) {
+        throw new Error('Redaction is not supported for encrypted PDFs');
+    }
+
+    const context = pdfDoc.context;
+    const boxes = normalizeAreas(areas, pdfDoc.getPageCount());
+    const areasByPage = new Map();
+    for (const box of boxes) {
+        if (!areasByPage.has(box.page)) areasByPage.set(box.page, []);
+        areasByPage.get(box.page).push(box);
+    }
+
+    const report = {
+        areas: boxes.length,
+        glyphsRemoved: 0,
+        imagesRedacted: 0,
+        imagesRemoved: 0,
+        formsRemoved: 0,
+        annotationsRemoved: 0
+    };
+    const fonts = new Map();
+
+    for (const [pageNumber, pageAreas] of areasByPage) {
+        const page = pdfDoc.getPage(pageNumber - 1);
+        const view = pageViewMatrix(page);
+
+        const result = await redactContent(context, pageContents(context, page), page.node.Resources(), view,
+            pageAreas, report, fonts);
+        if (result) {
+            const contents = context.flateStream(result.bytes);
+            page.node.set(PDFName.of('Contents'), context.register(contents));
+            if (result.resources) page.node.set(PDFName.of('Resources'), result.resources);
+        }
+
+        report.annotationsRemoved += redactAnnotations(pdfDoc, page, view, pageAreas);
+
+        if (fill) {
+            const toUser = invert(view);
+            for (const area of pageAreas) {
+                const box = transformBox(toUser, area.x, area.y, area.x + area.width, area.y + area.height);
+                page.drawRectangle({ ...box, color: fill, borderWidth: 0 });
+            }
+        }
+    }
+
+    // Replaced content streams and images must not stay behind as unused objects
+    removeUnusedObjects(pdfDoc);
+    const output = Buffer.from(await pdfDoc.save());
+
+    // Verify on the saved file: our own glyph walk, then pdf.js text extraction
+    const saved = await PDFDocument.load(output, { updateMetadata: false });
+    const remaining = [
+        ...await findRemainingContent(saved, areasByPage),
+        ...await findRemainingText(output, areasByPage)
+    ];
+    if (remaining.length > 0) {
+        // The text found is only on `remaining`, for the response to the uploader
+        const error = new Error(`Redaction verification failed: ${describeRemaining(remaining)}`);
+        error.code = 'redaction_unverified';
+        error.remaining = remaining;
+        throw error;
+    }
+
+    return { data: output, report: { ...report, verified: true } };
+}
+
+module.exports = {
+    redactPdf
+};
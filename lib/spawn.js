@@ -0,0 +1,45 @@
+/**
+ * PDFOX Process Helpers
+ * Runs external tools (ImageMagick, etc.) without a shell
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+
+/**
+ * Safe command execution using spawn (prevents command injection)
+ *
+ * A command that exits with an error rejects with its `exitCode` (and the
+ * `signal` that stopped it, e.g. on timeout); one that cannot be started
+ * rejects with spawn's error (`code` such as "ENOENT").
+ */
+function safeSpawn(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, args, { timeout: options.timeout || 30000, ...options });
+        let stdout = '';
+        let stderr = '';
+
+        proc.stdout?.on('data', (data) => { stdout += data; });
+        proc.stderr?.on('data', (data) => { stderr += data; });
+
+        proc.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve({ stdout, stderr });
+            } else {
+                const error = new Error(`Command failed with code ${code}: ${stderr}`);
+                error.exitCode = code;
+                error.signal = signal;
+                reject(error);
+            }
+        });
+
+        proc.on('error', (err) => {
+            reject(err);
+        });
+    });
+}
+
+module.exports = {
+    safeSpawn
+};
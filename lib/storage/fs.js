@@ -0,0 +1,177 @@
+/**
+ * PDFOX File System Storage
+ * Storage driver keeping files in local directories, one per area
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local directory storage
+ *
+ * Keys are `<area>/<name>` (`uploads/123.pdf`, `shares/<hash>.pdf`); each
+ * area maps to a directory in `dirs`, so files stay where the server kept
+ * them before storage drivers existed. Keys never resolve outside their
+ * area's directory.
+ */
+class FileSystemStorage {
+    constructor(options = {}) {
+        this.driver = 'fs';
+        this.dirs = {};
+        this.logger = options.logger || null;
+
+        for (const [area, dir] of Object.entries(options.dirs || {})) {
+            this.dirs[area] = path.resolve(dir);
+            fs.mkdirSync(this.dirs[area], { recursive: true });
+        }
+    }
+
+    /**
+     * Absolute path for a key
+     */
+    resolve(key) {
+        const [area, ...rest] = String(key).split('/');
+        const dir = this.dirs[area];
+        const filePath = dir && rest.length > 0 ? path.resolve(dir, ...rest) : null;
+
+        if (!filePath || !filePath.startsWith(dir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Store a Buffer, string or readable stream; returns { size, path }
+     */
+    async put(key, body) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (Buffer.isBuffer(body) || typeof body === 'string') {
+            await fs.promises.writeFile(filePath, body);
+        } else {
+            await pipeline(body, fs.createWriteStream(filePath));
+        }
+
+        const stats = await fs.promises.stat(filePath);
+        return { size: stats.size, path: filePath };
+    }
+
+    /**
+     * Store a local file (options.remove deletes the source afterwards).
+     * A file already at the key's path is left as it is.
+     */
+    async putFile(key, sourcePath, options = {}) {
+        const filePath = this.resolve(key);
+        if (filePath === path.resolve(sourcePath)) {
+            return { size: (await fs.promises.stat(filePath)).size, path: filePath };
+        }
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        if (options.remove) {
+            await fs.promises.rename(sourcePath, filePath);
+        } else {
+            await fs.promises.copyFile(sourcePath, filePath);
+        }
+        return { size: (await fs.promises.stat(filePath)).size, path: filePath };
+    }
+
+    /**
+     * File contents as a Buffer
+     */
+    async get(key) {
+        return fs.promises.readFile(this.resolve(key));
+    }
+
+    /**
+     * Readable stream of the file, or of bytes `start` to `end` (inclusive)
+     */
+    async createReadStream(key, range = {}) {
+        return fs.createReadStream(this.resolve(key), { start: range.start, end: range.end });
+    }
+
+    /**
+     * { size, modified } for a key, or null when there is no such file
+     */
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(key));
+            return stats.isFile() ? { size: stats.size, modified: stats.mtime } : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a file; returns whether it existed
+     */
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Files whose keys start with `prefix` (an area, optionally followed by
+     * a directory), subdirectories included and dotfiles skipped
+     */
+    async list(prefix) {
+        const [area, ...rest] = prefix.replace(/\/+$/, '').split('/');
+        if (!this.dirs[area]) {
+            throw new Error(`Invalid storage key: ${prefix}`);
+        }
+
+        const files = [];
+        const walk = async (dir, keyPrefix) => {
+            let names;
+            try {
+                names = await fs.promises.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const name of names) {
+                if (name.startsWith('.')) continue;
+                const filePath = path.join(dir, name);
+                const stats = await fs.promises.stat(filePath);
+                if (stats.isDirectory()) {
+                    await walk(filePath, `${keyPrefix}${name}/`);
+                } else {
+                    files.push({ key: keyPrefix + name, size: stats.size, modified: stats.mtime, path: filePath });
+                }
+            }
+        };
+
+        const keyPrefix = [area, ...rest].join('/') + '/';
+        await walk(rest.length > 0 ? this.resolve(keyPrefix.slice(0, -1)) : this.dirs[area], keyPrefix);
+        return files;
+    }
+
+    /**
+     * Local path of a file for tools that need one; cleanup() is a no-op
+     * because the path is the stored file itself
+     */
+    async localFile(key) {
+        return { path: this.resolve(key), cleanup: async () => {} };
+    }
+
+    /**
+     * Files are served by the app, so there are no signed URLs
+     */
+    async signedUrl() {
+        return null;
+    }
+}
+
+module.exports = {
+    FileSystemStorage
+};
@@ -0,0 +1,84 @@
+/**
+ * PDFOX Storage
+ * Storage for uploads, converted outputs and shared PDFs, on local disk or in an S3 bucket
+ *
+ * Every driver implements the same async interface on `<area>/<name>` keys:
+ * put, putFile, get, createReadStream, stat, delete, list, localFile and
+ * signedUrl (see fs.js and s3.js).
+ */
+
+'use strict';
+
+const { FileSystemStorage } = require('./fs');
+
+/**
+ * Storage settings from environment variables
+ */
+function storageConfig(env = process.env) {
+    return {
+        driver: (env.STORAGE_DRIVER || 'fs').toLowerCase(),
+        bucket: env.S3_BUCKET,
+        prefix: env.S3_PREFIX,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true' || env.S3_FORCE_PATH_STYLE === '1',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        signedUrls: env.S3_SIGNED_URLS === 'true' || env.S3_SIGNED_URLS === '1',
+        signedUrlExpiry: parseInt(env.S3_SIGNED_URL_EXPIRY || '300')
+    };
+}
+
+/**
+ * Storage for `options.driver` ('fs' or 's3')
+ *
+ * The fs driver keeps each area in its directory from `options.dirs`; the
+ * s3 driver downloads files for local tools to `options.tempDir`.
+ */
+function createStorage(options = {}) {
+    switch (options.driver || 'fs') {
+        case 'fs':
+            return new FileSystemStorage(options);
+
+        case 's3': {
+            // Loaded on demand: the AWS SDK is only needed for S3
+            const { S3Storage } = require('./s3');
+            return new S3Storage(options);
+        }
+
+        default:
+            throw new Error(`Unknown storage driver: ${options.driver}`);
+    }
+}
+
+/**
+ * Multer storage engine saving uploads to `<prefix>/<filename>`
+ *
+ * `filename(req, file, cb)` names the file, as with multer.diskStorage.
+ * Uploaded files get `key` and `size`, plus `path` with the fs driver.
+ */
+function multerStorage(storage, options) {
+    return {
+        _handleFile(req, file, cb) {
+            options.filename(req, file, (error, filename) => {
+                if (error) return cb(error);
+
+                const key = `${options.prefix}/${filename}`;
+                storage.put(key, file.stream, { contentType: file.mimetype })
+                    .then(result => cb(null, { filename, key, path: result.path, size: result.size }))
+                    .catch(cb);
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            storage.delete(file.key).then(() => cb(null), cb);
+        }
+    };
+}
+
+module.exports = {
+    storageConfig,
+    createStorage,
+    multerStorage,
+    FileSystemStorage
+};
@@ -0,0 +1,230 @@
+/**
+ * PDFOX S3 Storage
+ * Storage driver for Amazon S3 and S3-compatible services (MinIO, R2, ...)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client, GetObjectCommand, HeadObjectCommand,
+    DeleteObjectCommand, ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Whether an S3 error means the object does not exist
+ */
+function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * S3 bucket storage
+ *
+ * Keys are stored as object keys under `prefix`. Uploads use multipart
+ * uploads, so streams of unknown length (multer uploads) work. Tools that
+ * need a file on disk get a temporary copy in `tempDir`.
+ */
+class S3Storage {
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3 storage requires a bucket');
+        }
+
+        this.driver = 's3';
+        this.bucket = options.bucket;
+        this.prefix = options.prefix ? options.prefix.replace(/\/+$/, '') + '/' : '';
+        this.tempDir = options.tempDir || os.tmpdir();
+        this.signedUrls = !!options.signedUrls;
+        this.signedUrlExpiry = options.signedUrlExpiry || 300;
+        this.logger = options.logger || null;
+
+        this.client = new S3Client({
+            region: options.region || 'us-east-1',
+            endpoint: options.endpoint || undefined,
+            forcePathStyle: !!options.forcePathStyle,
+            credentials: options.accessKeyId
+                ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+                : undefined
+        });
+    }
+
+    /**
+     * Object key for a storage key
+     */
+    objectKey(key) {
+        const parts = String(key).split('/');
+        if (parts.length < 2 || parts.some(part => part === '' || part === '.' || part === '..')) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return this.prefix + parts.join('/');
+    }
+
+    /**
+     * Store a Buffer, string or readable stream; returns { size }
+     */
+    async put(key, body, options = {}) {
+        let size = Buffer.isBuffer(body) || typeof body === 'string' ? Buffer.byteLength(body) : 0;
+
+        // Count stream bytes on the way through (the length is not known up front)
+        if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+            const source = body;
+            body = new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            });
+            source.on('error', error => body.destroy(error));
+            source.pipe(body);
+        }
+
+        await new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+                Body: body,
+                ContentType: options.contentType
+            }
+        }).done();
+
+        return { size };
+    }
+
+    /**
+     * Upload a local file (options.remove deletes it afterwards)
+     */
+    async putFile(key, sourcePath, options = {}) {
+        const result = await this.put(key, fs.createReadStream(sourcePath), options);
+        if (options.remove) {
+            await fs.promises.unlink(sourcePath);
+        }
+        return result;
+    }
+
+    /**
+     * Object contents as a Buffer
+     */
+    async get(key) {
+        const response = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    /**
+     * Readable stream of the object, or of bytes `start` to `end` (inclusive)
+     */
+    async createReadStream(key, range = {}) {
+        const response = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Range: range.start !== undefined ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+        }));
+        return response.Body;
+    }
+
+    /**
+     * { size, modified } for a key, or null when there is no such object
+     */
+    async stat(key) {
+        try {
+            const response = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            return { size: response.ContentLength, modified: response.LastModified };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an object; returns whether it existed
+     */
+    async delete(key) {
+        if (!await this.stat(key)) {
+            return false;
+        }
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+        return true;
+    }
+
+    /**
+     * Objects whose keys start with `prefix`
+     */
+    async list(prefix) {
+        const objectPrefix = this.prefix + prefix.replace(/\/+$/, '') + '/';
+        const files = [];
+        let continuationToken;
+
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: objectPrefix,
+                ContinuationToken: continuationToken
+            }));
+            for (const object of response.Contents || []) {
+                files.push({
+                    key: object.Key.slice(this.prefix.length),
+                    size: object.Size,
+                    modified: object.LastModified
+                });
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return files;
+    }
+
+    /**
+     * Download an object to a temporary file; cleanup() deletes it
+     */
+    async localFile(key) {
+        const filePath = path.join(this.tempDir, `${crypto.randomBytes(6).toString('hex')}-${path.basename(key)}`);
+        await pipeline(await this.createReadStream(key), fs.createWriteStream(filePath));
+
+        return {
+            path: filePath,
+            cleanup: async () => {
+                await fs.promises.rm(filePath, { force: true });
+            }
+        };
+    }
+
+    /**
+     * Presigned GET URL (null unless signed URLs are enabled), with the
+     * response served under `fileName` inline or as an attachment
+     */
+    async signedUrl(key, options = {}) {
+        if (!this.signedUrls) {
+            return null;
+        }
+
+        const fileName = (options.fileName || path.basename(key)).replace(/["\r\n]/g, '');
+        return getSignedUrl(this.client, new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            ResponseContentType: options.contentType,
+            ResponseContentDisposition: `${options.inline ? 'inline' : 'attachment'}; filename="${fileName}"`
+        }), { expiresIn: options.expiresIn || this.signedUrlExpiry });
+    }
+}
+
+module.exports = {
+    S3Storage
+};
@@ -0,0 +1,501 @@
+/**
+ * PDFOX Data Store
+ * SQLite storage for Pro access entries and document shares, shared by the server and CLI
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema changes, applied in order; the database's user_version counts the applied ones
+const MIGRATIONS = [
+    `CREATE TABLE pro_access (
+        id TEXT PRIMARY KEY,
+        email TEXT,
+        fingerprint TEXT,
+        stripe_session_id TEXT,
+        receipt_number TEXT,
+        token_hash TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        is_revoked INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX pro_access_token_hash ON pro_access (token_hash);
+    CREATE INDEX pro_access_fingerprint ON pro_access (fingerprint);
+    CREATE INDEX pro_access_email ON pro_access (email COLLATE NOCASE);
+    CREATE INDEX pro_access_stripe_session ON pro_access (stripe_session_id);
+    CREATE INDEX pro_access_expires ON pro_access (expires_at);
+
+    CREATE TABLE shares (
+        hash TEXT PRIMARY KEY,
+        file_name TEXT,
+        password_hash TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX shares_expires ON shares (expires_at);`,
+
+    `CREATE TABLE rate_limits (
+        policy TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        resource TEXT NOT NULL DEFAULT '',
+        count INTEGER NOT NULL,
+        window_start INTEGER NOT NULL,
+        locked_until INTEGER,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (policy, ip, resource)
+    );
+    CREATE INDEX rate_limits_expires ON rate_limits (expires_at);`,
+
+    `ALTER TABLE shares ADD COLUMN max_views INTEGER;
+    ALTER TABLE shares ADD COLUMN max_downloads INTEGER;
+    ALTER TABLE shares ADD COLUMN burn_after_view INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE shares ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE shares ADD COLUMN download_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE shares ADD COLUMN last_accessed_at INTEGER;`
+];
+
+// JSON files written before the store existed, imported once and renamed
+const LEGACY_FILES = {
+    proAccess: 'pro-access.json',
+    shares: 'share-metadata.json'
+};
+
+/**
+ * Pro access row as the entry object used by the server and CLI
+ */
+function toProAccess(row) {
+    return row ? {
+        id: row.id,
+        email: row.email,
+        fingerprint: row.fingerprint,
+        stripeSessionId: row.stripe_session_id,
+        receiptNumber: row.receipt_number,
+        tokenHash: row.token_hash,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        isRevoked: row.is_revoked === 1
+    } : null;
+}
+
+/**
+ * Share row as the share object used by the server and CLI
+ */
+function toShare(row) {
+    return row ? {
+        hash: row.hash,
+        fileName: row.file_name,
+        passwordHash: row.password_hash,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        maxViews: row.max_views,
+        maxDownloads: row.max_downloads,
+        burnAfterView: row.burn_after_view === 1,
+        viewCount: row.view_count,
+        downloadCount: row.download_count,
+        lastAccessedAt: row.last_accessed_at
+    } : null;
+}
+
+// Counter and limit columns for each kind of share access
+const SHARE_ACCESS_COLUMNS = {
+    view: { count: 'view_count', max: 'max_views' },
+    download: { count: 'download_count', max: 'max_downloads' }
+};
+
+/**
+ * Rate limit row as the counter object used by the rate limiter and CLI
+ */
+function toRateLimit(row) {
+    return row ? {
+        policy: row.policy,
+        ip: row.ip,
+        resource: row.resource,
+        count: row.count,
+        windowStart: row.window_start,
+        lockedUntil: row.locked_until,
+        expiresAt: row.expires_at
+    } : null;
+}
+
+/**
+ * WHERE clause for rate limit filters (unexpired counters only)
+ */
+function rateLimitFilter(filter, now) {
+    const conditions = ['expires_at > @now'];
+    const values = { now };
+
+    for (const field of ['policy', 'ip', 'resource']) {
+        if (filter[field] !== undefined) {
+            conditions.push(`${field} = @${field}`);
+            values[field] = filter[field];
+        }
+    }
+    if (filter.locked) {
+        conditions.push('locked_until > @now');
+    }
+
+    return { where: conditions.join(' AND '), values };
+}
+
+/**
+ * SQLite data store
+ *
+ * Opens (creating if needed) the database at `file`, brings its schema up
+ * to date and imports the old JSON files found in `legacyDir` (the
+ * database's directory by default). The database uses WAL mode so the
+ * server and CLI can use it at the same time.
+ */
+class DataStore {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.legacyDir = options.legacyDir || path.dirname(this.file);
+        this.logger = options.logger || null;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+
+        this.migrate();
+        this.importLegacyFiles();
+    }
+
+    /**
+     * Apply schema migrations the database has not seen yet
+     */
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        this.transaction(() => {
+            for (let index = version; index < MIGRATIONS.length; index++) {
+                this.db.exec(MIGRATIONS[index]);
+            }
+            this.db.pragma(`user_version = ${MIGRATIONS.length}`);
+        });
+    }
+
+    /**
+     * Run `fn` in a transaction (nested calls join the outer one)
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    /**
+     * Import pro-access.json and share-metadata.json, then rename them to
+     * *.imported so the import runs once. Returns the imported counts.
+     */
+    importLegacyFiles() {
+        const imported = { proAccess: 0, shares: 0 };
+        const files = {};
+
+        for (const [kind, name] of Object.entries(LEGACY_FILES)) {
+            const filePath = path.join(this.legacyDir, name);
+            if (!fs.existsSync(filePath)) continue;
+
+            try {
+                files[kind] = { path: filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+            } catch (error) {
+                if (this.logger) this.logger.error(`Error reading ${name} for import:`, error.message);
+            }
+        }
+
+        if (!files.proAccess && !files.shares) {
+            return imported;
+        }
+
+        this.transaction(() => {
+            for (const entry of Array.isArray(files.proAccess?.data) ? files.proAccess.data : []) {
+                if (entry && entry.id && this.insertProAccess(entry, true)) imported.proAccess++;
+            }
+            for (const [hash, share] of Object.entries(files.shares?.data?.shares || {})) {
+                if (share && this.insertShare(hash, share, true)) imported.shares++;
+            }
+        });
+
+        for (const file of Object.values(files)) {
+            fs.renameSync(file.path, `${file.path}.imported`);
+        }
+        if (this.logger) {
+            this.logger.info(`Imported ${imported.proAccess} Pro access entries and ${imported.shares} shares into ${path.basename(this.file)}`);
+        }
+        return imported;
+    }
+
+    // ========================================================================
+    // Pro access
+    // ========================================================================
+
+    /**
+     * Insert a Pro access entry (skipped when `ignoreExisting` and the id exists)
+     */
+    insertProAccess(entry, ignoreExisting = false) {
+        const result = this.db.prepare(`
+            INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO pro_access
+                (id, email, fingerprint, stripe_session_id, receipt_number, token_hash, created_at, expires_at, is_revoked)
+            VALUES
+                (@id, @email, @fingerprint, @stripeSessionId, @receiptNumber, @tokenHash, @createdAt, @expiresAt, @isRevoked)
+        `).run({
+            id: entry.id,
+            email: entry.email ?? null,
+            fingerprint: entry.fingerprint ?? null,
+            stripeSessionId: entry.stripeSessionId ?? null,
+            receiptNumber: entry.receiptNumber ?? null,
+            tokenHash: entry.tokenHash ?? null,
+            createdAt: entry.createdAt || Date.now(),
+            expiresAt: entry.expiresAt || 0,
+            isRevoked: entry.isRevoked ? 1 : 0
+        });
+        return result.changes > 0;
+    }
+
+    /**
+     * Update fields of a Pro access entry; returns whether it exists
+     */
+    updateProAccess(id, changes) {
+        const columns = {
+            email: 'email',
+            fingerprint: 'fingerprint',
+            tokenHash: 'token_hash',
+            expiresAt: 'expires_at',
+            isRevoked: 'is_revoked'
+        };
+        const fields = Object.keys(changes).filter(field => columns[field]);
+        if (fields.length === 0) return false;
+
+        const values = { id };
+        for (const field of fields) {
+            values[field] = field === 'isRevoked' ? (changes[field] ? 1 : 0) : changes[field];
+        }
+
+        const assignments = fields.map(field => `${columns[field]} = @${field}`).join(', ');
+        return this.db.prepare(`UPDATE pro_access SET ${assignments} WHERE id = @id`).run(values).changes > 0;
+    }
+
+    /**
+     * All Pro access entries, oldest first
+     */
+    listProAccess() {
+        return this.db.prepare('SELECT * FROM pro_access ORDER BY created_at').all().map(toProAccess);
+    }
+
+    /**
+     * Unexpired entry for a token hash
+     */
+    findProAccessByTokenHash(tokenHash, now = Date.now()) {
+        return toProAccess(this.db.prepare(
+            'SELECT * FROM pro_access WHERE token_hash = ? AND expires_at > ? ORDER BY created_at DESC LIMIT 1'
+        ).get(tokenHash, now));
+    }
+
+    /**
+     * Unexpired entry for a device fingerprint
+     */
+    findProAccessByFingerprint(fingerprint, now = Date.now()) {
+        return toProAccess(this.db.prepare(
+            'SELECT * FROM pro_access WHERE fingerprint = ? AND expires_at > ? ORDER BY created_at DESC LIMIT 1'
+        ).get(fingerprint, now));
+    }
+
+    /**
+     * Entry created by a Stripe checkout session or payment
+     */
+    findProAccessBySession(stripeSessionId) {
+        return toProAccess(this.db.prepare(
+            'SELECT * FROM pro_access WHERE stripe_session_id = ? LIMIT 1'
+        ).get(stripeSessionId));
+    }
+
+    /**
+     * Entry for a receipt number and email (email compared case-insensitively)
+     */
+    findProAccessByReceipt(receiptNumber, email) {
+        return toProAccess(this.db.prepare(
+            'SELECT * FROM pro_access WHERE receipt_number = ? AND email = ? COLLATE NOCASE ORDER BY created_at DESC LIMIT 1'
+        ).get(receiptNumber, email));
+    }
+
+    /**
+     * Delete entries that expired before `now`; returns the count
+     */
+    deleteExpiredProAccess(now = Date.now()) {
+        return this.db.prepare('DELETE FROM pro_access WHERE expires_at <= ?').run(now).changes;
+    }
+
+    // ========================================================================
+    // Shares
+    // ========================================================================
+
+    /**
+     * Insert a share (skipped when `ignoreExisting` and the hash exists)
+     */
+    insertShare(hash, share, ignoreExisting = false) {
+        const result = this.db.prepare(`
+            INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO shares
+                (hash, file_name, password_hash, created_at, expires_at,
+                 max_views, max_downloads, burn_after_view)
+            VALUES
+                (@hash, @fileName, @passwordHash, @createdAt, @expiresAt,
+                 @maxViews, @maxDownloads, @burnAfterView)
+        `).run({
+            hash,
+            fileName: share.fileName ?? null,
+            passwordHash: share.passwordHash ?? null,
+            createdAt: share.createdAt || Date.now(),
+            expiresAt: share.expiresAt || 0,
+            maxViews: share.maxViews ?? null,
+            maxDownloads: share.maxDownloads ?? null,
+            burnAfterView: share.burnAfterView ? 1 : 0
+        });
+        return result.changes > 0;
+    }
+
+    /**
+     * Share by hash (expired ones included)
+     */
+    getShare(hash) {
+        return toShare(this.db.prepare('SELECT * FROM shares WHERE hash = ?').get(hash));
+    }
+
+    /**
+     * Share whose hash is `prefix` or starts with it
+     */
+    findShareByPrefix(prefix) {
+        return this.getShare(prefix) || toShare(this.db.prepare(
+            'SELECT * FROM shares WHERE substr(hash, 1, length(?)) = ? ORDER BY created_at LIMIT 1'
+        ).get(prefix, prefix));
+    }
+
+    /**
+     * All shares, oldest first
+     */
+    listShares() {
+        return this.db.prepare('SELECT * FROM shares ORDER BY created_at').all().map(toShare);
+    }
+
+    /**
+     * Shares that expired before `now`
+     */
+    listExpiredShares(now = Date.now()) {
+        return this.db.prepare('SELECT * FROM shares WHERE expires_at <= ? ORDER BY expires_at').all(now).map(toShare);
+    }
+
+    /**
+     * Replace a share's password hash; returns whether the share exists
+     */
+    updateSharePassword(hash, passwordHash) {
+        return this.db.prepare('UPDATE shares SET password_hash = ? WHERE hash = ?').run(passwordHash, hash).changes > 0;
+    }
+
+    /**
+     * Count a view or download of an unexpired share, unless its limit for
+     * that kind of access is reached or it is a burn-after-view share that
+     * was already opened. Returns the updated share, or null when refused.
+     */
+    recordShareAccess(hash, kind, now = Date.now()) {
+        const columns = SHARE_ACCESS_COLUMNS[kind];
+        if (!columns) {
+            throw new Error(`Unknown share access: ${kind}`);
+        }
+
+        return toShare(this.db.prepare(`
+            UPDATE shares SET ${columns.count} = ${columns.count} + 1, last_accessed_at = @now
+            WHERE hash = @hash AND expires_at > @now
+                AND (${columns.max} IS NULL OR ${columns.count} < ${columns.max})
+                AND (burn_after_view = 0 OR view_count + download_count = 0)
+            RETURNING *
+        `).get({ hash, now }));
+    }
+
+    /**
+     * Delete a share's metadata; returns whether it existed
+     */
+    deleteShare(hash) {
+        return this.db.prepare('DELETE FROM shares WHERE hash = ?').run(hash).changes > 0;
+    }
+
+    // ========================================================================
+    // Rate limits
+    // ========================================================================
+
+    /**
+     * Count a hit for a policy, IP and resource, starting a new window of
+     * `windowMs` when the previous window (and any lockout) is over. Hits
+     * during a lockout are not counted. Returns the updated counter.
+     */
+    hitRateLimit(policy, ip, resource, windowMs, now = Date.now()) {
+        return toRateLimit(this.db.prepare(`
+            INSERT INTO rate_limits (policy, ip, resource, count, window_start, locked_until, expires_at)
+            VALUES (@policy, @ip, @resource, 1, @now, NULL, @now + @windowMs)
+            ON CONFLICT (policy, ip, resource) DO UPDATE SET
+                count = CASE
+                    WHEN expires_at <= @now THEN 1
+                    WHEN locked_until > @now THEN count
+                    ELSE count + 1
+                END,
+                window_start = CASE WHEN expires_at <= @now THEN @now ELSE window_start END,
+                locked_until = CASE WHEN expires_at <= @now THEN NULL ELSE locked_until END,
+                expires_at = CASE WHEN expires_at <= @now THEN @now + @windowMs ELSE expires_at END
+            RETURNING *
+        `).get({ policy, ip, resource, windowMs, now }));
+    }
+
+    /**
+     * Lock a counter until `lockedUntil`, when it also expires
+     */
+    lockRateLimit(policy, ip, resource, lockedUntil) {
+        return this.db.prepare(`
+            UPDATE rate_limits SET locked_until = @lockedUntil, expires_at = @lockedUntil
+            WHERE policy = @policy AND ip = @ip AND resource = @resource
+        `).run({ policy, ip, resource, lockedUntil }).changes > 0;
+    }
+
+    /**
+     * Counter for a policy, IP and resource (expired ones included)
+     */
+    getRateLimit(policy, ip, resource) {
+        return toRateLimit(this.db.prepare(
+            'SELECT * FROM rate_limits WHERE policy = ? AND ip = ? AND resource = ?'
+        ).get(policy, ip, resource));
+    }
+
+    /**
+     * Counters that have not expired, optionally filtered by policy, IP,
+     * resource and whether they are locked
+     */
+    listRateLimits(filter = {}, now = Date.now()) {
+        const { where, values } = rateLimitFilter(filter, now);
+        return this.db.prepare(
+            `SELECT * FROM rate_limits WHERE ${where} ORDER BY expires_at DESC`
+        ).all(values).map(toRateLimit);
+    }
+
+    /**
+     * Delete counters matching a filter (see listRateLimits); returns the count
+     */
+    deleteRateLimits(filter = {}, now = Date.now()) {
+        const { where, values } = rateLimitFilter(filter, now);
+        return this.db.prepare(`DELETE FROM rate_limits WHERE ${where}`).run(values).changes;
+    }
+
+    /**
+     * Delete counters whose window and lockout are over; returns the count
+     */
+    deleteExpiredRateLimits(now = Date.now()) {
+        return this.db.prepare('DELETE FROM rate_limits WHERE expires_at <= ?').run(now).changes;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        if (this.db.open) this.db.close();
+    }
+}
+
+module.exports = {
+    DataStore
+};
@@ -780,6 +780,78 @@ const PDFoxApp = (function() {
         return await _doSavePDF(false, true);
     }
 
+    /**
+     * Optimize saved PDF bytes with the server (images downsampled, duplicate
+     * fonts merged, unused objects removed)
+     * @param {Uint8Array} pdfBytes - PDF to optimize
+     * @returns {Promise<{bytes: Uint8Array, originalSize: number, optimizedSize: number, skipped: Array}|null>}
+     *          Optimized PDF with sizes and the images left as they are
+     *          ({reason, count, pages}), or null if optimization failed
+     */
+    async function optimizePDFBytes(pdfBytes) {
+        const [dpi, quality] = (document.getElementById('optimizeLevel')?.value || '150:75').split(':');
+        const formData = new FormData();
+        formData.append('pdf', new Blob([pdfBytes], { type: 'application/pdf' }), 'document.pdf');
+        formData.append('dpi', dpi);
+        formData.append('quality', quality);
+
+        try {
+            const response = await fetch('/api/v1/pdf/optimize', { method: 'POST', body: formData });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.details || data.error || `HTTP ${response.status}`);
+            }
+
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            return {
+                bytes,
+                originalSize: parseInt(response.headers.get('X-Original-Size'), 10) || pdfBytes.length,
+                optimizedSize: parseInt(response.headers.get('X-Optimized-Size'), 10) || bytes.length,
+                skipped: JSON.parse(decodeURIComponent(response.headers.get('X-Images-Skipped-Reasons') || '%5B%5D'))
+            };
+        } catch (error) {
+            console.error('Error optimizing PDF:', error);
+            ui.showNotification('Could not optimize the PDF, saving it unoptimized', 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Remove the content under fill areas on the server
+     *
+     * Text, image pixels and annotations under each area are deleted from
+     * the file (not just covered); the areas themselves are painted later
+     * with their fill color.
+     * @param {Uint8Array} pdfBytes - Original PDF
+     * @param {Array} areas - Fill areas in screen pixels at the given scale
+     * @param {number} scale - Viewer scale of the area coordinates
+     * @returns {Promise<Uint8Array>} Redacted PDF
+     */
+    async function redactPDFBytes(pdfBytes, areas, scale) {
+        const boxes = areas.map(area => ({
+            page: area.page,
+            x: area.x / scale,
+            y: area.y / scale,
+            width: area.width / scale,
+            height: area.height / scale
+        }));
+
+        const formData = new FormData();
+        formData.append('pdf', new Blob([pdfBytes], { type: 'application/pdf' }), 'document.pdf');
+        formData.append('areas', JSON.stringify(boxes));
+        formData.append('fill', 'none');
+
+        const response = await fetch('/api/v1/pdf/redact', { method: 'POST', body: formData });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.details || data.error || `HTTP ${response.status}`);
+            error.isRedactionError = true;
+            throw error;
+        }
+
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
     /**
      * Internal: Save PDF with all modifications
      * @param {boolean} applyWatermark - Whether to apply watermark
@@ -801,31 +873,51 @@ const PDFoxApp = (function() {
         }
 
         try {
-            // Load PDF with pdf-lib
-            const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+            // Use the actual viewer scale - this is critical for correct positioning
+            // All overlay/annotation coordinates are stored in screen pixels at the current scale
+            const SCALE_FACTOR = core.get('scale');
+            const removedAreas = annotations.getRemovedAreas();
+
+            // Fill areas are redactions: remove what is under them before painting them
+            let sourceBytes = pdfBytes;
+            if (removedAreas.length > 0) {
+                if (!returnBytes) {
+                    ui.showLoading('Redacting content...');
+                }
+                sourceBytes = await redactPDFBytes(pdfBytes, removedAreas, SCALE_FACTOR);
+                if (!returnBytes) {
+                    ui.showLoading('Saving PDF...');
+                }
+            }
+
+            // Load PDF with pdf-lib (keeping the document's own metadata)
+            const pdfDoc = await PDFLib.PDFDocument.load(sourceBytes, { updateMetadata: false });
             const pages = pdfDoc.getPages();
 
             // Set PDF metadata to indicate document was prepared with PDFOX
             const currentDate = new Date();
             pdfDoc.setProducer('PDFOX - www.pdfox.cloud');
-            pdfDoc.setCreator('PDFOX PDF Editor - www.pdfox.cloud');
+            if (!pdfDoc.getCreator()) {
+                pdfDoc.setCreator('PDFOX PDF Editor - www.pdfox.cloud');
+            }
             pdfDoc.setModificationDate(currentDate);
-            pdfDoc.setKeywords(['Prepared with PDFOX', 'www.pdfox.cloud']);
+
+            // Title, author, subject and keywords from the Document Properties panel
+            if (typeof PDFoxDocumentProperties !== 'undefined') {
+                PDFoxDocumentProperties.apply(pdfDoc);
+            } else {
+                pdfDoc.setKeywords(['Prepared with PDFOX', 'www.pdfox.cloud']);
+            }
 
             // Register fontkit to enable custom font embedding with Unicode support
             if (typeof fontkit !== 'undefined') {
                 pdfDoc.registerFontkit(fontkit);
             }
 
-            // Use the actual viewer scale - this is critical for correct positioning
-            // All overlay/annotation coordinates are stored in screen pixels at the current scale
-            const SCALE_FACTOR = core.get('scale');
-
             const textEdits = core.get('textEdits');
             const textOverlays = core.get('textOverlays');
             const allAnnotations = core.get('annotations');
             const allSignatures = core.get('signatures');
-            const removedAreas = annotations.getRemovedAreas();
 
             // Cache for embedded fonts to avoid re-embedding the same font
             const fontCache = {};
@@ -1405,13 +1497,31 @@ const PDFoxApp = (function() {
             }
 
             // Save PDF
-            const pdfBytesModified = await pdfDoc.save();
+            let pdfBytesModified = await pdfDoc.save();
+
+            // Bring the XMP metadata in step with the Document Properties panel
+            if (typeof PDFoxDocumentProperties !== 'undefined') {
+                const withMetadata = await PDFoxDocumentProperties.writeMetadata(pdfBytesModified);
+                if (withMetadata) {
+                    pdfBytesModified = withMetadata;
+                }
+            }
 
             // If returnBytes mode, just return the bytes without downloading
             if (returnBytes) {
                 return new Uint8Array(pdfBytesModified);
             }
 
+            // Optionally shrink the file on the server before downloading
+            let optimizeResult = null;
+            if (document.getElementById('optimizeOnSave')?.checked) {
+                ui.showLoading('Optimizing PDF...');
+                optimizeResult = await optimizePDFBytes(pdfBytesModified);
+                if (optimizeResult) {
+                    pdfBytesModified = optimizeResult.bytes;
+                }
+            }
+
             // Download the PDF
             const blob = new Blob([pdfBytesModified], { type: 'application/pdf' });
             const url = URL.createObjectURL(blob);
@@ -1427,12 +1537,24 @@ const PDFoxApp = (function() {
             }
 
             ui.hideLoading();
-            ui.showAlert('PDF saved successfully!', 'success');
+            if (optimizeResult) {
+                const { formatFileSize } = PDFoxUtils;
+                ui.showAlert(`PDF saved and optimized: ${formatFileSize(optimizeResult.originalSize)} → ${formatFileSize(optimizeResult.optimizedSize)}`, 'success');
+                for (const group of optimizeResult.skipped) {
+                    ui.showNotification(`${group.count} image(s) not downsampled (pages ${group.pages}): ${group.reason}`, 'warning');
+                }
+            } else {
+                ui.showAlert('PDF saved successfully!', 'success');
+            }
         } catch (error) {
             console.error('Error saving PDF:', error);
             if (!returnBytes) {
                 ui.hideLoading();
-                ui.showAlert('Sorry, we couldn\'t save your PDF. Please try again.', 'error');
+                if (error.isRedactionError) {
+                    ui.showAlert(`The PDF was not saved because redaction failed: ${error.message}`, 'error');
+                } else {
+                    ui.showAlert('Sorry, we couldn\'t save your PDF. Please try again.', 'error');
+                }
             }
             return returnBytes ? null : undefined;
         }
@@ -2056,6 +2178,14 @@ const PDFoxApp = (function() {
                 passwordInput.value = '';
                 passwordInput.style.display = 'none';
             }
+            const expirySelect = document.getElementById('shareExpiryHours');
+            if (expirySelect) expirySelect.value = '24';
+            ['shareMaxViews', 'shareMaxDownloads'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.value = '';
+            });
+            const burnCheckbox = document.getElementById('shareBurnAfterView');
+            if (burnCheckbox) burnCheckbox.checked = false;
             modal.style.display = 'flex';
         }
     }
@@ -2098,6 +2228,19 @@ const PDFoxApp = (function() {
             return;
         }
 
+        // Expiry and access limits (empty limits mean unlimited)
+        const expiryHours = document.getElementById('shareExpiryHours')?.value || '24';
+        const maxViews = document.getElementById('shareMaxViews')?.value.trim() || '';
+        const maxDownloads = document.getElementById('shareMaxDownloads')?.value.trim() || '';
+        const burnAfterView = document.getElementById('shareBurnAfterView')?.checked || false;
+
+        for (const limit of [maxViews, maxDownloads]) {
+            if (limit && !(Number.isInteger(Number(limit)) && Number(limit) >= 1)) {
+                ui.showAlert('View and download limits must be whole numbers of at least 1', 'error');
+                return;
+            }
+        }
+
         // Close options modal
         closeShareOptionsModal();
 
@@ -2122,6 +2265,15 @@ const PDFoxApp = (function() {
             if (password) {
                 formData.append('password', password);
             }
+            formData.append('expiryHours', expiryHours);
+            if (maxViews) formData.append('maxViews', maxViews);
+            if (maxDownloads) formData.append('maxDownloads', maxDownloads);
+            if (burnAfterView) formData.append('burnAfterView', 'true');
+
+            // Pro users may keep shares longer
+            if (typeof PDFoxProAccess !== 'undefined' && PDFoxProAccess.token) {
+                formData.append('proToken', PDFoxProAccess.token);
+            }
 
             // Send to server
             const response = await fetch('/api/v1/share/create', {
@@ -2131,26 +2283,30 @@ const PDFoxApp = (function() {
 
             if (!response.ok) {
                 const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to create share');
+                const shareError = new Error(errorData.error || 'Failed to create share');
+                shareError.details = errorData.details;
+                throw shareError;
             }
 
             const data = await response.json();
 
             // Show result in share link modal
             ui.hideLoading();
-            showShareLinkResult(data.url, data.hasPassword, data.expiresAt);
+            showShareLinkResult(data.url, data.hasPassword, data.expiresAt, data);
 
         } catch (error) {
             console.error('Error creating share:', error);
             ui.hideLoading();
-            ui.showAlert('Failed to create share link. Please try again.', 'error');
+            ui.showAlert(error.details
+                ? `Failed to create share link: ${error.details}`
+                : 'Failed to create share link. Please try again.', 'error');
         }
     }
 
     /**
      * Show share link result modal
      */
-    function showShareLinkResult(url, hasPassword, expiresAt) {
+    function showShareLinkResult(url, hasPassword, expiresAt, limits = {}) {
         const modal = document.getElementById('shareLinkModal');
         const input = document.getElementById('shareUrlInput');
         const status = document.getElementById('shareLinkStatus');
@@ -2166,6 +2322,12 @@ const PDFoxApp = (function() {
                 if (hasPassword) {
                     statusText += ' (Password protected)';
                 }
+                if (limits.burnAfterView) {
+                    statusText += ' - deleted after the first view';
+                } else {
+                    if (limits.maxViews) statusText += ` - ${limits.maxViews} view${limits.maxViews !== 1 ? 's' : ''}`;
+                    if (limits.maxDownloads) statusText += ` - ${limits.maxDownloads} download${limits.maxDownloads !== 1 ? 's' : ''}`;
+                }
                 status.textContent = statusText;
                 status.style.color = '#4CAF50';
             }
@@ -2357,6 +2519,174 @@ const PDFoxApp = (function() {
         }
     }
 
+    // Images chosen for "New from Images", in page order
+    let newFromImages = [];
+
+    /**
+     * Start a new PDF from images (opens the image picker)
+     */
+    function openNewFromImages() {
+        newFromImages = [];
+        document.getElementById('imagesFileInput')?.click();
+    }
+
+    /**
+     * Handle images picked for a new PDF
+     * @param {Event} event - File input event
+     */
+    function handleImagesSelected(event) {
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        newFromImages = newFromImages.concat(files);
+        renderNewFromImagesList();
+
+        const modal = document.getElementById('newFromImagesModal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Render the ordered image list with move/remove buttons
+     */
+    function renderNewFromImagesList() {
+        const list = document.getElementById('newFromImagesList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        newFromImages.forEach((file, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #2a2a2a;';
+
+            const label = document.createElement('span');
+            label.style.cssText = 'flex: 1; color: #fff; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            label.textContent = `${index + 1}. ${file.name}`;
+            row.appendChild(label);
+
+            const actions = [
+                { text: '↑', title: 'Move up', disabled: index === 0, action: () => moveNewFromImage(index, -1) },
+                { text: '↓', title: 'Move down', disabled: index === newFromImages.length - 1, action: () => moveNewFromImage(index, 1) },
+                { text: '✕', title: 'Remove', disabled: false, action: () => removeNewFromImage(index) }
+            ];
+            for (const { text, title, disabled, action } of actions) {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.disabled = disabled;
+                button.style.cssText = 'width: 28px; height: 28px; background: #2a2a2a; color: #fff; border: 1px solid #333; border-radius: 6px; cursor: pointer;' +
+                    (disabled ? ' opacity: 0.4; cursor: default;' : '');
+                button.addEventListener('click', action);
+                row.appendChild(button);
+            }
+
+            list.appendChild(row);
+        });
+
+        const createButton = document.getElementById('newFromImagesCreate');
+        if (createButton) {
+            createButton.disabled = newFromImages.length === 0;
+        }
+    }
+
+    /**
+     * Move an image up or down in the page order
+     */
+    function moveNewFromImage(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= newFromImages.length) return;
+        [newFromImages[index], newFromImages[target]] = [newFromImages[target], newFromImages[index]];
+        renderNewFromImagesList();
+    }
+
+    /**
+     * Remove an image from the new PDF
+     */
+    function removeNewFromImage(index) {
+        newFromImages.splice(index, 1);
+        renderNewFromImagesList();
+    }
+
+    /**
+     * Close the New from Images modal
+     */
+    function closeNewFromImagesModal() {
+        const modal = document.getElementById('newFromImagesModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        newFromImages = [];
+    }
+
+    /**
+     * Build a PDF from the chosen images on the server and open it
+     */
+    async function createFromImages() {
+        if (newFromImages.length === 0) return;
+
+        const formData = new FormData();
+        newFromImages.forEach(file => formData.append('images', file, file.name));
+        formData.append('pageSize', document.getElementById('newFromImagesPageSize')?.value || 'a4');
+        formData.append('fit', document.getElementById('newFromImagesFit')?.value || 'contain');
+        formData.append('margin', document.getElementById('newFromImagesMargin')?.value || '0');
+
+        const create = async () => {
+            closeNewFromImagesModal();
+            ui.showLoading('Creating PDF from images...');
+
+            try {
+                const response = await fetch('/api/v1/build/pdf', {
+                    method: 'POST',
+                    body: formData
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.details || errorData.error || 'Failed to create PDF');
+                }
+
+                const blob = await response.blob();
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob);
+                });
+
+                // Open the new PDF the same way as a file from disk
+                if (typeof PDFoxSessionPersistence !== 'undefined') {
+                    PDFoxSessionPersistence.clear();
+                }
+                if (typeof PDFStorage !== 'undefined') {
+                    await PDFStorage.store(dataUrl, 'images.pdf');
+                } else {
+                    sessionStorage.setItem('pdfToEdit', dataUrl);
+                    sessionStorage.setItem('pdfFileName', 'images.pdf');
+                }
+                window.location.reload();
+            } catch (error) {
+                ui.hideLoading();
+                console.error('Failed to create PDF from images:', error);
+                ui.showAlert(`Sorry, we couldn't create a PDF from these images. ${error.message}`, 'error');
+            }
+        };
+
+        const textEdits = core.get('textEdits');
+        const textOverlays = core.get('textOverlays');
+        const allAnnotations = core.get('annotations');
+
+        if (textEdits.length > 0 || allAnnotations.length > 0 || textOverlays.length > 0) {
+            ui.showConfirm('Creating a new PDF will discard unsaved changes. Continue?', (confirmed) => {
+                if (confirmed) {
+                    create();
+                }
+            });
+        } else {
+            create();
+        }
+    }
+
     /**
      * Setup keyboard shortcuts
      */
@@ -2368,6 +2698,7 @@ const PDFoxApp = (function() {
                 const addTextModal = document.getElementById('addTextModal');
                 const signatureModal = document.getElementById('signatureModal');
                 const shareModal = document.getElementById('shareModal');
+                const newFromImagesModal = document.getElementById('newFromImagesModal');
 
                 if (editModal?.style.display === 'flex') {
                     textEditor.closeEditModal();
@@ -2377,6 +2708,8 @@ const PDFoxApp = (function() {
                     signatures.closeModal();
                 } else if (shareModal?.style.display === 'flex') {
                     closeShareModal();
+                } else if (newFromImagesModal?.style.display === 'flex') {
+                    closeNewFromImagesModal();
                 } else {
                     // No modal open - reset to default tool
                     const currentTool = core.get('currentTool');
@@ -2740,6 +3073,9 @@ const PDFoxApp = (function() {
                     core.set('pdfBytes', pdfBytes);
 
                     await renderer.loadPDF(new Uint8Array(pdfBytes));
+                    if (typeof PDFoxDocumentProperties !== 'undefined') {
+                        await PDFoxDocumentProperties.load(new Uint8Array(pdfBytes));
+                    }
                     setTool(getDefaultTool(), true); // Force to ensure UI is updated
                     updateZoomDisplay();
 
@@ -2819,6 +3155,11 @@ const PDFoxApp = (function() {
                 fileInput.addEventListener('change', handleFileOpen);
             }
 
+            const imagesInput = document.getElementById('imagesFileInput');
+            if (imagesInput) {
+                imagesInput.addEventListener('change', handleImagesSelected);
+            }
+
             // Wire up brush size display
             const brushSize = document.getElementById('brushSize');
             const sizeValue = document.getElementById('sizeValue');
@@ -2928,6 +3269,9 @@ const PDFoxApp = (function() {
 
                 // Load PDF (renderer will calculate optimal zoom automatically)
                 await renderer.loadPDF(new Uint8Array(pdfBytes));
+                if (typeof PDFoxDocumentProperties !== 'undefined') {
+                    await PDFoxDocumentProperties.load(new Uint8Array(pdfBytes));
+                }
 
                 // Track file upload via editor analytics
                 if (typeof EditorAnalytics !== 'undefined') {
@@ -2998,7 +3342,10 @@ const PDFoxApp = (function() {
         showShareOptionsModal,
         closeShareOptionsModal,
         toggleSharePassword,
-        generateShareLink
+        generateShareLink,
+        openNewFromImages,
+        closeNewFromImagesModal,
+        createFromImages
     };
 })();
 
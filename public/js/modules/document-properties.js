@@ -0,0 +1,219 @@
+/**
+ * PDFOX Document Properties Module
+ * Title, author, subject and keywords of the open PDF, written to the Info
+ * dictionary and XMP metadata on save (XMP is merged on the server, which
+ * keeps the document's other XMP properties and the PDFOX keywords for free users)
+ */
+
+const PDFoxDocumentProperties = (function() {
+    'use strict';
+
+    const BRANDING_KEYWORDS = ['Prepared with PDFOX', 'www.pdfox.cloud'];
+
+    // Panel input ids by property
+    const FIELDS = {
+        title: 'docTitle',
+        author: 'docAuthor',
+        subject: 'docSubject',
+        keywords: 'docKeywords'
+    };
+
+    // XMP property of each field (namespace URI and local name)
+    const XMP_PROPERTIES = {
+        title: ['http://purl.org/dc/elements/1.1/', 'title'],
+        author: ['http://purl.org/dc/elements/1.1/', 'creator'],
+        subject: ['http://purl.org/dc/elements/1.1/', 'description'],
+        keywords: ['http://ns.adobe.com/pdf/1.3/', 'Keywords']
+    };
+
+    let core = null;
+
+    /**
+     * Initialize the module
+     */
+    function init() {
+        core = PDFoxCore;
+        core.on('isProUser:changed', updateBrandingOption);
+        updateBrandingOption();
+    }
+
+    /**
+     * Only Pro users may leave out the PDFOX keywords
+     */
+    function updateBrandingOption() {
+        const checkbox = document.getElementById('docBrandingKeywords');
+        const hint = document.getElementById('docBrandingHint');
+        const isPro = core?.get('isProUser') || false;
+
+        if (checkbox) {
+            checkbox.disabled = !isPro;
+            if (!isPro) checkbox.checked = true;
+        }
+        if (hint) {
+            hint.style.display = isPro ? 'none' : 'block';
+        }
+    }
+
+    /**
+     * Keywords without the PDFOX branding added by earlier saves
+     * @param {string} keywords - Keywords from the document
+     * @returns {string}
+     */
+    function stripBranding(keywords) {
+        let text = keywords || '';
+        BRANDING_KEYWORDS.forEach(keyword => {
+            text = text.split(keyword).join('');
+        });
+        return text.split(/[,;]/).map(part => part.trim()).filter(Boolean).join(', ');
+    }
+
+    /**
+     * Field values from the document's XMP packet (missing fields are left out)
+     * @param {PDFDocument} pdfDoc - pdf-lib document
+     * @returns {Object}
+     */
+    function readXmp(pdfDoc) {
+        const { PDFName, PDFRawStream, decodePDFRawStream } = PDFLib;
+        const stream = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Metadata')));
+        if (!(stream instanceof PDFRawStream)) return {};
+
+        const xml = new TextDecoder().decode(decodePDFRawStream(stream).decode());
+        const packet = new DOMParser().parseFromString(xml.replace(/^[\s\S]*?(?=<x:xmpmeta|<rdf:RDF)/, ''), 'application/xml');
+        if (packet.getElementsByTagName('parsererror').length > 0) return {};
+
+        const values = {};
+        Object.entries(XMP_PROPERTIES).forEach(([field, [namespace, name]]) => {
+            const element = packet.getElementsByTagNameNS(namespace, name)[0];
+            if (element) {
+                const items = [...element.getElementsByTagNameNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'li')];
+                values[field] = (items.length > 0 ? items.map(item => item.textContent.trim()).join(', ') : element.textContent).trim();
+                return;
+            }
+            // Simple properties may also be written as attributes of rdf:Description
+            const described = [...packet.getElementsByTagNameNS('*', 'Description')]
+                .find(description => description.hasAttributeNS(namespace, name));
+            if (described) values[field] = described.getAttributeNS(namespace, name).trim();
+        });
+        return values;
+    }
+
+    /**
+     * Fill the panel from a loaded PDF (XMP values win over the Info
+     * dictionary, as in most viewers)
+     * @param {Uint8Array} pdfBytes - PDF data
+     */
+    async function load(pdfBytes) {
+        let values = {};
+        try {
+            const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+            let xmp = {};
+            try {
+                xmp = readXmp(pdfDoc);
+            } catch (error) {
+                console.warn('[DocumentProperties] Could not read XMP metadata:', error.message);
+            }
+            values = {
+                title: xmp.title || pdfDoc.getTitle() || '',
+                author: xmp.author || pdfDoc.getAuthor() || '',
+                subject: xmp.subject || pdfDoc.getSubject() || '',
+                keywords: stripBranding(xmp.keywords || pdfDoc.getKeywords())
+            };
+        } catch (error) {
+            console.warn('[DocumentProperties] Could not read metadata:', error.message);
+        }
+
+        Object.entries(FIELDS).forEach(([field, id]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = values[field] || '';
+        });
+        updateBrandingOption();
+    }
+
+    /**
+     * Current panel values
+     * @returns {{title: string, author: string, subject: string, keywords: string}}
+     */
+    function getValues() {
+        const values = {};
+        Object.entries(FIELDS).forEach(([field, id]) => {
+            values[field] = (document.getElementById(id)?.value || '').trim();
+        });
+        return values;
+    }
+
+    /**
+     * Whether the PDFOX keywords are requested (the server keeps them for free users)
+     * @returns {boolean}
+     */
+    function wantsBranding() {
+        const isPro = core?.get('isProUser') || false;
+        return !isPro || document.getElementById('docBrandingKeywords')?.checked !== false;
+    }
+
+    /**
+     * Write the panel values to the Info dictionary of a document being saved
+     *
+     * Free users always get the PDFOX keywords; Pro users can turn them off.
+     * writeMetadata() then brings the XMP packet in step on the server.
+     * @param {PDFDocument} pdfDoc - pdf-lib document
+     */
+    function apply(pdfDoc) {
+        const { PDFName, PDFHexString } = PDFLib;
+        const values = getValues();
+
+        const keywords = [values.keywords, ...(wantsBranding() ? BRANDING_KEYWORDS : [])].filter(Boolean).join(', ');
+        const info = pdfDoc.getInfoDict();
+        const entries = { Title: values.title, Author: values.author, Subject: values.subject, Keywords: keywords };
+
+        Object.entries(entries).forEach(([key, value]) => {
+            if (value) {
+                info.set(PDFName.of(key), PDFHexString.fromText(value));
+            } else {
+                info.delete(PDFName.of(key));
+            }
+        });
+    }
+
+    /**
+     * Write the panel values to saved PDF bytes on the server, which updates
+     * the Info dictionary and merges them into the existing XMP packet
+     * @param {Uint8Array} pdfBytes - Saved PDF
+     * @returns {Promise<Uint8Array|null>} Updated PDF, or null if the server could not update it
+     */
+    async function writeMetadata(pdfBytes) {
+        const values = getValues();
+        const formData = new FormData();
+        formData.append('pdf', new Blob([pdfBytes], { type: 'application/pdf' }), 'document.pdf');
+        Object.entries(values).forEach(([field, value]) => formData.append(field, value));
+        formData.append('branding', String(wantsBranding()));
+        if (typeof PDFoxProAccess !== 'undefined' && PDFoxProAccess.token) {
+            formData.append('proToken', PDFoxProAccess.token);
+        }
+
+        try {
+            const response = await fetch('/api/v1/pdf/metadata/update', { method: 'POST', body: formData });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.details || data.error || `HTTP ${response.status}`);
+            }
+            return new Uint8Array(await response.arrayBuffer());
+        } catch (error) {
+            console.warn('[DocumentProperties] Could not update XMP metadata:', error.message);
+            return null;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        load,
+        getValues,
+        apply,
+        writeMetadata
+    };
+})();
+
+// Export for ES modules if supported
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFoxDocumentProperties;
+}
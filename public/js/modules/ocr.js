@@ -10,37 +10,170 @@ const PDFoxOCR = (function() {
     const core = PDFoxCore;
     const ui = PDFoxUI;
 
+    const LANGUAGE_STORAGE_KEY = 'pdfox_ocr_languages';
+
+    // Used until the server list has loaded (or if it cannot be reached)
+    const DEFAULT_LANGUAGE_OPTIONS = [
+        { code: 'eng', name: 'English', local: false },
+        { code: 'deu', name: 'German', local: false },
+        { code: 'fra', name: 'French', local: false },
+        { code: 'ukr', name: 'Ukrainian', local: false }
+    ];
+
+    // Language sets used when the script is detected automatically
+    const SCRIPT_LANGUAGES = {
+        Latin: 'eng+deu+fra',
+        Cyrillic: 'ukr+rus'
+    };
+
     // OCR state
     let ocrWorker = null;
+    let ocrWorkerLanguages = null;
+    let detectWorker = null;
     let ocrCache = new Map();
     let currentExtraction = null;
+    let languageInfo = null;
+    let selectedLanguages = localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'eng';
 
     /**
-     * Initialize OCR worker
-     * @returns {Promise} Tesseract worker
+     * Load available languages from the server
+     * @returns {Promise<Object>} { default, languages, langPath, detection }
      */
-    async function initWorker() {
-        if (!ocrWorker) {
-            ui.showLoading('Starting AI Text Recognition...');
+    async function loadLanguageInfo() {
+        if (!languageInfo) {
             try {
-                ocrWorker = await Tesseract.createWorker('eng', 1, {
-                    logger: m => {
-                        if (m.status === 'recognizing text') {
-                            const progress = Math.round(m.progress * 100);
-                            ui.showLoading(`AI analyzing text... ${progress}%`);
-                        }
-                    }
-                });
-                console.log('AI text recognition initialized');
+                const response = await fetch('/api/v1/ocr/languages');
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                languageInfo = await response.json();
             } catch (error) {
-                console.error('Failed to initialize OCR:', error);
-                ui.hideLoading();
-                throw error;
+                console.warn('Could not load OCR languages, using defaults:', error.message);
+                languageInfo = {
+                    languages: DEFAULT_LANGUAGE_OPTIONS,
+                    langPath: null,
+                    detection: { available: true, local: false }
+                };
             }
         }
+        return languageInfo;
+    }
+
+    /**
+     * Worker options: use the server's traineddata when every language is available there
+     * @param {string} languages - Language set, e.g. "deu+eng"
+     * @returns {Promise<Object>} Tesseract worker options
+     */
+    async function workerOptions(languages) {
+        const info = await loadLanguageInfo();
+        const local = languages.split('+').every(code => code === 'osd'
+            ? info.detection && info.detection.local
+            : (info.languages || []).some(lang => lang.code === code && lang.local)
+        );
+
+        return local && info.langPath
+            ? { langPath: info.langPath, gzip: false }
+            : {};
+    }
+
+    /**
+     * Initialize OCR worker
+     * @param {string} languages - Language set, e.g. "deu+eng"
+     * @returns {Promise} Tesseract worker
+     */
+    async function initWorker(languages = 'eng') {
+        if (ocrWorker && ocrWorkerLanguages === languages) {
+            return ocrWorker;
+        }
+
+        ui.showLoading('Starting AI Text Recognition...');
+        try {
+            if (ocrWorker) {
+                await ocrWorker.terminate();
+                ocrWorker = null;
+            }
+
+            ocrWorker = await Tesseract.createWorker(languages.split('+'), 1, {
+                ...(await workerOptions(languages)),
+                logger: m => {
+                    if (m.status === 'recognizing text') {
+                        const progress = Math.round(m.progress * 100);
+                        ui.showLoading(`AI analyzing text... ${progress}%`);
+                    }
+                }
+            });
+            ocrWorkerLanguages = languages;
+            console.log(`AI text recognition initialized (${languages})`);
+        } catch (error) {
+            console.error('Failed to initialize OCR:', error);
+            ocrWorker = null;
+            ocrWorkerLanguages = null;
+            ui.hideLoading();
+            throw error;
+        }
         return ocrWorker;
     }
 
+    /**
+     * Choose languages for an image by detecting its script
+     * @param {HTMLCanvasElement} canvas - Image to inspect
+     * @returns {Promise<string>} Language set
+     */
+    async function detectLanguages(canvas) {
+        try {
+            ui.showLoading('Detecting document language...');
+            if (!detectWorker) {
+                detectWorker = await Tesseract.createWorker('osd', 0, await workerOptions('osd'));
+            }
+            const { data } = await detectWorker.detect(canvas);
+            console.log(`OCR script detected: ${data.script} (${data.script_confidence})`);
+            return SCRIPT_LANGUAGES[data.script] || 'eng';
+        } catch (error) {
+            console.warn('Script detection failed, using English:', error);
+            return 'eng';
+        }
+    }
+
+    /**
+     * Get the selected OCR languages ("auto" for detection)
+     * @returns {string} Language set
+     */
+    function getLanguages() {
+        return selectedLanguages;
+    }
+
+    /**
+     * Set the OCR languages used for the next extraction
+     * @param {string} languages - Language set ("deu+eng") or "auto"
+     */
+    function setLanguages(languages) {
+        selectedLanguages = languages || 'eng';
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, selectedLanguages);
+    }
+
+    /**
+     * Options for the language picker
+     * @returns {Promise<Array>} [{ value, label }]
+     */
+    async function getLanguageOptions() {
+        const info = await loadLanguageInfo();
+        const options = (info.languages || DEFAULT_LANGUAGE_OPTIONS).map(lang => ({
+            value: lang.code,
+            label: lang.name
+        }));
+
+        if (info.detection && info.detection.available) {
+            options.unshift({ value: 'auto', label: 'Auto-detect' });
+        }
+
+        // Keep a previously chosen combination such as "deu+eng" selectable
+        if (!options.some(option => option.value === selectedLanguages)) {
+            options.push({ value: selectedLanguages, label: selectedLanguages.split('+').join(' + ') });
+        }
+
+        return options;
+    }
+
     /**
      * Extract text from a selected region
      * @param {Object} selection - Selection object with x, y, width, height, page
@@ -98,8 +231,11 @@ const PDFoxOCR = (function() {
                 0, 0, cropWidth, cropHeight
             );
 
-            // Initialize worker and run OCR
-            const worker = await initWorker();
+            // Initialize worker for the chosen (or detected) languages and run OCR
+            const languages = selectedLanguages === 'auto'
+                ? await detectLanguages(cropCanvas)
+                : selectedLanguages;
+            const worker = await initWorker(languages);
             const { data } = await worker.recognize(cropCanvas);
 
             ui.hideLoading();
@@ -115,6 +251,7 @@ const PDFoxOCR = (function() {
                 text: data.text,
                 words: data.words,
                 confidence: data.confidence,
+                languages,
                 page: selection.page
             };
 
@@ -423,7 +560,10 @@ const PDFoxOCR = (function() {
         closeModal,
         copyText,
         insertAsOverlay,
-        activateOCRSelectionMode
+        activateOCRSelectionMode,
+        getLanguages,
+        setLanguages,
+        getLanguageOptions
     };
 })();
 
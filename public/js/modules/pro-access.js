@@ -406,6 +406,7 @@ const PDFoxProAccess = (function() {
         get isPro() { return proStatus.isPro; },
         get expiresAt() { return proStatus.expiresAt; },
         get email() { return proStatus.email; },
+        get token() { return proStatus.isPro ? (getStoredAccess()?.token || null) : null; },
         get fingerprint() { return fingerprint; }
     };
 })();
@@ -177,6 +177,7 @@ const PDFoxUnifiedTextEditor = (function() {
                         </div>
                         ${config.showOcrInfo ? `
                             <div class="ocr-info">
+                                <select class="ocr-language-select" id="uteOcrLanguage" title="Recognition language - change to read the area again"></select>
                                 <span class="ocr-confidence" id="uteOcrConfidence">${data.confidence ? 'AI Accuracy: ' + data.confidence.toFixed(1) + '%' : ''}</span>
                             </div>
                         ` : ''}
@@ -451,6 +452,25 @@ const PDFoxUnifiedTextEditor = (function() {
             }
         });
 
+        // OCR language picker - re-read the same area in the chosen language
+        const languageSelect = document.getElementById('uteOcrLanguage');
+        if (languageSelect && typeof PDFoxOCR !== 'undefined') {
+            PDFoxOCR.getLanguageOptions().then(options => {
+                languageSelect.innerHTML = options.map(o =>
+                    `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`
+                ).join('');
+                languageSelect.value = PDFoxOCR.getLanguages();
+            });
+
+            languageSelect.addEventListener('change', () => {
+                const rect = currentData?.rect;
+                PDFoxOCR.setLanguages(languageSelect.value);
+                if (rect) {
+                    PDFoxOCR.extractFromSelection(rect);
+                }
+            });
+        }
+
         // Escape key
         escHandler = (e) => {
             if (e.key === 'Escape') {
@@ -73,6 +73,7 @@ const ShareViewer = (function() {
     function cacheElements() {
         elements.loadingState = document.getElementById('loadingState');
         elements.notFoundState = document.getElementById('notFoundState');
+        elements.notFoundMessage = document.querySelector('#notFoundState p');
         elements.passwordState = document.getElementById('passwordState');
         elements.pdfViewer = document.getElementById('pdfViewer');
         elements.pdfCanvas = document.getElementById('pdfCanvas');
@@ -97,10 +98,11 @@ const ShareViewer = (function() {
     }
 
     /**
-     * Show not found state
+     * Show not found state (with the server's message when there is one)
      */
-    function showNotFound() {
+    function showNotFound(message) {
         hideAllStates();
+        if (message && elements.notFoundMessage) elements.notFoundMessage.textContent = message;
         if (elements.notFoundState) elements.notFoundState.style.display = 'flex';
         if (elements.downloadBtn) elements.downloadBtn.style.display = 'none';
     }
@@ -122,7 +124,15 @@ const ShareViewer = (function() {
         hideAllStates();
         if (elements.pdfViewer) elements.pdfViewer.style.display = 'flex';
         if (elements.pageControls) elements.pageControls.style.display = 'flex';
-        if (elements.downloadBtn) elements.downloadBtn.style.display = 'flex';
+        if (elements.downloadBtn) elements.downloadBtn.style.display = canDownload() ? 'flex' : 'none';
+    }
+
+    /**
+     * Whether the share still allows downloads (burn-after-view shares are
+     * deleted once viewed, so they are view-only)
+     */
+    function canDownload() {
+        return !!metadata && !metadata.burnAfterView && metadata.downloadsRemaining !== 0;
     }
 
     /**
@@ -265,7 +275,9 @@ const ShareViewer = (function() {
             const response = await fetch(`/api/v1/share/${hash}/view`);
 
             if (!response.ok) {
-                showNotFound();
+                // 410: the share's view limit is reached or it was burned
+                const data = response.status === 410 ? await response.json().catch(() => ({})) : {};
+                showNotFound(data.message);
                 return;
             }
 
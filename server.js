@@ -4,16 +4,39 @@ const multer = require('multer');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
+const os = require('os');
 const util = require('util');
-const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
-const { Document, Paragraph, TextRun, Packer } = require('docx');
 const Stripe = require('stripe');
 const { google } = require('googleapis');
 const jwt = require('jsonwebtoken');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
 const { createLogger } = require('./lib/logger');
 const { AnalyticsNotifier } = require('./lib/analytics');
+const { extractLayout, layoutFromOCR, layoutToText } = require('./lib/conversion/layout');
+const { buildDocx } = require('./lib/conversion/docx');
+const { buildMarkdown } = require('./lib/conversion/markdown');
+const { buildHtml } = require('./lib/conversion/html');
+const { buildJson } = require('./lib/conversion/json');
+const { buildSearchablePdf } = require('./lib/conversion/searchable');
+const { buildCsv } = require('./lib/conversion/csv');
+const { buildXlsx } = require('./lib/conversion/xlsx');
+const { extractImages, buildImagesZip } = require('./lib/conversion/images');
+const { buildPdfFromImages } = require('./lib/conversion/image-pdf');
+const { loadPdfjs, isPasswordError, isEngineError, readPageCount, readPageTexts } = require('./lib/conversion/pdfjs');
+const { OCRWorkerPool, ocrPDF, ocrReport, parseLanguages, listLanguages } = require('./lib/ocr');
+const { JobQueue } = require('./lib/jobs');
+const { ConversionCache, hashFile } = require('./lib/cache');
+const { parsePageRanges, selectPages, formatPageRanges } = require('./lib/page-ranges');
+const { mergePdfs, extractPages, splitPdf, reorderPages, rotatePages } = require('./lib/page-operations');
+const { optimizePdf, summarizeSkipped } = require('./lib/optimize');
+const { readMetadata, writeMetadata } = require('./lib/metadata');
+const { redactPdf } = require('./lib/redact');
+const { DataStore } = require('./lib/store');
+const { hashPassword, verifyPassword } = require('./lib/passwords');
+const { storageConfig, createStorage, multerStorage } = require('./lib/storage');
+const { RateLimiter, RATE_LIMIT_POLICIES, formatRetryAfter, ipHeadersFromEnv } = require('./lib/rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,6 +85,12 @@ function sanitizeFilename(filename) {
     return sanitized;
 }
 
+// Safe base name (no extension) for files named after an upload
+function uploadBaseName(originalName) {
+    return path.parse(path.basename(originalName || 'document')).name
+        .replace(/[^\w\-. ]+/g, '_').replace(/^[.\s]+/, '').slice(0, 100) || 'document';
+}
+
 // Validate share hash format (32 hex characters)
 function isValidShareHash(hash) {
     if (!hash || typeof hash !== 'string') return false;
@@ -70,10 +99,18 @@ function isValidShareHash(hash) {
 
 // Validate conversion format
 function isValidFormat(format) {
-    const allowedFormats = ['txt', 'docx', 'html'];
+    const allowedFormats = ['txt', 'docx', 'html', 'md', 'json', 'pdf', 'csv', 'xlsx', 'images'];
     return allowedFormats.includes(format);
 }
 
+// Read a boolean form field ('true', '1', 'yes' or 'on')
+function isEnabled(value) {
+    return ['true', '1', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+// Conversion formats built from the positional layout rather than flat text
+const LAYOUT_FORMATS = ['docx', 'html', 'md', 'json', 'pdf', 'csv', 'xlsx'];
+
 // Validate Stripe session ID format
 function isValidStripeSessionId(sessionId) {
     if (!sessionId || typeof sessionId !== 'string') return false;
@@ -201,53 +238,51 @@ const PRO_ACCESS_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
 const FINGERPRINT_TOLERANCE = 0.85; // 85% match required
 
-// Persistent storage for Pro access (file-based for MVP)
-const proAccessFile = path.join(__dirname, 'data', 'pro-access.json');
+// Persistent storage for Pro access entries and shares (imports the old JSON files once)
+const store = new DataStore({
+    file: path.join(__dirname, 'data', 'pdfox.db'),
+    legacyDir: path.join(__dirname, 'data'),
+    logger: log
+});
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
+// Rate limiter with counters in the store, so limits survive restarts
+const rateLimiter = new RateLimiter({
+    store,
+    policies: RATE_LIMIT_POLICIES,
+    ipHeaders: ipHeadersFromEnv(),
+    logger: log
+});
+const rateLimit = (policy, resource) => rateLimiter.middleware(policy, resource);
+const shareResource = req => req.params.hash;
 
-// Load Pro access data from file
-function loadProAccess() {
+setInterval(() => {
     try {
-        if (fs.existsSync(proAccessFile)) {
-            const data = JSON.parse(fs.readFileSync(proAccessFile, 'utf8'));
-            // Clean expired entries on load
-            const now = Date.now();
-            const valid = data.filter(entry => entry.expiresAt > now);
-            if (valid.length !== data.length) {
-                saveProAccess(valid);
-            }
-            return valid;
-        }
+        rateLimiter.cleanup();
     } catch (error) {
-        log.error('Error loading Pro access data:', error.message);
+        log.error('Error cleaning up rate limits:', error.message);
     }
-    return [];
+}, 60 * 60 * 1000);
+
+// Find Pro access by token
+function findProAccessByToken(token) {
+    return store.findProAccessByTokenHash(hashToken(token));
 }
 
-// Save Pro access data to file
-function saveProAccess(data) {
+// Whether a Pro access token is signed, stored, unexpired and not revoked
+function isValidProToken(token) {
+    if (!token || typeof token !== 'string') return false;
     try {
-        fs.writeFileSync(proAccessFile, JSON.stringify(data, null, 2));
+        jwt.verify(token, JWT_SECRET);
     } catch (error) {
-        log.error('Error saving Pro access data:', error.message);
+        return false;
     }
-}
-
-// Find Pro access by token
-function findProAccessByToken(token) {
-    const data = loadProAccess();
-    return data.find(entry => entry.tokenHash === hashToken(token) && entry.expiresAt > Date.now());
+    const access = findProAccessByToken(token);
+    return !!access && !access.isRevoked;
 }
 
 // Find Pro access by fingerprint
 function findProAccessByFingerprint(fingerprint) {
-    const data = loadProAccess();
-    return data.find(entry => entry.fingerprint === fingerprint && entry.expiresAt > Date.now());
+    return store.findProAccessByFingerprint(fingerprint);
 }
 
 // Hash token for storage
@@ -257,8 +292,6 @@ function hashToken(token) {
 
 // Create Pro access entry
 function createProAccess(email, fingerprint, stripeSessionId, receiptNumber = null) {
-    const data = loadProAccess();
-
     // Generate JWT token
     const expiresAt = Date.now() + PRO_ACCESS_DURATION;
     const token = jwt.sign({
@@ -279,8 +312,7 @@ function createProAccess(email, fingerprint, stripeSessionId, receiptNumber = nu
         isRevoked: false
     };
 
-    data.push(entry);
-    saveProAccess(data);
+    store.insertProAccess(entry);
 
     return { token, expiresAt, entry };
 }
@@ -290,150 +322,147 @@ function createProAccess(email, fingerprint, stripeSessionId, receiptNumber = nu
 // ============================================================================
 
 const sharesDir = path.join(__dirname, 'data', 'shares');
-const shareMetadataFile = path.join(__dirname, 'data', 'share-metadata.json');
-const SHARE_EXPIRY_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-// Ensure shares directory exists
-if (!fs.existsSync(sharesDir)) {
-    fs.mkdirSync(sharesDir, { recursive: true });
-}
-
-// Rate limiting for password attempts
-const passwordAttempts = new Map(); // { hash: { count, lastAttempt } }
-
-// Load share metadata from file
-function loadShareMetadata() {
-    try {
-        if (fs.existsSync(shareMetadataFile)) {
-            return JSON.parse(fs.readFileSync(shareMetadataFile, 'utf8'));
-        }
-    } catch (error) {
-        log.error('Error loading share metadata:', error.message);
-    }
-    return { shares: {} };
-}
-
-// Save share metadata to file
-function saveShareMetadata(data) {
-    try {
-        fs.writeFileSync(shareMetadataFile, JSON.stringify(data, null, 2));
-    } catch (error) {
-        log.error('Error saving share metadata:', error.message);
-    }
-}
+const SHARE_EXPIRY_DURATION = 24 * 60 * 60 * 1000; // 24 hours (default)
+const SHARE_MIN_EXPIRY_HOURS = 1;
+const SHARE_MAX_EXPIRY_HOURS = 30 * 24; // 30 days
+const SHARE_MAX_EXPIRY_HOURS_PRO = 90 * 24; // 90 days for Pro users
+const SHARE_MAX_ACCESS_LIMIT = 10000; // Upper bound for view and download limits
 
 // Generate secure share hash
 function generateShareHash() {
     return crypto.randomBytes(16).toString('hex'); // 32 characters
 }
 
-// Hash password for storage
+// Hash password for storage (salted scrypt, see lib/passwords.js)
 function hashSharePassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+    return hashPassword(password);
+}
+
+// Check a share password, upgrading legacy SHA-256 (or weaker scrypt) hashes
+// to the current scheme when it matches
+async function verifySharePassword(hash, share, password) {
+    const { valid, needsRehash } = await verifyPassword(password, share.passwordHash);
+    if (needsRehash) {
+        store.updateSharePassword(hash, await hashSharePassword(password));
+        log.debug(`Upgraded password hash for share ${hash.slice(0, 8)}`);
+    }
+    return valid;
 }
 
 // Find share by hash
 function findShareByHash(hash) {
-    const data = loadShareMetadata();
-    const share = data.shares[hash];
+    const share = store.getShare(hash);
     if (share && share.expiresAt > Date.now()) {
         return share;
     }
     return null;
 }
 
+// Parse share options from the create form: expiryHours (1 hour to 30 days,
+// 90 for Pro), maxViews and maxDownloads (empty for unlimited) and
+// burnAfterView. Throws with a message for invalid values.
+function parseShareOptions(body, isPro) {
+    const options = { expiresIn: SHARE_EXPIRY_DURATION, maxViews: null, maxDownloads: null, burnAfterView: false };
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    if (isSet(body.expiryHours)) {
+        const maxHours = isPro ? SHARE_MAX_EXPIRY_HOURS_PRO : SHARE_MAX_EXPIRY_HOURS;
+        const hours = Number(body.expiryHours);
+        if (!Number.isInteger(hours) || hours < SHARE_MIN_EXPIRY_HOURS || hours > maxHours) {
+            throw new Error(`expiryHours must be a whole number from ${SHARE_MIN_EXPIRY_HOURS} to ${maxHours}` +
+                (isPro ? '' : ` (up to ${SHARE_MAX_EXPIRY_HOURS_PRO} with Pro)`));
+        }
+        options.expiresIn = hours * 60 * 60 * 1000;
+    }
+
+    for (const field of ['maxViews', 'maxDownloads']) {
+        if (isSet(body[field])) {
+            const limit = Number(body[field]);
+            if (!Number.isInteger(limit) || limit < 1 || limit > SHARE_MAX_ACCESS_LIMIT) {
+                throw new Error(`${field} must be a whole number from 1 to ${SHARE_MAX_ACCESS_LIMIT}`);
+            }
+            options[field] = limit;
+        }
+    }
+
+    options.burnAfterView = body.burnAfterView === true || body.burnAfterView === 'true' || body.burnAfterView === '1';
+    return options;
+}
+
+// Remaining views or downloads of a share (null when unlimited)
+function shareAccessRemaining(share) {
+    if (share.burnAfterView) {
+        const left = share.viewCount + share.downloadCount > 0 ? 0 : 1;
+        return { viewsRemaining: left, downloadsRemaining: left };
+    }
+
+    const remaining = (max, count) => max === null ? null : Math.max(0, max - count);
+    return {
+        viewsRemaining: remaining(share.maxViews, share.viewCount),
+        downloadsRemaining: remaining(share.maxDownloads, share.downloadCount)
+    };
+}
+
 // Create share entry
-function createShare(hash, fileName, passwordHash = null) {
-    const data = loadShareMetadata();
+function createShare(hash, fileName, passwordHash = null, options = {}) {
     const now = Date.now();
-
-    data.shares[hash] = {
+    const share = {
         fileName,
         passwordHash,
         createdAt: now,
-        expiresAt: now + SHARE_EXPIRY_DURATION
+        expiresAt: now + (options.expiresIn || SHARE_EXPIRY_DURATION),
+        maxViews: options.maxViews ?? null,
+        maxDownloads: options.maxDownloads ?? null,
+        burnAfterView: !!options.burnAfterView
     };
 
-    saveShareMetadata(data);
-    return data.shares[hash];
+    store.insertShare(hash, share);
+    return share;
 }
 
-// Delete share
-function deleteShare(hash) {
-    const data = loadShareMetadata();
-    if (data.shares[hash]) {
-        delete data.shares[hash];
-        saveShareMetadata(data);
+// Storage key of a share's PDF
+function shareKey(hash) {
+    return `shares/${hash}.pdf`;
+}
 
-        // Delete PDF file
-        const pdfPath = path.join(sharesDir, `${hash}.pdf`);
-        if (fs.existsSync(pdfPath)) {
-            fs.unlinkSync(pdfPath);
-        }
+// Delete share
+async function deleteShare(hash) {
+    if (store.deleteShare(hash)) {
+        await storage.delete(shareKey(hash));
         return true;
     }
     return false;
 }
 
-// Cleanup expired shares
-function cleanupExpiredShares() {
-    const data = loadShareMetadata();
-    const now = Date.now();
+// Cleanup expired shares and Pro access entries
+async function cleanupExpiredShares() {
     let cleaned = 0;
 
-    for (const hash in data.shares) {
-        if (data.shares[hash].expiresAt <= now) {
-            // Delete PDF file
-            const pdfPath = path.join(sharesDir, `${hash}.pdf`);
-            if (fs.existsSync(pdfPath)) {
-                fs.unlinkSync(pdfPath);
-            }
-            delete data.shares[hash];
-            cleaned++;
+    for (const share of store.listExpiredShares()) {
+        try {
+            await storage.delete(shareKey(share.hash));
+        } catch (error) {
+            log.error(`Error deleting shared PDF ${share.hash}:`, error.message);
+            continue;
         }
+        store.deleteShare(share.hash);
+        cleaned++;
     }
 
     if (cleaned > 0) {
-        saveShareMetadata(data);
         log.info(`Cleaned up ${cleaned} expired shares`);
     }
-}
-
-// Rate limit constants
-const MAX_PASSWORD_ATTEMPTS = 3;
-const LOCKOUT_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-// Check rate limit for password attempts
-function checkPasswordRateLimit(hash) {
-    const attempts = passwordAttempts.get(hash);
-    if (attempts && attempts.count >= MAX_PASSWORD_ATTEMPTS) {
-        const timeSinceLock = Date.now() - attempts.lastAttempt;
-        if (timeSinceLock < LOCKOUT_DURATION) {
-            const remainingSeconds = Math.ceil((LOCKOUT_DURATION - timeSinceLock) / 1000);
-            return { allowed: false, remainingSeconds };
-        } else {
-            // Lockout expired, reset attempts
-            passwordAttempts.delete(hash);
-            return { allowed: true };
-        }
-    }
-    return { allowed: true, attemptsRemaining: MAX_PASSWORD_ATTEMPTS - (attempts?.count || 0) };
-}
 
-// Record password attempt
-function recordPasswordAttempt(hash, success) {
-    if (success) {
-        passwordAttempts.delete(hash);
-    } else {
-        const attempts = passwordAttempts.get(hash) || { count: 0, lastAttempt: 0 };
-        attempts.count++;
-        attempts.lastAttempt = Date.now();
-        passwordAttempts.set(hash, attempts);
+    const expiredPro = store.deleteExpiredProAccess();
+    if (expiredPro > 0) {
+        log.info(`Removed ${expiredPro} expired Pro access entries`);
     }
 }
 
 // Run cleanup every 5 minutes
-setInterval(cleanupExpiredShares, 5 * 60 * 1000);
+setInterval(() => {
+    cleanupExpiredShares().catch(error => log.error('Error cleaning up shares:', error.message));
+}, 5 * 60 * 1000);
 
 // Initialize Google OAuth2 Client
 const oauth2Client = new google.auth.OAuth2(
@@ -451,7 +480,8 @@ const previewTokens = new Map(); // { previewToken: { filename, expiresAt } }
 // Middleware
 app.use(express.json());
 
-// Ensure directories exist
+// Ensure directories exist (local working directories for conversions;
+// with the fs storage driver they also hold the stored files)
 const uploadsDir = path.join(__dirname, 'uploads');
 const outputsDir = path.join(__dirname, 'outputs');
 
@@ -462,188 +492,366 @@ if (!fs.existsSync(outputsDir)) {
     fs.mkdirSync(outputsDir, { recursive: true });
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueName = Date.now() + '-' + crypto.randomBytes(6).toString('hex') + '.pdf';
-        cb(null, uniqueName);
+// Uploads, converted outputs and shared PDFs (local disk or an S3 bucket,
+// see STORAGE_DRIVER); files from S3 are copied to uploadsDir for conversion
+const storage = createStorage({
+    ...storageConfig(process.env),
+    dirs: { uploads: uploadsDir, outputs: outputsDir, shares: sharesDir },
+    tempDir: uploadsDir,
+    logger: log
+});
+
+// Unique name for uploaded PDFs
+function uploadFilename(req, file, cb) {
+    const uniqueName = Date.now() + '-' + crypto.randomBytes(6).toString('hex') + '.pdf';
+    cb(null, uniqueName);
+}
+
+// Accept PDF uploads only
+function pdfFileFilter(req, file, cb) {
+    if (file.mimetype === 'application/pdf') {
+        cb(null, true);
+    } else {
+        cb(new Error('Only PDF files are allowed'));
     }
+}
+
+// Configure multer for file uploads
+const uploadStorage = multerStorage(storage, {
+    prefix: 'uploads',
+    filename: uploadFilename
 });
 
 const upload = multer({
-    storage: storage,
-    fileFilter: function (req, file, cb) {
-        if (file.mimetype === 'application/pdf') {
-            cb(null, true);
-        } else {
-            cb(new Error('Only PDF files are allowed'));
-        }
-    },
+    storage: uploadStorage,
+    fileFilter: pdfFileFilter,
     limits: {
         fileSize: 50 * 1024 * 1024 // 50MB limit
     }
 });
 
-// Serve static files (use absolute path to avoid working directory issues)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Safe command execution using spawn (prevents command injection)
-function safeSpawn(command, args, options = {}) {
-    return new Promise((resolve, reject) => {
-        const proc = spawn(command, args, { timeout: options.timeout || 30000, ...options });
-        let stdout = '';
-        let stderr = '';
-
-        proc.stdout?.on('data', (data) => { stdout += data; });
-        proc.stderr?.on('data', (data) => { stderr += data; });
-
-        proc.on('close', (code) => {
-            if (code === 0) {
-                resolve({ stdout, stderr });
-            } else {
-                reject(new Error(`Command failed with code ${code}: ${stderr}`));
+// Run a multer middleware, answering upload errors (file type, count, size) with 400
+function handleUploadErrors(middleware, errorMessage) {
+    return (req, res, next) => {
+        middleware(req, res, (error) => {
+            if (error) {
+                return res.status(400).json({ error: errorMessage, details: error.message });
             }
+            next();
         });
+    };
+}
 
-        proc.on('error', (err) => {
-            reject(err);
-        });
+// Delete an upload saved by uploadStorage (failures are only logged)
+async function removeUpload(file) {
+    try {
+        await storage.delete(file.key);
+    } catch (error) {
+        log.error(`Error deleting upload ${file.key}:`, error.message);
+    }
+}
+
+// Move a file written to outputsDir into storage (a no-op with the fs driver)
+async function publishOutput(filename) {
+    await storage.putFile(`outputs/${filename}`, path.join(outputsDir, filename), { remove: true });
+}
+
+// Send a stored file: redirect to a signed URL when the driver gives one
+// (unless options.direct), otherwise stream it, honouring Range requests
+// unless options.noRanges (options.fileName, options.contentType,
+// options.inline; options.stats when the caller already has them). Returns
+// false when there is no such file.
+async function sendStoredFile(req, res, key, options) {
+    const stats = options.stats || await storage.stat(key);
+    if (!stats) {
+        return false;
+    }
+
+    const signedUrl = options.direct ? null : await storage.signedUrl(key, options);
+    if (signedUrl) {
+        res.redirect(302, signedUrl);
+        return true;
+    }
+
+    if (options.inline) {
+        res.setHeader('Content-Disposition', `inline; filename="${options.fileName.replace(/["\r\n]/g, '')}"`);
+    } else {
+        res.attachment(options.fileName);
+    }
+    if (options.contentType) {
+        res.setHeader('Content-Type', options.contentType);
+    }
+    if (!options.noRanges) {
+        res.setHeader('Accept-Ranges', 'bytes');
+    }
+    res.setHeader('Last-Modified', stats.modified.toUTCString());
+
+    let range = {};
+    const ranges = req.headers.range && !options.noRanges ? req.range(stats.size) : null;
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        res.status(416).end();
+        return true;
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+    }
+    res.setHeader('Content-Length', range.end !== undefined ? range.end - range.start + 1 : stats.size);
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return true;
+    }
+
+    const stream = await storage.createReadStream(key, range);
+    stream.on('error', (error) => {
+        log.error(`Error streaming ${key}:`, error.message);
+        res.destroy(error);
     });
+    stream.pipe(res);
+    return true;
 }
 
-// Extract text from scanned/image PDF using OCR
-async function extractTextWithOCR(filePath) {
-    try {
-        log.debug('Attempting OCR extraction for scanned PDF...');
+// Serve static files (use absolute path to avoid working directory issues)
+app.use(express.static(path.join(__dirname, 'public')));
 
-        // Validate file path - must be within uploads directory
-        const resolvedPath = path.resolve(filePath);
-        const uploadsResolved = path.resolve(uploadsDir);
-        if (!resolvedPath.startsWith(uploadsResolved)) {
-            throw new Error('Invalid file path');
-        }
+// Overall request limit for everything but static files (Stripe webhooks are exempt)
+const defaultRateLimit = rateLimit('default');
+app.use((req, res, next) => {
+    if (req.path === '/api/v1/webhooks/stripe') return next();
+    defaultRateLimit(req, res, next);
+});
 
-        // Convert PDF to images using ImageMagick directly
-        const pageLimit = 10; // Process up to 10 pages
-        let extractedText = '';
+// Local traineddata directory (downloaded languages are saved here too)
+const ocrLangDir = path.resolve(process.env.OCR_LANG_PATH || path.join(__dirname, 'tessdata'));
 
-        for (let page = 1; page <= pageLimit; page++) {
-            try {
-                const imagePath = path.join(uploadsDir, `ocr-${Date.now()}-page${page}.png`);
-
-                // Use spawn with argument array (safe - prevents command injection)
-                await safeSpawn('convert', [
-                    '-density', '200',
-                    `${resolvedPath}[${page - 1}]`,
-                    '-quality', '75',
-                    imagePath
-                ], { timeout: 30000 });
-
-                // Perform OCR on the image
-                const { data: { text } } = await Tesseract.recognize(
-                    imagePath,
-                    'eng',
-                    {
-                        logger: () => {} // Suppress logs
-                    }
-                );
-
-                extractedText += text + '\n\n';
-
-                // Clean up temporary image file
-                if (fs.existsSync(imagePath)) {
-                    fs.unlinkSync(imagePath);
-                }
-            } catch (pageError) {
-                log.debug(`Could not process page ${page}:`, pageError.message);
-                break; // Stop if we can't process a page
-            }
-        }
+if (!fs.existsSync(ocrLangDir)) {
+    fs.mkdirSync(ocrLangDir, { recursive: true });
+}
 
-        if (extractedText.trim().length > 0) {
-            log.debug(`OCR extracted ${extractedText.length} characters`);
-            return extractedText;
-        } else {
-            throw new Error('No text could be extracted via OCR');
-        }
+// Languages used when a request does not choose any ("auto" detects the script)
+const OCR_DEFAULT_LANGUAGES = parseLanguages(process.env.OCR_LANGUAGES);
+
+// OCR worker pool shared by all requests (size bounds concurrent pages)
+const ocrPool = new OCRWorkerPool({
+    size: parseInt(process.env.OCR_WORKERS || String(Math.min(4, Math.max(1, os.cpus().length - 1)))),
+    idleTimeout: 5 * 60 * 1000,
+    langPath: ocrLangDir,
+    logger: log
+});
+
+// OCR budget per document (0 = unlimited)
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES || '0');
+const OCR_TIME_BUDGET_MS = parseInt(process.env.OCR_TIME_BUDGET_SECONDS || '0') * 1000;
+
+// OCR scanned/image PDF pages, keeping Tesseract word boxes
+// (options.pages limits OCR to those page numbers, options.languages selects the
+// language set, options.onProgress receives per-page progress)
+async function ocrPDFPages(filePath, options = {}) {
+    log.debug('Attempting OCR extraction for scanned PDF...');
+
+    // Validate file path - must be within uploads directory
+    const resolvedPath = path.resolve(filePath);
+    const uploadsResolved = path.resolve(uploadsDir);
+    if (!resolvedPath.startsWith(uploadsResolved)) {
+        throw new Error('Invalid file path');
+    }
+
+    let result;
+    try {
+        result = await ocrPDF(resolvedPath, {
+            pool: ocrPool,
+            workDir: uploadsDir,
+            pages: options.pages,
+            password: options.password,
+            languages: options.languages || OCR_DEFAULT_LANGUAGES,
+            fallbackLanguages: OCR_DEFAULT_LANGUAGES === 'auto' ? undefined : OCR_DEFAULT_LANGUAGES,
+            maxPages: OCR_MAX_PAGES,
+            timeBudgetMs: OCR_TIME_BUDGET_MS,
+            onPage: options.onProgress
+                ? (page) => options.onProgress({ stage: 'ocr', ...page })
+                : undefined
+        });
     } catch (error) {
         log.debug('OCR extraction error:', error.message);
         throw new Error('Could not extract text from PDF using OCR');
     }
+
+    result.failures.forEach(failure => {
+        log.debug(`Could not process page ${failure.page}:`, failure.error);
+    });
+    if (result.skipped.length > 0) {
+        log.debug(`OCR budget reached, skipped ${result.skipped.length} of ${result.requested.length} pages`);
+    }
+
+    const characterCount = result.pages.reduce((sum, p) => sum + p.text.trim().length, 0);
+    log.debug(`OCR extracted ${characterCount} characters from ${result.pages.length} pages`);
+    return result;
 }
 
-// Extract text from PDF
-async function extractTextFromPDF(filePath) {
-    let extractedText = '';
+// Extract text from PDF, OCRing only the pages without a text layer
+// (options.pages limits both to those pages; ocr is a page report when OCR
+// was needed, otherwise null)
+async function extractTextFromPDF(filePath, options = {}) {
+    let pages = null;
 
     // Try standard PDF parsing first
     try {
-        const dataBuffer = fs.readFileSync(filePath);
-        const pdfData = await pdfParse(dataBuffer);
-        extractedText = pdfData.text;
+        pages = await readPageTexts(fs.readFileSync(filePath), {
+            pages: options.pages,
+            password: options.password
+        });
     } catch (parseError) {
+        if (isEngineError(parseError)) throw parseError;
         log.debug('Standard PDF parsing failed, will try OCR');
     }
 
-    // If no text extracted, try OCR
-    if (!extractedText || extractedText.trim().length === 0) {
-        log.debug('No text found, attempting OCR extraction...');
-        extractedText = await extractTextWithOCR(filePath);
+    // Scanned pages (mostly image, little text) are OCRed; without a
+    // readable text layer every selected page is
+    const imagePages = pages
+        ? pages.filter(page => page.imageOnly).map(page => page.number)
+        : options.pages;
+
+    let result = null;
+    if (!pages || imagePages.length > 0) {
+        log.debug(pages
+            ? `${imagePages.length} of ${pages.length} pages have no text layer, attempting OCR...`
+            : 'No text found, attempting OCR extraction...');
+        result = await ocrPDFPages(filePath, { ...options, pages: imagePages });
     }
 
-    if (!extractedText || extractedText.trim().length === 0) {
+    // Merge text layer and OCR results in page order
+    const ocrTexts = new Map((result ? result.pages : []).map(page => [page.number, page.text]));
+    const pageTexts = pages
+        ? pages.map(page => ocrTexts.has(page.number) ? ocrTexts.get(page.number) : page.text)
+        : [...ocrTexts.values()];
+    const extractedText = pageTexts.map(text => text.trim()).filter(Boolean).join('\n\n');
+
+    if (!extractedText) {
         throw new Error('Could not extract text from PDF');
     }
 
-    return extractedText;
+    return { text: extractedText, ocr: result ? ocrReport(result) : null };
 }
 
-// Convert text to DOCX
-async function convertToDocx(text, outputPath) {
-    const paragraphs = text.split('\n').map(line =>
-        new Paragraph({
-            children: [new TextRun(line || ' ')],
-        })
-    );
+// Extract a structured layout (positions, fonts, blocks) from PDF, OCRing only
+// the pages without a text layer (options.pages limits both to those pages;
+// ocrPages keeps the raw OCR word boxes)
+async function extractLayoutFromPDF(filePath, options = {}) {
+    let layout = null;
 
-    const doc = new Document({
-        sections: [{
-            properties: {},
-            children: paragraphs,
-        }],
-    });
+    // Use the text layer positions first
+    try {
+        layout = await extractLayout(fs.readFileSync(filePath), {
+            pages: options.pages,
+            password: options.password
+        });
+    } catch (layoutError) {
+        if (isEngineError(layoutError)) throw layoutError;
+        log.debug('Layout extraction failed, will try OCR:', layoutError.message);
+    }
+
+    const imagePages = layout
+        ? layout.pages.filter(page => page.imageOnly).map(page => page.number)
+        : options.pages;
+
+    if (layout && imagePages.length === 0) {
+        return { layout, ocr: null, ocrPages: [] };
+    }
+
+    // Scanned pages have no text layer - use OCR word boxes for them
+    log.debug(layout
+        ? `${imagePages.length} of ${layout.pageCount} pages have no positioned text, attempting OCR...`
+        : 'No positioned text found, attempting OCR extraction...');
+    const result = await ocrPDFPages(filePath, { ...options, pages: imagePages });
+    const ocrLayout = layoutFromOCR(result.pages, result.pageCount);
+
+    if (layout) {
+        const ocrPagesByNumber = new Map(ocrLayout.pages.map(page => [page.number, page]));
+        layout.pages = layout.pages.map(page => ocrPagesByNumber.get(page.number) || page);
+    } else {
+        layout = ocrLayout;
+    }
+
+    if (!layoutToText(layout).trim()) {
+        throw new Error('Could not extract text from PDF');
+    }
+
+    return { layout, ocr: ocrReport(result), ocrPages: result.pages };
+}
+
+// Write a searchable PDF (original pages plus an invisible OCR text layer),
+// keeping only the selected pages when pageNumbers is given
+async function convertToSearchablePdf(filePath, ocrPages, outputPath, pageNumbers) {
+    if (ocrPages.length === 0 && !pageNumbers) {
+        // The PDF already has a text layer
+        fs.copyFileSync(filePath, outputPath);
+        return;
+    }
+
+    const buffer = await buildSearchablePdf(fs.readFileSync(filePath), ocrPages, pageNumbers);
+    fs.writeFileSync(outputPath, buffer);
+}
+
+// Convert layout to DOCX
+async function convertToDocx(layout, outputPath) {
+    const buffer = await buildDocx(layout);
+    fs.writeFileSync(outputPath, buffer);
+}
+
+// Convert layout to semantic HTML (embedImages places the PDF's images as figures)
+async function convertToHtml(layout, filePath, outputPath, options = {}) {
+    let images = [];
+    if (options.embedImages) {
+        try {
+            ({ images } = await extractImages(fs.readFileSync(filePath), { pages: options.pages }));
+        } catch (error) {
+            log.warn(`Writing HTML without figures: ${error.message}`);
+        }
+    }
+
+    fs.writeFileSync(outputPath, buildHtml(layout, { images }), 'utf8');
+}
+
+// Convert layout to Markdown
+function convertToMarkdown(layout, outputPath) {
+    fs.writeFileSync(outputPath, buildMarkdown(layout), 'utf8');
+}
+
+// Convert layout to structured JSON (blocks, lines, words with boxes)
+function convertToJson(layout, outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(buildJson(layout), null, 2), 'utf8');
+}
+
+// Convert the tables of a layout to CSV (tables separated by an empty line)
+function convertToCsv(layout, outputPath) {
+    const csv = buildCsv(layout);
+    if (csv === null) {
+        throw new Error('No tables found in PDF');
+    }
+    fs.writeFileSync(outputPath, csv, 'utf8');
+}
 
-    const buffer = await Packer.toBuffer(doc);
+// Convert the tables of a layout to XLSX (one sheet per table)
+async function convertToXlsx(layout, outputPath) {
+    const buffer = await buildXlsx(layout);
+    if (buffer === null) {
+        throw new Error('No tables found in PDF');
+    }
     fs.writeFileSync(outputPath, buffer);
 }
 
-// Convert text to HTML
-function convertToHtml(text, outputPath) {
-    const htmlContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Converted Document</title>
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            max-width: 800px;
-            margin: 40px auto;
-            padding: 20px;
-            line-height: 1.6;
-        }
-    </style>
-</head>
-<body>
-    <pre>${text}</pre>
-</body>
-</html>`;
-
-    fs.writeFileSync(outputPath, htmlContent);
+// Extract embedded images to a ZIP with a manifest (returns a summary)
+async function convertToImagesZip(filePath, outputPath, pageNumbers) {
+    const result = await extractImages(fs.readFileSync(filePath), { pages: pageNumbers });
+    if (result.images.length === 0) {
+        throw new Error('No images found in PDF');
+    }
+
+    fs.writeFileSync(outputPath, await buildImagesZip(result));
+    return { count: result.images.length, skipped: result.skipped.length };
 }
 
 // Convert text to TXT
@@ -652,7 +860,7 @@ function convertToTxt(text, outputPath) {
 }
 
 // Create Stripe Checkout Session
-app.post('/create-checkout-session', async (req, res) => {
+app.post('/create-checkout-session', rateLimit('payment'), async (req, res) => {
     try {
         const { filename } = req.body;
 
@@ -695,7 +903,7 @@ app.post('/create-checkout-session', async (req, res) => {
 // ============================================================================
 
 // Create Pro Access Checkout Session
-app.post('/api/v1/pro/create-checkout', async (req, res) => {
+app.post('/api/v1/pro/create-checkout', rateLimit('payment'), async (req, res) => {
     try {
         const { email, fingerprint } = req.body;
 
@@ -763,7 +971,7 @@ app.post('/api/v1/pro/create-checkout', async (req, res) => {
 });
 
 // Verify Pro Payment and Grant Access
-app.post('/api/v1/pro/verify-payment', async (req, res) => {
+app.post('/api/v1/pro/verify-payment', rateLimit('payment'), async (req, res) => {
     try {
         const { sessionId, fingerprint } = req.body;
 
@@ -800,8 +1008,7 @@ app.post('/api/v1/pro/verify-payment', async (req, res) => {
         }
 
         // Check if access already granted for this session
-        const data = loadProAccess();
-        const existingEntry = data.find(e => e.stripeSessionId === sessionId);
+        const existingEntry = store.findProAccessBySession(sessionId);
         if (existingEntry) {
             // Return existing token info (regenerate token for security)
             const token = jwt.sign({
@@ -925,7 +1132,7 @@ app.post('/api/v1/pro/status', (req, res) => {
 });
 
 // Recover Pro Access using email and receipt number from payment receipt
-app.post('/api/v1/pro/recover', async (req, res) => {
+app.post('/api/v1/pro/recover', rateLimit('proRecover'), async (req, res) => {
     try {
         const { email, receiptNumber, fingerprint } = req.body;
 
@@ -940,11 +1147,7 @@ app.post('/api/v1/pro/recover', async (req, res) => {
         const normalizedReceiptNumber = receiptNumber.trim();
 
         // Try to find existing Pro access by receipt number first
-        const data = loadProAccess();
-        let existingAccess = data.find(e =>
-            e.receiptNumber === normalizedReceiptNumber &&
-            e.email.toLowerCase() === normalizedEmail
-        );
+        const existingAccess = store.findProAccessByReceipt(normalizedReceiptNumber, normalizedEmail);
 
         // If found locally by receipt number
         if (existingAccess) {
@@ -963,10 +1166,6 @@ app.post('/api/v1/pro/recover', async (req, res) => {
                 return res.status(400).json({ error: 'This Pro access has been revoked' });
             }
 
-            // Update fingerprint for this access
-            existingAccess.fingerprint = fingerprint;
-            saveProAccess(data);
-
             // Generate new token
             const token = jwt.sign({
                 email: existingAccess.email,
@@ -974,9 +1173,8 @@ app.post('/api/v1/pro/recover', async (req, res) => {
                 exp: Math.floor(existingAccess.expiresAt / 1000)
             }, JWT_SECRET);
 
-            // Update token hash
-            existingAccess.tokenHash = hashToken(token);
-            saveProAccess(data);
+            // Move the access to this device and token
+            store.updateProAccess(existingAccess.id, { fingerprint, tokenHash: hashToken(token) });
 
             return res.json({
                 success: true,
@@ -1080,8 +1278,7 @@ app.post('/api/v1/webhooks/stripe', express.raw({ type: 'application/json' }), a
 
             if (fingerprint && email) {
                 // Check if already processed
-                const data = loadProAccess();
-                const exists = data.find(e => e.stripeSessionId === session.id);
+                const exists = store.findProAccessBySession(session.id);
 
                 if (!exists) {
                     createProAccess(email, fingerprint, session.id);
@@ -1099,7 +1296,7 @@ app.post('/api/v1/webhooks/stripe', express.raw({ type: 'application/json' }), a
 // ============================================================================
 
 // Verify payment and grant access
-app.post('/verify-payment', async (req, res) => {
+app.post('/verify-payment', rateLimit('payment'), async (req, res) => {
     try {
         const { sessionId, filename } = req.body;
 
@@ -1185,7 +1382,7 @@ app.post('/generate-preview-token', (req, res) => {
 });
 
 // Public preview endpoint (for Google Docs Viewer)
-app.get('/preview/:previewToken', (req, res) => {
+app.get('/preview/:previewToken', async (req, res) => {
     const { previewToken } = req.params;
 
     // Validate token format
@@ -1204,32 +1401,31 @@ app.get('/preview/:previewToken', (req, res) => {
         return res.status(401).send('Preview link expired');
     }
 
-    // Sanitize filename and verify path stays within outputs directory
+    // Sanitize filename (storage keys never leave the outputs area)
     const safeFilename = sanitizeFilename(preview.filename);
     if (!safeFilename) {
         return res.status(400).send('Invalid file');
     }
 
-    const filePath = path.join(outputsDir, safeFilename);
-    const resolvedPath = path.resolve(filePath);
-    const resolvedOutputsDir = path.resolve(outputsDir);
-
-    if (!resolvedPath.startsWith(resolvedOutputsDir)) {
-        return res.status(400).send('Invalid file path');
-    }
-
-    if (!fs.existsSync(resolvedPath)) {
-        return res.status(404).send('File not found');
-    }
-
     // Serve the file with proper headers for Google Docs Viewer
     // Note: Google Docs Viewer requires CORS for external access
     const origin = req.headers.origin;
     if (origin && (origin.includes('google.com') || origin.includes('googleapis.com'))) {
         res.setHeader('Access-Control-Allow-Origin', origin);
     }
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.download(resolvedPath, safeFilename);
+
+    try {
+        const sent = await sendStoredFile(req, res, `outputs/${safeFilename}`, {
+            fileName: safeFilename,
+            contentType: 'application/octet-stream'
+        });
+        if (!sent) {
+            res.status(404).send('File not found');
+        }
+    } catch (error) {
+        log.error('Error serving preview:', error.message);
+        res.status(500).send('Could not read file');
+    }
 });
 
 // Upload file to Google Drive
@@ -1252,8 +1448,8 @@ app.post('/upload-to-drive', async (req, res) => {
             return res.status(401).json({ error: 'Access token expired' });
         }
 
-        const filePath = path.join(outputsDir, access.filename);
-        if (!fs.existsSync(filePath)) {
+        const fileKey = `outputs/${access.filename}`;
+        if (!await storage.stat(fileKey)) {
             return res.status(404).json({ error: 'File not found' });
         }
 
@@ -1268,7 +1464,13 @@ app.post('/upload-to-drive', async (req, res) => {
         const mimeTypes = {
             '.txt': 'text/plain',
             '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            '.html': 'text/html'
+            '.html': 'text/html',
+            '.md': 'text/markdown',
+            '.json': 'application/json',
+            '.pdf': 'application/pdf',
+            '.csv': 'text/csv',
+            '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            '.zip': 'application/zip'
         };
         const mimeType = mimeTypes[fileExtension] || 'application/octet-stream';
 
@@ -1280,7 +1482,7 @@ app.post('/upload-to-drive', async (req, res) => {
             },
             media: {
                 mimeType: mimeType,
-                body: fs.createReadStream(filePath),
+                body: await storage.createReadStream(fileKey),
             },
             fields: 'id, webViewLink, webContentLink',
         });
@@ -1302,7 +1504,7 @@ app.post('/upload-to-drive', async (req, res) => {
 });
 
 // Protected download endpoint
-app.get('/download/:filename', (req, res) => {
+app.get('/download/:filename', async (req, res) => {
     const { filename } = req.params;
     const { token } = req.query;
 
@@ -1333,20 +1535,15 @@ app.get('/download/:filename', (req, res) => {
         return res.status(403).json({ error: 'Access denied for this file' });
     }
 
-    // Build path and verify it's within outputs directory
-    const filePath = path.join(outputsDir, safeFilename);
-    const resolvedPath = path.resolve(filePath);
-    const resolvedOutputsDir = path.resolve(outputsDir);
-
-    if (!resolvedPath.startsWith(resolvedOutputsDir)) {
-        return res.status(400).json({ error: 'Invalid file path' });
-    }
-
-    if (!fs.existsSync(resolvedPath)) {
-        return res.status(404).json({ error: 'File not found' });
+    try {
+        const sent = await sendStoredFile(req, res, `outputs/${safeFilename}`, { fileName: safeFilename });
+        if (!sent) {
+            res.status(404).json({ error: 'File not found' });
+        }
+    } catch (error) {
+        log.error('Error serving download:', error.message);
+        res.status(500).json({ error: 'Could not read file' });
     }
-
-    res.download(resolvedPath, safeFilename);
 });
 
 // Get app configuration for frontend
@@ -1366,100 +1563,1192 @@ app.get('/google-config', (req, res) => {
     });
 });
 
-// Convert endpoint
-app.post('/convert', upload.single('pdf'), async (req, res) => {
+// Traineddata for the editor's in-browser OCR (works without the CDN)
+app.use('/tessdata', express.static(ocrLangDir, { maxAge: '30d' }));
+
+// OCR languages available for /convert and the editor
+app.get('/api/v1/ocr/languages', (req, res) => {
+    res.json({
+        default: OCR_DEFAULT_LANGUAGES,
+        detection: {
+            available: true,
+            local: fs.existsSync(path.join(ocrLangDir, 'osd.traineddata'))
+        },
+        langPath: '/tessdata',
+        languages: listLanguages(ocrLangDir)
+    });
+});
+
+// Open the document to check its password and resolve page ranges against it
+// (null when every page is converted)
+async function resolvePages(filePath, pageRanges, password) {
+    let pageCount;
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+        pageCount = await readPageCount(fs.readFileSync(filePath), { password });
+    } catch (error) {
+        if (isPasswordError(error)) throw error;
+        log.debug('Could not count PDF pages:', error.message);
+        if (!pageRanges) return null;
+        throw new Error('Could not extract text from PDF');
+    }
 
-        const format = req.body.format || 'txt';
-        const filePath = req.file.path;
-        const filename = path.parse(req.file.filename).name;
+    if (!pageRanges) return null;
 
-        log.debug(`Converting ${req.file.filename} to ${format}`);
+    const pages = selectPages(pageRanges, pageCount);
+    if (pages.length === 0) {
+        throw new Error(`Page range is outside the document (${pageCount} pages)`);
+    }
 
-        // Extract text from PDF
-        let extractedText;
-        try {
-            extractedText = await extractTextFromPDF(filePath);
-        } catch (error) {
-            // Clean up uploaded file
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
-            throw error;
-        }
+    return { numbers: pages, ranges: formatPageRanges(pages), count: pages.length, pageCount };
+}
 
-        // Convert to requested format
-        let outputFilename;
-        let outputPath;
+// Formats written by copying objects out of the PDF with pdf-lib, which cannot
+// decrypt: image export, searchable PDF and HTML with embedded figures
+function needsUnencryptedPdf(format, options) {
+    return format === 'images' || format === 'pdf' || (format === 'html' && !!options.embedImages);
+}
 
-        switch (format) {
-            case 'txt':
-                outputFilename = `${filename}.txt`;
-                outputPath = path.join(outputsDir, outputFilename);
-                convertToTxt(extractedText, outputPath);
-                break;
+// Refuse formats that cannot read encrypted PDFs before any work is done
+// (error code "encrypted_unsupported"; the password only unlocks text and layout)
+async function checkEncryptionSupport(filePath, format, options) {
+    if (!needsUnencryptedPdf(format, options)) return;
 
-            case 'docx':
-                outputFilename = `${filename}.docx`;
-                outputPath = path.join(outputsDir, outputFilename);
-                await convertToDocx(extractedText, outputPath);
-                break;
+    let encrypted = false;
+    try {
+        const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath), { ignoreEncryption: true, updateMetadata: false });
+        encrypted = pdfDoc.isEncrypted;
+    } catch (error) {
+        // Unreadable files fail with a clearer error during conversion
+        return;
+    }
 
-            case 'html':
-                outputFilename = `${filename}.html`;
-                outputPath = path.join(outputsDir, outputFilename);
-                convertToHtml(extractedText, outputPath);
-                break;
+    if (encrypted) {
+        const label = format === 'images' ? 'Image export' : format === 'pdf' ? 'Searchable PDF output' : 'HTML with embedded images';
+        const error = new Error(`${label} is not supported for encrypted PDFs. Convert to another format, or remove the password from the PDF first.`);
+        error.code = 'encrypted_unsupported';
+        throw error;
+    }
+}
 
-            default:
-                throw new Error('Unsupported format');
-        }
+// Conversion cache (data/cache, shared with the CLI's stats and cleanup commands)
+// Off by default: cached documents outlive the upload (see the privacy policy)
+const CACHE_MAX_MB = parseInt(process.env.CACHE_MAX_MB || '0'); // 0 disables the cache
+const CACHE_MAX_AGE_HOURS = parseInt(process.env.CACHE_MAX_AGE_HOURS || '168');
 
-        // Clean up uploaded PDF after successful conversion
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-        }
+const conversionCache = new ConversionCache({
+    dir: path.join(__dirname, 'data', 'cache'),
+    maxBytes: CACHE_MAX_MB * 1024 * 1024,
+    maxAge: CACHE_MAX_AGE_HOURS * 60 * 60 * 1000,
+    logger: log
+});
 
-        // Track document conversion
-        analytics.trackDocumentConverted(req, {
-            format: format,
-            characterCount: extractedText.length
+// Evict expired cache entries every hour
+setInterval(() => conversionCache.evict(), 60 * 60 * 1000);
+
+// Convert an uploaded PDF to the requested format in outputsDir, serving
+// repeated conversions of the same bytes, format and options from the cache
+// (options.pageRanges selects pages, options.password opens encrypted PDFs,
+// options.embedImages adds figures to HTML, options.onProgress receives
+// extraction/OCR progress)
+async function convertPDF(filePath, filename, format, options = {}) {
+    // Encrypted PDFs are never cached: a hit would skip the password check
+    const fileHash = conversionCache.enabled && !options.password ? await hashFile(filePath) : null;
+    const cacheKey = fileHash
+        ? conversionCache.key(fileHash, format, {
+            languages: options.languages,
+            pageRanges: options.pageRanges,
+            embedImages: format === 'html' ? !!options.embedImages : undefined
+        })
+        : null;
+
+    const cached = cacheKey ? conversionCache.get(cacheKey) : null;
+    if (cached) {
+        const outputFilename = filename + path.extname(cached.outputPath);
+        fs.copyFileSync(cached.outputPath, path.join(outputsDir, outputFilename));
+        log.debug(`Conversion cache hit for ${filename}.${format}`);
+
+        const { textPreview, characterCount, ocr, images, pages } = cached;
+        return { outputFilename, textPreview, characterCount, ocr, images, pages, cached: true };
+    }
+
+    const conversion = await convertPDFFile(filePath, filename, format, options);
+
+    // Incomplete OCR (failed or skipped pages) may succeed on the next try
+    if (cacheKey && !(conversion.ocr && conversion.ocr.complete === false)) {
+        // Only the preview is kept: the output file already holds the text
+        const { textPreview, characterCount, ocr, images, pages } = conversion;
+        conversionCache.put(cacheKey, path.join(outputsDir, conversion.outputFilename), {
+            fileHash,
+            format,
+            textPreview,
+            characterCount,
+            ocr,
+            images,
+            pages
         });
+    }
 
-        // Return success with download link
-        res.json({
-            status: 'success',
-            message: 'PDF converted successfully',
-            filename: outputFilename,
-            downloadUrl: `/outputs/${outputFilename}`,
-            textPreview: extractedText.substring(0, 500) + (extractedText.length > 500 ? '...' : ''),
-            characterCount: extractedText.length
+    return conversion;
+}
+
+// Run a conversion (see convertPDF)
+async function convertPDFFile(filePath, filename, format, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+
+    // Extract text from PDF (layout-aware formats need positions and fonts)
+    onProgress({ stage: 'extracting' });
+
+    await checkEncryptionSupport(filePath, format, options);
+    const pages = await resolvePages(filePath, options.pageRanges, options.password);
+    const extractOptions = { ...options, pages: pages ? pages.numbers : undefined };
+
+    let extractedText = '';
+    let layout = null;
+    let ocr = null;
+    let ocrPages = [];
+    let images = null;
+    if (LAYOUT_FORMATS.includes(format)) {
+        ({ layout, ocr, ocrPages } = await extractLayoutFromPDF(filePath, extractOptions));
+        extractedText = layoutToText(layout);
+    } else if (format !== 'images') {
+        // Images are read from the PDF objects without text extraction
+        ({ text: extractedText, ocr } = await extractTextFromPDF(filePath, extractOptions));
+    }
+
+    // Convert to requested format
+    onProgress({ stage: 'writing' });
+
+    let outputFilename;
+    let outputPath;
+
+    switch (format) {
+        case 'txt':
+            outputFilename = `${filename}.txt`;
+            outputPath = path.join(outputsDir, outputFilename);
+            convertToTxt(extractedText, outputPath);
+            break;
+
+        case 'docx':
+            outputFilename = `${filename}.docx`;
+            outputPath = path.join(outputsDir, outputFilename);
+            await convertToDocx(layout, outputPath);
+            break;
+
+        case 'html':
+            outputFilename = `${filename}.html`;
+            outputPath = path.join(outputsDir, outputFilename);
+            await convertToHtml(layout, filePath, outputPath, extractOptions);
+            break;
+
+        case 'md':
+            outputFilename = `${filename}.md`;
+            outputPath = path.join(outputsDir, outputFilename);
+            convertToMarkdown(layout, outputPath);
+            break;
+
+        case 'json':
+            outputFilename = `${filename}.json`;
+            outputPath = path.join(outputsDir, outputFilename);
+            convertToJson(layout, outputPath);
+            break;
+
+        case 'pdf':
+            outputFilename = `${filename}.pdf`;
+            outputPath = path.join(outputsDir, outputFilename);
+            await convertToSearchablePdf(filePath, ocrPages, outputPath, extractOptions.pages);
+            break;
+
+        case 'csv':
+            outputFilename = `${filename}.csv`;
+            outputPath = path.join(outputsDir, outputFilename);
+            convertToCsv(layout, outputPath);
+            break;
+
+        case 'xlsx':
+            outputFilename = `${filename}.xlsx`;
+            outputPath = path.join(outputsDir, outputFilename);
+            await convertToXlsx(layout, outputPath);
+            break;
+
+        case 'images':
+            outputFilename = `${filename}.zip`;
+            outputPath = path.join(outputsDir, outputFilename);
+            images = await convertToImagesZip(filePath, outputPath, extractOptions.pages);
+            break;
+
+        default:
+            throw new Error('Unsupported format');
+    }
+
+    return {
+        outputFilename,
+        ...textSummary(extractedText),
+        ocr,
+        images,
+        pages: pages ? { ranges: pages.ranges, count: pages.count, pageCount: pages.pageCount } : null
+    };
+}
+
+// Preview (first 500 characters) and length of extracted text
+function textSummary(text) {
+    return {
+        textPreview: text.substring(0, 500) + (text.length > 500 ? '...' : ''),
+        characterCount: text.length
+    };
+}
+
+// Response body describing a finished conversion
+function conversionResult(conversion) {
+    const { outputFilename, textPreview, characterCount, ocr, images, pages, cached } = conversion;
+    return {
+        filename: outputFilename,
+        downloadUrl: `/outputs/${outputFilename}`,
+        textPreview,
+        characterCount,
+        pages: pages || undefined,
+        images: images || undefined,
+        ocr: ocr || undefined,
+        cached: cached || undefined
+    };
+}
+
+// User-facing message for text extraction failures
+const EXTRACTION_FAILED_DETAILS = 'We couldn\'t extract text from this PDF file. This may be a scanned document without readable text, or the OCR process failed.';
+
+// User-facing messages for encrypted PDFs, by error code
+const PASSWORD_ERRORS = {
+    password_required: {
+        error: 'Password required',
+        details: 'This PDF is encrypted. Enter the document password to convert it.'
+    },
+    password_incorrect: {
+        error: 'Incorrect password',
+        details: 'The password for this PDF is incorrect. Please try again.'
+    }
+};
+
+// User-facing message for table formats when the PDF has no tables
+const NO_TABLES_DETAILS = 'We couldn\'t find any tables in this PDF file. Tables are detected from aligned columns of text and from ruling lines.';
+
+// User-facing message for image extraction when the PDF has no raster images
+const NO_IMAGES_DETAILS = 'We couldn\'t find any embedded images in this PDF file.';
+
+// Map a conversion failure to its status code and user-facing message,
+// shared by /convert, batch reports and conversion jobs
+function conversionError(error) {
+    if (isPasswordError(error)) {
+        return { status: 400, ...PASSWORD_ERRORS[error.code], code: error.code };
+    }
+    if (isEngineError(error)) {
+        return { status: 500, error: 'PDF engine unavailable', details: error.message };
+    }
+    if (error.code === 'encrypted_unsupported') {
+        return { status: 400, error: 'Encrypted PDF not supported', details: error.message, code: error.code };
+    }
+    if (error.message.includes('Could not extract text from PDF')) {
+        return { status: 400, error: 'Unable to extract text', details: EXTRACTION_FAILED_DETAILS };
+    }
+    if (error.message.includes('Page range is outside the document')) {
+        return { status: 400, error: 'Invalid page range', details: error.message };
+    }
+    if (error.message.includes('No tables found in PDF')) {
+        return { status: 400, error: 'No tables found', details: NO_TABLES_DETAILS };
+    }
+    if (error.message.includes('No images found in PDF')) {
+        return { status: 400, error: 'No images found', details: NO_IMAGES_DETAILS };
+    }
+    return { status: 500, error: 'Conversion failed', details: error.message };
+}
+
+// Convert endpoint
+app.post('/convert', rateLimit('conversion'), upload.single('pdf'), async (req, res) => {
+    let input = null;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const format = req.body.format || 'txt';
+        const filename = path.parse(req.file.filename).name;
+
+        if (!isValidFormat(format)) {
+            await removeUpload(req.file);
+            return res.status(400).json({ error: 'Unsupported format' });
+        }
+
+        let languages;
+        try {
+            languages = parseLanguages(req.body.languages, OCR_DEFAULT_LANGUAGES);
+        } catch (error) {
+            await removeUpload(req.file);
+            return res.status(400).json({ error: 'Unsupported language', details: error.message });
+        }
+
+        let pageRanges;
+        try {
+            pageRanges = parsePageRanges(req.body.pages);
+        } catch (error) {
+            await removeUpload(req.file);
+            return res.status(400).json({ error: 'Invalid page range', details: error.message });
+        }
+
+        log.debug(`Converting ${req.file.filename} to ${format}`);
+
+        input = await storage.localFile(req.file.key);
+        const conversion = await convertPDF(input.path, filename, format, {
+            languages,
+            pageRanges,
+            password: typeof req.body.password === 'string' ? req.body.password : undefined,
+            embedImages: isEnabled(req.body.embedImages)
+        });
+        await publishOutput(conversion.outputFilename);
+
+        // Clean up uploaded PDF after successful conversion
+        await input.cleanup();
+        await removeUpload(req.file);
+
+        // Track document conversion
+        analytics.trackDocumentConverted(req, {
+            format: format,
+            characterCount: conversion.characterCount
+        });
+
+        // Return success with download link
+        res.json({
+            status: 'success',
+            message: 'PDF converted successfully',
+            ...conversionResult(conversion)
         });
 
     } catch (error) {
         log.error('Error processing conversion:', error.message);
 
         // Clean up uploaded file if it exists
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        if (input) {
+            await input.cleanup().catch(() => {});
+        }
+        if (req.file) {
+            await removeUpload(req.file);
         }
 
-        // Handle specific errors
-        if (error.message.includes('Could not extract text from PDF')) {
-            return res.status(400).json({
-                error: 'Unable to extract text',
-                details: 'We couldn\'t extract text from this PDF file. This may be a scanned document without readable text, or the OCR process failed.'
+        const { status, ...failure } = conversionError(error);
+        res.status(status).json(failure);
+    }
+});
+
+// ============================================================================
+// Conversion Jobs API Endpoints
+// ============================================================================
+
+const JOBS_CONCURRENCY = parseInt(process.env.JOBS_CONCURRENCY || '2');
+const JOBS_MAX_QUEUED = parseInt(process.env.JOBS_MAX_QUEUED || '100');
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Same lifetime as converted outputs
+const JOB_EVENTS_HEARTBEAT = 15 * 1000;
+
+// Request details kept in memory for analytics when a job completes
+const jobClients = new Map(); // { jobId: { headers, ip } }
+
+// Document passwords are kept in memory only, never in the jobs file
+// (a job re-queued after a restart fails with password_required)
+const jobPasswords = new Map(); // { inputFile: password }
+
+// Storage key of a job's uploaded PDF (kept until the job runs)
+function jobInputKey(inputFile) {
+    return `uploads/jobs/${path.basename(inputFile)}`;
+}
+
+// Delete a job's uploaded PDFs (one, or every file of a batch)
+function removeJobInput(job) {
+    const inputFiles = job.data.files ? job.data.files.map(f => f.inputFile) : [job.data.inputFile];
+    for (const inputFile of inputFiles) {
+        storage.delete(jobInputKey(inputFile)).catch((error) => {
+            log.error(`Error deleting job input ${inputFile}:`, error.message);
+        });
+    }
+}
+
+// Run one queued job: a single conversion or a batch
+function processJob(job, reportProgress) {
+    return job.data.type === 'batch'
+        ? processBatchJob(job, reportProgress)
+        : processConversionJob(job, reportProgress);
+}
+
+// Run one queued conversion
+async function processConversionJob(job, reportProgress) {
+    const { inputFile, format, languages, pages, embedImages } = job.data;
+    const inputKey = jobInputKey(inputFile);
+
+    if (!await storage.stat(inputKey)) {
+        throw new Error('Uploaded file is no longer available');
+    }
+
+    let input = null;
+    try {
+        input = await storage.localFile(inputKey);
+        const conversion = await convertPDF(input.path, path.parse(inputFile).name, format, {
+            languages,
+            pageRanges: parsePageRanges(pages),
+            password: jobPasswords.get(inputFile),
+            embedImages,
+            onProgress: reportProgress
+        });
+        await publishOutput(conversion.outputFilename);
+
+        const client = jobClients.get(job.id);
+        if (client) {
+            analytics.trackDocumentConverted(client, {
+                format: format,
+                characterCount: conversion.characterCount
             });
         }
 
-        res.status(500).json({
-            error: 'Conversion failed',
-            details: error.message
+        return conversionResult(conversion);
+    } catch (error) {
+        // Jobs keep the user-facing details as their error message
+        const { details, code } = conversionError(error);
+        const failure = new Error(details);
+        failure.code = code;
+        throw failure;
+    } finally {
+        jobClients.delete(job.id);
+        jobPasswords.delete(inputFile);
+        if (input) {
+            await input.cleanup().catch(() => {});
+        }
+        removeJobInput(job);
+    }
+}
+
+const jobQueue = new JobQueue({
+    file: path.join(__dirname, 'data', 'jobs.json'),
+    concurrency: JOBS_CONCURRENCY,
+    maxQueued: JOBS_MAX_QUEUED,
+    retention: JOB_RETENTION,
+    processor: processJob,
+    onRemove: removeJobInput,
+    logger: log
+});
+
+// Remove finished jobs every hour
+setInterval(() => jobQueue.cleanup(), 60 * 60 * 1000);
+
+// Configure multer for job uploads (kept until the job runs)
+const jobUpload = multer({
+    storage: multerStorage(storage, {
+        prefix: 'uploads/jobs',
+        filename: uploadFilename
+    }),
+    fileFilter: pdfFileFilter,
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50MB limit
+    }
+});
+
+// Create a conversion job
+app.post('/api/v1/jobs', rateLimit('conversion'), jobUpload.single('pdf'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const format = req.body.format || 'txt';
+
+    if (!isValidFormat(format)) {
+        await removeUpload(req.file);
+        return res.status(400).json({ error: 'Unsupported format' });
+    }
+
+    let languages;
+    try {
+        languages = parseLanguages(req.body.languages, OCR_DEFAULT_LANGUAGES);
+    } catch (error) {
+        await removeUpload(req.file);
+        return res.status(400).json({ error: 'Unsupported language', details: error.message });
+    }
+
+    try {
+        parsePageRanges(req.body.pages);
+    } catch (error) {
+        await removeUpload(req.file);
+        return res.status(400).json({ error: 'Invalid page range', details: error.message });
+    }
+
+    if (jobQueue.isFull()) {
+        await removeUpload(req.file);
+        res.set('Retry-After', '60');
+        return res.status(503).json({
+            error: 'Queue full',
+            message: 'Too many conversions are waiting. Please try again in a minute.'
         });
     }
+
+    // Set before queueing: the job may start right away
+    if (typeof req.body.password === 'string' && req.body.password) {
+        jobPasswords.set(req.file.filename, req.body.password);
+    }
+
+    const job = jobQueue.add({
+        inputFile: req.file.filename,
+        fileName: req.file.originalname,
+        format,
+        languages,
+        pages: req.body.pages ? String(req.body.pages).trim() : undefined,
+        embedImages: isEnabled(req.body.embedImages) || undefined
+    });
+    jobClients.set(job.id, { headers: { ...req.headers }, ip: req.ip });
+
+    log.debug(`Queued job ${job.id}: ${req.file.filename} to ${format}`);
+
+    res.status(202).json({
+        ...jobQueue.view(job),
+        statusUrl: `/api/v1/jobs/${job.id}`,
+        eventsUrl: `/api/v1/jobs/${job.id}/events`
+    });
+});
+
+// Get job status
+app.get('/api/v1/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobQueue.view(job));
+});
+
+// Stream job progress as Server-Sent Events
+app.get('/api/v1/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (view) => {
+        res.write(`event: ${view.status === 'queued' || view.status === 'running' ? 'progress' : view.status}\n`);
+        res.write(`data: ${JSON.stringify(view)}\n\n`);
+    };
+
+    const onUpdate = (view) => {
+        if (view.id !== job.id) return;
+        send(view);
+        if (view.status === 'completed' || view.status === 'failed') {
+            res.end();
+        }
+    };
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), JOB_EVENTS_HEARTBEAT);
+
+    const view = jobQueue.view(job);
+    send(view);
+    if (view.status === 'completed' || view.status === 'failed') {
+        clearInterval(heartbeat);
+        return res.end();
+    }
+
+    jobQueue.on('update', onUpdate);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        jobQueue.off('update', onUpdate);
+    });
+});
+
+// ============================================================================
+// Batch Conversion API Endpoints
+// ============================================================================
+
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES || '100');
+
+// Configure multer for batch uploads, kept until the batch job runs (non-PDF
+// files are reported, not rejected; batchIndex keeps the report in upload order)
+const batchUpload = multer({
+    storage: multerStorage(storage, {
+        prefix: 'uploads/jobs',
+        filename: uploadFilename
+    }),
+    fileFilter: function (req, file, cb) {
+        req.batchFileCount = (req.batchFileCount || 0) + 1;
+        file.batchIndex = req.batchFileCount - 1;
+        if (file.mimetype === 'application/pdf') {
+            return cb(null, true);
+        }
+        req.rejectedFiles = (req.rejectedFiles || []).concat(file);
+        cb(null, false);
+    },
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB limit per file
+        files: BATCH_MAX_FILES
+    }
+});
+
+// Unique ZIP entry name for a converted file, based on the uploaded name
+function batchEntryName(originalName, outputFilename, used) {
+    const base = uploadBaseName(originalName);
+    const ext = path.extname(outputFilename);
+
+    let name = `${base}${ext}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+        name = `${base} (${n})${ext}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+// Status entry for a file that could not be converted
+function batchFailure(file, error) {
+    const { status, ...failure } = conversionError(error);
+    return { file, status: 'failed', ...failure };
+}
+
+// Write converted files and the report to a ZIP without loading them all into memory
+function writeBatchZip(entries, report, outputPath) {
+    const zip = new JSZip();
+    for (const entry of entries) {
+        zip.file(entry.name, fs.createReadStream(entry.path));
+    }
+    zip.file('report.json', JSON.stringify(report, null, 2));
+
+    return new Promise((resolve, reject) => {
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+            .on('error', reject)
+            .pipe(fs.createWriteStream(outputPath))
+            .on('finish', resolve)
+            .on('error', reject);
+    });
+}
+
+// Run a queued batch: convert each PDF, then write one ZIP with a per-file report
+async function processBatchJob(job, reportProgress) {
+    const { files, rejected, format, languages, pages, embedImages } = job.data;
+    const pageRanges = parsePageRanges(pages);
+    const entries = [];
+    const results = [];
+    const used = new Set(['report.json']);
+
+    for (const file of rejected) {
+        results[file.batchIndex] = { file: file.fileName, status: 'failed', error: 'Only PDF files are allowed' };
+    }
+
+    try {
+        // One file at a time: OCR already uses every worker for a single document
+        for (const [index, file] of files.entries()) {
+            const fileProgress = { file: index + 1, fileCount: files.length, fileName: file.fileName };
+            reportProgress({ stage: 'converting', ...fileProgress });
+
+            let input = null;
+            try {
+                const inputKey = jobInputKey(file.inputFile);
+                if (!await storage.stat(inputKey)) {
+                    throw new Error('Uploaded file is no longer available');
+                }
+
+                input = await storage.localFile(inputKey);
+                const conversion = await convertPDF(input.path, path.parse(file.inputFile).name, format, {
+                    languages,
+                    pageRanges,
+                    password: jobPasswords.get(file.inputFile),
+                    embedImages,
+                    onProgress: progress => reportProgress({ ...progress, ...fileProgress })
+                });
+                const entry = {
+                    name: batchEntryName(file.fileName, conversion.outputFilename, used),
+                    path: path.join(outputsDir, conversion.outputFilename)
+                };
+                entries.push(entry);
+
+                const { characterCount, pages: pageCount, images, ocr, cached } = conversionResult(conversion);
+                results[file.batchIndex] = {
+                    file: file.fileName,
+                    status: 'converted',
+                    output: entry.name,
+                    characterCount,
+                    pages: pageCount,
+                    images,
+                    ocr,
+                    cached
+                };
+
+                const client = jobClients.get(job.id);
+                if (client) {
+                    analytics.trackDocumentConverted(client, {
+                        format: format,
+                        characterCount: conversion.characterCount
+                    });
+                }
+            } catch (error) {
+                log.debug(`Batch file ${file.fileName} failed: ${error.message}`);
+                results[file.batchIndex] = batchFailure(file.fileName, error);
+            } finally {
+                jobPasswords.delete(file.inputFile);
+                if (input) {
+                    await input.cleanup().catch(() => {});
+                }
+            }
+        }
+
+        const report = {
+            format,
+            total: files.length + rejected.length,
+            converted: entries.length,
+            failed: files.length + rejected.length - entries.length,
+            files: results.filter(Boolean)
+        };
+
+        if (entries.length === 0) {
+            const failure = new Error('None of the uploaded files could be converted.');
+            failure.code = 'batch_failed';
+            failure.result = { report };
+            throw failure;
+        }
+
+        reportProgress({ stage: 'packaging', fileCount: files.length });
+        const outputFilename = `batch-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.zip`;
+        await writeBatchZip(entries, report, path.join(outputsDir, outputFilename));
+        await publishOutput(outputFilename);
+
+        return {
+            status: report.failed > 0 ? 'partial' : 'success',
+            message: `Converted ${report.converted} of ${report.total} files`,
+            filename: outputFilename,
+            downloadUrl: `/outputs/${outputFilename}`,
+            report
+        };
+    } finally {
+        // Intermediate outputs are only needed for the ZIP
+        for (const entry of entries) {
+            if (fs.existsSync(entry.path)) {
+                fs.unlinkSync(entry.path);
+            }
+        }
+        for (const file of files) {
+            jobPasswords.delete(file.inputFile);
+        }
+        jobClients.delete(job.id);
+        removeJobInput(job);
+    }
+}
+
+// Queue a batch conversion of many PDFs to one format; the job's result is a
+// single ZIP with a per-file report (progress via /api/v1/jobs/:id/events)
+app.post('/api/v1/batch', rateLimit('conversion'), handleUploadErrors(batchUpload.array('pdfs', BATCH_MAX_FILES), 'Invalid batch upload'), async (req, res) => {
+    const files = req.files || [];
+    const rejected = req.rejectedFiles || [];
+
+    const removeUploads = async () => {
+        for (const file of files) {
+            await removeUpload(file);
+        }
+    };
+
+    if (files.length === 0 && rejected.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const format = req.body.format || 'txt';
+    if (!isValidFormat(format)) {
+        await removeUploads();
+        return res.status(400).json({ error: 'Unsupported format' });
+    }
+
+    let languages;
+    try {
+        languages = parseLanguages(req.body.languages, OCR_DEFAULT_LANGUAGES);
+    } catch (error) {
+        await removeUploads();
+        return res.status(400).json({ error: 'Unsupported language', details: error.message });
+    }
+    try {
+        parsePageRanges(req.body.pages);
+    } catch (error) {
+        await removeUploads();
+        return res.status(400).json({ error: 'Invalid page range', details: error.message });
+    }
+
+    if (files.length === 0) {
+        return res.status(400).json({
+            error: 'Batch conversion failed',
+            details: 'None of the uploaded files could be converted.',
+            report: {
+                format,
+                total: rejected.length,
+                converted: 0,
+                failed: rejected.length,
+                files: rejected
+                    .sort((a, b) => a.batchIndex - b.batchIndex)
+                    .map(file => ({ file: file.originalname, status: 'failed', error: 'Only PDF files are allowed' }))
+            }
+        });
+    }
+
+    if (jobQueue.isFull()) {
+        await removeUploads();
+        res.set('Retry-After', '60');
+        return res.status(503).json({
+            error: 'Queue full',
+            message: 'Too many conversions are waiting. Please try again in a minute.'
+        });
+    }
+
+    // Set before queueing: the job may start right away
+    if (typeof req.body.password === 'string' && req.body.password) {
+        for (const file of files) {
+            jobPasswords.set(file.filename, req.body.password);
+        }
+    }
+
+    const job = jobQueue.add({
+        type: 'batch',
+        files: files.map(file => ({ inputFile: file.filename, fileName: file.originalname, batchIndex: file.batchIndex })),
+        rejected: rejected.map(file => ({ fileName: file.originalname, batchIndex: file.batchIndex })),
+        format,
+        languages,
+        pages: req.body.pages ? String(req.body.pages).trim() : undefined,
+        embedImages: isEnabled(req.body.embedImages) || undefined
+    });
+    jobClients.set(job.id, { headers: { ...req.headers }, ip: req.ip });
+
+    log.debug(`Queued batch job ${job.id}: ${files.length} files to ${format}`);
+
+    res.status(202).json({
+        ...jobQueue.view(job),
+        statusUrl: `/api/v1/jobs/${job.id}`,
+        eventsUrl: `/api/v1/jobs/${job.id}/events`
+    });
+});
+
+// ============================================================================
+// PDF Build API Endpoints
+// ============================================================================
+
+const BUILD_MAX_IMAGES = parseInt(process.env.BUILD_MAX_IMAGES || '50');
+const BUILD_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Configure multer for image uploads (kept in memory: they are embedded right away)
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: function (req, file, cb) {
+        if (BUILD_IMAGE_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPEG, PNG and WebP images are allowed'));
+        }
+    },
+    limits: {
+        fileSize: 20 * 1024 * 1024, // 20MB limit per image
+        files: BUILD_MAX_IMAGES
+    }
+});
+
+
+// Build a PDF from images (one page each) and return it
+app.post('/api/v1/build/pdf', rateLimit('pdfTools'), handleUploadErrors(imageUpload.array('images', BUILD_MAX_IMAGES), 'Invalid image upload'), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No images uploaded' });
+        }
+
+        const images = req.files.map(file => ({ name: file.originalname, data: file.buffer }));
+        const pdfBytes = await buildPdfFromImages(images, {
+            pageSize: req.body.pageSize,
+            orientation: req.body.orientation,
+            margin: req.body.margin,
+            fit: req.body.fit,
+            order: req.body.order
+        });
+
+        // Sanitize filename for Content-Disposition header (prevent header injection)
+        const fileName = (sanitizeFilename(req.body.fileName) || 'images.pdf').replace(/(\.pdf)?$/i, '.pdf');
+
+        log.debug(`Built ${fileName} from ${images.length} images`);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(pdfBytes);
+    } catch (error) {
+        log.error('Error building PDF from images:', error.message);
+
+        if (error.code === 'image_converter_unavailable') {
+            return res.status(500).json({ error: 'Image conversion unavailable', details: error.message });
+        }
+
+        if (/^(Invalid |Unsupported image type|Could not read image)/.test(error.message)) {
+            return res.status(400).json({ error: 'Invalid images or options', details: error.message });
+        }
+
+        res.status(500).json({ error: 'PDF build failed', details: error.message });
+    }
+});
+
+// ============================================================================
+// Page Operations API Endpoints
+// ============================================================================
+
+const PDF_MERGE_MAX_FILES = parseInt(process.env.PDF_MERGE_MAX_FILES || '20');
+
+// Configure multer for page operations (PDFs are edited in memory)
+const pdfOperationUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: pdfFileFilter,
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB limit per file
+        files: PDF_MERGE_MAX_FILES
+    }
+});
+
+const singlePdfUpload = handleUploadErrors(pdfOperationUpload.single('pdf'), 'Invalid upload');
+
+// Send a PDF as an attachment
+function sendPdf(res, data, fileName) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', data.length);
+    res.end(data);
+}
+
+// Answer a failed page operation (bad input is a 400)
+function sendPageOperationError(res, operation, error) {
+    log.error(`Error in PDF ${operation}:`, error.message);
+
+    if (error.code === 'invalid_pdf' || /^(Invalid |Page range is outside the document|(Page operations are|Optimization is|Metadata is|Redaction is) not supported)/.test(error.message)) {
+        return res.status(400).json({ error: `Invalid ${operation} request`, details: error.message });
+    }
+
+    res.status(500).json({ error: `PDF ${operation} failed`, details: error.message });
+}
+
+// Merge PDFs in upload order
+app.post('/api/v1/pdf/merge', rateLimit('pdfTools'), handleUploadErrors(pdfOperationUpload.array('pdfs', PDF_MERGE_MAX_FILES), 'Invalid upload'), async (req, res) => {
+    try {
+        if (!req.files || req.files.length < 2) {
+            return res.status(400).json({ error: 'At least two PDF files are required' });
+        }
+
+        const merged = await mergePdfs(req.files.map(file => file.buffer));
+        sendPdf(res, merged, `${uploadBaseName(req.files[0].originalname)}-merged.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'merge', error);
+    }
+});
+
+// Split a PDF by page ranges ("1-3,4-") or every N pages into a ZIP of PDFs
+app.post('/api/v1/pdf/split', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const ranges = parsePageRanges(req.body.ranges);
+        const every = req.body.every !== undefined && req.body.every !== '' ? Number(req.body.every) : undefined;
+        if (every !== undefined && (!Number.isInteger(every) || every < 1)) {
+            throw new Error(`Invalid page count: ${req.body.every}`);
+        }
+
+        const parts = await splitPdf(req.file.buffer, { ranges, every });
+        const base = uploadBaseName(req.file.originalname);
+
+        const zip = new JSZip();
+        for (const part of parts) {
+            zip.file(`${base}-pages-${part.pages}.pdf`, part.data);
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${base}-split.zip"`);
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true })
+            .on('error', (error) => {
+                log.error('Error streaming split ZIP:', error.message);
+                res.destroy(error);
+            })
+            .pipe(res);
+    } catch (error) {
+        sendPageOperationError(res, 'split', error);
+    }
+});
+
+// Extract selected pages into a new PDF
+app.post('/api/v1/pdf/extract', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const ranges = parsePageRanges(req.body.pages);
+        if (!ranges) {
+            return res.status(400).json({ error: 'No pages selected', details: 'Set pages, e.g. "1-3,7"' });
+        }
+
+        const extracted = await extractPages(req.file.buffer, ranges);
+        sendPdf(res, extracted, `${uploadBaseName(req.file.originalname)}-extract.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'extract', error);
+    }
+});
+
+// Reorder pages ("3,1,2" or "4-6,1-3", naming every page once)
+app.post('/api/v1/pdf/reorder', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const ranges = parsePageRanges(req.body.order);
+        if (!ranges) {
+            return res.status(400).json({ error: 'No page order given', details: 'Set order, e.g. "3,1,2"' });
+        }
+
+        const reordered = await reorderPages(req.file.buffer, ranges);
+        sendPdf(res, reordered, `${uploadBaseName(req.file.originalname)}-reordered.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'reorder', error);
+    }
+});
+
+// Rotate pages (all unless pages is set) clockwise by angle degrees
+app.post('/api/v1/pdf/rotate', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const rotated = await rotatePages(req.file.buffer, req.body.angle, parsePageRanges(req.body.pages));
+        sendPdf(res, rotated, `${uploadBaseName(req.file.originalname)}-rotated.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'rotate', error);
+    }
+});
+
+// Read the Info dictionary and XMP metadata of a PDF
+app.post('/api/v1/pdf/metadata', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        res.json(await readMetadata(req.file.buffer));
+    } catch (error) {
+        sendPageOperationError(res, 'metadata', error);
+    }
+});
+
+// Keywords added to documents whose metadata is written for free users
+const BRANDING_KEYWORDS = ['Prepared with PDFOX', 'www.pdfox.cloud'];
+
+// Write metadata fields that are present (empty clears); XMP follows the Info
+// dictionary. The PDFOX keywords stay unless a valid proToken sends branding=false
+app.post('/api/v1/pdf/metadata/update', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const changes = {};
+        for (const field of ['title', 'author', 'subject', 'keywords', 'creator', 'producer', 'creationDate']) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+
+        const branding = req.body.branding === undefined || isEnabled(req.body.branding) ||
+            !isValidProToken(req.body.proToken);
+        const updated = await writeMetadata(req.file.buffer, changes, {
+            requiredKeywords: branding ? BRANDING_KEYWORDS : []
+        });
+        sendPdf(res, updated, `${uploadBaseName(req.file.originalname)}.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'metadata', error);
+    }
+});
+
+const OPTIMIZE_MAX_MB = parseInt(process.env.OPTIMIZE_MAX_MB || '300');
+
+// Configure multer for PDFs to optimize: large scans are the usual input, so
+// they are streamed to storage under their own, higher size limit
+const optimizeUpload = multer({
+    storage: uploadStorage,
+    fileFilter: pdfFileFilter,
+    limits: {
+        fileSize: OPTIMIZE_MAX_MB * 1024 * 1024
+    }
+});
+
+// Shrink a PDF: downsample images above dpi to JPEG at quality, merge
+// duplicate fonts and drop unused objects (sizes are reported in headers,
+// and images left as they are with their reasons, as URI-encoded JSON)
+app.post('/api/v1/pdf/optimize', rateLimit('pdfTools'), handleUploadErrors(optimizeUpload.single('pdf'), 'Invalid upload'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let input = null;
+    try {
+        input = await storage.localFile(req.file.key);
+        const data = await fs.promises.readFile(input.path);
+        const result = await optimizePdf(data, { dpi: req.body.dpi, quality: req.body.quality });
+        const skipped = summarizeSkipped(result.images.skipped);
+        log.info(`Optimized ${req.file.originalname}: ${result.originalSize} -> ${result.optimizedSize} bytes` +
+            (skipped.length > 0 ? ` (images skipped: ${skipped.map(group => `${group.reason} x${group.count}`).join('; ')})` : ''));
+
+        res.setHeader('X-Original-Size', result.originalSize);
+        res.setHeader('X-Optimized-Size', result.optimizedSize);
+        res.setHeader('X-Images-Downsampled', result.images.downsampled);
+        res.setHeader('X-Images-Skipped', result.images.skipped.length);
+        res.setHeader('X-Images-Skipped-Reasons', encodeURIComponent(JSON.stringify(skipped)));
+        res.setHeader('X-Fonts-Merged', result.fontsMerged);
+        res.setHeader('X-Objects-Removed', result.objectsRemoved);
+        sendPdf(res, result.data, `${uploadBaseName(req.file.originalname)}-optimized.pdf`);
+    } catch (error) {
+        sendPageOperationError(res, 'optimize', error);
+    } finally {
+        if (input) {
+            await input.cleanup().catch(() => {});
+        }
+        await removeUpload(req.file);
+    }
+});
+
+// Remove text, image pixels and annotations under the boxes in areas (JSON,
+// points from the top-left of each displayed page), paint the boxes with fill
+// and check that no text is left under them
+app.post('/api/v1/pdf/redact', rateLimit('pdfTools'), singlePdfUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let areas;
+        try {
+            areas = JSON.parse(req.body.areas || '[]');
+        } catch (error) {
+            throw new Error('Invalid areas: expected a JSON array of boxes');
+        }
+
+        const { data, report } = await redactPdf(req.file.buffer, areas, { fill: req.body.fill });
+        log.info(`Redacted ${report.areas} areas in ${req.file.originalname}: ${report.glyphsRemoved} glyphs, ` +
+            `${report.imagesRedacted + report.imagesRemoved} images, ${report.annotationsRemoved} annotations`);
+
+        res.setHeader('X-Text-Removed', report.glyphsRemoved);
+        res.setHeader('X-Images-Redacted', report.imagesRedacted);
+        res.setHeader('X-Images-Removed', report.imagesRemoved);
+        res.setHeader('X-Annotations-Removed', report.annotationsRemoved);
+        res.setHeader('X-Redaction-Verified', String(report.verified));
+        sendPdf(res, data, `${uploadBaseName(req.file.originalname)}-redacted.pdf`);
+    } catch (error) {
+        // Content the redaction could not remove: the file is withheld
+        if (error.code === 'redaction_unverified') {
+            log.warn(`Redaction of ${req.file.originalname} not verified: ${error.message}`);
+            return res.status(422).json({
+                error: 'Redaction could not be verified',
+                details: error.message,
+                code: error.code,
+                remaining: error.remaining
+            });
+        }
+        sendPageOperationError(res, 'redact', error);
+    }
 });
 
 // ============================================================================
@@ -1473,7 +2762,7 @@ const shareUpload = multer({
 });
 
 // Create a new share
-app.post('/api/v1/share/create', shareUpload.single('pdf'), async (req, res) => {
+app.post('/api/v1/share/create', rateLimit('shareCreate'), shareUpload.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No PDF file provided' });
@@ -1491,18 +2780,25 @@ app.post('/api/v1/share/create', shareUpload.single('pdf'), async (req, res) =>
         // Sanitize password
         const password = req.body.password ? sanitizePassword(req.body.password) : null;
 
+        // Expiry and access limits (Pro users may keep shares longer)
+        let shareOptions;
+        try {
+            shareOptions = parseShareOptions(req.body, isValidProToken(req.body.proToken));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid share options', details: error.message });
+        }
+
         // Generate unique hash
         const hash = generateShareHash();
 
         // Hash password if provided
-        const passwordHash = password ? hashSharePassword(password) : null;
+        const passwordHash = password ? await hashSharePassword(password) : null;
 
-        // Save PDF to shares directory
-        const pdfPath = path.join(sharesDir, `${hash}.pdf`);
-        fs.writeFileSync(pdfPath, req.file.buffer);
+        // Save PDF to storage
+        await storage.put(shareKey(hash), req.file.buffer, { contentType: 'application/pdf' });
 
         // Create share metadata
-        const share = createShare(hash, fileName, passwordHash);
+        const share = createShare(hash, fileName, passwordHash, shareOptions);
 
         // Generate share URL
         const shareUrl = `${req.protocol}://${req.get('host')}/share/${hash}`;
@@ -1519,7 +2815,10 @@ app.post('/api/v1/share/create', shareUpload.single('pdf'), async (req, res) =>
             hash,
             url: shareUrl,
             expiresAt: share.expiresAt,
-            hasPassword: !!passwordHash
+            hasPassword: !!passwordHash,
+            maxViews: share.maxViews,
+            maxDownloads: share.maxDownloads,
+            burnAfterView: share.burnAfterView
         });
     } catch (error) {
         log.error('Error creating share:', error.message);
@@ -1528,7 +2827,7 @@ app.post('/api/v1/share/create', shareUpload.single('pdf'), async (req, res) =>
 });
 
 // Get share metadata
-app.get('/api/v1/share/:hash', (req, res) => {
+app.get('/api/v1/share/:hash', rateLimit('shareAccess', shareResource), (req, res) => {
     const { hash } = req.params;
 
     // Validate hash format
@@ -1549,12 +2848,14 @@ app.get('/api/v1/share/:hash', (req, res) => {
         fileName: share.fileName,
         hasPassword: !!share.passwordHash,
         createdAt: share.createdAt,
-        expiresAt: share.expiresAt
+        expiresAt: share.expiresAt,
+        burnAfterView: share.burnAfterView,
+        ...shareAccessRemaining(share)
     });
 });
 
 // Verify share password
-app.post('/api/v1/share/:hash/verify', express.json(), (req, res) => {
+app.post('/api/v1/share/:hash/verify', express.json(), async (req, res) => {
     const { hash } = req.params;
     const { password } = req.body;
 
@@ -1563,16 +2864,16 @@ app.post('/api/v1/share/:hash/verify', express.json(), (req, res) => {
         return res.status(400).json({ error: 'Invalid share ID format' });
     }
 
-    // Check rate limit
-    const rateLimit = checkPasswordRateLimit(hash);
-    if (!rateLimit.allowed) {
-        const minutes = Math.floor(rateLimit.remainingSeconds / 60);
-        const seconds = rateLimit.remainingSeconds % 60;
-        const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+    // Attempts are counted before the password is checked, so parallel
+    // guesses cannot all get in; failures lock out this client (IP) for this share only
+    const ip = rateLimiter.clientIp(req);
+    const attempt = rateLimiter.attempt('sharePassword', ip, hash);
+    if (!attempt.allowed) {
+        res.set('Retry-After', String(attempt.retryAfter));
         return res.status(429).json({
             error: 'Too many attempts',
-            message: `Too many failed attempts. Please try again in ${timeStr}.`,
-            remainingSeconds: rateLimit.remainingSeconds,
+            message: `Too many failed attempts. Please try again in ${formatRetryAfter(attempt.retryAfter)}.`,
+            remainingSeconds: attempt.retryAfter,
             locked: true
         });
     }
@@ -1583,70 +2884,105 @@ app.post('/api/v1/share/:hash/verify', express.json(), (req, res) => {
     }
 
     if (!share.passwordHash) {
+        rateLimiter.reset('sharePassword', ip, hash);
         return res.json({ verified: true });
     }
 
-    const inputHash = hashSharePassword(password || '');
-    const verified = inputHash === share.passwordHash;
-
-    recordPasswordAttempt(hash, verified);
+    let verified;
+    try {
+        verified = await verifySharePassword(hash, share, typeof password === 'string' ? password : '');
+    } catch (error) {
+        log.error('Error verifying share password:', error.message);
+        return res.status(500).json({ error: 'Failed to verify password' });
+    }
 
     if (verified) {
+        rateLimiter.reset('sharePassword', ip, hash);
         res.json({ verified: true });
     } else {
-        // Get updated attempts info for response
-        const attempts = passwordAttempts.get(hash);
-        const attemptsRemaining = MAX_PASSWORD_ATTEMPTS - (attempts?.count || 0);
+        const attemptsRemaining = attempt.remaining;
+        const lockout = attemptsRemaining > 0 ? null : rateLimiter.lock('sharePassword', ip, hash);
 
+        if (lockout) {
+            res.set('Retry-After', String(lockout.retryAfter));
+        }
         res.status(401).json({
             error: 'Invalid password',
             message: attemptsRemaining > 0
                 ? `Incorrect password. ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining.`
                 : 'Incorrect password. You have been temporarily locked out.',
             attemptsRemaining,
-            locked: attemptsRemaining <= 0
+            locked: !!lockout,
+            ...(lockout && { remainingSeconds: lockout.retryAfter })
         });
     }
 });
 
-// Download shared PDF
-app.get('/api/v1/share/:hash/download', (req, res) => {
-    const { hash } = req.params;
-
-    // Validate hash format
-    if (!isValidShareHash(hash)) {
-        return res.status(400).json({ error: 'Invalid share ID format' });
-    }
+// Whether a share request opens the document: a GET for the whole file or
+// for a range starting at byte 0. Later ranges continue an open that was
+// already counted; HEAD requests and unsatisfiable ranges send nothing.
+// With ignoreRanges the whole file is sent whatever the Range header says.
+function opensShare(req, size, ignoreRanges) {
+    if (req.method === 'HEAD') return false;
+    if (!req.headers.range || ignoreRanges) return true;
+    const requested = req.range(size);
+    if (requested === -1) return false;
+    return !Array.isArray(requested) || requested.type !== 'bytes' || requested.length !== 1 || requested[0].start === 0;
+}
 
+// Serve a shared PDF as a view (inline) or download, counting it against the
+// share's limits. Each open is counted once (see opensShare). Shares with a
+// view or download limit, or burn after view, are always sent whole and
+// without Accept-Ranges, so range requests cannot read them chunk by chunk
+// past the limit. They are streamed through the server rather than
+// redirected to a signed URL, and burn-after-view shares are deleted once
+// the first view or download has been sent.
+async function sendShare(req, res, hash, kind) {
     const share = findShareByHash(hash);
-
     if (!share) {
         return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Build path and verify it's within shares directory
-    const pdfPath = path.join(sharesDir, `${hash}.pdf`);
-    const resolvedPath = path.resolve(pdfPath);
-    const resolvedSharesDir = path.resolve(sharesDir);
-
-    if (!resolvedPath.startsWith(resolvedSharesDir)) {
-        return res.status(400).json({ error: 'Invalid file path' });
+    const stats = await storage.stat(shareKey(hash));
+    if (!stats) {
+        return res.status(404).json({ error: 'PDF file not found' });
     }
 
-    if (!fs.existsSync(resolvedPath)) {
-        return res.status(404).json({ error: 'PDF file not found' });
+    const limited = share.burnAfterView || (kind === 'view' ? share.maxViews : share.maxDownloads) != null;
+    const sendsContent = opensShare(req, stats.size, limited);
+    const counted = sendsContent ? store.recordShareAccess(hash, kind) : share;
+    if (!counted) {
+        return res.status(410).json({
+            error: kind === 'view' ? 'View limit reached' : 'Download limit reached',
+            message: share.burnAfterView
+                ? 'This shared document could only be opened once and has already been viewed.'
+                : `This shared document has reached its ${kind} limit.`
+        });
     }
 
-    // Sanitize filename for Content-Disposition header (prevent header injection)
-    const safeFileName = (share.fileName || 'document.pdf').replace(/["\r\n]/g, '');
+    if (counted.burnAfterView && sendsContent) {
+        res.on('close', () => {
+            deleteShare(hash)
+                .then(() => log.info(`Burned share ${hash.slice(0, 8)} after first ${kind}`))
+                .catch(error => log.error(`Error deleting burned share ${hash}:`, error.message));
+        });
+    }
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
-    res.sendFile(resolvedPath);
-});
+    const sent = await sendStoredFile(req, res, shareKey(hash), {
+        fileName: share.fileName || 'document.pdf',
+        contentType: 'application/pdf',
+        inline: kind === 'view',
+        direct: limited,
+        noRanges: limited,
+        stats
+    });
+    if (!sent) {
+        res.status(404).json({ error: 'PDF file not found' });
+    }
+}
 
-// Get PDF data for viewer (inline)
-app.get('/api/v1/share/:hash/view', (req, res) => {
+// Download shared PDF
+app.get('/api/v1/share/:hash/download', rateLimit('shareAccess', shareResource), async (req, res) => {
     const { hash } = req.params;
 
     // Validate hash format
@@ -1654,31 +2990,33 @@ app.get('/api/v1/share/:hash/view', (req, res) => {
         return res.status(400).json({ error: 'Invalid share ID format' });
     }
 
-    const share = findShareByHash(hash);
-
-    if (!share) {
-        return res.status(404).json({ error: 'Document not found' });
+    try {
+        await sendShare(req, res, hash, 'download');
+    } catch (error) {
+        log.error('Error serving shared PDF:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Could not read PDF file' });
+        }
     }
+});
 
-    // Build path and verify it's within shares directory
-    const pdfPath = path.join(sharesDir, `${hash}.pdf`);
-    const resolvedPath = path.resolve(pdfPath);
-    const resolvedSharesDir = path.resolve(sharesDir);
+// Get PDF data for viewer (inline)
+app.get('/api/v1/share/:hash/view', rateLimit('shareAccess', shareResource), async (req, res) => {
+    const { hash } = req.params;
 
-    if (!resolvedPath.startsWith(resolvedSharesDir)) {
-        return res.status(400).json({ error: 'Invalid file path' });
+    // Validate hash format
+    if (!isValidShareHash(hash)) {
+        return res.status(400).json({ error: 'Invalid share ID format' });
     }
 
-    if (!fs.existsSync(resolvedPath)) {
-        return res.status(404).json({ error: 'PDF file not found' });
+    try {
+        await sendShare(req, res, hash, 'view');
+    } catch (error) {
+        log.error('Error serving shared PDF:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Could not read PDF file' });
+        }
     }
-
-    // Sanitize filename for Content-Disposition header (prevent header injection)
-    const safeFileName = (share.fileName || 'document.pdf').replace(/["\r\n]/g, '');
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename="${safeFileName}"`);
-    res.sendFile(resolvedPath);
 });
 
 // Serve share viewer page
@@ -1807,7 +3145,7 @@ app.post('/api/v1/analytics/editor', express.json(), async (req, res) => {
 });
 
 // Contact form submission endpoint
-app.post('/api/v1/contact', express.json(), async (req, res) => {
+app.post('/api/v1/contact', rateLimit('contact'), express.json(), async (req, res) => {
     try {
         const { name, email, company, topic, message } = req.body;
 
@@ -1975,6 +3313,13 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
     log.info(`PDFOX running on http://localhost:${PORT}`);
     log.info(`Environment: ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'}`);
+    log.info(`File storage: ${storage.driver === 's3' ? `S3 bucket ${storage.bucket}` : 'local disk'}`);
+
+    // Report a broken PDF engine at startup rather than on the first conversion
+    loadPdfjs().catch(error => log.error(error.message));
+
+    // Resume conversion jobs left queued by a previous run
+    jobQueue.start();
 
     // Log Stripe configuration (key prefix only for security)
     const keyPrefix = STRIPE_SECRET_KEY ? STRIPE_SECRET_KEY.substring(0, 7) : 'NOT SET';
@@ -0,0 +1,64 @@
+/**
+ * Conversion cache tests
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ConversionCache, hashFile } = require('../lib/cache');
+
+describe('ConversionCache', () => {
+    let tempDir;
+    let outputPath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfox-cache-test-'));
+        outputPath = path.join(tempDir, 'output.txt');
+        fs.writeFileSync(outputPath, 'converted text');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('hashes files by streaming their bytes', async () => {
+        const data = crypto.randomBytes(200 * 1024);
+        const filePath = path.join(tempDir, 'input.pdf');
+        fs.writeFileSync(filePath, data);
+
+        assert.equal(await hashFile(filePath), crypto.createHash('sha256').update(data).digest('hex'));
+    });
+
+    it('stores nothing when disabled', () => {
+        const cache = new ConversionCache({ dir: path.join(tempDir, 'cache') });
+
+        assert.equal(cache.enabled, false);
+        assert.equal(cache.put('key', outputPath, { characterCount: 14 }), null);
+        assert.equal(fs.existsSync(path.join(tempDir, 'cache')), false);
+    });
+
+    it('serves a stored output with its details', () => {
+        const cache = new ConversionCache({ dir: path.join(tempDir, 'cache'), maxBytes: 1024 * 1024 });
+        cache.put('key', outputPath, { textPreview: 'converted text', characterCount: 14 });
+
+        const entry = cache.get('key');
+        assert.equal(entry.textPreview, 'converted text');
+        assert.equal(entry.characterCount, 14);
+        assert.equal(fs.readFileSync(entry.outputPath, 'utf8'), 'converted text');
+        assert.equal(entry.hits, 1);
+    });
+
+    it('evicts every entry once disabled', () => {
+        const dir = path.join(tempDir, 'cache');
+        new ConversionCache({ dir, maxBytes: 1024 * 1024 }).put('key', outputPath, {});
+
+        const removed = new ConversionCache({ dir }).evict();
+        assert.deepEqual(removed.map(entry => entry.key), ['key']);
+        assert.deepEqual(fs.readdirSync(dir), []);
+    });
+});
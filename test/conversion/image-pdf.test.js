@@ -0,0 +1,53 @@
+/**
+ * Images to PDF tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createCanvas } = require('@napi-rs/canvas');
+const { buildPdfFromImages } = require('../../lib/conversion/image-pdf');
+
+/**
+ * A filled test image in `format` ('png', 'jpeg' or 'webp')
+ */
+async function testImage(format, width, height) {
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 128, 255, 0.6)';
+    context.fillRect(0, 0, width, height);
+    return canvas.encode(format);
+}
+
+describe('buildPdfFromImages', () => {
+    it('adds one page per image, sized to it (at 96 DPI) with pageSize "image"', async () => {
+        const pdf = await PDFDocument.load(await buildPdfFromImages([
+            { name: 'a.png', data: await testImage('png', 40, 20) },
+            { name: 'b.jpg', data: await testImage('jpeg', 40, 60) }
+        ], { pageSize: 'image' }));
+
+        assert.deepEqual(pdf.getPages().map(page => [page.getWidth(), page.getHeight()]), [[30, 15], [30, 45]]);
+    });
+
+    it('rejects images it cannot identify by name', async () => {
+        await assert.rejects(
+            buildPdfFromImages([{ name: 'notes.txt', data: Buffer.from('not an image') }]),
+            /^Error: Unsupported image type: notes\.txt$/
+        );
+    });
+
+    it('reports a missing ImageMagick as unavailable, not as a bad WebP image', async () => {
+        const pathEnv = process.env.PATH;
+        process.env.PATH = '/nonexistent';
+        try {
+            await assert.rejects(
+                buildPdfFromImages([{ name: 'photo.webp', data: await testImage('webp', 10, 10) }]),
+                error => error.code === 'image_converter_unavailable' && !/Could not read image/.test(error.message)
+            );
+        } finally {
+            process.env.PATH = pathEnv;
+        }
+    });
+});
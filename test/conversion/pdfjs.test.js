@@ -0,0 +1,74 @@
+/**
+ * pdf.js helper tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, StandardFonts, TextRenderingMode } = require('pdf-lib');
+const { createCanvas } = require('@napi-rs/canvas');
+const { readPageTexts } = require('../../lib/conversion/pdfjs');
+
+const LINE = 'The quick brown fox jumps over the lazy dog again and again.';
+
+/**
+ * Build a one-page Letter PDF: `image` is the share of the page painted
+ * by a scan-like image, `lines` the lines of text drawn over it
+ */
+async function buildPage({ image = 0, lines = [], invisible = false }) {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([612, 792]);
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+    if (image > 0) {
+        const canvas = createCanvas(40, 40);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#dddddd';
+        context.fillRect(0, 0, 40, 40);
+        const png = await pdf.embedPng(await canvas.encode('png'));
+        page.drawImage(png, { x: 0, y: 0, width: 612, height: 792 * image });
+    }
+    lines.forEach((line, index) => {
+        page.drawText(line, {
+            x: 36,
+            y: 756 - index * 14,
+            size: 10,
+            font,
+            renderMode: invisible ? TextRenderingMode.Invisible : TextRenderingMode.Fill
+        });
+    });
+
+    return Buffer.from(await pdf.save());
+}
+
+async function imageOnly(options) {
+    const [page] = await readPageTexts(await buildPage(options));
+    return page.imageOnly;
+}
+
+describe('readPageTexts imageOnly', () => {
+    it('marks a full-page scan without text', async () => {
+        assert.equal(await imageOnly({ image: 1 }), true);
+    });
+
+    it('marks a scan carrying a Bates stamp and footer', async () => {
+        assert.equal(await imageOnly({ image: 1, lines: ['ABC-0001234', 'Scanned 2024-03-01 14:22 by Scanner 7 - Page 1 of 12'] }), true);
+    });
+
+    it('does not mark a scan with a full invisible OCR layer', async () => {
+        assert.equal(await imageOnly({ image: 1, lines: Array(50).fill(LINE), invisible: true }), false);
+    });
+
+    it('does not mark a text page with a small picture', async () => {
+        assert.equal(await imageOnly({ image: 0.2, lines: Array(40).fill(LINE) }), false);
+    });
+
+    it('does not mark a page mostly free of images', async () => {
+        assert.equal(await imageOnly({ image: 0.3 }), false);
+    });
+
+    it('does not mark a text-only page', async () => {
+        assert.equal(await imageOnly({ lines: [LINE] }), false);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * OCR worker pool tests (Tesseract workers are stubbed)
+ */
+
+'use strict';
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+const { OCRWorkerPool } = require('../lib/ocr');
+
+const createWorker = Tesseract.createWorker;
+
+/**
+ * Stand-in worker recording whether it was terminated
+ */
+function fakeWorker(options = {}) {
+    return {
+        terminated: false,
+        async reinitialize() {
+            if (options.failReinitialize) throw new Error('reinitialize failed');
+        },
+        async terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+describe('OCRWorkerPool', () => {
+    let langPath;
+
+    before(() => {
+        // Languages found on disk are never downloaded
+        langPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfox-ocr-test-'));
+        for (const lang of ['eng', 'deu']) {
+            fs.writeFileSync(path.join(langPath, `${lang}.traineddata`), '');
+        }
+    });
+
+    after(() => {
+        fs.rmSync(langPath, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        Tesseract.createWorker = createWorker;
+    });
+
+    it('reuses a released worker', async () => {
+        let created = 0;
+        Tesseract.createWorker = async () => {
+            created++;
+            return fakeWorker();
+        };
+        const pool = new OCRWorkerPool({ size: 1, langPath });
+
+        const first = await pool.acquire('eng');
+        pool.release(first);
+        const second = await pool.acquire('eng');
+
+        assert.equal(second, first);
+        assert.equal(created, 1);
+    });
+
+    it('hands the slot to a waiting caller when creating a worker fails', async () => {
+        let rejectFirst;
+        let calls = 0;
+        Tesseract.createWorker = () => {
+            calls++;
+            if (calls === 1) {
+                return new Promise((resolve, reject) => { rejectFirst = reject; });
+            }
+            return Promise.resolve(fakeWorker());
+        };
+        const pool = new OCRWorkerPool({ size: 1, langPath });
+
+        const failing = pool.acquire('eng');
+        // Let the first call take the only slot before the second one queues
+        while (!rejectFirst) await new Promise(resolve => setImmediate(resolve));
+        const waiting = pool.acquire('deu');
+        while (pool.waiting.length === 0) await new Promise(resolve => setImmediate(resolve));
+
+        rejectFirst(new Error('worker failed to start'));
+        await assert.rejects(failing, /worker failed to start/);
+
+        const entry = await waiting;
+        assert.equal(entry.languages, 'deu');
+        assert.equal(pool.count, 1);
+        assert.equal(pool.waiting.length, 0);
+    });
+
+    it('discards a worker that fails to reinitialize and frees its slot', async () => {
+        const worker = fakeWorker({ failReinitialize: true });
+        Tesseract.createWorker = async () => worker;
+        const pool = new OCRWorkerPool({ size: 1, langPath });
+
+        pool.release(await pool.acquire('eng'));
+        await assert.rejects(pool.acquire('deu'), /reinitialize failed/);
+
+        assert.equal(worker.terminated, true);
+        assert.equal(pool.count, 0);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * PDF optimizer tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createCanvas } = require('@napi-rs/canvas');
+const { optimizePdf, summarizeSkipped } = require('../lib/optimize');
+
+/**
+ * A PDF with a 600x600 px image drawn at one inch (600 DPI) on each of `pages`
+ */
+async function imagePdf(pages) {
+    const canvas = createCanvas(600, 600);
+    const context = canvas.getContext('2d');
+    for (let i = 0; i < 600; i += 20) {
+        context.fillStyle = `rgb(${i % 255}, ${(i * 3) % 255}, 120)`;
+        context.fillRect(i, 0, 20, 600);
+    }
+
+    const pdf = await PDFDocument.create();
+    const image = await pdf.embedPng(await canvas.encode('png'));
+    for (let i = 0; i < pages; i++) {
+        pdf.addPage([200, 200]).drawImage(image, { x: 0, y: 0, width: 72, height: 72 });
+    }
+    return Buffer.from(await pdf.save());
+}
+
+describe('optimizePdf', () => {
+    it('reports images it cannot resample without ImageMagick', async () => {
+        const pathEnv = process.env.PATH;
+        process.env.PATH = '/nonexistent';
+        try {
+            const result = await optimizePdf(await imagePdf(1), { dpi: 150 });
+
+            assert.equal(result.images.total, 1);
+            assert.equal(result.images.downsampled, 0);
+            assert.deepEqual(result.images.skipped.map(image => [image.page, image.reason]),
+                [[1, 'ImageMagick is not available to resample images']]);
+        } finally {
+            process.env.PATH = pathEnv;
+        }
+    });
+
+    it('leaves images at or near the target resolution alone', async () => {
+        const result = await optimizePdf(await imagePdf(1), { dpi: 600 });
+
+        assert.equal(result.images.downsampled, 0);
+        assert.deepEqual(result.images.skipped, []);
+    });
+});
+
+describe('summarizeSkipped', () => {
+    it('groups skipped images by reason with page ranges', () => {
+        assert.deepEqual(summarizeSkipped([
+            { page: 1, name: 'Im1', reason: 'Bilevel images are kept as they are' },
+            { page: 2, name: 'Im1', reason: 'Bilevel images are kept as they are' },
+            { page: 3, name: 'Im2', reason: 'Resampling timed out' },
+            { page: 5, name: 'Im1', reason: 'Bilevel images are kept as they are' }
+        ]), [
+            { reason: 'Bilevel images are kept as they are', count: 3, pages: '1-2,5' },
+            { reason: 'Resampling timed out', count: 1, pages: '3' }
+        ]);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Share password hashing tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, passwordScheme } = require('../lib/passwords');
+
+/**
+ * scrypt hash of a password with explicit (older) parameters
+ */
+function scryptHash(password, { N, r, p }) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(password, salt, 32, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+describe('passwords', () => {
+    it('verifies a scrypt hash of the same password', async () => {
+        const stored = await hashPassword('correct horse');
+
+        assert.equal(passwordScheme(stored), 'scrypt');
+        assert.match(stored, /^scrypt\$32768\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+        assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+    });
+
+    it('salts every hash', async () => {
+        assert.notEqual(await hashPassword('same'), await hashPassword('same'));
+    });
+
+    it('rejects a wrong password', async () => {
+        const stored = await hashPassword('correct horse');
+
+        assert.deepEqual(await verifyPassword('battery staple', stored), { valid: false, needsRehash: false });
+        assert.deepEqual(await verifyPassword('', stored), { valid: false, needsRehash: false });
+    });
+
+    it('verifies a legacy SHA-256 hash and asks for a rehash', async () => {
+        const stored = crypto.createHash('sha256').update('old secret').digest('hex');
+
+        assert.equal(passwordScheme(stored), 'sha256');
+        assert.deepEqual(await verifyPassword('old secret', stored), { valid: true, needsRehash: true });
+        assert.deepEqual(await verifyPassword('wrong', stored), { valid: false, needsRehash: false });
+    });
+
+    it('asks to upgrade a hash made with older scrypt parameters', async () => {
+        const stored = scryptHash('upgrade me', { N: 16384, r: 8, p: 1 });
+
+        assert.deepEqual(await verifyPassword('upgrade me', stored), { valid: true, needsRehash: true });
+        assert.deepEqual(await verifyPassword('wrong', stored), { valid: false, needsRehash: false });
+
+        const upgraded = await hashPassword('upgrade me');
+        assert.deepEqual(await verifyPassword('upgrade me', upgraded), { valid: true, needsRehash: false });
+    });
+
+    it('treats malformed stored values as invalid without throwing', async () => {
+        const key = crypto.randomBytes(32).toString('base64');
+        const salt = crypto.randomBytes(16).toString('base64');
+        const malformed = [
+            undefined,
+            null,
+            42,
+            '',
+            'plaintext',
+            'ABCDEF'.repeat(10) + 'abcd', // 64 characters, not hex
+            'scrypt$',
+            'scrypt$abc$8$1$salt$key',
+            `scrypt$32768$8$1$${salt}$`,
+            `scrypt$32768$8$1$$${key}`,
+            `scrypt$1000$8$1$${salt}$${key}`, // N not a power of two
+            `scrypt$1073741824$8$1$${salt}$${key}`, // N far too large
+            `scrypt$32768$8$1$${salt}$${key}$extra`
+        ];
+
+        for (const stored of malformed) {
+            assert.deepEqual(await verifyPassword('anything', stored), { valid: false, needsRehash: false }, String(stored));
+        }
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * PDF loading tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { loadPdfDocument } = require('../lib/pdf-document');
+
+describe('loadPdfDocument', () => {
+    it('loads a PDF', async () => {
+        const pdf = await PDFDocument.create();
+        pdf.addPage();
+
+        assert.equal((await loadPdfDocument(await pdf.save())).getPageCount(), 1);
+    });
+
+    for (const [name, data] of [
+        ['a file without a PDF header', Buffer.from('PK\u0003\u0004 not a PDF at all')],
+        ['a PDF without a page tree', Buffer.from('%PDF-1.7\ngarbage')],
+        ['a truncated PDF', Buffer.from('%PDF-1.7\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R')]
+    ]) {
+        it(`rejects ${name} as invalid_pdf`, async () => {
+            await assert.rejects(loadPdfDocument(data), error => {
+                assert.equal(error.code, 'invalid_pdf');
+                assert.match(error.message, /^Invalid PDF file: /);
+                return true;
+            });
+        });
+    }
+});
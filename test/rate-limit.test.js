@@ -0,0 +1,136 @@
+/**
+ * Rate limiter tests against a temporary data store
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataStore } = require('../lib/store');
+const { RateLimiter } = require('../lib/rate-limit');
+
+const MINUTE = 60 * 1000;
+const POLICIES = {
+    requests: { windowMs: 10 * MINUTE, max: 3 },
+    password: { windowMs: 15 * MINUTE, max: 3, lockoutMs: 5 * MINUTE }
+};
+// reset() only clears counters that are live by the clock, so tests start now
+const START = Date.now();
+
+describe('RateLimiter', () => {
+    let tempDir;
+    let store;
+    let limiter;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfox-rate-limit-test-'));
+        store = new DataStore({ file: path.join(tempDir, 'pdfox.db') });
+        limiter = new RateLimiter({ store, policies: POLICIES });
+    });
+
+    afterEach(() => {
+        store.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('consume', () => {
+        it('allows max requests per window, then refuses until it ends', () => {
+            for (let i = 1; i <= 3; i++) {
+                const result = limiter.consume('requests', '10.0.0.1', '', START);
+                assert.equal(result.allowed, true);
+                assert.equal(result.remaining, 3 - i);
+            }
+
+            const refused = limiter.consume('requests', '10.0.0.1', '', START + 4 * MINUTE);
+            assert.equal(refused.allowed, false);
+            assert.equal(refused.retryAfter, 6 * 60);
+        });
+
+        it('starts a new window once the old one is over', () => {
+            for (let i = 0; i < 4; i++) {
+                limiter.consume('requests', '10.0.0.1', '', START);
+            }
+
+            const rolled = limiter.consume('requests', '10.0.0.1', '', START + 10 * MINUTE);
+            assert.equal(rolled.allowed, true);
+            assert.equal(rolled.remaining, 2);
+            assert.equal(store.getRateLimit('requests', '10.0.0.1', '').windowStart, START + 10 * MINUTE);
+        });
+
+        it('counts clients and resources separately', () => {
+            for (let i = 0; i < 4; i++) {
+                limiter.consume('requests', '10.0.0.1', 'share-a', START);
+            }
+
+            assert.equal(limiter.consume('requests', '10.0.0.2', 'share-a', START).allowed, true);
+            assert.equal(limiter.consume('requests', '10.0.0.1', 'share-b', START).allowed, true);
+        });
+    });
+
+    describe('attempt', () => {
+        it('locks a client out after max attempts', () => {
+            const results = [1, 2, 3, 4].map(i => limiter.attempt('password', '10.0.0.1', 'share', START + i));
+
+            assert.deepEqual(results.slice(0, 3).map(result => [result.allowed, result.remaining]), [[true, 2], [true, 1], [true, 0]]);
+            assert.deepEqual(results[3], { allowed: false, locked: true, remaining: 0, retryAfter: 5 * 60 });
+            assert.equal(store.getRateLimit('password', '10.0.0.1', 'share').lockedUntil, START + 4 + 5 * MINUTE);
+        });
+
+        it('does not count attempts during a lockout', () => {
+            for (let i = 0; i < 4; i++) {
+                limiter.attempt('password', '10.0.0.1', 'share', START);
+            }
+            const count = store.getRateLimit('password', '10.0.0.1', 'share').count;
+
+            const refused = limiter.attempt('password', '10.0.0.1', 'share', START + 2 * MINUTE);
+            assert.deepEqual(refused, { allowed: false, locked: true, remaining: 0, retryAfter: 3 * 60 });
+            limiter.attempt('password', '10.0.0.1', 'share', START + 3 * MINUTE);
+            assert.equal(store.getRateLimit('password', '10.0.0.1', 'share').count, count);
+        });
+
+        it('allows attempts again once the lockout is over', () => {
+            limiter.attempt('password', '10.0.0.1', 'share', START);
+            limiter.lock('password', '10.0.0.1', 'share', START);
+
+            assert.equal(limiter.attempt('password', '10.0.0.1', 'share', START + 5 * MINUTE - 1).allowed, false);
+            const after = limiter.attempt('password', '10.0.0.1', 'share', START + 5 * MINUTE);
+            assert.deepEqual(after, { allowed: true, locked: false, remaining: 2, retryAfter: 0 });
+        });
+
+        it('locks only the client that failed', () => {
+            for (let i = 0; i < 4; i++) {
+                limiter.attempt('password', '10.0.0.1', 'share', START);
+            }
+
+            assert.equal(limiter.attempt('password', '10.0.0.2', 'share', START).allowed, true);
+        });
+    });
+
+    describe('reset', () => {
+        it('clears a client\'s counter', () => {
+            limiter.attempt('password', '10.0.0.1', 'share', START);
+            limiter.attempt('password', '10.0.0.1', 'share', START);
+
+            assert.equal(limiter.reset('password', '10.0.0.1', 'share'), true);
+            assert.equal(store.getRateLimit('password', '10.0.0.1', 'share'), null);
+            assert.equal(limiter.attempt('password', '10.0.0.1', 'share', START).remaining, 2);
+        });
+
+        it('reports when there was nothing to clear', () => {
+            assert.equal(limiter.reset('password', '10.0.0.1', 'share'), false);
+        });
+    });
+
+    it('removes counters whose window and lockout are over', () => {
+        limiter.consume('requests', '10.0.0.1', '', START);
+        limiter.attempt('password', '10.0.0.2', 'share', START);
+        limiter.lock('password', '10.0.0.2', 'share', START + 12 * MINUTE);
+
+        assert.equal(limiter.cleanup(START + 10 * MINUTE), 1);
+        assert.equal(limiter.cleanup(START + 17 * MINUTE), 1);
+        assert.equal(store.getRateLimit('password', '10.0.0.2', 'share'), null);
+    });
+});
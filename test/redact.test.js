@@ -0,0 +1,198 @@
+/**
+ * Redaction tests
+ *
+ * Each test builds a PDF with pdf-lib, redacts part of it and checks with
+ * pdf.js that what was under the box is gone and the rest is kept.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFString, StandardFonts, degrees } = require('pdf-lib');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { redactPdf } = require('../lib/redact');
+const { openDocument, readPageTexts, renderPagePng } = require('../lib/conversion/pdfjs');
+
+const SIZE = 12;
+
+/**
+ * New Letter-size document with Helvetica embedded
+ */
+async function createPdf() {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    return { pdf, font, page: pdf.addPage([612, 792]) };
+}
+
+/**
+ * Area of a rectangle given in user space (PDF units from the bottom-left
+ * of the MediaBox), in the page's displayed coordinates as redactPdf takes
+ * them: points from the top-left corner, after rotation
+ */
+async function displayedArea(data, pageNumber, rect) {
+    const doc = await openDocument(data);
+    try {
+        const viewport = (await doc.getPage(pageNumber)).getViewport({ scale: 1 });
+        const corners = [
+            [rect.x, rect.y],
+            [rect.x + rect.width, rect.y + rect.height]
+        ].map(([x, y]) => viewport.convertToViewportPoint(x, y));
+        const xs = corners.map(point => point[0]);
+        const ys = corners.map(point => point[1]);
+        return {
+            page: pageNumber,
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys)
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * User-space box around a line of text drawn at (x, y)
+ */
+function textRect(font, text, x, y) {
+    return { x: x - 1, y: y - 4, width: font.widthOfTextAtSize(text, SIZE) + 2, height: SIZE + 6 };
+}
+
+/**
+ * Text pdf.js extracts from a page
+ */
+async function pageText(data, pageNumber = 1) {
+    const [page] = await readPageTexts(data, { pages: [pageNumber] });
+    return page.text;
+}
+
+describe('redactPdf', () => {
+    it('removes text under a box and keeps the rest', async () => {
+        const { pdf, font, page } = await createPdf();
+        page.drawText('Patient: Jane Doe', { x: 72, y: 700, size: SIZE, font });
+        page.drawText('Visit summary follows', { x: 72, y: 600, size: SIZE, font });
+        const data = Buffer.from(await pdf.save());
+
+        const area = await displayedArea(data, 1, textRect(font, 'Patient: Jane Doe', 72, 700));
+        const { data: redacted, report } = await redactPdf(data, [area]);
+
+        const text = await pageText(redacted);
+        assert.doesNotMatch(text, /Patient|Jane|Doe/);
+        assert.match(text, /Visit summary follows/);
+        assert.ok(report.glyphsRemoved >= 'PatientJaneDoe'.length);
+        assert.equal(report.verified, true);
+    });
+
+    it('removes only the covered part of a line', async () => {
+        const { pdf, font, page } = await createPdf();
+        const prefix = 'Name: ';
+        page.drawText(`${prefix}Jane Doe, account 4417`, { x: 72, y: 700, size: SIZE, font });
+        const data = Buffer.from(await pdf.save());
+
+        // Cover "Jane Doe" only
+        const start = 72 + font.widthOfTextAtSize(prefix, SIZE);
+        const rect = { ...textRect(font, 'Jane Doe', start, 700), x: start - 0.5, width: font.widthOfTextAtSize('Jane Doe', SIZE) + 1 };
+        const { data: redacted } = await redactPdf(data, [await displayedArea(data, 1, rect)]);
+
+        const text = await pageText(redacted);
+        assert.doesNotMatch(text, /Jane|Doe/);
+        assert.match(text, /Name:/);
+        assert.match(text, /account 4417/);
+    });
+
+    it('removes text inside a form XObject', async () => {
+        const source = await createPdf();
+        source.page.drawText('Salary: 98,000', { x: 72, y: 700, size: SIZE, font: source.font });
+        source.page.drawText('Department: Sales', { x: 72, y: 650, size: SIZE, font: source.font });
+
+        const { pdf, font, page } = await createPdf();
+        const form = await pdf.embedPage((await PDFDocument.load(await source.pdf.save())).getPage(0));
+        page.drawPage(form, { x: 0, y: 0 });
+        const data = Buffer.from(await pdf.save());
+        assert.match(await pageText(data), /Salary/);
+
+        const area = await displayedArea(data, 1, textRect(font, 'Salary: 98,000', 72, 700));
+        const { data: redacted } = await redactPdf(data, [area]);
+
+        const text = await pageText(redacted);
+        assert.doesNotMatch(text, /Salary|98,000/);
+        assert.match(text, /Department: Sales/);
+    });
+
+    it('clears image pixels under a box', async () => {
+        const canvas = createCanvas(100, 100);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ff0000';
+        context.fillRect(0, 0, 100, 100);
+
+        const { pdf, page } = await createPdf();
+        const image = await pdf.embedPng(await canvas.encode('png'));
+        page.drawImage(image, { x: 100, y: 400, width: 200, height: 200 });
+        const data = Buffer.from(await pdf.save());
+
+        // Left half of the image, left unpainted so only the image data shows
+        const area = await displayedArea(data, 1, { x: 100, y: 400, width: 100, height: 200 });
+        const { data: redacted, report } = await redactPdf(data, [area], { fill: 'none' });
+        assert.equal(report.imagesRedacted, 1);
+
+        const doc = await openDocument(redacted);
+        let png;
+        try {
+            png = await renderPagePng(doc, 1, 72);
+        } finally {
+            await doc.destroy();
+        }
+        const rendered = createCanvas(612, 792);
+        rendered.getContext('2d').drawImage(await loadImage(png), 0, 0);
+        const pixel = (x, y) => [...rendered.getContext('2d').getImageData(x, 792 - y, 1, 1).data.slice(0, 3)];
+
+        assert.deepEqual(pixel(150, 500), [0, 0, 0]);
+        assert.deepEqual(pixel(250, 500), [255, 0, 0]);
+    });
+
+    it('removes annotations under a box', async () => {
+        const { pdf, page } = await createPdf();
+        const annotation = (rect, contents) => pdf.context.register(pdf.context.obj({
+            Type: 'Annot',
+            Subtype: 'Square',
+            Rect: rect,
+            Contents: PDFString.of(contents),
+            C: [1, 0, 0]
+        }));
+        page.node.set(PDFName.of('Annots'), pdf.context.obj([
+            annotation([100, 600, 200, 650], 'Reviewer note: SSN 123-45-6789'),
+            annotation([100, 100, 200, 150], 'Approved')
+        ]));
+        const data = Buffer.from(await pdf.save());
+
+        const area = await displayedArea(data, 1, { x: 90, y: 590, width: 120, height: 70 });
+        const { data: redacted, report } = await redactPdf(data, [area]);
+        assert.equal(report.annotationsRemoved, 1);
+
+        const doc = await openDocument(redacted);
+        try {
+            const annotations = await (await doc.getPage(1)).getAnnotations();
+            assert.deepEqual(annotations.map(item => item.contentsObj.str), ['Approved']);
+        } finally {
+            await doc.destroy();
+        }
+    });
+
+    it('removes text on a rotated page using displayed coordinates', async () => {
+        const { pdf, font, page } = await createPdf();
+        page.setRotation(degrees(90));
+        page.drawText('Account number 5521-0098', { x: 72, y: 700, size: SIZE, font });
+        page.drawText('Branch office', { x: 72, y: 500, size: SIZE, font });
+        const data = Buffer.from(await pdf.save());
+
+        const area = await displayedArea(data, 1, textRect(font, 'Account number 5521-0098', 72, 700));
+        // The displayed page is landscape: the box is not where the user-space rectangle is
+        assert.ok(area.width < area.height);
+        const { data: redacted } = await redactPdf(data, [area]);
+
+        const text = await pageText(redacted);
+        assert.doesNotMatch(text, /Account|5521/);
+        assert.match(text, /Branch office/);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * S3 storage driver tests
+ *
+ * Run against MinIO (or another S3-compatible service) with an existing bucket:
+ *
+ *   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=pdfox npm test
+ *
+ * Credentials come from S3_TEST_ACCESS_KEY_ID / S3_TEST_SECRET_ACCESS_KEY
+ * (default minioadmin). Without S3_TEST_ENDPOINT the tests are skipped.
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createStorage, multerStorage } = require('../../lib/storage');
+
+const endpoint = process.env.S3_TEST_ENDPOINT;
+
+/**
+ * Read a stream to a Buffer
+ */
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('S3Storage', { skip: endpoint ? false : 'S3_TEST_ENDPOINT is not set' }, () => {
+    // Every run works under its own prefix, removed afterwards
+    const prefix = `pdfox-test-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const options = {
+        driver: 's3',
+        bucket: process.env.S3_TEST_BUCKET || 'pdfox',
+        prefix,
+        region: process.env.S3_TEST_REGION || 'us-east-1',
+        endpoint,
+        forcePathStyle: true,
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+        secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+    };
+    let storage;
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfox-s3-test-'));
+        storage = createStorage({ ...options, tempDir });
+    });
+
+    after(async () => {
+        for (const area of ['uploads', 'outputs', 'shares']) {
+            for (const file of await storage.list(area)) {
+                await storage.delete(file.key);
+            }
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('stores and reads back a buffer', async () => {
+        const data = Buffer.from('%PDF-1.7 buffer test');
+        const result = await storage.put('outputs/buffer.pdf', data, { contentType: 'application/pdf' });
+
+        assert.equal(result.size, data.length);
+        assert.deepEqual(await storage.get('outputs/buffer.pdf'), data);
+    });
+
+    it('stores a stream of unknown length and counts its bytes', async () => {
+        // Larger than one multipart part (5 MB)
+        const data = crypto.randomBytes(6 * 1024 * 1024 + 123);
+        const chunks = [];
+        for (let offset = 0; offset < data.length; offset += 64 * 1024) {
+            chunks.push(data.subarray(offset, offset + 64 * 1024));
+        }
+
+        const result = await storage.put('uploads/stream.pdf', Readable.from(chunks));
+
+        assert.equal(result.size, data.length);
+        assert.equal((await storage.stat('uploads/stream.pdf')).size, data.length);
+        assert.ok((await storage.get('uploads/stream.pdf')).equals(data));
+    });
+
+    it('uploads a local file and removes it when asked', async () => {
+        const sourcePath = path.join(tempDir, 'source.pdf');
+        fs.writeFileSync(sourcePath, 'local file');
+
+        await storage.putFile('outputs/file.pdf', sourcePath, { remove: true });
+
+        assert.equal(fs.existsSync(sourcePath), false);
+        assert.equal((await storage.get('outputs/file.pdf')).toString(), 'local file');
+    });
+
+    it('reports size and modification time, and null for missing keys', async () => {
+        await storage.put('shares/stat.pdf', 'twelve bytes');
+        const stat = await storage.stat('shares/stat.pdf');
+
+        assert.equal(stat.size, 12);
+        assert.ok(stat.modified instanceof Date);
+        assert.equal(await storage.stat('shares/missing.pdf'), null);
+    });
+
+    it('streams byte ranges', async () => {
+        await storage.put('outputs/range.txt', '0123456789');
+
+        assert.equal((await readAll(await storage.createReadStream('outputs/range.txt', { start: 2, end: 5 }))).toString(), '2345');
+        assert.equal((await readAll(await storage.createReadStream('outputs/range.txt', { start: 7 }))).toString(), '789');
+        assert.equal((await readAll(await storage.createReadStream('outputs/range.txt'))).toString(), '0123456789');
+    });
+
+    it('lists keys under an area without the prefix', async () => {
+        await storage.put('shares/list-a.pdf', 'a');
+        await storage.put('shares/list-b.pdf', 'bb');
+
+        const files = (await storage.list('shares')).filter(file => file.key.startsWith('shares/list-'));
+        assert.deepEqual(files.map(file => file.key).sort(), ['shares/list-a.pdf', 'shares/list-b.pdf']);
+        assert.deepEqual(files.map(file => file.size).sort(), [1, 2]);
+    });
+
+    it('deletes objects and reports whether they existed', async () => {
+        await storage.put('uploads/delete.pdf', 'x');
+
+        assert.equal(await storage.delete('uploads/delete.pdf'), true);
+        assert.equal(await storage.stat('uploads/delete.pdf'), null);
+        assert.equal(await storage.delete('uploads/delete.pdf'), false);
+    });
+
+    it('downloads a temporary local copy that cleanup removes', async () => {
+        await storage.put('uploads/local.pdf', 'local copy');
+        const input = await storage.localFile('uploads/local.pdf');
+
+        assert.equal(path.dirname(input.path), tempDir);
+        assert.equal(fs.readFileSync(input.path, 'utf8'), 'local copy');
+        await input.cleanup();
+        assert.equal(fs.existsSync(input.path), false);
+    });
+
+    it('rejects keys outside an area', async () => {
+        await assert.rejects(storage.put('no-area.pdf', 'x'), /Invalid storage key/);
+        await assert.rejects(storage.get('uploads/../shares/x.pdf'), /Invalid storage key/);
+        await assert.rejects(storage.stat('uploads//x.pdf'), /Invalid storage key/);
+    });
+
+    it('returns presigned URLs only when enabled', async () => {
+        await storage.put('shares/signed.pdf', 'signed download');
+        assert.equal(await storage.signedUrl('shares/signed.pdf'), null);
+
+        const signing = createStorage({ ...options, tempDir, signedUrls: true, signedUrlExpiry: 60 });
+        const url = await signing.signedUrl('shares/signed.pdf', { fileName: 'report.pdf', contentType: 'application/pdf' });
+        const response = await fetch(url);
+
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'signed download');
+        assert.match(response.headers.get('content-disposition') || '', /attachment; filename="report\.pdf"/);
+    });
+
+    it('saves multer uploads through the storage engine', async () => {
+        const engine = multerStorage(storage, {
+            prefix: 'uploads',
+            filename: (req, file, cb) => cb(null, 'multer.pdf')
+        });
+        const file = { stream: Readable.from([Buffer.from('uploaded')]), mimetype: 'application/pdf' };
+
+        const saved = await new Promise((resolve, reject) => {
+            engine._handleFile({}, file, (error, info) => (error ? reject(error) : resolve(info)));
+        });
+        assert.equal(saved.key, 'uploads/multer.pdf');
+        assert.equal(saved.size, 8);
+        assert.equal((await storage.get('uploads/multer.pdf')).toString(), 'uploaded');
+
+        await new Promise((resolve, reject) => {
+            engine._removeFile({}, saved, error => (error ? reject(error) : resolve()));
+        });
+        assert.equal(await storage.stat('uploads/multer.pdf'), null);
+    });
+});